@@ -0,0 +1,72 @@
+/**
+ * Service worker - keeps the tracker usable without a connection
+ * The app shell is cached on install; everything else the page loads from
+ * this origin (hashed JS/CSS bundles, layer files) is served from the cache
+ * and refreshed in the background. Pages are fetched network-first so a new
+ * deploy is picked up as soon as the device is online.
+ */
+
+const CACHE_NAME = 'lv-tracker-v1'
+const APP_SHELL = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// The page posts the URLs it loaded before this worker took control
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'cache-urls') return
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => Promise.all(
+      event.data.urls.map(url => cache.match(url).then(hit => hit || cache.add(url).catch(() => {})))
+    ))
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request))
+  } else {
+    event.respondWith(staleWhileRevalidate(request, event))
+  }
+})
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put('/', response.clone())
+    return response
+  } catch {
+    return (await cache.match('/')) || Response.error()
+  }
+}
+
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(CACHE_NAME)
+  const cached = await cache.match(request)
+  const update = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  })
+  if (cached) {
+    event.waitUntil(update.catch(() => {}))
+    return cached
+  }
+  return update
+}
@@ -0,0 +1,245 @@
+/**
+ * LV Tracker sync server
+ * A small dependency-free Node server that lets several devices share one
+ * project's change events. Each device pushes the events it recorded and
+ * pulls everyone else's; the server only orders and stores them, conflict
+ * resolution happens on the clients (see src/utils/sync.js).
+ *
+ *   SYNC_TOKENS=qa:<token>,supervisor:<token> npm run sync-server     # listens on :8787
+ *   PORT=9000 DATA_DIR=/srv/lv SYNC_TOKENS=... npm run sync-server
+ *
+ * Access: every project request needs "Authorization: Bearer <token>", one of
+ * the SYNC_TOKENS. Each token is shared by the devices of one role (viewer,
+ * supervisor or qa - see src/utils/auth.js), and pushed events the role
+ * couldn't make in the app are refused. Accounts and PINs stay on the devices,
+ * so within a role the server can't tell users apart.
+ *
+ * When a production build exists (npm run build) the app itself is served
+ * too, so crews on the site network only need this one address. Browsers
+ * loading the app from anywhere else need that origin listed in SYNC_ORIGINS
+ * (comma separated, e.g. http://localhost:5173 for the Vite dev server).
+ *
+ * API
+ *   GET  /api/health
+ *   GET  /api/projects/:id/events?since=<seq>  -> { events, latest }
+ *   POST /api/projects/:id/events  { deviceId, events }
+ *        -> { seqs: { eventId: seq }, latest, refused: { eventId: reason } }
+ */
+
+import http from 'node:http'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { ROLES, can, denialMessage, eventPermission } from '../src/utils/auth.js'
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url))
+const PORT = Number(process.env.PORT) || 8787
+const DATA_DIR = process.env.DATA_DIR || path.join(ROOT, 'data')
+const STATIC_DIR = path.join(ROOT, '..', 'dist')
+const MAX_BODY_BYTES = 20 * 1024 * 1024
+const TOKEN_ROLES = parseTokens(process.env.SYNC_TOKENS || '')
+const ALLOWED_ORIGINS = (process.env.SYNC_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.geojson': 'application/geo+json',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+}
+
+// Role of each access token, from "role:token,role:token"
+function parseTokens(text) {
+  const roles = new Map()
+  text.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const split = entry.indexOf(':')
+    const role = entry.slice(0, split)
+    const token = entry.slice(split + 1)
+    if (!ROLES.some(r => r.key === role) || !token) {
+      throw new Error(`SYNC_TOKENS entry "${entry}" should be <role>:<token> with role ${ROLES.map(r => r.key).join(', ')}`)
+    }
+    roles.set(token, role)
+  })
+  return roles
+}
+
+// Event logs of the projects touched since start, by project ID
+const logs = new Map()
+// Serialises writes per project so concurrent pushes can't interleave
+const writeQueues = new Map()
+
+async function loadLog(projectId) {
+  if (!logs.has(projectId)) {
+    try {
+      const stored = JSON.parse(await fs.readFile(logFile(projectId), 'utf8'))
+      logs.set(projectId, { events: stored.events, ids: new Set(stored.events.map(e => e.id)) })
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      logs.set(projectId, { events: [], ids: new Set() })
+    }
+  }
+  return logs.get(projectId)
+}
+
+function logFile(projectId) {
+  return path.join(DATA_DIR, `${encodeURIComponent(projectId)}.json`)
+}
+
+async function saveLog(projectId, log) {
+  await fs.mkdir(DATA_DIR, { recursive: true })
+  const file = logFile(projectId)
+  await fs.writeFile(`${file}.tmp`, JSON.stringify({ events: log.events }))
+  await fs.rename(`${file}.tmp`, file)
+}
+
+// Append new events (ignoring ones already stored) and report each one's sequence number
+async function appendEvents(projectId, deviceId, events) {
+  const previous = writeQueues.get(projectId) || Promise.resolve()
+  const result = previous.then(async () => {
+    const log = await loadLog(projectId)
+    const seqs = {}
+    let added = 0
+    events.forEach(event => {
+      if (!log.ids.has(event.id)) {
+        log.ids.add(event.id)
+        log.events.push({ ...event, deviceId, seq: log.events.length + 1 })
+        added++
+      }
+    })
+    const incomingIds = new Set(events.map(e => e.id))
+    log.events.forEach(event => {
+      if (incomingIds.has(event.id)) seqs[event.id] = event.seq
+    })
+    if (added > 0) await saveLog(projectId, log)
+    return { seqs, latest: log.events.length }
+  })
+  writeQueues.set(projectId, result.catch(() => {}))
+  return result
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+async function readJson(req) {
+  let size = 0
+  const chunks = []
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) throw Object.assign(new Error('Request body too large'), { status: 413 })
+    chunks.push(chunk)
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'))
+  } catch {
+    throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 })
+  }
+}
+
+async function handleApi(req, res, url) {
+  if (url.pathname === '/api/health') {
+    sendJson(res, 200, { ok: true })
+    return
+  }
+
+  const match = url.pathname.match(/^\/api\/projects\/([^/]+)\/events$/)
+  if (!match) {
+    sendJson(res, 404, { error: 'Not found' })
+    return
+  }
+  const projectId = decodeURIComponent(match[1])
+
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+  const role = TOKEN_ROLES.get(token)
+  if (!role) {
+    sendJson(res, 401, { error: 'Missing or unknown sync token' })
+    return
+  }
+
+  if (req.method === 'GET') {
+    const since = Number(url.searchParams.get('since')) || 0
+    const log = await loadLog(projectId)
+    sendJson(res, 200, { events: log.events.slice(since), latest: log.events.length })
+  } else if (req.method === 'POST') {
+    const body = await readJson(req)
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      sendJson(res, 400, { error: 'Body must be an object with deviceId and events' })
+      return
+    }
+    const { deviceId, events } = body
+    if (!Array.isArray(events) || events.some(e => !e || typeof e.id !== 'string')) {
+      sendJson(res, 400, { error: 'events must be a list of events with string ids' })
+      return
+    }
+    // Events the token's role isn't allowed to make are reported back instead of stored
+    const refused = {}
+    const allowed = events.filter(event => {
+      const permission = eventPermission(event)
+      if (can(role, permission)) return true
+      refused[event.id] = denialMessage(role, permission)
+      return false
+    })
+    sendJson(res, 200, { ...(await appendEvents(projectId, deviceId || 'unknown', allowed)), refused })
+  } else {
+    sendJson(res, 405, { error: 'Method not allowed' })
+  }
+}
+
+async function serveStatic(res, url) {
+  const requested = path.normalize(decodeURIComponent(url.pathname)).replace(/^([/\\])+/, '')
+  let file = path.join(STATIC_DIR, requested)
+  if (!file.startsWith(STATIC_DIR)) {
+    res.writeHead(403).end()
+    return
+  }
+  try {
+    if ((await fs.stat(file)).isDirectory()) file = path.join(file, 'index.html')
+  } catch {
+    // Unknown paths fall back to the app shell
+    file = path.join(STATIC_DIR, 'index.html')
+  }
+  try {
+    const body = await fs.readFile(file)
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' })
+    res.end(body)
+  } catch {
+    res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found - run "npm run build" to serve the app from here')
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  // Only listed origins (e.g. the Vite dev server) may call the API from another origin
+  const origin = req.headers.origin
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin)
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+    res.setHeader('Vary', 'Origin')
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end()
+    return
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+  try {
+    if (url.pathname.startsWith('/api/')) await handleApi(req, res, url)
+    else await serveStatic(res, url)
+  } catch (e) {
+    console.error(`${req.method} ${url.pathname} failed:`, e)
+    sendJson(res, e.status || 500, { error: e.status ? e.message : 'Server error' })
+  }
+})
+
+if (TOKEN_ROLES.size === 0) {
+  console.error('Set SYNC_TOKENS (e.g. SYNC_TOKENS=qa:<token>,supervisor:<token>) so only your devices can sync')
+  process.exit(1)
+}
+
+server.listen(PORT, () => {
+  console.log(`LV Tracker sync server listening on http://localhost:${PORT} (data in ${DATA_DIR})`)
+})
@@ -2,13 +2,71 @@ import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { flushSync } from 'react-dom'
 import useDailyLog from './hooks/useDailyLog'
 import useChartExport from './hooks/useChartExport'
+import usePersistentState from './hooks/usePersistentState'
+import useProjects from './hooks/useProjects'
+import useEventLog from './hooks/useEventLog'
+import useSync from './hooks/useSync'
+import useAuth from './hooks/useAuth'
 import SubmitModal from './components/SubmitModal'
 import HistoryModal from './components/HistoryModal'
+import StringTestModal from './components/StringTestModal'
+import ProjectSetupModal from './components/ProjectSetupModal'
+import ProjectSwitcher from './components/ProjectSwitcher'
+import BackupModal from './components/BackupModal'
+import ActivityPanel from './components/ActivityPanel'
+import ReplayBar from './components/ReplayBar'
+import NoteEditor from './components/NoteEditor'
+import NotesPanel from './components/NotesPanel'
+import StorageStatus from './components/StorageStatus'
+import SyncModal from './components/SyncModal'
+import SignOffModal from './components/SignOffModal'
+import SearchPanel from './components/SearchPanel'
+import LayerPanel from './components/LayerPanel'
+import PrintModal from './components/PrintModal'
+import ReportModal from './components/ReportModal'
+import ImportModal from './components/ImportModal'
+import ScheduleModal from './components/ScheduleModal'
+import HierarchyPanel from './components/HierarchyPanel'
+import WorkflowModal from './components/WorkflowModal'
+import StageProgressModal from './components/StageProgressModal'
+import LoginScreen from './components/LoginScreen'
+import AccountsModal from './components/AccountsModal'
+import { loadProjectLayers } from './utils/projects'
+import { compileIdPatterns, normalizeId } from './utils/ids'
+import { projectKey, readProjectSlices } from './utils/storage'
+import { buildBundle } from './utils/bundle'
+import { diffTrackerState, createEvent, summarizeDay, rewindTrackerState, toLocalDate } from './utils/events'
+import { applyEvents, overrideEvent } from './utils/sync'
+import { NOTE_CATEGORIES, createNote, normalizeNote, noteMarkerStyle, noteSnapshot, changedNotes, exportPhotos } from './utils/notes'
+import { denialMessage, roleLabel } from './utils/auth'
+import { buildSearchEntries } from './utils/search'
+import { createGridIndex, geometryBox, pointBox, simplifyGeometry, boxesOverlap } from './utils/spatialIndex'
+import { createTileCache } from './utils/tileCache'
+import { planPrint, paperSize, exportSheets } from './utils/printSheet'
+import { createIdLookup } from './utils/importSheet'
+import { normalizeBaseline, emptyBaseline, scheduleModes, scheduleScope, scheduleRows, recordPlanStatus, describeBaseline } from './utils/schedule'
+import { TABLE_COLOR_MODES, TABLE_LEGENDS, linkTables, tableColors, fillSignature } from './utils/tableStatus'
+import { DEFAULT_WORKFLOW, normalizeWorkflow, findStage, progressKey, workflowSite, workflowStats, stageItems, itemDone, itemTotal, blockingStages, isComplete, stringTally, boxTested, progressStatus, stageStyle, stageLegend, unitLabel } from './utils/workflow'
+import { buildHierarchy, completion, completionColor } from './utils/hierarchy'
+import { defaultLayerSettings, normalizeLayerSettings, hexToRgba, layerDefinition } from './utils/mapLayers'
+import { SIGN_OFF_STAGES, OPEN_STYLE, REJECTED_STYLE, signOffKey, signOffStyle, nextStage, advanceSignOff, rejectSignOff, countSignOffs } from './utils/signOff'
 
 // Pure Canvas-based GeoJSON viewer
 // Text scales proportionally with geometry (like CAD/GIS)
 
 function App() {
+  const projectsApi = useProjects()
+  const auth = useAuth()
+
+  if (!auth.user) return <LoginScreen auth={auth} />
+
+  // Remount the workspace per project, after a restore and per signed-in user
+  // so every slice reloads from storage and undo history isn't shared
+  const { activeProject, workspaceRevision } = projectsApi
+  return <Workspace key={`${activeProject.id}:${workspaceRevision}:${auth.user.id}`} projectsApi={projectsApi} auth={auth} />
+}
+
+function Workspace({ projectsApi, auth }) {
   const canvasRef = useRef(null)
   const [layers, setLayers] = useState({})
   const [loading, setLoading] = useState(true)
@@ -16,9 +74,46 @@ function App() {
   // Modal states
   const [submitModalOpen, setSubmitModalOpen] = useState(false)
   const [historyModalOpen, setHistoryModalOpen] = useState(false)
+  const [projectSetupOpen, setProjectSetupOpen] = useState(false)
+  const [backupModalOpen, setBackupModalOpen] = useState(false)
+  const [activityPanelOpen, setActivityPanelOpen] = useState(false)
+  const [notesPanelOpen, setNotesPanelOpen] = useState(false)
+  const [syncModalOpen, setSyncModalOpen] = useState(false)
+  const [accountsModalOpen, setAccountsModalOpen] = useState(false)
+  const [searchOpen, setSearchOpen] = useState(false)
+  const [layerPanelOpen, setLayerPanelOpen] = useState(false)
+  const [hierarchyPanelOpen, setHierarchyPanelOpen] = useState(false)
+  const [printModalOpen, setPrintModalOpen] = useState(false)
+  const [reportModalOpen, setReportModalOpen] = useState(false)
+  const [importModalOpen, setImportModalOpen] = useState(false)
+  const [scheduleModalOpen, setScheduleModalOpen] = useState(false)
+  const [workflowModalOpen, setWorkflowModalOpen] = useState(false)
   
+  // Active site workspace - decides which layer files load, how IDs are read and where data is stored
+  const { activeProject } = projectsApi
+  const idMatchers = useMemo(() => compileIdPatterns(activeProject.idPatterns), [activeProject])
+  const scoped = (name) => projectKey(activeProject.id, name)
+
+  // What the signed-in user may do (see utils/auth); refusals show as a short notice
+  const { can } = auth
+  const [notice, setNotice] = useState(null)
+  const allow = useCallback((permission) => {
+    if (can(permission)) return true
+    setNotice(denialMessage(auth.user.role, permission))
+    return false
+  }, [can, auth.user.role])
+
+  useEffect(() => {
+    if (!notice) return
+    const timer = setTimeout(() => setNotice(null), NOTICE_DURATION)
+    return () => clearTimeout(timer)
+  }, [notice])
+
   // Daily log hook
-  const { dailyLog, addRecord, deleteRecord, resetLog } = useDailyLog()
+  const { dailyLog, addRecord, addRecords, deleteRecord, resetLog, replaceLog } = useDailyLog(activeProject.id, can)
+
+  // The signed-in user is stamped on every activity event
+  const { events, recordEvents, logActivity, mergeRemoteEvents, markSynced, markRefused } = useEventLog(activeProject.id, auth.user.name)
   const { exportToExcel } = useChartExport()
   const [viewState, setViewState] = useState({
     offsetX: 0,
@@ -30,27 +125,60 @@ function App() {
   const [inverterLabels, setInverterLabels] = useState([])
   const [totalBoxCount, setTotalBoxCount] = useState(0) // Actual GeoJSON feature count
   const [hoveredText, setHoveredText] = useState(null)
-  const [completedBoxes, setCompletedBoxes] = useState(new Set())
+  const [completedBoxes, setCompletedBoxes] = usePersistentState(scoped('completedBoxes'), new Set(), {
+    serialize: set => Array.from(set),
+    deserialize: ids => new Set(ids)
+  })
   const [noteMode, setNoteMode] = useState(false)
   const [selectionBox, setSelectionBox] = useState(null) // New: Selection Box Coords
   
-  // Mode switching: 'test' = LV Cable Test Results, 'termination' = LV Cable Termination Progress
+  // Mode switching: a workflow stage key ('test' = LV Cable Test Results, 'termination' = LV Cable
+  // Termination Progress, or a custom stage - see utils/workflow), or 'signoff' = QA sign-off stages
   const [activeMode, setActiveMode] = useState('test')
-  
-  // Termination tracking state - load from localStorage
-  const [terminationProgress, setTerminationProgress] = useState(() => {
-    try {
-      const saved = localStorage.getItem('terminationProgress')
-      return saved ? JSON.parse(saved) : {}
-    } catch {
-      return {}
-    }
+  // The project's workflow stages, edited by admins
+  const [workflow, setWorkflow] = usePersistentState(scoped('workflow'), DEFAULT_WORKFLOW, {
+    deserialize: normalizeWorkflow
   })
+  const activeStage = findStage(workflow, activeMode)
+  // Progress on custom stages: { [progressKey]: { done, at, user } }
+  const [stageProgress, setStageProgress] = usePersistentState(scoped('stageProgress'), {})
+  const [stageInverter, setStageInverter] = useState(null) // Inverter ID open in the stage progress modal
+  
+  // Termination tracking state - per-circuit ticks { circuitId: { terminatedAt, crew } }, persisted across reloads
+  const [terminatedCircuits, setTerminatedCircuits] = usePersistentState(scoped('terminatedCircuits'), {})
+  // Per-inverter counts saved before the checklist existed, converted once layers load
+  const [legacyTerminationCounts, setLegacyTerminationCounts] = usePersistentState(scoped('terminationLegacyCounts'), null)
+  const [terminationCrew, setTerminationCrew] = usePersistentState(scoped('terminationCrew'), '')
+  // Per-string LV cable test results: { stringId: { insulation, polarity, voc, continuity, result, tester, testedAt } }
+  const [stringTests, setStringTests] = usePersistentState(scoped('stringTests'), {})
+  const [selectedString, setSelectedString] = useState(null) // String ID being edited in test mode
+  // QA sign-off stage of every inverter and circuit (see utils/signOff)
+  const [signOffs, setSignOffs] = usePersistentState(scoped('signOffs'), {})
+  const [signOffInverter, setSignOffInverter] = useState(null) // Inverter ID open in the sign-off modal
+
+  // Time-travel replay: null shows live data, a YYYY-MM-DD date shows the site as it was at the end of that day
+  const [replayDate, setReplayDate] = useState(null)
+  const shownState = useMemo(() => {
+    const live = { completedBoxes, stringTests, terminatedCircuits, signOffs, stageProgress }
+    return replayDate ? rewindTrackerState(live, events, replayDate) : live
+  }, [replayDate, completedBoxes, stringTests, terminatedCircuits, signOffs, stageProgress, events])
   const [selectedInverter, setSelectedInverter] = useState(null) // For editing termination progress
-  const [editingTerminated, setEditingTerminated] = useState('')
-  const [notes, setNotes] = useState([])
-  const [selectedNote, setSelectedNote] = useState(null)
-  const [noteEditor, setNoteEditor] = useState(null)
+  const [editingCircuits, setEditingCircuits] = useState({}) // Draft ticks while the checklist is open
+  // Punch-list notes (see utils/notes) - older plain-text notes get default fields on load
+  const [notes, setNotes] = usePersistentState(scoped('notes'), [], {
+    deserialize: list => list.map(normalizeNote)
+  })
+  const [selectedNote, setSelectedNote] = useState(null) // Note ID highlighted from the punch list
+  const [noteEditor, setNoteEditor] = useState(null) // { noteId, x, y }
+  const [flash, setFlash] = useState(null) // { position, startedAt } of a search result being highlighted
+  // Visibility, style and drawing order of the map layers (see utils/mapLayers)
+  const [layerSettings, setLayerSettings] = usePersistentState(scoped('layerSettings'), defaultLayerSettings(), {
+    deserialize: normalizeLayerSettings
+  })
+  // Planned schedule the daily log is measured against (see utils/schedule)
+  const [baseline, setBaseline] = usePersistentState(scoped('baseline'), emptyBaseline(), {
+    deserialize: normalizeBaseline
+  })
   const [history, setHistory] = useState([])
   const [historyIndex, setHistoryIndex] = useState(-1)
   
@@ -59,7 +187,12 @@ function App() {
   const hasMoved = useRef(false) // Track if actual movement occurred
   const lastMouse = useRef({ x: 0, y: 0 })
   const selectionBoxRef = useRef(null) // Use ref for selection box during drag
+  const changeSource = useRef('click') // Tags the events of the next tracker state change
+  const changeTimes = useRef(null) // { itemId: ISO } work times of the next tracker state change, for imports
   const rafId = useRef(null) // For requestAnimationFrame
+  const viewAnimation = useRef(null) // requestAnimationFrame ID of a running centerOn animation
+  const viewStateRef = useRef(viewState)
+  viewStateRef.current = viewState
 
   // Quick lookup for box features by id
   const boxFeatureMap = useMemo(() => {
@@ -77,21 +210,31 @@ function App() {
   // Extract inverter IDs and circuit counts from table_id layer using regex
   const inverterCircuitData = useMemo(() => {
     const circuitCounts = {} // { inverterId: count }
+    const circuits = {} // { inverterId: [{ id, position }] }
     const inverterPositions = {} // { inverterId: { position, text } }
     
     // Process table_id to count circuits per inverter
     if (layers.table_id && layers.table_id.features) {
       layers.table_id.features.forEach(feature => {
         const text = feature.properties?.text
-        if (text) {
-          // Extract inverter ID using regex: TX[0-9]+-INV[0-9]+
-          const match = text.match(/^(TX\d+-INV\d+)/i)
-          if (match) {
-            const inverterId = match[1].toUpperCase()
+        if (text && idMatchers.isString(text)) {
+          // Extract inverter ID using the project's pattern (default TX[0-9]+-INV[0-9]+)
+          const inverterId = idMatchers.inverterOf(text)
+          if (inverterId && feature.geometry?.type === 'Point') {
             circuitCounts[inverterId] = (circuitCounts[inverterId] || 0) + 1
+            if (!circuits[inverterId]) circuits[inverterId] = []
+            circuits[inverterId].push({
+              id: normalizeId(text),
+              inverterId,
+              position: feature.geometry.coordinates
+            })
           }
         }
       })
+      // STR1, STR2, ... STR10 in checklist order
+      Object.values(circuits).forEach(list => {
+        list.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }))
+      })
     }
     
     // Get positions from inv_id layer
@@ -100,9 +243,8 @@ function App() {
         const text = feature.properties?.text
         if (text && feature.geometry.type === 'Point') {
           // Normalize the inverter ID
-          const match = text.match(/^(TX\d+-INV\s*\d+)/i)
-          if (match) {
-            const normalizedId = match[1].replace(/\s+/g, '').toUpperCase()
+          const normalizedId = idMatchers.inverterOf(text)
+          if (normalizedId) {
             inverterPositions[normalizedId] = {
               position: feature.geometry.coordinates,
               text: text
@@ -112,54 +254,563 @@ function App() {
       })
     }
     
-    return { circuitCounts, inverterPositions }
-  }, [layers])
+    return { circuitCounts, circuits, inverterPositions }
+  }, [layers, idMatchers])
 
-  // Calculate termination summary stats
-  const terminationStats = useMemo(() => {
-    const { circuitCounts } = inverterCircuitData
-    const inverterIds = Object.keys(circuitCounts)
-    
-    let totalCircuits = 0
-    let terminated = 0
-    
-    inverterIds.forEach(inverterId => {
-      const total = circuitCounts[inverterId] || 0
-      const done = terminationProgress[inverterId] || 0
-      totalCircuits += total
-      terminated += Math.min(done, total) // Cap at total
+  // Grid indexes for hit-testing and skipping off-screen features (see utils/spatialIndex)
+  const spatialIndex = useMemo(() => {
+    const features = (layer) => (layer?.features || []).filter(feature => feature.geometry)
+    const { circuits, inverterPositions } = inverterCircuitData
+    return {
+      poly: createGridIndex(features(layers.poly), feature => geometryBox(feature.geometry)),
+      boundary: createGridIndex(features(layers.boudnry_line), feature => geometryBox(feature.geometry)),
+      tableTexts: createGridIndex(
+        features(layers.table_id).filter(feature => feature.geometry.type === 'Point'),
+        feature => pointBox(feature.geometry.coordinates)
+      ),
+      circuits: createGridIndex(Object.values(circuits).flat(), circuit => pointBox(circuit.position)),
+      inverterLabels: createGridIndex(inverterLabels, label => pointBox(label.position)),
+      inverters: createGridIndex(Object.keys(inverterPositions), id => pointBox(inverterPositions[id].position))
+    }
+  }, [layers, inverterCircuitData, inverterLabels])
+  // Painted tiles of the static layers, started afresh when the site data changes (see utils/tileCache)
+  const staticTiles = useMemo(() => createTileCache(), [spatialIndex, bounds])
+
+  // Per-inverter string test tallies: { inverterId: { passed, failed, total } }
+  const inverterTestStatus = useMemo(() => {
+    const status = {}
+    Object.entries(inverterCircuitData.circuits).forEach(([inverterId, list]) => {
+      status[inverterId] = stringTally(list, shownState.stringTests)
     })
-    
-    const remaining = totalCircuits - terminated
-    const percentage = totalCircuits > 0 ? Math.round((terminated / totalCircuits) * 100) : 0
-    
-    return { totalCircuits, terminated, remaining, percentage, inverterCount: inverterIds.length }
-  }, [inverterCircuitData, terminationProgress])
+    return status
+  }, [inverterCircuitData, shownState])
+
+  // Site-wide string test summary
+  const stringTestStats = useMemo(() => {
+    return Object.values(inverterTestStatus).reduce((acc, s) => ({
+      passed: acc.passed + s.passed,
+      failed: acc.failed + s.failed,
+      total: acc.total + s.total
+    }), { passed: 0, failed: 0, total: 0 })
+  }, [inverterTestStatus])
+
+  // Most recent tester name, used to pre-fill the next test
+  const lastTester = useMemo(() => {
+    let latest = null
+    Object.values(stringTests).forEach(test => {
+      if (!latest || test.testedAt > latest.testedAt) latest = test
+    })
+    return latest?.tester || ''
+  }, [stringTests])
 
-  // Save termination progress to localStorage
+  // Suggestions for the schedule editor: TX groups and known subcontractors
+  const groupPrefixes = useMemo(() => {
+    const prefixes = new Set(Object.keys(inverterCircuitData.inverterPositions).map(idMatchers.transformerOf).filter(Boolean))
+    return Array.from(prefixes).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  }, [inverterCircuitData, idMatchers])
+  const subcontractors = useMemo(() => {
+    return Array.from(new Set(dailyLog.map(record => record.subcontractor).filter(Boolean))).sort()
+  }, [dailyLog])
+
+  // Inverters and circuits at each sign-off stage
+  const signOffStats = useMemo(() => {
+    const inverterKeys = Object.keys(inverterCircuitData.inverterPositions).map(id => signOffKey('inverter', id))
+    const circuitKeys = Object.values(inverterCircuitData.circuits).flat().map(circuit => signOffKey('circuit', circuit.id))
+    return {
+      inverters: { total: inverterKeys.length, ...countSignOffs(shownState.signOffs, inverterKeys) },
+      circuits: { total: circuitKeys.length, ...countSignOffs(shownState.signOffs, circuitKeys) }
+    }
+  }, [inverterCircuitData, shownState])
+
+  // Progress of every workflow stage, site-wide and per inverter (see utils/workflow)
+  const site = useMemo(() => workflowSite(inverterCircuitData, inverterLabels), [inverterCircuitData, inverterLabels])
+  const stageStats = useMemo(() => workflowStats(workflow, site, shownState), [workflow, site, shownState])
+
+  // Progress rolled up TX → inverter → string, for the hierarchy panel and TX outlines
+  const hierarchy = useMemo(() => buildHierarchy({
+    inverterCircuitData,
+    inverterLabels,
+    completedBoxes: shownState.completedBoxes,
+    stringTests: shownState.stringTests,
+    terminatedCircuits: shownState.terminatedCircuits,
+    stageStats,
+    transformerOf: idMatchers.transformerOf
+  }), [inverterCircuitData, inverterLabels, shownState, stageStats, idMatchers])
+
+  // Planned vs actual progress per day against the baseline, for every workflow stage
+  const planModes = useMemo(() => scheduleModes(workflow), [workflow])
+  const planScope = useMemo(() => scheduleScope(workflow, site), [workflow, site])
+  // Daily work is reported against the active stage; sign-off isn't daily work
+  const submitMode = activeStage ? planModes.find(mode => mode.key === activeStage.key) : null
+  const schedule = useMemo(() => scheduleRows(dailyLog, baseline, planScope), [dailyLog, baseline, planScope])
+  const planStatus = useCallback((record) => recordPlanStatus(record, schedule, baseline), [schedule, baseline])
+
+  // A removed stage can't stay the active mode
   useEffect(() => {
-    try {
-      localStorage.setItem('terminationProgress', JSON.stringify(terminationProgress))
-    } catch (e) {
-      console.warn('Failed to save termination progress:', e)
+    if (activeMode !== 'signoff' && !activeStage) setActiveMode(workflow[0].key)
+  }, [activeMode, activeStage, workflow])
+
+  // Legend entries for the active mode, shared by the map legend and printed sheets
+  const legendItems = useMemo(() => {
+    if (activeMode === 'signoff' || !activeStage) {
+      return [OPEN_STYLE, ...SIGN_OFF_STAGES, REJECTED_STYLE].map(style => ({ label: style.label, fill: style.fill, stroke: style.color }))
     }
-  }, [terminationProgress])
+    return activeStage.key === 'test' ? testLegend(activeStage) : stageLegend(activeStage)
+  }, [activeMode, activeStage])
+  const legendTitle = activeStage ? activeStage.name : SIGN_OFF_TITLE
 
-  // Load GeoJSON data
+  // Record an event for every completion change, whatever caused it
+  const trackedState = useRef({ completedBoxes, stringTests, terminatedCircuits })
   useEffect(() => {
-    const files = ['inv_id', 'table_id', 'poly', 'boudnry_line']
-    
-    Promise.all(
-      files.map(name => 
-        fetch(`/${name}.geojson`)
-          .then(res => res.json())
-          .then(data => ({ name, data }))
-          .catch(err => {
-            console.warn(`Failed to load ${name}.geojson:`, err)
-            return { name, data: null }
+    const next = { completedBoxes, stringTests, terminatedCircuits }
+    const inverterOf = (id) => idMatchers.inverterOf(id) || normalizeId(id)
+    // Synced changes arrive with their events already logged
+    const newEvents = changeSource.current === 'sync'
+      ? []
+      : diffTrackerState(trackedState.current, next, { source: changeSource.current, inverterOf, atOf: (id) => changeTimes.current?.[id] })
+    trackedState.current = next
+    changeSource.current = 'click'
+    changeTimes.current = null
+    recordEvents(newEvents)
+  }, [completedBoxes, stringTests, terminatedCircuits])
+
+  // Live tracker state for the sync hook, which reads it after network round trips
+  const liveState = useRef(null)
+  liveState.current = { completedBoxes, stringTests, terminatedCircuits, signOffs, stageProgress, notes, dailyLog }
+  const getTrackerState = useCallback(() => liveState.current, [])
+
+  // Apply state merged from other devices without logging it again
+  const applySyncedState = useCallback((next) => {
+    const current = liveState.current
+    if (next.completedBoxes !== current.completedBoxes || next.stringTests !== current.stringTests ||
+        next.terminatedCircuits !== current.terminatedCircuits) {
+      changeSource.current = 'sync'
+    }
+    if (next.completedBoxes !== current.completedBoxes) setCompletedBoxes(next.completedBoxes)
+    if (next.stringTests !== current.stringTests) setStringTests(next.stringTests)
+    if (next.terminatedCircuits !== current.terminatedCircuits) setTerminatedCircuits(next.terminatedCircuits)
+    if (next.signOffs !== current.signOffs) setSignOffs(next.signOffs)
+    if (next.stageProgress !== current.stageProgress) setStageProgress(next.stageProgress)
+    if (next.notes !== current.notes) setNotes(next.notes)
+    if (next.dailyLog !== current.dailyLog) replaceLog(next.dailyLog)
+  }, [replaceLog])
+
+  const sync = useSync(activeProject.id, {
+    events,
+    mergeRemoteEvents,
+    markSynced,
+    markRefused,
+    getTrackerState,
+    applyTrackerState: applySyncedState
+  })
+
+  // Conflict review: switch a field to the value that lost, as a new change other devices pick up
+  const applyOtherConflictValue = useCallback((conflict) => {
+    if (!allow('progress.edit') || !allow(conflictPermission(conflict))) return
+    const change = overrideEvent(liveState.current, conflict)
+    applySyncedState(applyEvents(liveState.current, [change]))
+    recordEvents([createEvent({ ...change, source: 'conflict' })])
+    sync.dismissConflict(conflict.id)
+  }, [allow, applySyncedState, recordEvents, sync.dismissConflict])
+
+  // Net progress for a date, broken down by mode and inverter (pre-fills the daily log)
+  const getDaySummary = useCallback((date) => summarizeDay(events, date), [events])
+
+  // Inverter closest to a world position, so notes can be filtered by inverter
+  const nearestInverterId = useCallback((position) => {
+    let nearest = null
+    let minDist = Infinity
+    inverterLabels.forEach(label => {
+      const dx = label.position[0] - position[0]
+      const dy = label.position[1] - position[1]
+      const dist = dx * dx + dy * dy
+      if (dist < minDist) {
+        minDist = dist
+        nearest = label.inverterId
+      }
+    })
+    return nearest
+  }, [inverterLabels])
+
+  const logNoteChange = useCallback((before, after, source = before && after ? 'editor' : 'click') => {
+    const note = after || before
+    const inverterId = nearestInverterId(note.position)
+    logActivity({
+      kind: 'note',
+      itemId: inverterId ? `near ${inverterId}` : '',
+      noteId: note.id,
+      inverterId,
+      before: before && noteSnapshot(before),
+      after: after && noteSnapshot(after),
+      source
+    })
+  }, [nearestInverterId, logActivity])
+
+  // Sign-off changes are logged like notes, with the whole record before and after
+  const changeSignOff = useCallback((kind, id, update) => {
+    const key = signOffKey(kind, id)
+    const before = signOffs[key] || null
+    const after = update(before)
+    setSignOffs(prev => ({ ...prev, [key]: after }))
+    logActivity({
+      mode: 'signoff',
+      kind: 'signOff',
+      itemId: id,
+      signOffKey: key,
+      inverterId: idMatchers.inverterOf(id) || normalizeId(id),
+      before,
+      after,
+      source: 'sign-off'
+    })
+  }, [signOffs, idMatchers, logActivity])
+
+  const advanceItemSignOff = useCallback((kind, id) => {
+    const stage = nextStage(signOffs[signOffKey(kind, id)])
+    if (!stage || !allow(stage.permission)) return
+    changeSignOff(kind, id, record => advanceSignOff(record, auth.user.name))
+  }, [signOffs, allow, changeSignOff, auth.user.name])
+
+  // Names of the stages an item is still waiting on before work on it can be recorded
+  const stageBlockers = useCallback((stage, item) => {
+    return blockingStages(workflow, stage, site, liveState.current, item).map(dependency => dependency.name)
+  }, [workflow, site])
+
+  // Set progress on a custom stage - changes: [{ item, done }]. Items waiting on
+  // an earlier stage aren't started; each change is logged like a sign-off.
+  const updateStageProgress = useCallback((stage, changes, source = 'click') => {
+    if (!allow('progress.edit')) return
+    const at = new Date().toISOString()
+    const next = { ...stageProgress }
+    const newEvents = []
+    const waitingOn = new Set()
+    changes.forEach(({ item, done }) => {
+      const key = progressKey(stage.key, item.id)
+      const before = stageProgress[key] || null
+      if ((before?.done || 0) === done) return
+      if (done > (before?.done || 0)) {
+        const blockers = stageBlockers(stage, item)
+        if (blockers.length > 0) {
+          blockers.forEach(name => waitingOn.add(name))
+          return
+        }
+      }
+      const after = done > 0 ? { done, at, user: auth.user.name } : null
+      if (after) next[key] = after
+      else delete next[key]
+      newEvents.push(createEvent({
+        mode: stage.key,
+        kind: 'workStage',
+        itemId: item.id,
+        progressKey: key,
+        stageName: stage.name,
+        inverterId: item.inverterId,
+        before,
+        after,
+        delta: (after?.done || 0) - (before?.done || 0),
+        source
+      }))
+    })
+    if (newEvents.length > 0) {
+      setStageProgress(next)
+      recordEvents(newEvents)
+    } else if (waitingOn.size > 0) {
+      setNotice(`${stage.name} is waiting on ${Array.from(waitingOn).join(', ')}`)
+    }
+  }, [allow, stageProgress, stageBlockers, auth.user.name, recordEvents])
+
+  // Rows of the open stage progress list, one per item on the inverter
+  const stageRows = useMemo(() => {
+    if (!stageInverter || !activeStage) return []
+    return stageItems(activeStage, site, stageInverter).map(item => ({
+      item,
+      done: itemDone(activeStage, site, shownState, item),
+      total: itemTotal(activeStage, site, item),
+      blockers: blockingStages(workflow, activeStage, site, shownState, item).map(dependency => dependency.name),
+      record: shownState.stageProgress[progressKey(activeStage.key, item.id)] || null
+    }))
+  }, [stageInverter, activeStage, workflow, site, shownState])
+
+  // Stages each circuit on the open termination checklist is still waiting on
+  const checklistBlockers = useMemo(() => {
+    if (!selectedInverter) return {}
+    const stage = findStage(workflow, 'termination')
+    return Object.fromEntries((inverterCircuitData.circuits[selectedInverter.id] || []).map(circuit => [
+      circuit.id,
+      blockingStages(workflow, stage, site, shownState, { id: circuit.id, inverterId: selectedInverter.id }).map(dependency => dependency.name)
+    ]))
+  }, [selectedInverter, workflow, site, shownState, inverterCircuitData])
+
+  const rejectItemSignOff = useCallback((kind, id, reason) => {
+    if (!allow('signoff.reject')) return
+    changeSignOff(kind, id, record => rejectSignOff(record, auth.user.name, reason))
+  }, [allow, changeSignOff, auth.user.name])
+
+  // Daily log changes go through the activity log as well
+  const submitDailyRecord = useCallback((record) => {
+    if (!allow('dailyLog.submit')) return
+    const saved = addRecord(record)
+    logActivity({ kind: 'dailyLog', itemId: saved.date, before: null, after: saved, source: 'daily-log' })
+  }, [allow, addRecord, logActivity])
+
+  // Spreadsheet import: matches sheet IDs to the site's inverters and strings (see utils/importSheet)
+  const idLookup = useMemo(() => createIdLookup({ inverterLabels, circuits: inverterCircuitData.circuits }), [inverterLabels, inverterCircuitData])
+
+  const canImport = useCallback((targetKey) => can(targetKey === 'dailyLog' ? 'dailyLog.submit' : 'progress.edit'), [can])
+
+  // Stages an imported row would jump ahead of - none for items already done, as on the map
+  const importBlockers = useCallback((stageKey, item) => {
+    const stage = findStage(workflow, stageKey)
+    if (!stage || isComplete(stage, site, liveState.current, item)) return []
+    return stageBlockers(stage, item)
+  }, [workflow, site, stageBlockers])
+  const importTerminated = useCallback((circuitId) => Boolean(liveState.current.terminatedCircuits[circuitId]), [])
+
+  // Apply the matched rows of an import, returning a summary for the wizard.
+  // Rows with a date are logged as done that day rather than at import time.
+  const applyImport = useCallback((targetKey, rows, { mode }) => {
+    const dateOf = (values) => values.date ? new Date(`${values.date}T12:00:00`).toISOString() : new Date().toISOString()
+    const times = {}
+    const timeItems = (values, ids) => {
+      if (values.date) ids.forEach(id => { times[id] = dateOf(values) })
+    }
+
+    if (targetKey === 'dailyLog') {
+      if (!allow('dailyLog.submit')) return null
+      const saved = addRecords(rows.map(({ values }) => ({
+        date: values.date,
+        installed_panels: values.count,
+        subcontractor: values.subcontractor,
+        workers: values.workers,
+        mode,
+        breakdown: summarizeDay(events, values.date)
+      })))
+      recordEvents(saved.map(record => createEvent({ kind: 'dailyLog', itemId: record.date, before: null, after: record, source: 'import' })))
+      return `Added ${saved.length} daily log record${saved.length === 1 ? '' : 's'}`
+    }
+
+    if (targetKey === 'test') {
+      const stringRows = rows.filter(row => row.match.kind === 'string')
+      const inverterRows = rows.filter(row => row.match.kind === 'inverter')
+      // Ticking inverters and passing strings (or overwriting a pass) is QA's call, as on the map
+      const touchesPasses = inverterRows.length > 0 ||
+        stringRows.some(({ match, values }) => values.result === 'pass' || stringTests[match.id]?.result === 'pass')
+      if (!allow(touchesPasses ? 'test.pass' : 'progress.edit')) return null
+
+      stringRows.forEach(({ match, values }) => timeItems(values, [match.id]))
+      inverterRows.forEach(({ match, values }) => timeItems(values, match.boxIds))
+      changeSource.current = 'import'
+      changeTimes.current = times
+      if (stringRows.length > 0) {
+        setStringTests(prev => {
+          const next = { ...prev }
+          stringRows.forEach(({ match, values }) => {
+            next[match.id] = {
+              polarity: 'correct',
+              continuity: 'ok',
+              ...prev[match.id],
+              insulation: values.insulation ?? prev[match.id]?.insulation ?? null,
+              voc: values.voc ?? prev[match.id]?.voc ?? null,
+              result: values.result,
+              tester: values.tester || prev[match.id]?.tester || '',
+              testedAt: dateOf(values)
+            }
+          })
+          return next
+        })
+      }
+      if (inverterRows.length > 0) {
+        setCompletedBoxes(prev => {
+          const next = new Set(prev)
+          inverterRows.forEach(({ match, values }) => {
+            match.boxIds.forEach(boxId => values.result === 'pass' ? next.add(boxId) : next.delete(boxId))
           })
-      )
-    ).then(results => {
+          return next
+        })
+      }
+      return `Updated ${stringRows.length} string result${stringRows.length === 1 ? '' : 's'} and ${inverterRows.length} inverter${inverterRows.length === 1 ? '' : 's'}`
+    }
+
+    // Terminations: string rows set one circuit, inverter rows terminate circuits in order up to
+    // the count, skipping those still waiting on another stage (see previewImport)
+    if (!allow('progress.edit')) return null
+    rows.forEach(({ match, values }) => timeItems(values, match.kind === 'string' ? [match.id] : values.circuitIds))
+    changeSource.current = 'import'
+    changeTimes.current = times
+    setTerminatedCircuits(prev => {
+      const next = { ...prev }
+      rows.forEach(({ match, values }) => {
+        const record = { terminatedAt: dateOf(values), crew: values.crew || 'import' }
+        if (match.kind === 'string') {
+          if (values.done && !next[match.id]) next[match.id] = record
+          else if (!values.done) delete next[match.id]
+          return
+        }
+        let terminated = match.circuitIds.filter(id => next[id]).length
+        values.circuitIds.forEach(id => {
+          if (terminated >= values.count || next[id]) return
+          next[id] = record
+          terminated++
+        })
+      })
+      return next
+    })
+    return `Updated terminations from ${rows.length} row${rows.length === 1 ? '' : 's'}`
+  }, [allow, addRecords, events, recordEvents, stringTests])
+
+  const deleteDailyRecord = useCallback((id) => {
+    if (!allow('history.delete')) return
+    const record = dailyLog.find(r => r.id === id)
+    deleteRecord(id)
+    if (record) logActivity({ kind: 'dailyLog', itemId: record.date, before: record, after: null, source: 'daily-log' })
+  }, [allow, dailyLog, deleteRecord, logActivity])
+
+  // Apply the note editor's draft, logging the edit if anything changed
+  const saveNote = useCallback((draft) => {
+    if (!allow('progress.edit')) return
+    const note = notes.find(n => n.id === draft.id)
+    if (note && JSON.stringify(noteSnapshot(note)) !== JSON.stringify(noteSnapshot(draft))) {
+      const updated = { ...draft, updatedAt: new Date().toISOString() }
+      setNotes(prev => prev.map(n => (n.id === updated.id ? updated : n)))
+      logNoteChange(note, updated)
+    }
+    setNoteEditor(null)
+  }, [allow, notes, logNoteChange])
+
+  const deleteNote = useCallback((noteId) => {
+    if (!allow('progress.edit')) return
+    const note = notes.find(n => n.id === noteId)
+    setNotes(prev => prev.filter(n => n.id !== noteId))
+    if (note) logNoteChange(note, null)
+    if (selectedNote === noteId) setSelectedNote(null)
+    setNoteEditor(null)
+  }, [allow, notes, selectedNote, logNoteChange])
+
+  // Animate the map to centre on a world position at the given zoom ratio.
+  // Zoom is interpolated geometrically so the flight feels even at any scale.
+  const centerOn = useCallback((position, zoomRatio) => {
+    const canvas = canvasRef.current
+    if (!canvas || !bounds) return
+    if (viewAnimation.current) cancelAnimationFrame(viewAnimation.current)
+
+    const start = viewStateRef.current
+    const halfWidth = canvas.width / 2
+    const halfHeight = canvas.height / 2
+    const fromCenter = [
+      (halfWidth - start.offsetX) / start.scale + bounds.centerLng,
+      bounds.centerLat - (halfHeight - start.offsetY) / start.scale
+    ]
+    const toScale = start.baseScale * zoomRatio
+    const startedAt = performance.now()
+
+    const step = (now) => {
+      const t = Math.min(1, (now - startedAt) / CENTER_ANIMATION_MS)
+      const eased = 1 - Math.pow(1 - t, 3)
+      const scale = start.scale * Math.pow(toScale / start.scale, eased)
+      const lng = fromCenter[0] + (position[0] - fromCenter[0]) * eased
+      const lat = fromCenter[1] + (position[1] - fromCenter[1]) * eased
+      setViewState(prev => ({
+        ...prev,
+        scale,
+        offsetX: halfWidth - (lng - bounds.centerLng) * scale,
+        offsetY: halfHeight - (bounds.centerLat - lat) * scale
+      }))
+      viewAnimation.current = t < 1 ? requestAnimationFrame(step) : null
+    }
+    viewAnimation.current = requestAnimationFrame(step)
+  }, [bounds])
+
+  // Everything the search box can find
+  const searchIndex = useMemo(() => buildSearchEntries({
+    inverters: inverterCircuitData.inverterPositions,
+    circuits: inverterCircuitData.circuits,
+    notes
+  }), [inverterCircuitData, notes])
+
+  // Search: fly to a result and flash it
+  const jumpToResult = useCallback((result) => {
+    centerOn(result.position, SEARCH_FOCUS_ZOOM[result.type])
+    setFlash({ position: result.position, startedAt: performance.now() })
+    if (result.type === 'note') setSelectedNote(result.noteId)
+  }, [centerOn])
+
+  // Hierarchy panel: fit a TX or inverter's extent to the canvas, or fly to a string
+  const zoomToNode = useCallback((node) => {
+    if (node.position) {
+      centerOn(node.position, SEARCH_FOCUS_ZOOM.string)
+      setFlash({ position: node.position, startedAt: performance.now() })
+      return
+    }
+    const canvas = canvasRef.current
+    if (!canvas || !node.box) return
+    const [minLng, minLat, maxLng, maxLat] = node.box
+    const fitScale = Math.min(
+      (canvas.width - TREE_FIT_PADDING_PX * 2) / Math.max(maxLng - minLng, 1e-9),
+      (canvas.height - TREE_FIT_PADDING_PX * 2) / Math.max(maxLat - minLat, 1e-9)
+    )
+    const zoomRatio = Math.min(TREE_MAX_ZOOM, Math.max(1, fitScale / viewStateRef.current.baseScale))
+    centerOn([(minLng + maxLng) / 2, (minLat + maxLat) / 2], zoomRatio)
+  }, [centerOn])
+
+  // Punch list: zoom to a note and highlight its marker
+  const focusNote = useCallback((note) => {
+    centerOn(note.position, NOTE_FOCUS_ZOOM)
+    setSelectedNote(note.id)
+  }, [centerOn])
+
+  const editNoteFromList = useCallback((note) => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    focusNote(note)
+    setNoteEditor({ noteId: note.id, x: canvas.width / 2, y: canvas.height / 2 })
+  }, [focusNote])
+
+  // Stored slices of this project, read fresh whenever the backup modal opens
+  const backupSlices = useMemo(
+    () => (backupModalOpen ? readProjectSlices(activeProject.id) : null),
+    [backupModalOpen, activeProject.id]
+  )
+
+  // Download the whole project (layers, settings, tracker data) as one JSON bundle
+  const exportBackup = useCallback(async () => {
+    const slices = readProjectSlices(activeProject.id)
+    const bundle = buildBundle(activeProject, layers, slices, await exportPhotos(slices.notes || []))
+    const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' })
+    
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${activeProject.name.replace(/\s+/g, '_')}_Backup_${new Date().toISOString().split('T')[0]}.json`
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }, [activeProject, layers])
+
+  // Convert legacy per-inverter counts into ticks on the first N circuits
+  useEffect(() => {
+    if (!legacyTerminationCounts || !layers.table_id) return
+    const migratedAt = new Date().toISOString()
+    changeSource.current = 'migration'
+    setTerminatedCircuits(prev => {
+      const next = { ...prev }
+      Object.entries(legacyTerminationCounts).forEach(([inverterId, count]) => {
+        (inverterCircuitData.circuits[inverterId] || []).slice(0, count).forEach(circuit => {
+          if (!next[circuit.id]) next[circuit.id] = { terminatedAt: migratedAt, crew: 'migrated' }
+        })
+      })
+      return next
+    })
+    setLegacyTerminationCounts(null)
+  }, [legacyTerminationCounts, layers, inverterCircuitData])
+
+  // Load GeoJSON data for the active project
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    const { inverterOf } = compileIdPatterns(activeProject.idPatterns)
+    
+    loadProjectLayers(activeProject).then(results => {
+      if (cancelled) return
       const layerData = {}
       let allCoords = []
       let tempInverterLabels = []
@@ -184,7 +835,8 @@ function App() {
             tempInverterLabels.push({
               position: [coords[0], coords[1]],
               text: f.properties.text,
-              boxId
+              boxId,
+              inverterId: inverterOf(f.properties.text) || normalizeId(f.properties.text)
             })
           }
         })
@@ -214,7 +866,8 @@ function App() {
       
       setLoading(false)
     })
-  }, [])
+    return () => { cancelled = true }
+  }, [activeProject.id])
 
   // Initialize view when bounds are set
   useEffect(() => {
@@ -322,6 +975,13 @@ function App() {
     return [lng, lat]
   }, [bounds, viewState])
 
+  // World box [minLng, minLat, maxLng, maxLat] covering a screen rectangle
+  const screenToWorldBox = useCallback((minX, minY, maxX, maxY) => {
+    const [minLng, maxLat] = screenToWorld(minX, minY)
+    const [maxLng, minLat] = screenToWorld(maxX, maxY)
+    return [minLng, minLat, maxLng, maxLat]
+  }, [screenToWorld])
+
   // Translate geometry by offsets
   const translateGeometry = useCallback((geometry, offsetLng, offsetLat) => {
     const shiftCoord = ([lng, lat]) => [lng + offsetLng, lat + offsetLat]
@@ -392,177 +1052,404 @@ function App() {
     return false
   }, [pointInPolygon])
 
-  // Render everything
-  const render = useCallback(() => {
-    const canvas = canvasRef.current
-    if (!canvas || !bounds) return
-    
-    const ctx = canvas.getContext('2d')
-    const width = canvas.width
-    const height = canvas.height
+  // Table polygons linked to the string labels inside them (see utils/tableStatus)
+  const tableLinks = useMemo(() => linkTables(
+    spatialIndex.poly,
+    Object.values(inverterCircuitData.circuits).flat(),
+    isPointInGeometry
+  ), [spatialIndex, inverterCircuitData, isPointInGeometry])
+
+  // Table fills for the colouring picked in the legend, null when tables are plain.
+  // version changes only when some table's colour does, so unchanged cached tiles are kept.
+  const tableColorBy = layerSettings.layers.poly.colorBy
+  const activityEvents = tableColorBy === 'activity' ? events : null
+  const tableFills = useMemo(() => {
+    if (!TABLE_LEGENDS[tableColorBy]) return null
+    const until = replayDate ? new Date(`${replayDate}T23:59:59.999`).toISOString() : new Date().toISOString()
+    const colors = tableColors(tableColorBy, { links: tableLinks, polyIndex: spatialIndex.poly, contains: isPointInGeometry }, {
+      stringTests: shownState.stringTests,
+      terminatedCircuits: shownState.terminatedCircuits,
+      notes,
+      events: activityEvents,
+      until
+    })
+    return { version: fillSignature(colors), colors }
+  }, [tableColorBy, tableLinks, spatialIndex, isPointInGeometry, shownState, notes, activityEvents, replayDate])
+
+  // Paint the map into a canvas context - the live map, or a printed sheet (see utils/printSheet).
+  // view is { scale, baseScale, offsetX, offsetY } in the context's pixels, plus an optional xFactor
+  // stretching longitude (cos(latitude) for true-shape prints). Prints draw every layer directly and
+  // leave out the pointer overlays.
+  const paintMap = useCallback((ctx, width, height, view, { forPrint = false } = {}) => {
+    if (!bounds) return
+
+    const xScale = view.scale * (view.xFactor ?? 1)
+    const project = (lng, lat) => ({
+      x: (lng - bounds.centerLng) * xScale + view.offsetX,
+      y: (bounds.centerLat - lat) * view.scale + view.offsetY
+    })
     
     // Clear
     ctx.fillStyle = '#ffffff'
     ctx.fillRect(0, 0, width, height)
     
     // Calculate zoom level for text visibility
-    const zoomRatio = viewState.scale / viewState.baseScale
+    const zoomRatio = view.scale / view.baseScale
     const showDetailedText = zoomRatio > 0.5 // Hide detailed text when zoomed out too much
     
-    // Draw Poly Layer (background - display only)
-    if (layers.poly && layers.poly.features) {
-      ctx.strokeStyle = '#1a1a1a' // Black stroke
-      ctx.lineWidth = 1
-      ctx.fillStyle = 'rgba(30, 30, 30, 0.15)' // Dark fill
-      
-      layers.poly.features.forEach(feature => {
-        drawGeometry(ctx, feature.geometry, true)
-      })
-    }
+    // Inverter and string markers share a zoom-scaled font
+    const baseFontSize = 0.00003 // World units
+    const fontSize = Math.max(8, Math.min(14, baseFontSize * view.scale))
 
-    // Draw Boundary Line (display only)
-    if (layers.boudnry_line && layers.boudnry_line.features) {
-      ctx.strokeStyle = '#0066cc' // Blue stroke for boundary
-      ctx.lineWidth = 2
-      
-      layers.boudnry_line.features.forEach(feature => {
-        drawGeometry(ctx, feature.geometry, false)
+    // Only features in (or just outside) the viewport are drawn
+    const visibleBox = [
+      bounds.centerLng + (-VIEWPORT_MARGIN_PX - view.offsetX) / xScale,
+      bounds.centerLat - (height + VIEWPORT_MARGIN_PX - view.offsetY) / view.scale,
+      bounds.centerLng + (width + VIEWPORT_MARGIN_PX - view.offsetX) / xScale,
+      bounds.centerLat - (-VIEWPORT_MARGIN_PX - view.offsetY) / view.scale
+    ]
+
+    // Static layers are copied from cached tiles, painted with geometry simplified for the tile's zoom level
+    const drawStaticLayer = (layerId, index, paintFeature) => {
+      if (forPrint) {
+        index.search(visibleBox).forEach(feature => {
+          paintFeature(ctx, simplifyGeometry(feature.geometry, SIMPLIFY_TOLERANCE_PX / view.scale), project, feature)
+        })
+        return
+      }
+      staticTiles.draw(ctx, {
+        layerId,
+        view,
+        center: [bounds.centerLng, bounds.centerLat],
+        width,
+        height,
+        paint: (tileCtx, project, tileBox, levelScale) => {
+          const features = index.search(tileBox)
+          if (features.length === 0) return false
+          features.forEach(feature => {
+            paintFeature(tileCtx, simplifyGeometry(feature.geometry, SIMPLIFY_TOLERANCE_PX / levelScale), project, feature)
+          })
+        }
       })
     }
-    
-    // Draw Inverter clickable points from inv_id
-    if (inverterLabels.length > 0) {
-      // Font size scales with zoom
-      const baseFontSize = 0.00003 // World units
-      const fontSize = Math.max(8, Math.min(14, baseFontSize * viewState.scale))
-      const pointRadius = Math.max(8, Math.min(16, 10 * zoomRatio))
-      
-      ctx.font = `bold ${fontSize}px Arial`
-      ctx.textAlign = 'center'
-      ctx.textBaseline = 'middle'
-      ctx.lineWidth = 2
-      
-      if (activeMode === 'test') {
-        // Test mode: draw inverter points with completed/not completed status
-        inverterLabels.forEach(label => {
-          const { x, y } = worldToScreen(label.position[0], label.position[1])
-          const isCompleted = completedBoxes.has(label.boxId)
-          
-          // Draw clickable point circle
+
+    // Each map layer draws itself with its layer panel style (see utils/mapLayers)
+    const drawLayer = {
+      // Tables, plain or filled by the status picked in the legend
+      poly: (style) => {
+        const fill = hexToRgba(style.fill, layerDefinition('poly').fillAlpha)
+        const colors = tableFills?.colors
+        const layerId = `poly|${style.stroke}|${fill}|${tableFills ? `${style.colorBy}-${tableFills.version}` : 'plain'}`
+        drawStaticLayer(layerId, spatialIndex.poly, (tileCtx, geometry, project, feature) => {
+          tileCtx.strokeStyle = style.stroke
+          tileCtx.lineWidth = 1
+          tileCtx.fillStyle = colors?.get(feature)?.fill || fill
+          drawGeometry(tileCtx, geometry, true, project)
+        })
+      },
+
+      // Site boundary (display only)
+      boundary: (style) => {
+        drawStaticLayer(`boundary|${style.stroke}`, spatialIndex.boundary, (tileCtx, geometry, project) => {
+          tileCtx.strokeStyle = style.stroke
+          tileCtx.lineWidth = 2
+          drawGeometry(tileCtx, geometry, false, project)
+        })
+      },
+
+      // String dots once zoomed in far enough to tell them apart
+      strings: (style) => {
+        if (zoomRatio <= STRING_DOT_ZOOM) return
+        const dotRadius = Math.max(3, Math.min(6, 1.5 * zoomRatio))
+        spatialIndex.circuits.search(visibleBox).forEach(circuit => {
+          const { x, y } = project(circuit.position[0], circuit.position[1])
+          if (activeMode === 'test') {
+            // Test results: filled pass/fail, outlined when untested
+            const result = shownState.stringTests[circuit.id]?.result
+            ctx.beginPath()
+            ctx.arc(x, y, dotRadius, 0, 2 * Math.PI)
+            if (result) {
+              ctx.fillStyle = result === 'pass' ? '#22c55e' : '#ef4444'
+              ctx.fill()
+            } else {
+              ctx.strokeStyle = 'rgba(230, 126, 34, 0.8)'
+              ctx.lineWidth = 1
+              ctx.stroke()
+            }
+          } else if (activeMode === 'signoff') {
+            const signOff = signOffStyle(shownState.signOffs[signOffKey('circuit', circuit.id)])
+            ctx.beginPath()
+            ctx.arc(x, y, dotRadius, 0, 2 * Math.PI)
+            ctx.fillStyle = signOff.fill
+            ctx.strokeStyle = signOff.color
+            ctx.lineWidth = 1
+            ctx.fill()
+            ctx.stroke()
+          } else if (activeStage?.unit === 'string') {
+            const item = { id: circuit.id, inverterId: circuit.inverterId }
+            const done = itemDone(activeStage, site, shownState, item)
+            const total = itemTotal(activeStage, site, item)
+            const blocked = done < total && blockingStages(workflow, activeStage, site, shownState, item).length > 0
+            const colors = stageStyle(activeStage, progressStatus(done, total, blocked))
+            ctx.beginPath()
+            ctx.arc(x, y, dotRadius, 0, 2 * Math.PI)
+            ctx.fillStyle = colors.fill
+            ctx.strokeStyle = colors.stroke
+            ctx.lineWidth = 1
+            ctx.fill()
+            ctx.stroke()
+          }
+
+          // String number beside the dot
+          if (style.labels) {
+            const shortId = circuit.id.startsWith(circuit.inverterId)
+              ? circuit.id.slice(circuit.inverterId.length).replace(/^[-_\s]+/, '')
+              : circuit.id
+            ctx.font = `${Math.max(8, fontSize - 3)}px Arial`
+            ctx.textAlign = 'left'
+            ctx.textBaseline = 'middle'
+            ctx.fillStyle = '#1f2937'
+            ctx.fillText(shortId, x + dotRadius + 3, y)
+          }
+        })
+      },
+
+      // Outline around each TX's equipment, coloured by its completion of the active stage
+      // (neutral in sign-off mode, which has no completion share)
+      transformers: (style) => {
+        const pad = TX_OUTLINE_PAD_PX / view.scale
+        ctx.lineWidth = 3
+        ctx.lineJoin = 'round'
+        ctx.font = `bold ${fontSize + 2}px Arial`
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'bottom'
+
+        hierarchy.forEach(tx => {
+          if (!tx.box || !boxesOverlap(tx.box, visibleBox)) return
+          const share = activeStage ? completion(tx, activeStage.key) : null
+          const color = activeStage ? completionColor(share) : TX_NEUTRAL_COLOR
+          // Hull pushed out from its centre so the outline clears the markers on it;
+          // a TX with fewer than three points gets its padded bounding box instead
+          const [minLng, minLat, maxLng, maxLat] = tx.box
+          const cx = (minLng + maxLng) / 2
+          const cy = (minLat + maxLat) / 2
+          const corners = tx.hull.length >= 3
+            ? tx.hull
+            : [[minLng - pad, minLat - pad], [maxLng + pad, minLat - pad], [maxLng + pad, maxLat + pad], [minLng - pad, maxLat + pad]]
+          const outline = corners.map(([lng, lat]) => {
+            const length = Math.hypot(lng - cx, lat - cy) || 1
+            return project(lng + (lng - cx) / length * pad, lat + (lat - cy) / length * pad)
+          })
+
           ctx.beginPath()
-          ctx.arc(x, y, pointRadius, 0, 2 * Math.PI)
-          ctx.fillStyle = isCompleted ? 'rgba(34, 197, 94, 0.7)' : 'rgba(230, 126, 34, 0.6)'
-          ctx.strokeStyle = isCompleted ? '#22c55e' : '#e67e22'
-          ctx.lineWidth = isCompleted ? 3 : 2
+          outline.forEach(({ x, y }, i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y))
+          ctx.closePath()
+          ctx.fillStyle = hexToRgba(color, 0.06)
+          ctx.strokeStyle = color
           ctx.fill()
           ctx.stroke()
-          
-          // Draw label text on the point if zoomed in enough
-          if (showDetailedText) {
-            ctx.fillStyle = '#ffffff'
-            ctx.strokeStyle = isCompleted ? '#166534' : '#9a3412'
-            ctx.lineWidth = 2
-            ctx.strokeText(label.text, x, y)
-            ctx.fillText(label.text, x, y)
+
+          if (style.labels) {
+            const top = outline.reduce((best, point) => point.y < best.y ? point : best, outline[0])
+            const text = !activeStage ? tx.id : `${tx.id} ${share === null ? '-' : `${Math.floor(share * 100)}%`}`
+            ctx.fillStyle = color
+            ctx.strokeStyle = '#ffffff'
+            ctx.strokeText(text, top.x, top.y - 4)
+            ctx.fillText(text, top.x, top.y - 4)
           }
         })
-      } else {
-        // Termination mode: draw inverters with progress (terminated/total)
-        const { circuitCounts, inverterPositions } = inverterCircuitData
-        
-        Object.keys(circuitCounts).forEach(inverterId => {
-          const posData = inverterPositions[inverterId]
-          if (!posData) return
-          
-          const { x, y } = worldToScreen(posData.position[0], posData.position[1])
-          const total = circuitCounts[inverterId]
-          const terminated = terminationProgress[inverterId] || 0
-          const isCompleted = terminated >= total
-          const hasProgress = terminated > 0
-          
-          // Draw larger clickable rectangle for termination mode
-          const boxWidth = Math.max(40, Math.min(80, 50 * zoomRatio))
-          const boxHeight = Math.max(25, Math.min(45, 30 * zoomRatio))
-          
-          ctx.beginPath()
-          ctx.roundRect(x - boxWidth/2, y - boxHeight/2, boxWidth, boxHeight, 6)
-          
-          if (isCompleted) {
-            ctx.fillStyle = 'rgba(34, 197, 94, 0.8)'
-            ctx.strokeStyle = '#22c55e'
-          } else if (hasProgress) {
-            ctx.fillStyle = 'rgba(251, 191, 36, 0.7)'
-            ctx.strokeStyle = '#f59e0b'
-          } else {
-            ctx.fillStyle = 'rgba(239, 68, 68, 0.6)'
-            ctx.strokeStyle = '#ef4444'
+      },
+
+      // Inverter markers in the active mode's colours
+      inverters: (style) => {
+        const pointRadius = Math.max(8, Math.min(16, 10 * zoomRatio))
+        const boxWidth = Math.max(40, Math.min(80, 50 * zoomRatio))
+        const boxHeight = Math.max(25, Math.min(45, 30 * zoomRatio))
+        const showIds = showDetailedText && style.labels
+
+        ctx.font = `bold ${fontSize}px Arial`
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'middle'
+        ctx.lineWidth = 2
+
+        // Inverter ID above a box
+        const drawBoxLabel = (inverterId, x, y) => {
+          const labelY = y - boxHeight/2 - 8
+          ctx.font = `bold ${Math.max(6, fontSize - 2)}px Arial`
+          ctx.strokeText(inverterId, x, labelY)
+          ctx.fillText(inverterId, x, labelY)
+          ctx.font = `bold ${fontSize}px Arial`
+        }
+
+        if (activeMode === 'test') {
+          // Inverter points coloured by how many of their strings passed
+          spatialIndex.inverterLabels.search(visibleBox).forEach(label => {
+            const { x, y } = project(label.position[0], label.position[1])
+            const blocked = stageStats.test.byInverter[label.inverterId]?.blocked > 0
+            const status = getTestStatusColors(shownState.completedBoxes.has(label.boxId), inverterTestStatus[label.inverterId], activeStage, blocked)
+
+            ctx.beginPath()
+            ctx.arc(x, y, pointRadius, 0, 2 * Math.PI)
+            ctx.fillStyle = status.fill
+            ctx.strokeStyle = status.stroke
+            ctx.lineWidth = status.complete ? 3 : 2
+            ctx.fill()
+            ctx.stroke()
+
+            if (showIds) {
+              ctx.fillStyle = '#ffffff'
+              ctx.strokeStyle = status.text
+              ctx.lineWidth = 2
+              ctx.strokeText(label.text, x, y)
+              ctx.fillText(label.text, x, y)
+            }
+          })
+        } else if (activeStage) {
+          // Other stages: boxes coloured by the inverter's progress (done/total)
+          const { byInverter } = stageStats[activeStage.key]
+          const showCount = activeStage.unit === 'string' || activeStage.tracking === 'count'
+
+          spatialIndex.inverters.search(visibleBox).forEach(inverterId => {
+            const progress = byInverter[inverterId]
+            if (!progress?.total) return
+
+            const posData = inverterCircuitData.inverterPositions[inverterId]
+            const { x, y } = project(posData.position[0], posData.position[1])
+            const status = progressStatus(progress.done, progress.total, progress.blocked > 0)
+            const colors = stageStyle(activeStage, status)
+
+            ctx.beginPath()
+            ctx.roundRect(x - boxWidth/2, y - boxHeight/2, boxWidth, boxHeight, 6)
+            ctx.fillStyle = colors.fill
+            ctx.strokeStyle = colors.stroke
+            ctx.lineWidth = status === 'done' ? 3 : 2
+            ctx.fill()
+            ctx.stroke()
+
+            if (showDetailedText || zoomRatio > 0.3) {
+              const progressText = showCount
+                ? `${progress.done}/${progress.total}`
+                : { done: '✓', blocked: '🔒' }[status] || ''
+              ctx.fillStyle = '#ffffff'
+              ctx.strokeStyle = colors.text
+              ctx.lineWidth = 2
+              ctx.strokeText(progressText, x, y)
+              ctx.fillText(progressText, x, y)
+              if (showIds) drawBoxLabel(inverterId, x, y)
+            }
+          })
+        } else {
+          // Sign-off mode: boxes coloured by the inverter's own stage
+          spatialIndex.inverters.search(visibleBox).forEach(inverterId => {
+            const posData = inverterCircuitData.inverterPositions[inverterId]
+            const { x, y } = project(posData.position[0], posData.position[1])
+            const signOff = signOffStyle(shownState.signOffs[signOffKey('inverter', inverterId)])
+
+            ctx.beginPath()
+            ctx.roundRect(x - boxWidth/2, y - boxHeight/2, boxWidth, boxHeight, 6)
+            ctx.fillStyle = signOff.fill
+            ctx.strokeStyle = signOff.color
+            ctx.lineWidth = signOff === OPEN_STYLE ? 2 : 3
+            ctx.fill()
+            ctx.stroke()
+
+            if (showDetailedText || zoomRatio > 0.3) {
+              ctx.fillStyle = '#ffffff'
+              ctx.strokeStyle = '#1f2937'
+              ctx.lineWidth = 2
+              if (signOff.short) {
+                ctx.strokeText(signOff.short, x, y)
+                ctx.fillText(signOff.short, x, y)
+              }
+              if (showIds) drawBoxLabel(inverterId, x, y)
+            }
+          })
+        }
+      },
+
+      // Notes - colour and glyph by category, grey tick once resolved
+      notes: () => {
+        notes.forEach(note => {
+          const { x, y } = project(note.position[0], note.position[1])
+          const radius = Math.max(6, Math.min(10, 7 * zoomRatio))
+          const isSelected = !forPrint && note.id === selectedNote
+          const scaledRadius = isSelected ? radius * 1.4 : radius
+          const marker = noteMarkerStyle(note)
+
+          // Halo for the note picked in the punch list, outer ring for open high-priority items
+          if (isSelected || (note.priority === 'high' && note.status === 'open')) {
+            ctx.beginPath()
+            ctx.arc(x, y, scaledRadius + 4, 0, 2 * Math.PI)
+            ctx.strokeStyle = isSelected ? '#ffffff' : marker.color
+            ctx.lineWidth = 2
+            ctx.stroke()
           }
-          ctx.lineWidth = isCompleted ? 3 : 2
+
+          ctx.beginPath()
+          ctx.arc(x, y, scaledRadius, 0, 2 * Math.PI)
+          ctx.fillStyle = marker.color
+          ctx.strokeStyle = marker.stroke
+          ctx.lineWidth = 2
           ctx.fill()
           ctx.stroke()
-          
-          // Draw progress text
-          if (showDetailedText || zoomRatio > 0.3) {
-            const progressText = `${terminated}/${total}`
-            ctx.fillStyle = '#ffffff'
-            ctx.strokeStyle = isCompleted ? '#166534' : (hasProgress ? '#92400e' : '#991b1b')
-            ctx.lineWidth = 2
-            ctx.strokeText(progressText, x, y)
-            ctx.fillText(progressText, x, y)
-            
-            // Draw inverter label above the box
-            if (showDetailedText) {
-              const labelY = y - boxHeight/2 - 8
-              ctx.font = `bold ${Math.max(6, fontSize - 2)}px Arial`
-              ctx.strokeText(inverterId, x, labelY)
-              ctx.fillText(inverterId, x, labelY)
-            }
-          }
+
+          ctx.font = `bold ${Math.round(scaledRadius * 1.3)}px Arial, sans-serif`
+          ctx.textAlign = 'center'
+          ctx.textBaseline = 'middle'
+          ctx.fillStyle = '#ffffff'
+          ctx.fillText(marker.icon, x, y + 1)
         })
+      },
+
+      // Text label under the pointer (from table_id layer)
+      hover: () => {
+        if (!hoveredText || forPrint) return
+        // Font size scales proportionally with zoom
+        const hoverFontSize = Math.max(10, Math.min(16, 0.00004 * view.scale))
+
+        ctx.font = `${hoverFontSize}px "Segoe UI Light", "Helvetica Neue", Arial, sans-serif`
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'middle'
+        ctx.fillStyle = '#e8e8e8' // Soft white - easy on eyes
+        ctx.strokeStyle = '#333333' // Dark stroke for contrast
+        ctx.lineWidth = 2
+
+        const { x, y } = project(hoveredText.coords[0], hoveredText.coords[1])
+
+        // Draw text with dark outline for readability
+        ctx.strokeText(hoveredText.text, x, y)
+        ctx.fillText(hoveredText.text, x, y)
       }
     }
 
-    // Draw Notes
-    if (notes.length > 0) {
-      notes.forEach(note => {
-        const { x, y } = worldToScreen(note.position[0], note.position[1])
-        const radius = Math.max(4, Math.min(8, 6 * (viewState.scale / viewState.baseScale)))
-        const scaledRadius = note.selected ? radius * 1.4 : radius
-        
+    layerSettings.order.forEach(key => {
+      const style = layerSettings.layers[key]
+      if (!style.visible) return
+      ctx.save()
+      ctx.globalAlpha = style.opacity
+      drawLayer[key](style)
+      ctx.restore()
+    })
+
+    if (forPrint) return
+
+    // Flash the search result that was just jumped to - pulsing rings fading out
+    if (flash) {
+      const elapsed = (performance.now() - flash.startedAt) / FLASH_DURATION_MS
+      if (elapsed < 1) {
+        const { x, y } = project(flash.position[0], flash.position[1])
+        const pulse = (elapsed * FLASH_PULSES) % 1
         ctx.beginPath()
-        ctx.arc(x, y, scaledRadius, 0, 2 * Math.PI)
-        ctx.fillStyle = note.selected ? '#9b59b6' : '#e74c3c'
-        ctx.strokeStyle = note.selected ? '#8e44ad' : '#c0392b'
-        ctx.lineWidth = 2
-        ctx.fill()
+        ctx.arc(x, y, 12 + pulse * 28, 0, 2 * Math.PI)
+        ctx.strokeStyle = `rgba(59, 130, 246, ${(1 - pulse) * (1 - elapsed)})`
+        ctx.lineWidth = 4
         ctx.stroke()
-        
-        // Inner dot
         ctx.beginPath()
-        ctx.arc(x, y, scaledRadius * 0.3, 0, 2 * Math.PI)
-        ctx.fillStyle = '#ffffff'
-        ctx.fill()
-      })
-    }
-    
-    // Draw Text Labels - ONLY ON HOVER (from table_id layer)
-    if (hoveredText) {
-      // Font size scales proportionally with zoom
-      const baseFontSize = 0.00004 // World units
-      const fontSize = Math.max(10, Math.min(16, baseFontSize * viewState.scale))
-      
-      ctx.font = `${fontSize}px "Segoe UI Light", "Helvetica Neue", Arial, sans-serif`
-      ctx.textAlign = 'center'
-      ctx.textBaseline = 'middle'
-      ctx.fillStyle = '#e8e8e8' // Soft white - easy on eyes
-      ctx.strokeStyle = '#333333' // Dark stroke for contrast
-      ctx.lineWidth = 2
-      
-      const { x, y } = worldToScreen(hoveredText.coords[0], hoveredText.coords[1])
-      
-      // Draw text with dark outline for readability
-      ctx.strokeText(hoveredText.text, x, y)
-      ctx.fillText(hoveredText.text, x, y)
+        ctx.arc(x, y, 12, 0, 2 * Math.PI)
+        ctx.strokeStyle = `rgba(37, 99, 235, ${1 - elapsed})`
+        ctx.lineWidth = 3
+        ctx.stroke()
+      }
     }
 
     // Draw Selection Box
@@ -580,19 +1467,114 @@ function App() {
       ctx.strokeRect(startX, startY, width, height)
     }
     
-  }, [layers, bounds, viewState, inverterLabels, worldToScreen, hoveredText, completedBoxes, notes, selectionBox, activeMode, inverterCircuitData, terminationProgress])
+  }, [bounds, hoveredText, notes, selectedNote, selectionBox, activeMode, inverterCircuitData, shownState, inverterTestStatus, flash, layerSettings, spatialIndex, staticTiles, hierarchy, tableFills, workflow, activeStage, site, stageStats])
+
+  // Render everything
+  const render = useCallback(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !bounds) return
+    paintMap(canvas.getContext('2d'), canvas.width, canvas.height, viewState)
+  }, [paintMap, bounds, viewState])
+
+  // Sheet layout for a print (see utils/printSheet)
+  const planMapPrint = useCallback((options) => {
+    const canvas = canvasRef.current
+    if (!canvas || !bounds) return null
+    return planPrint({
+      ...options,
+      paper: paperSize(options.paper),
+      bounds,
+      liveView: viewState,
+      canvasSize: { width: canvas.width, height: canvas.height }
+    })
+  }, [bounds, viewState])
+
+  // Export the map as drawing sheets with legend, progress summary and title block
+  const exportMapPrint = useCallback(async (options, onProgress) => {
+    const plan = planMapPrint(options)
+    const noteItems = notes.length > 0 && layerSettings.layers.notes.visible
+      ? [...NOTE_CATEGORIES, { key: 'resolved', label: 'Resolved' }].map(item => {
+        const marker = noteMarkerStyle(item.key === 'resolved' ? { status: 'resolved' } : { status: 'open', category: item.key })
+        return { label: `Note: ${item.label}`, fill: marker.color, stroke: marker.stroke, round: true, icon: marker.icon }
+      })
+      : []
+    const tableItems = tableFills && layerSettings.layers.poly.visible
+      ? TABLE_LEGENDS[tableColorBy].map(item => ({ label: `Table: ${item.label}`, fill: item.fill, stroke: item.stroke }))
+      : []
+
+    let summary
+    if (activeMode === 'test') {
+      summary = [
+        ['Inverters tested', `${shownState.completedBoxes.size} / ${inverterLabels.length}`],
+        ['Strings passed', `${stringTestStats.passed} / ${stringTestStats.total}`],
+        ['Strings failed', stringTestStats.failed],
+        ['Strings untested', stringTestStats.total - stringTestStats.passed - stringTestStats.failed]
+      ]
+    } else if (activeStage) {
+      const stats = stageStats[activeStage.key]
+      summary = [
+        [`${unitLabel(activeStage)} complete`, `${stats.complete} / ${stats.items}`],
+        ...(activeStage.dependsOn.length > 0 ? [['Waiting on earlier stage', stats.blocked]] : []),
+        ['Complete', `${stats.percent}%`]
+      ]
+    } else {
+      summary = [
+        ...SIGN_OFF_STAGES.map(stage => [`${stage.label} (inverters / circuits)`, `${signOffStats.inverters[stage.key]} / ${signOffStats.circuits[stage.key]}`]),
+        ['Rejected (inverters / circuits)', `${signOffStats.inverters.rejected} / ${signOffStats.circuits.rejected}`]
+      ]
+    }
+    summary.push(['Open notes', notes.filter(note => note.status === 'open').length])
 
-  // Draw geometry helper
-  const drawGeometry = useCallback((ctx, geometry, fill = false) => {
+    const date = replayDate || toLocalDate(new Date().toISOString())
+    await exportSheets(plan, {
+      format: options.format,
+      dpi: options.dpi,
+      fileName: `${activeProject.name.replace(/\s+/g, '_')}_Progress_Map_${date}`,
+      info: {
+        projectName: activeProject.name,
+        drawingTitle: activeStage ? `${activeStage.name} Progress` : SIGN_OFF_PRINT_TITLE,
+        printedBy: auth.user.name,
+        date: replayDate ? `${date} (replay)` : date,
+        summary
+      },
+      legend: { title: legendTitle, items: [...legendItems, ...noteItems, ...tableItems] },
+      drawMap: (ctx, width, height, view) => paintMap(ctx, width, height, view, { forPrint: true })
+    }, onProgress)
+  }, [planMapPrint, paintMap, notes, layerSettings, activeMode, activeStage, stageStats, shownState, inverterLabels, stringTestStats, signOffStats, replayDate, activeProject, auth, legendItems, legendTitle, tableFills, tableColorBy])
+
+  // Excel report with the daily log plus per-inverter, workflow stage, notes, productivity and S-curve sheets
+  const exportReport = useCallback(() => exportToExcel(dailyLog, activeProject.name, {
+    inverterLabels,
+    circuits: inverterCircuitData.circuits,
+    completedBoxes,
+    stringTests,
+    terminatedCircuits,
+    notes,
+    events,
+    scope: planScope,
+    baseline,
+    workflow,
+    workflowStats: workflowStats(workflow, site, { completedBoxes, stringTests, terminatedCircuits, stageProgress })
+  }), [exportToExcel, dailyLog, activeProject, inverterLabels, inverterCircuitData, completedBoxes, stringTests, terminatedCircuits, stageProgress, notes, events, planScope, baseline, workflow, site])
+
+  // Draw geometry helper - project maps [lng, lat] to canvas pixels (the map view by default)
+  const drawGeometry = useCallback((ctx, geometry, fill = false, project = worldToScreen) => {
     if (!geometry) return
     
     const drawPath = (coords) => {
       if (coords.length === 0) return
       ctx.beginPath()
-      const start = worldToScreen(coords[0][0], coords[0][1])
+      const start = project(coords[0][0], coords[0][1])
+      // Ring simplified away at this zoom - keep a pixel so the feature doesn't vanish
+      if (fill && coords.length < 3) {
+        ctx.rect(start.x - 0.5, start.y - 0.5, 1, 1)
+        ctx.fill()
+        ctx.stroke()
+        return
+      }
       ctx.moveTo(start.x, start.y)
       for (let i = 1; i < coords.length; i++) {
-        const pt = worldToScreen(coords[i][0], coords[i][1])
+        const pt = project(coords[i][0], coords[i][1])
         ctx.lineTo(pt.x, pt.y)
       }
       if (fill) {
@@ -621,21 +1603,32 @@ function App() {
   // Undo/Redo functions
   const undo = useCallback(() => {
     if (historyIndex > 0) {
+      if (!allow('progress.edit')) return
+      if (touchesPassedTests(history[historyIndex], history[historyIndex - 1]) && !allow('test.pass')) return
+      changeSource.current = 'undo'
       setHistoryIndex(historyIndex - 1)
       const state = history[historyIndex - 1]
       setCompletedBoxes(new Set(state.completedBoxes))
+      // Notes aren't in the tracker snapshot the change log diffs, so log them here
+      changedNotes(notes, state.notes).forEach(([before, after]) => logNoteChange(before, after, 'undo'))
       setNotes([...state.notes])
+      setStringTests(state.stringTests)
     }
-  }, [history, historyIndex])
+  }, [allow, history, historyIndex, notes, logNoteChange])
   
   const redo = useCallback(() => {
     if (historyIndex < history.length - 1) {
+      if (!allow('progress.edit')) return
+      if (touchesPassedTests(history[historyIndex], history[historyIndex + 1]) && !allow('test.pass')) return
+      changeSource.current = 'redo'
       setHistoryIndex(historyIndex + 1)
       const state = history[historyIndex + 1]
       setCompletedBoxes(new Set(state.completedBoxes))
+      changedNotes(notes, state.notes).forEach(([before, after]) => logNoteChange(before, after, 'redo'))
       setNotes([...state.notes])
+      setStringTests(state.stringTests)
     }
-  }, [history, historyIndex])
+  }, [allow, history, historyIndex, notes, logNoteChange])
 
   // Keyboard shortcuts
   useEffect(() => {
@@ -646,6 +1639,13 @@ function App() {
       } else if (e.ctrlKey && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) {
         e.preventDefault()
         redo()
+      } else if (e.ctrlKey && e.key === 'f') {
+        e.preventDefault()
+        setSearchOpen(true)
+        setNotesPanelOpen(false)
+        setActivityPanelOpen(false)
+        setLayerPanelOpen(false)
+        setHierarchyPanelOpen(false)
       }
     }
     
@@ -673,7 +1673,8 @@ function App() {
   useEffect(() => {
     const newState = {
       completedBoxes: Array.from(completedBoxes),
-      notes: notes.map(n => ({ ...n }))
+      notes: notes.map(n => ({ ...n })),
+      stringTests
     }
     
     // Don't save if it's the same as current history state
@@ -682,7 +1683,8 @@ function App() {
       const sameBoxes = newState.completedBoxes.length === current.completedBoxes.length &&
         newState.completedBoxes.every(id => current.completedBoxes.includes(id))
       const sameNotes = newState.notes.length === current.notes.length
-      if (sameBoxes && sameNotes) return
+      const sameTests = newState.stringTests === current.stringTests
+      if (sameBoxes && sameNotes && sameTests) return
     }
     
     // Remove any future history if we're in the middle
@@ -694,7 +1696,7 @@ function App() {
     
     setHistory(newHistory)
     setHistoryIndex(newHistory.length - 1)
-  }, [completedBoxes, notes])
+  }, [completedBoxes, notes, stringTests])
 
   // Re-render when state changes - use RAF for smooth animation
   useEffect(() => {
@@ -705,9 +1707,23 @@ function App() {
     }
   }, [render, notes, completedBoxes, viewState])
 
+  // Keep redrawing while a search result flashes
+  useEffect(() => {
+    if (!flash) return
+    let frame
+    const tick = () => {
+      render()
+      if (performance.now() - flash.startedAt < FLASH_DURATION_MS) frame = requestAnimationFrame(tick)
+      else setFlash(null)
+    }
+    frame = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frame)
+  }, [flash, render])
+
   // Mouse wheel zoom
   const handleWheel = useCallback((e) => {
     e.preventDefault()
+    if (viewAnimation.current) cancelAnimationFrame(viewAnimation.current)
     const canvas = canvasRef.current
     if (!canvas) return
     
@@ -731,20 +1747,29 @@ function App() {
   }, [viewState])
 
   // Pan/Select handlers
+  // Modes where dragging a box marks everything in it: test ticks, and done / not done custom stages
+  const customBoxSelect = Boolean(activeStage && !activeStage.builtIn && activeStage.tracking === 'binary')
+  const boxSelectable = activeMode === 'test' || customBoxSelect
+
   const handleMouseDown = useCallback((e) => {
     hasMoved.current = false // Reset movement tracker
 
     // Middle Mouse Button (1) -> Pan
     if (e.button === 1) {
       e.preventDefault()
+      if (viewAnimation.current) cancelAnimationFrame(viewAnimation.current)
       isPanning.current = true
       lastMouse.current = { x: e.clientX, y: e.clientY }
       return
     }
 
+    // Replay is read-only - panning only
+    if (replayDate) return
+
     // Right Mouse Button (2) -> Selection Box for Unselect (if not in note mode)
     if (e.button === 2 && !noteMode) {
       e.preventDefault()
+      if (!boxSelectable) return
       const canvas = canvasRef.current
       if (!canvas) return
       const rect = canvas.getBoundingClientRect()
@@ -758,7 +1783,7 @@ function App() {
     }
 
     // Left Mouse Button (0) -> Selection Box for Select (if not in note mode)
-    if (e.button === 0 && !noteMode) {
+    if (e.button === 0 && !noteMode && boxSelectable) {
       const canvas = canvasRef.current
       if (!canvas) return
       const rect = canvas.getBoundingClientRect()
@@ -769,11 +1794,11 @@ function App() {
       selectionBoxRef.current = box
       setSelectionBox(box)
     }
-  }, [noteMode])
+  }, [noteMode, replayDate, boxSelectable])
 
   const handleCanvasClick = useCallback((e) => {
-    // Skip if actual panning occurred
-    if (hasMoved.current) return
+    // Skip if actual panning occurred, and ignore edits while replaying history
+    if (hasMoved.current || replayDate) return
     
     const canvas = canvasRef.current
     if (!canvas) return
@@ -784,6 +1809,8 @@ function App() {
     
     // Only allow clicking on notes when in note mode
     if (noteMode) {
+      if (!allow('progress.edit')) return
+
       // First check if clicked on an existing note marker
       for (const note of notes) {
         const { x, y } = worldToScreen(note.position[0], note.position[1])
@@ -812,59 +1839,126 @@ function App() {
       }
       
       // Add new note immediately (just the marker, no popup)
-      const newNote = {
-        id: Date.now(),
-        position: worldPos,
-        text: '',
-        selected: false
-      }
+      const newNote = createNote(worldPos)
       flushSync(() => {
         setNotes(prev => [...prev, newNote])
       })
+      logNoteChange(null, newNote)
     } else if (activeMode === 'test') {
-      // Test mode: Check if clicked on an inverter point from inv_id layer
-      for (const label of inverterLabels) {
-        const { x, y } = worldToScreen(label.position[0], label.position[1])
-        const dist = Math.sqrt(Math.pow(mouseX - x, 2) + Math.pow(mouseY - y, 2))
-        if (dist < 30) { // Click radius
-          setCompletedBoxes(prev => {
-            const newSet = new Set(prev)
-            if (newSet.has(label.boxId)) {
-              newSet.delete(label.boxId)
-            } else {
-              newSet.add(label.boxId)
-            }
-            return newSet
-          })
-          break
+      // Test mode: inverter point from inv_id layer or string point from table_id layer
+      const zoomRatio = viewState.scale / viewState.baseScale
+      const pointRadius = Math.max(8, Math.min(16, 10 * zoomRatio))
+
+      // Hidden layers can't be clicked
+      const { inverters: inverterLayer, strings: stringLayer } = layerSettings.layers
+
+      const worldPos = screenToWorld(mouseX, mouseY)
+
+      // Click radius 30px for inverters, 12px for strings
+      const closestLabel = inverterLayer.visible && spatialIndex.inverterLabels.nearest(worldPos, 30 / viewState.scale)
+      const labelDist = closestLabel && Math.hypot(closestLabel.position[0] - worldPos[0], closestLabel.position[1] - worldPos[1]) * viewState.scale
+
+      const closestString = stringLayer.visible && zoomRatio > STRING_DOT_ZOOM &&
+        spatialIndex.circuits.nearest(worldPos, 12 / viewState.scale)
+
+      // A direct hit on the inverter circle wins, otherwise prefer the string
+      if (closestLabel && (labelDist <= pointRadius || !closestString)) {
+        if (!allow('test.pass')) return
+        if (!completedBoxes.has(closestLabel.boxId)) {
+          const blockers = stageBlockers(activeStage, { id: closestLabel.inverterId, inverterId: closestLabel.inverterId })
+          if (blockers.length > 0) {
+            setNotice(`${activeStage.name} is waiting on ${blockers.join(', ')}`)
+            return
+          }
         }
+        setCompletedBoxes(prev => {
+          const newSet = new Set(prev)
+          if (newSet.has(closestLabel.boxId)) {
+            newSet.delete(closestLabel.boxId)
+          } else {
+            newSet.add(closestLabel.boxId)
+          }
+          return newSet
+        })
+      } else if (closestString) {
+        setSelectedString(closestString.id)
       }
-    } else {
+    } else if (activeMode === 'signoff') {
+      // Sign-off mode: an inverter box, or any of its circuit dots, opens its sign-off list
+      const zoomRatio = viewState.scale / viewState.baseScale
+      const boxWidth = Math.max(40, Math.min(80, 50 * zoomRatio))
+      const boxHeight = Math.max(25, Math.min(45, 30 * zoomRatio))
+      const { inverters: inverterLayer, strings: stringLayer } = layerSettings.layers
+
+      // Any inverter whose box covers the click is centred within half a box of it
+      const [hitBox] = inverterLayer.visible
+        ? spatialIndex.inverters.search(screenToWorldBox(mouseX - boxWidth/2, mouseY - boxHeight/2, mouseX + boxWidth/2, mouseY + boxHeight/2))
+        : []
+      if (hitBox) {
+        setSignOffInverter(hitBox)
+        return
+      }
+
+      if (stringLayer.visible && zoomRatio > STRING_DOT_ZOOM) {
+        const hitCircuit = spatialIndex.circuits.nearest(screenToWorld(mouseX, mouseY), 12 / viewState.scale)
+        if (hitCircuit) setSignOffInverter(hitCircuit.inverterId)
+      }
+    } else if (activeMode === 'termination') {
+      if (!layerSettings.layers.inverters.visible) return
+
       // Termination mode: Check if clicked on an inverter box
-      const { circuitCounts, inverterPositions } = inverterCircuitData
+      const { circuitCounts } = inverterCircuitData
       const zoomRatio = viewState.scale / viewState.baseScale
       const boxWidth = Math.max(40, Math.min(80, 50 * zoomRatio))
       const boxHeight = Math.max(25, Math.min(45, 30 * zoomRatio))
       
-      for (const inverterId of Object.keys(circuitCounts)) {
-        const posData = inverterPositions[inverterId]
-        if (!posData) continue
-        
-        const { x, y } = worldToScreen(posData.position[0], posData.position[1])
-        
-        // Check if click is within the box
-        if (mouseX >= x - boxWidth/2 && mouseX <= x + boxWidth/2 &&
-            mouseY >= y - boxHeight/2 && mouseY <= y + boxHeight/2) {
-          // Open editor for this inverter
-          const total = circuitCounts[inverterId]
-          const currentTerminated = terminationProgress[inverterId] || 0
-          setSelectedInverter({ id: inverterId, total, x: mouseX, y: mouseY })
-          setEditingTerminated(String(currentTerminated))
-          break
+      // Inverters whose box covers the click are centred within half a box of it
+      const inverterId = spatialIndex.inverters
+        .search(screenToWorldBox(mouseX - boxWidth/2, mouseY - boxHeight/2, mouseX + boxWidth/2, mouseY + boxHeight/2))
+        .find(id => circuitCounts[id])
+      if (inverterId) {
+        // Open checklist for this inverter with its current ticks as the draft
+        const total = circuitCounts[inverterId]
+        const draft = {}
+        inverterCircuitData.circuits[inverterId].forEach(circuit => {
+          if (terminatedCircuits[circuit.id]) draft[circuit.id] = terminatedCircuits[circuit.id]
+        })
+        setSelectedInverter({ id: inverterId, total, x: mouseX, y: mouseY })
+        setEditingCircuits(draft)
+      }
+    } else if (activeStage) {
+      // Other stages: a done / not done inverter or string toggles, anything else opens the inverter's progress list
+      const zoomRatio = viewState.scale / viewState.baseScale
+      const boxWidth = Math.max(40, Math.min(80, 50 * zoomRatio))
+      const boxHeight = Math.max(25, Math.min(45, 30 * zoomRatio))
+      const { inverters: inverterLayer, strings: stringLayer } = layerSettings.layers
+      const { byInverter } = stageStats[activeStage.key]
+      const binary = activeStage.tracking === 'binary'
+
+      const inverterId = inverterLayer.visible && spatialIndex.inverters
+        .search(screenToWorldBox(mouseX - boxWidth/2, mouseY - boxHeight/2, mouseX + boxWidth/2, mouseY + boxHeight/2))
+        .find(id => byInverter[id]?.total)
+      if (inverterId) {
+        if (binary && activeStage.unit === 'inverter') {
+          updateStageProgress(activeStage, [{ item: { id: inverterId, inverterId }, done: byInverter[inverterId].done > 0 ? 0 : 1 }])
+        } else {
+          setStageInverter(inverterId)
+        }
+        return
+      }
+
+      if (activeStage.unit === 'string' && stringLayer.visible && zoomRatio > STRING_DOT_ZOOM) {
+        const hitCircuit = spatialIndex.circuits.nearest(screenToWorld(mouseX, mouseY), 12 / viewState.scale)
+        if (!hitCircuit) return
+        const item = { id: hitCircuit.id, inverterId: hitCircuit.inverterId }
+        if (binary) {
+          updateStageProgress(activeStage, [{ item, done: itemDone(activeStage, site, liveState.current, item) > 0 ? 0 : 1 }])
+        } else {
+          setStageInverter(hitCircuit.inverterId)
         }
       }
     }
-  }, [noteMode, notes, worldToScreen, screenToWorld, inverterLabels, activeMode, inverterCircuitData, viewState, terminationProgress])
+  }, [noteMode, notes, worldToScreen, screenToWorld, activeMode, activeStage, inverterCircuitData, viewState, completedBoxes, terminatedCircuits, logNoteChange, replayDate, allow, layerSettings, spatialIndex, screenToWorldBox, stageStats, stageBlockers, updateStageProgress, site])
 
   const handleMouseMove = useCallback((e) => {
     // Handle Selection (Left Drag) - use ref for smooth updates
@@ -915,29 +2009,14 @@ function App() {
       const mouseX = e.clientX - rect.left
       const mouseY = e.clientY - rect.top
       
-      // Find closest text feature
-      let closest = null
-      let minDist = 20 // Detection radius in pixels
-
-      for (const feature of layers.table_id.features) {
-        if (feature.geometry && feature.geometry.type === 'Point') {
-          const coords = feature.geometry.coordinates
-          const { x, y } = worldToScreen(coords[0], coords[1])
-          
-          const dist = Math.sqrt(Math.pow(mouseX - x, 2) + Math.pow(mouseY - y, 2))
-          if (dist < minDist) {
-            minDist = dist
-            closest = {
-              text: feature.properties?.text || '',
-              coords: coords
-            }
-          }
-        }
-      }
-      
-      setHoveredText(closest)
+      // Find closest text feature within the detection radius (20px)
+      const feature = spatialIndex.tableTexts.nearest(screenToWorld(mouseX, mouseY), 20 / viewState.scale)
+      setHoveredText(feature ? {
+        text: feature.properties?.text || '',
+        coords: feature.geometry.coordinates
+      } : null)
     }
-  }, [layers, bounds, viewState, worldToScreen, selectionBox])
+  }, [layers, bounds, viewState, screenToWorld, spatialIndex, selectionBox])
 
   const handleMouseUp = useCallback(() => {
     if (selectionBoxRef.current) {
@@ -949,26 +2028,41 @@ function App() {
         const minY = Math.min(startY, endY)
         const maxY = Math.max(startY, endY)
         
-        const selectedIds = []
-        
-        // Use inverter labels for selection (from inv_id layer)
-        inverterLabels.forEach(label => {
-          const { x, y } = worldToScreen(label.position[0], label.position[1])
-          if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
-            selectedIds.push(label.boxId)
+        const selected = screenToWorldBox(minX, minY, maxX, maxY)
+
+        // Done / not done stages other than the built-in ones mark every visible inverter or string in the box
+        if (customBoxSelect) {
+          const { inverters: inverterLayer, strings: stringLayer } = layerSettings.layers
+          const stringsShown = stringLayer.visible && viewStateRef.current.scale / viewStateRef.current.baseScale > STRING_DOT_ZOOM
+          let items = []
+          if (activeStage.unit === 'inverter' && inverterLayer.visible) {
+            items = spatialIndex.inverters.search(selected).map(inverterId => ({ id: inverterId, inverterId }))
+          } else if (activeStage.unit === 'string' && stringsShown) {
+            items = spatialIndex.circuits.search(selected).map(circuit => ({ id: circuit.id, inverterId: circuit.inverterId }))
+          }
+          if (items.length > 0) {
+            updateStageProgress(activeStage, items.map(item => ({ item, done: action === 'remove' ? 0 : 1 })), 'box-select')
+          }
+        } else if (activeMode === 'test') {
+          // Use inverter labels for selection (from inv_id layer), unless that layer is hidden;
+          // inverters still waiting on another stage aren't ticked
+          const testStage = findStage(workflow, 'test')
+          const selectedIds = !layerSettings.layers.inverters.visible ? [] : spatialIndex.inverterLabels.search(selected)
+            .filter(label => action === 'remove' || stageBlockers(testStage, { id: label.inverterId, inverterId: label.inverterId }).length === 0)
+            .map(label => label.boxId)
+
+          if (selectedIds.length > 0 && allow('test.pass')) {
+            changeSource.current = 'box-select'
+            setCompletedBoxes(prev => {
+              const newSet = new Set(prev)
+              if (action === 'remove') {
+                selectedIds.forEach(id => newSet.delete(id))
+              } else {
+                selectedIds.forEach(id => newSet.add(id))
+              }
+              return newSet
+            })
           }
-        })
-        
-        if (selectedIds.length > 0) {
-          setCompletedBoxes(prev => {
-            const newSet = new Set(prev)
-            if (action === 'remove') {
-              selectedIds.forEach(id => newSet.delete(id))
-            } else {
-              selectedIds.forEach(id => newSet.add(id))
-            }
-            return newSet
-          })
         }
       }
       
@@ -976,7 +2070,7 @@ function App() {
       setSelectionBox(null)
     }
     isPanning.current = false
-  }, [inverterLabels, worldToScreen])
+  }, [spatialIndex, screenToWorldBox, allow, activeMode, activeStage, customBoxSelect, workflow, stageBlockers, updateStageProgress, layerSettings])
 
   // Touch support for mobile
   const lastTouch = useRef({ x: 0, y: 0 })
@@ -1035,20 +2129,43 @@ function App() {
   return (
     <div className="map-container" style={{ width: '100%', height: '100vh', overflow: 'hidden', position: 'relative' }}>
       <div className="top-panel">
-        {/* Mode Switch Buttons */}
-        <div className="mode-switcher">
-          <button 
-            className={`mode-btn ${activeMode === 'test' ? 'active' : ''}`}
-            onClick={() => setActiveMode('test')}
-          >
-            🔌 LV Cable Test
-          </button>
-          <button 
-            className={`mode-btn ${activeMode === 'termination' ? 'active' : ''}`}
-            onClick={() => setActiveMode('termination')}
-          >
-            🔗 Cable Termination
-          </button>
+        <div className="top-panel-group">
+          <ProjectSwitcher
+            projects={projectsApi.projects}
+            activeProject={activeProject}
+            onSelect={projectsApi.setActiveProjectId}
+            onNew={() => setProjectSetupOpen(true)}
+            onRename={projectsApi.renameProject}
+            onDuplicate={projectsApi.duplicateProject}
+            onSetArchived={projectsApi.setProjectArchived}
+            canManage={can('project.manage')}
+          />
+
+          {/* Mode Switch Buttons */}
+          <div className="mode-switcher">
+            {workflow.map(stage => (
+              <button
+                key={stage.key}
+                className={`mode-btn ${activeMode === stage.key ? 'active' : ''}`}
+                onClick={() => setActiveMode(stage.key)}
+              >
+                {stage.icon} {stage.name}
+              </button>
+            ))}
+            <button 
+              className={`mode-btn ${activeMode === 'signoff' ? 'active' : ''}`}
+              onClick={() => setActiveMode('signoff')}
+            >
+              ✅ QA Sign-off
+            </button>
+            <button
+              className="mode-btn"
+              title="Workflow stages"
+              onClick={() => setWorkflowModalOpen(true)}
+            >
+              ⚙️
+            </button>
+          </div>
         </div>
 
         {/* Counters - different for each mode */}
@@ -1057,58 +2174,186 @@ function App() {
             <>
               <div className="counter-row">
                 <span className="counter-label">Total Inverters: {inverterLabels.length}</span>
-                <span className="counter-item completed">Done <strong>{completedBoxes.size}</strong></span>
-                <span className="counter-item remaining">Remain <strong>{inverterLabels.length - completedBoxes.size}</strong></span>
+                <span className="counter-item completed">Done <strong>{shownState.completedBoxes.size}</strong></span>
+                <span className="counter-item remaining">Remain <strong>{inverterLabels.length - shownState.completedBoxes.size}</strong></span>
+                {activeStage.dependsOn.length > 0 && (
+                  <span className="counter-item">Waiting <strong>{stageStats.test.blocked}</strong></span>
+                )}
               </div>
-            </>
-          ) : (
-            <>
               <div className="counter-row">
-                <span className="counter-label">Total Circuits: {terminationStats.totalCircuits}</span>
-                <span className="counter-item completed">Terminated <strong>{terminationStats.terminated}</strong></span>
-                <span className="counter-item remaining">Remain <strong>{terminationStats.remaining}</strong></span>
-                <span className="counter-item" style={{ background: 'rgba(59, 130, 246, 0.2)', borderColor: 'rgba(59, 130, 246, 0.4)' }}>
-                  <strong>{terminationStats.percentage}%</strong>
-                </span>
+                <span className="counter-label">Total Strings: {stringTestStats.total}</span>
+                <span className="counter-item completed">Passed <strong>{stringTestStats.passed}</strong></span>
+                <span className="counter-item remaining">Failed <strong>{stringTestStats.failed}</strong></span>
+                <span className="counter-item">Untested <strong>{stringTestStats.total - stringTestStats.passed - stringTestStats.failed}</strong></span>
               </div>
             </>
+          ) : activeMode === 'signoff' ? (
+            ['inverters', 'circuits'].map(unit => (
+              <div key={unit} className="counter-row">
+                <span className="counter-label">{unit === 'inverters' ? 'Inverters' : 'Circuits'}: {signOffStats[unit].total}</span>
+                <span className="counter-item">Open <strong>{signOffStats[unit].open}</strong></span>
+                {SIGN_OFF_STAGES.map(stage => (
+                  <span key={stage.key} className="counter-item" style={{ borderColor: stage.color }}>
+                    {stage.short} <strong>{signOffStats[unit][stage.key]}</strong>
+                  </span>
+                ))}
+                <span className="counter-item remaining">Rejected <strong>{signOffStats[unit].rejected}</strong></span>
+              </div>
+            ))
+          ) : activeStage && (
+            <div className="counter-row">
+              <span className="counter-label">Total {unitLabel(activeStage)}: {stageStats[activeStage.key].items}</span>
+              <span className="counter-item completed">Done <strong>{stageStats[activeStage.key].complete}</strong></span>
+              <span className="counter-item remaining">Remain <strong>{stageStats[activeStage.key].items - stageStats[activeStage.key].complete}</strong></span>
+              {activeStage.dependsOn.length > 0 && (
+                <span className="counter-item">Waiting <strong>{stageStats[activeStage.key].blocked}</strong></span>
+              )}
+              <span className="counter-item" style={{ background: 'rgba(59, 130, 246, 0.2)', borderColor: 'rgba(59, 130, 246, 0.4)' }}>
+                <strong>{stageStats[activeStage.key].percent}%</strong>
+              </span>
+            </div>
           )}
         </div>
 
-        <div className="toolbar">
-          <button 
-            className="tool-btn" 
-            title="Submit Daily Work"
-            onClick={() => setSubmitModalOpen(true)}
-          >📋</button>
-          <button 
-            className="tool-btn" 
-            title="View Submission History"
-            onClick={() => setHistoryModalOpen(true)}
-          >🗒️</button>
-          <button 
-            className="tool-btn" 
-            title="Export to Excel"
-            onClick={() => exportToExcel(dailyLog)}
-          >📊</button>
-          <div className="toolbar-divider"></div>
-          <button 
-            className={`tool-btn ${noteMode ? 'active' : ''}`} 
-            title="Toggle Note Mode"
-            onClick={() => setNoteMode(!noteMode)}
-          >📝</button>
-          <button 
-            className="tool-btn" 
-            title="Undo (Ctrl+Z)"
-            onClick={undo}
-            disabled={historyIndex <= 0}
-          >↩️</button>
-          <button 
-            className="tool-btn" 
-            title="Redo (Ctrl+Y)"
-            onClick={redo}
-            disabled={historyIndex >= history.length - 1}
-          >↪️</button>
+        <div className="top-panel-group">
+          <StorageStatus />
+
+          <div className="toolbar">
+            {can('dailyLog.submit') && activeStage && (
+              <button 
+                className="tool-btn" 
+                title="Submit Daily Work"
+                onClick={() => setSubmitModalOpen(true)}
+              >📋</button>
+            )}
+            <button 
+              className="tool-btn" 
+              title="View Submission History"
+              onClick={() => setHistoryModalOpen(true)}
+            >🗒️</button>
+            {(can('progress.edit') || can('dailyLog.submit')) && (
+              <button 
+                className="tool-btn" 
+                title="Import Excel / CSV Sheet"
+                onClick={() => setImportModalOpen(true)}
+              >📥</button>
+            )}
+            <button 
+              className="tool-btn" 
+              title="Schedule vs Plan"
+              onClick={() => setScheduleModalOpen(true)}
+            >📅</button>
+            <button 
+              className="tool-btn" 
+              title="Export to Excel"
+              onClick={() => setReportModalOpen(true)}
+            >📊</button>
+            <button 
+              className="tool-btn" 
+              title="Print / PDF Progress Map"
+              onClick={() => setPrintModalOpen(true)}
+            >🖨️</button>
+            <button 
+              className={`tool-btn ${activityPanelOpen ? 'active' : ''}`} 
+              title="Activity Timeline"
+              onClick={() => {
+                setActivityPanelOpen(!activityPanelOpen)
+                setNotesPanelOpen(false)
+                setSearchOpen(false)
+                setLayerPanelOpen(false)
+                setHierarchyPanelOpen(false)
+              }}
+            >🕓</button>
+            <button 
+              className={`tool-btn ${notesPanelOpen ? 'active' : ''}`} 
+              title="Punch List"
+              onClick={() => {
+                setNotesPanelOpen(!notesPanelOpen)
+                setActivityPanelOpen(false)
+                setSearchOpen(false)
+                setLayerPanelOpen(false)
+                setHierarchyPanelOpen(false)
+              }}
+            >📌</button>
+            <button 
+              className={`tool-btn ${searchOpen ? 'active' : ''}`} 
+              title="Search (Ctrl+F)"
+              onClick={() => {
+                setSearchOpen(!searchOpen)
+                setNotesPanelOpen(false)
+                setActivityPanelOpen(false)
+                setLayerPanelOpen(false)
+                setHierarchyPanelOpen(false)
+              }}
+            >🔍</button>
+            <button 
+              className={`tool-btn ${layerPanelOpen ? 'active' : ''}`} 
+              title="Map Layers"
+              onClick={() => {
+                setLayerPanelOpen(!layerPanelOpen)
+                setNotesPanelOpen(false)
+                setActivityPanelOpen(false)
+                setSearchOpen(false)
+                setHierarchyPanelOpen(false)
+              }}
+            >🗂️</button>
+            <button 
+              className={`tool-btn ${hierarchyPanelOpen ? 'active' : ''}`} 
+              title="TX / Inverter Progress"
+              onClick={() => {
+                setHierarchyPanelOpen(!hierarchyPanelOpen)
+                setNotesPanelOpen(false)
+                setActivityPanelOpen(false)
+                setSearchOpen(false)
+                setLayerPanelOpen(false)
+              }}
+            >🌳</button>
+            <button 
+              className={`tool-btn ${replayDate ? 'active' : ''}`} 
+              title="Replay Site Progress"
+              onClick={() => setReplayDate(replayDate ? null : toLocalDate(new Date().toISOString()))}
+            >🎞️</button>
+            <button 
+              className="tool-btn" 
+              title="Backup & Restore Project"
+              onClick={() => setBackupModalOpen(true)}
+            >💾</button>
+            <button 
+              className={`tool-btn ${sync.syncing ? 'active' : ''}`} 
+              title={sync.conflicts.length > 0 ? `Device Sync (${sync.conflicts.length} conflicts to review)` : 'Device Sync'}
+              onClick={() => setSyncModalOpen(true)}
+            >
+              🔄
+              {sync.conflicts.length > 0 && <span className="tool-badge">{sync.conflicts.length}</span>}
+            </button>
+            <button 
+              className="tool-btn" 
+              title={`Signed in as ${auth.user.name} (${roleLabel(auth.user.role)})`}
+              onClick={() => setAccountsModalOpen(true)}
+            >👤</button>
+            {can('progress.edit') && (
+              <>
+                <div className="toolbar-divider"></div>
+                <button 
+                  className={`tool-btn ${noteMode ? 'active' : ''}`} 
+                  title="Toggle Note Mode"
+                  onClick={() => setNoteMode(!noteMode)}
+                >📝</button>
+                <button 
+                  className="tool-btn" 
+                  title="Undo (Ctrl+Z)"
+                  onClick={undo}
+                  disabled={historyIndex <= 0}
+                >↩️</button>
+                <button 
+                  className="tool-btn" 
+                  title="Redo (Ctrl+Y)"
+                  onClick={redo}
+                  disabled={historyIndex >= history.length - 1}
+                >↪️</button>
+              </>
+            )}
+          </div>
         </div>
       </div>
 
@@ -1144,6 +2389,16 @@ function App() {
         onTouchEnd={() => { lastPinchDist.current = 0 }}
       />
       
+      {/* Replay controls */}
+      {replayDate && (
+        <ReplayBar
+          events={events}
+          date={replayDate}
+          onChange={setReplayDate}
+          onExit={() => setReplayDate(null)}
+        />
+      )}
+
       {/* NOTE MODE indicator */}
       {noteMode && (
         <div style={{
@@ -1166,6 +2421,49 @@ function App() {
         </div>
       )}
 
+      {/* Read-only indicator for viewer accounts */}
+      {!can('progress.edit') && (
+        <div style={{
+          position: 'absolute',
+          top: 80,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          background: 'rgba(15, 23, 42, 0.95)',
+          border: '1px solid rgba(255,255,255,0.15)',
+          color: '#e5e7eb',
+          padding: '8px 20px',
+          borderRadius: 20,
+          fontWeight: 700,
+          fontSize: 14,
+          letterSpacing: 1,
+          zIndex: 1001,
+          fontFamily: 'Arial, sans-serif'
+        }}>
+          👁️ VIEW ONLY
+        </div>
+      )}
+
+      {/* Refused action notice */}
+      {notice && (
+        <div style={{
+          position: 'absolute',
+          bottom: 90,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          background: 'rgba(239, 68, 68, 0.95)',
+          color: '#fff',
+          padding: '8px 20px',
+          borderRadius: 20,
+          fontSize: 13,
+          fontWeight: 600,
+          boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+          zIndex: 1200,
+          fontFamily: 'Arial, sans-serif'
+        }}>
+          🔒 {notice}
+        </div>
+      )}
+
       {/* Legend - changes based on active mode */}
       <div style={{
         position: 'absolute',
@@ -1182,70 +2480,84 @@ function App() {
         zIndex: 1000
       }}>
         <div style={{ fontWeight: 700, marginBottom: 10, fontSize: 13, color: '#fff' }}>
-          {activeMode === 'test' ? 'Test Results' : 'Termination Progress'}
+          {legendTitle}
         </div>
-        {activeMode === 'test' ? (
-          <>
-            <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
-              <div style={{
-                width: 18,
-                height: 18,
-                borderRadius: 4,
-                background: 'rgba(34, 197, 94, 0.5)',
-                border: '2px solid #22c55e',
-                marginRight: 10
-              }}></div>
-              <span>Test Passed</span>
-            </div>
-            <div style={{ display: 'flex', alignItems: 'center' }}>
-              <div style={{
-                width: 18,
-                height: 18,
-                borderRadius: 4,
-                background: 'rgba(230, 126, 34, 0.4)',
-                border: '2px solid #e67e22',
-                marginRight: 10
-              }}></div>
-              <span>Not Tested</span>
-            </div>
-          </>
-        ) : (
+        {legendItems.map((item, index) => (
+          <div key={item.label} style={{ display: 'flex', alignItems: 'center', marginBottom: index < legendItems.length - 1 ? 8 : 0 }}>
+            <div style={{
+              width: 18,
+              height: 18,
+              borderRadius: 4,
+              background: item.fill,
+              border: `2px solid ${item.stroke}`,
+              marginRight: 10
+            }}></div>
+            <span>{item.label}</span>
+          </div>
+        ))}
+        {notes.length > 0 && (
           <>
-            <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
-              <div style={{
-                width: 18,
-                height: 18,
-                borderRadius: 4,
-                background: 'rgba(34, 197, 94, 0.7)',
-                border: '2px solid #22c55e',
-                marginRight: 10
-              }}></div>
-              <span>100% Complete</span>
-            </div>
-            <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
-              <div style={{
-                width: 18,
-                height: 18,
-                borderRadius: 4,
-                background: 'rgba(251, 191, 36, 0.6)',
-                border: '2px solid #f59e0b',
-                marginRight: 10
-              }}></div>
-              <span>In Progress</span>
-            </div>
-            <div style={{ display: 'flex', alignItems: 'center' }}>
-              <div style={{
-                width: 18,
-                height: 18,
-                borderRadius: 4,
-                background: 'rgba(239, 68, 68, 0.5)',
-                border: '2px solid #ef4444',
-                marginRight: 10
-              }}></div>
-              <span>Not Started</span>
+            <div style={{ fontWeight: 700, margin: '12px 0 8px', fontSize: 13, color: '#fff' }}>
+              Notes
             </div>
+            {[...NOTE_CATEGORIES, { key: 'resolved', label: 'Resolved' }].map((item, index, all) => {
+              const marker = noteMarkerStyle(item.key === 'resolved' ? { status: 'resolved' } : { status: 'open', category: item.key })
+              return (
+                <div key={item.key} style={{ display: 'flex', alignItems: 'center', marginBottom: index < all.length - 1 ? 6 : 0 }}>
+                  <div style={{
+                    width: 16,
+                    height: 16,
+                    borderRadius: '50%',
+                    background: marker.color,
+                    border: `2px solid ${marker.stroke}`,
+                    color: '#fff',
+                    fontSize: 9,
+                    fontWeight: 700,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    marginRight: 10
+                  }}>{marker.icon}</div>
+                  <span>{item.label}</span>
+                </div>
+              )
+            })}
           </>
         )}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, margin: '12px 0 8px' }}>
+          <span style={{ fontWeight: 700, fontSize: 13, color: '#fff' }}>Tables</span>
+          <select
+            value={tableColorBy}
+            onChange={(e) => setLayerSettings({
+              ...layerSettings,
+              layers: { ...layerSettings.layers, poly: { ...layerSettings.layers.poly, colorBy: e.target.value, visible: true } }
+            })}
+            style={{
+              flex: 1,
+              padding: '2px 4px',
+              background: 'rgba(255,255,255,0.05)',
+              border: '1px solid rgba(255,255,255,0.15)',
+              borderRadius: 4,
+              color: '#e5e7eb',
+              fontSize: 11,
+              colorScheme: 'dark'
+            }}
+          >
+            {TABLE_COLOR_MODES.map(mode => <option key={mode.key} value={mode.key}>{mode.label}</option>)}
+          </select>
+        </div>
+        {(TABLE_LEGENDS[tableColorBy] || []).map((item, index, all) => (
+          <div key={item.key} style={{ display: 'flex', alignItems: 'center', marginBottom: index < all.length - 1 ? 6 : 0 }}>
+            <div style={{
+              width: 16,
+              height: 12,
+              background: item.fill,
+              border: `1px solid ${item.stroke}`,
+              marginRight: 10
+            }}></div>
+            <span>{item.label}</span>
+          </div>
+        ))}
       </div>
 
       {/* Zoom info overlay */}
@@ -1264,39 +2576,21 @@ function App() {
       }}>
         <div>Zoom: {(viewState.scale / viewState.baseScale * 100).toFixed(0)}%</div>
         <div style={{ marginTop: 5, color: '#9ca3af', fontSize: 10 }}>
-          Scroll: Zoom | Middle Drag: Pan | Left Drag: Select | Right Drag: Unselect
+          Scroll: Zoom | Middle Drag: Pan | Left Drag: Select | Right Drag: Unselect | Ctrl+F: Search
         </div>
       </div>
 
       {/* Note Editor Popup */}
-      {noteEditor && (
-        <div 
-          className="note-editor"
-          style={{
-            left: noteEditor.x,
-            top: noteEditor.y - 10
-          }}
-        >
-          <textarea
-            placeholder="Enter your note..."
-            autoFocus
-            value={notes.find(n => n.id === noteEditor.noteId)?.text || ''}
-            onChange={(e) => {
-              const text = e.target.value
-              setNotes(prev => prev.map(n => 
-                n.id === noteEditor.noteId ? { ...n, text } : n
-              ))
-            }}
-          />
-          <div className="note-actions">
-            <button onClick={() => setNoteEditor(null)}>Save</button>
-            <button onClick={() => {
-              setNotes(prev => prev.filter(n => n.id !== noteEditor.noteId))
-              setNoteEditor(null)
-            }}>Delete</button>
-            <button onClick={() => setNoteEditor(null)}>Cancel</button>
-          </div>
-        </div>
+      {noteEditor && notes.some(n => n.id === noteEditor.noteId) && (
+        <NoteEditor
+          key={noteEditor.noteId}
+          note={notes.find(n => n.id === noteEditor.noteId)}
+          x={noteEditor.x}
+          y={noteEditor.y}
+          onSave={saveNote}
+          onDelete={() => deleteNote(noteEditor.noteId)}
+          onCancel={() => setNoteEditor(null)}
+        />
       )}
 
       {/* Termination Progress Editor Popup */}
@@ -1314,7 +2608,7 @@ function App() {
             boxShadow: '0 10px 30px rgba(0,0,0,0.4)',
             padding: '16px',
             color: '#e5e7eb',
-            minWidth: 220,
+            minWidth: 260,
             zIndex: 1100,
             fontFamily: 'Arial, sans-serif'
           }}
@@ -1322,65 +2616,153 @@ function App() {
           <div style={{ fontWeight: 700, fontSize: 14, marginBottom: 12, color: '#fff', textAlign: 'center' }}>
             {selectedInverter.id}
           </div>
-          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8, marginBottom: 12 }}>
-            <input
-              type="number"
-              min="0"
-              max={selectedInverter.total}
-              value={editingTerminated}
-              onChange={(e) => setEditingTerminated(e.target.value)}
-              autoFocus
-              style={{
-                width: 60,
-                padding: '8px 12px',
-                borderRadius: 6,
-                border: '1px solid rgba(255,255,255,0.2)',
-                background: 'rgba(255,255,255,0.08)',
-                color: '#fff',
-                fontSize: 16,
-                fontWeight: 700,
-                textAlign: 'center'
-              }}
-            />
-            <span style={{ fontSize: 18, fontWeight: 700, color: '#9ca3af' }}>/</span>
-            <span style={{ fontSize: 18, fontWeight: 700, color: '#fff' }}>{selectedInverter.total}</span>
+          <input
+            type="text"
+            value={terminationCrew}
+            onChange={(e) => setTerminationCrew(e.target.value)}
+            placeholder="Crew"
+            disabled={!can('progress.edit')}
+            style={{
+              width: '100%',
+              padding: '6px 10px',
+              marginBottom: 10,
+              borderRadius: 6,
+              border: '1px solid rgba(255,255,255,0.2)',
+              background: 'rgba(255,255,255,0.08)',
+              color: '#fff',
+              fontSize: 13
+            }}
+          />
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6, fontSize: 12 }}>
+            <span style={{ fontWeight: 700, color: '#fff' }}>
+              {Object.keys(editingCircuits).length} / {selectedInverter.total}
+            </span>
+            {can('progress.edit') && (
+              <span style={{ display: 'flex', gap: 8 }}>
+                <button
+                  onClick={() => {
+                    const terminatedAt = new Date().toISOString()
+                    const crew = terminationCrew.trim()
+                    setEditingCircuits(prev => {
+                      const next = { ...prev }
+                      inverterCircuitData.circuits[selectedInverter.id].forEach(circuit => {
+                        if (!next[circuit.id] && !checklistBlockers[circuit.id]?.length) next[circuit.id] = { terminatedAt, crew }
+                      })
+                      return next
+                    })
+                  }}
+                  style={{ background: 'transparent', border: 'none', color: '#3b82f6', cursor: 'pointer', fontSize: 12 }}
+                >
+                  All
+                </button>
+                <button
+                  onClick={() => setEditingCircuits({})}
+                  style={{ background: 'transparent', border: 'none', color: '#9ca3af', cursor: 'pointer', fontSize: 12 }}
+                >
+                  None
+                </button>
+              </span>
+            )}
           </div>
           <div style={{ 
             background: 'rgba(255,255,255,0.1)', 
             borderRadius: 6, 
             height: 8, 
-            marginBottom: 12,
+            marginBottom: 10,
             overflow: 'hidden'
           }}>
             <div style={{
-              width: `${Math.min(100, (parseInt(editingTerminated) || 0) / selectedInverter.total * 100)}%`,
+              width: `${Math.min(100, Object.keys(editingCircuits).length / selectedInverter.total * 100)}%`,
               height: '100%',
-              background: parseInt(editingTerminated) >= selectedInverter.total 
+              background: Object.keys(editingCircuits).length >= selectedInverter.total 
                 ? 'linear-gradient(90deg, #22c55e, #16a34a)'
                 : 'linear-gradient(90deg, #f59e0b, #d97706)',
               transition: 'width 0.2s'
             }}></div>
           </div>
+          <div style={{ maxHeight: 220, overflowY: 'auto', marginBottom: 12 }}>
+            {inverterCircuitData.circuits[selectedInverter.id].map(circuit => {
+              const tick = editingCircuits[circuit.id]
+              const blockers = tick ? [] : checklistBlockers[circuit.id] || []
+              return (
+                <label
+                  key={circuit.id}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 8,
+                    padding: '4px 2px',
+                    fontSize: 12,
+                    cursor: 'pointer',
+                    borderBottom: '1px solid rgba(255,255,255,0.05)'
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={!!tick}
+                    disabled={!can('progress.edit') || blockers.length > 0}
+                    onChange={(e) => {
+                      const checked = e.target.checked
+                      setEditingCircuits(prev => {
+                        const next = { ...prev }
+                        if (checked) {
+                          next[circuit.id] = { terminatedAt: new Date().toISOString(), crew: terminationCrew.trim() }
+                        } else {
+                          delete next[circuit.id]
+                        }
+                        return next
+                      })
+                    }}
+                    style={{ accentColor: '#22c55e' }}
+                  />
+                  <span style={{ flex: 1, color: tick ? '#fff' : '#9ca3af' }}>{circuit.id}</span>
+                  {blockers.length > 0 && (
+                    <span style={{ color: '#94a3b8', fontSize: 10, textAlign: 'right' }}>
+                      🔒 waiting on {blockers.join(', ')}
+                    </span>
+                  )}
+                  {tick && (
+                    <span style={{ color: '#6b7280', fontSize: 10, textAlign: 'right' }}>
+                      {new Date(tick.terminatedAt).toLocaleDateString()}{tick.crew ? ` · ${tick.crew}` : ''}
+                    </span>
+                  )}
+                </label>
+              )
+            })}
+          </div>
           <div style={{ display: 'flex', gap: 8 }}>
-            <button 
-              onClick={() => {
-                const value = Math.max(0, Math.min(selectedInverter.total, parseInt(editingTerminated) || 0))
-                setTerminationProgress(prev => ({ ...prev, [selectedInverter.id]: value }))
-                setSelectedInverter(null)
-              }}
-              style={{
-                flex: 1,
-                padding: '8px 16px',
-                border: 'none',
-                borderRadius: 6,
-                background: 'linear-gradient(135deg, #22c55e, #16a34a)',
-                color: '#fff',
-                fontWeight: 600,
-                cursor: 'pointer'
-              }}
-            >
-              Save
-            </button>
+            {can('progress.edit') && (
+              <button 
+                onClick={() => {
+                  if (!allow('progress.edit')) return
+                  changeSource.current = 'checklist'
+                  setTerminatedCircuits(prev => {
+                    const next = { ...prev }
+                    inverterCircuitData.circuits[selectedInverter.id].forEach(circuit => {
+                      if (editingCircuits[circuit.id]) {
+                        next[circuit.id] = editingCircuits[circuit.id]
+                      } else {
+                        delete next[circuit.id]
+                      }
+                    })
+                    return next
+                  })
+                  setSelectedInverter(null)
+                }}
+                style={{
+                  flex: 1,
+                  padding: '8px 16px',
+                  border: 'none',
+                  borderRadius: 6,
+                  background: 'linear-gradient(135deg, #22c55e, #16a34a)',
+                  color: '#fff',
+                  fontWeight: 600,
+                  cursor: 'pointer'
+                }}
+              >
+                Save
+              </button>
+            )}
             <button 
               onClick={() => setSelectedInverter(null)}
               style={{
@@ -1399,14 +2781,87 @@ function App() {
         </div>
       )}
 
+      {/* String Test Modal */}
+      <StringTestModal
+        stringId={selectedString}
+        existing={selectedString ? stringTests[selectedString] : null}
+        defaultTester={lastTester}
+        canPass={can('test.pass')}
+        readOnly={!can('progress.edit')}
+        onClose={() => setSelectedString(null)}
+        onSave={(stringId, result) => {
+          const passed = result.result === 'pass' || stringTests[stringId]?.result === 'pass'
+          if (!allow(passed ? 'test.pass' : 'progress.edit')) return
+          changeSource.current = 'test-form'
+          setStringTests(prev => ({ ...prev, [stringId]: result }))
+        }}
+        onClear={(stringId) => {
+          if (!allow(stringTests[stringId]?.result === 'pass' ? 'test.pass' : 'progress.edit')) return
+          changeSource.current = 'test-form'
+          setStringTests(prev => {
+            const next = { ...prev }
+            delete next[stringId]
+            return next
+          })
+        }}
+      />
+
+      {/* Sign-off Modal */}
+      <SignOffModal
+        inverterId={signOffInverter}
+        circuits={signOffInverter ? inverterCircuitData.circuits[signOffInverter] || [] : []}
+        signOffs={signOffs}
+        can={can}
+        onAdvance={advanceItemSignOff}
+        onReject={rejectItemSignOff}
+        onClose={() => setSignOffInverter(null)}
+      />
+
+      {/* Stage Progress Modal */}
+      <StageProgressModal
+        stage={activeStage}
+        inverterId={stageInverter}
+        rows={stageRows}
+        canEdit={can('progress.edit') && !replayDate}
+        onChange={(changes) => updateStageProgress(activeStage, changes, 'stage-form')}
+        onClose={() => setStageInverter(null)}
+      />
+
+      {/* Workflow Modal */}
+      <WorkflowModal
+        isOpen={workflowModalOpen}
+        onClose={() => setWorkflowModalOpen(false)}
+        workflow={workflow}
+        onChange={(next) => allow('project.manage') && setWorkflow(next)}
+        canEdit={can('project.manage')}
+      />
+
+      {/* Project Setup Modal */}
+      <ProjectSetupModal
+        isOpen={projectSetupOpen}
+        onClose={() => setProjectSetupOpen(false)}
+        onCreate={projectsApi.createProject}
+      />
+
+      {/* Backup Modal */}
+      <BackupModal
+        isOpen={backupModalOpen}
+        onClose={() => setBackupModalOpen(false)}
+        projectName={activeProject.name}
+        currentSlices={backupSlices}
+        onExport={exportBackup}
+        onImport={can('data.restore') ? projectsApi.importBundle : null}
+      />
+
       {/* Submit Modal */}
       <SubmitModal
-        isOpen={submitModalOpen}
+        isOpen={submitModalOpen && Boolean(submitMode)}
         onClose={() => setSubmitModalOpen(false)}
-        onSubmit={addRecord}
-        dailyInstalled={completedBoxes.size}
-        totalCompleted={completedBoxes.size}
-        totalBoxes={inverterLabels.length}
+        onSubmit={submitDailyRecord}
+        mode={submitMode}
+        getDaySummary={getDaySummary}
+        totalCompleted={activeStage ? stageStats[activeStage.key].done : 0}
+        totalBoxes={activeStage ? stageStats[activeStage.key].total : 0}
       />
 
       {/* History Modal */}
@@ -1414,7 +2869,105 @@ function App() {
         isOpen={historyModalOpen}
         onClose={() => setHistoryModalOpen(false)}
         dailyLog={dailyLog}
-        onDeleteRecord={deleteRecord}
+        planStatus={planStatus}
+        onDeleteRecord={can('history.delete') ? deleteDailyRecord : undefined}
+      />
+
+      {/* Activity Timeline */}
+      <ActivityPanel
+        isOpen={activityPanelOpen}
+        onClose={() => setActivityPanelOpen(false)}
+        events={events}
+      />
+
+      <SyncModal
+        isOpen={syncModalOpen}
+        onClose={() => setSyncModalOpen(false)}
+        sync={sync}
+        onUseOther={applyOtherConflictValue}
+      />
+
+      <NotesPanel
+        isOpen={notesPanelOpen}
+        onClose={() => {
+          setNotesPanelOpen(false)
+          setSelectedNote(null)
+        }}
+        notes={notes}
+        selectedNoteId={selectedNote}
+        onFocus={focusNote}
+        onEdit={can('progress.edit') ? editNoteFromList : undefined}
+      />
+
+      <SearchPanel
+        isOpen={searchOpen}
+        onClose={() => setSearchOpen(false)}
+        entries={searchIndex}
+        onSelect={jumpToResult}
+      />
+
+      <PrintModal
+        isOpen={printModalOpen}
+        onClose={() => setPrintModalOpen(false)}
+        getPlan={planMapPrint}
+        onExport={exportMapPrint}
+      />
+
+      <ReportModal
+        isOpen={reportModalOpen}
+        onClose={() => setReportModalOpen(false)}
+        planSummary={describeBaseline(baseline)}
+        onEditPlan={() => {
+          setReportModalOpen(false)
+          setScheduleModalOpen(true)
+        }}
+        onExport={exportReport}
+      />
+
+      <ScheduleModal
+        isOpen={scheduleModalOpen}
+        onClose={() => setScheduleModalOpen(false)}
+        baseline={baseline}
+        onChange={(next) => allow('project.manage') && setBaseline(next)}
+        canEdit={can('project.manage')}
+        rows={schedule}
+        scope={planScope}
+        modes={planModes}
+        dailyLog={dailyLog}
+        groupPrefixes={groupPrefixes}
+        subcontractors={subcontractors}
+      />
+
+      <ImportModal
+        isOpen={importModalOpen}
+        onClose={() => setImportModalOpen(false)}
+        lookup={idLookup}
+        blockersOf={importBlockers}
+        isTerminated={importTerminated}
+        canImport={canImport}
+        modes={planModes}
+        defaultMode={activeStage?.key || workflow[0].key}
+        onApply={applyImport}
+      />
+
+      <LayerPanel
+        isOpen={layerPanelOpen}
+        onClose={() => setLayerPanelOpen(false)}
+        settings={layerSettings}
+        onChange={setLayerSettings}
+      />
+
+      <HierarchyPanel
+        isOpen={hierarchyPanelOpen}
+        onClose={() => setHierarchyPanelOpen(false)}
+        tree={hierarchy}
+        onZoom={zoomToNode}
+      />
+
+      <AccountsModal
+        isOpen={accountsModalOpen}
+        onClose={() => setAccountsModalOpen(false)}
+        auth={auth}
       />
 
       {/* Hidden canvas for chart export */}
@@ -1423,4 +2976,89 @@ function App() {
   )
 }
 
+// Map legend title and printed drawing title in sign-off mode (stages use their own names)
+const SIGN_OFF_TITLE = 'QA Sign-off'
+const SIGN_OFF_PRINT_TITLE = 'QA Sign-off Status'
+
+// Minimum zoom ratio at which individual string points are drawn and clickable
+const STRING_DOT_ZOOM = 2
+
+// Features this far outside the canvas are still drawn, so labels don't pop in at the edges (px)
+const VIEWPORT_MARGIN_PX = 60
+
+// Vertices closer than this to the simplified outline are dropped when drawing (px)
+const SIMPLIFY_TOLERANCE_PX = 0.5
+
+// Zoom ratio used when jumping to a note from the punch list
+const NOTE_FOCUS_ZOOM = 8
+
+// Zoom ratio used when jumping to each kind of search result
+const SEARCH_FOCUS_ZOOM = { inverter: 4, string: 8, note: NOTE_FOCUS_ZOOM }
+
+// Margin kept around a TX or inverter zoomed to from the hierarchy panel (px), and the closest zoom ratio it goes to
+const TREE_FIT_PADDING_PX = 60
+const TREE_MAX_ZOOM = 12
+
+// Gap between a TX outline and the outermost markers it encloses (px)
+const TX_OUTLINE_PAD_PX = 18
+
+// TX outline colour when the active mode has no completion share (sign-off)
+const TX_NEUTRAL_COLOR = '#94a3b8'
+
+// Duration of the fly-to animation used by centerOn (ms)
+const CENTER_ANIMATION_MS = 450
+
+// How long a search result flashes after jumping to it (ms), and how many pulses that shows
+const FLASH_DURATION_MS = 1800
+const FLASH_PULSES = 3
+
+// How long a refused-action notice stays up (ms)
+const NOTICE_DURATION = 3000
+
+// Whether moving between two undo snapshots changes inverter ticks or a passed string result
+function touchesPassedTests(from, to) {
+  const boxesChanged = from.completedBoxes.length !== to.completedBoxes.length ||
+    from.completedBoxes.some(id => !to.completedBoxes.includes(id))
+  const stringIds = new Set([...Object.keys(from.stringTests), ...Object.keys(to.stringTests)])
+  return boxesChanged || Array.from(stringIds).some(id =>
+    (from.stringTests[id]?.result === 'pass' || to.stringTests[id]?.result === 'pass') &&
+    JSON.stringify(from.stringTests[id]) !== JSON.stringify(to.stringTests[id]))
+}
+
+// Permission needed to switch a sync conflict to the value that lost
+function conflictPermission(conflict) {
+  const chosen = conflict.kept === 'mine' ? conflict.theirs : conflict.mine
+  const kept = conflict.kept === 'mine' ? conflict.mine : conflict.theirs
+  const isPass = value => value === 'pass' || value?.result === 'pass'
+  if (conflict.kind === 'inverter') return 'test.pass'
+  if (conflict.kind === 'string' && (isPass(chosen) || isPass(kept))) return 'test.pass'
+  if (conflict.kind === 'signOff') return 'signoff.inspect'
+  if (conflict.kind === 'dailyLog') return chosen ? 'dailyLog.submit' : 'history.delete'
+  return 'progress.edit'
+}
+
+// Inverter colour in test mode, derived from its string results; failed strings are red even on a ticked inverter
+function getTestStatusColors(isMarkedComplete, status, stage, blocked = false) {
+  const { passed = 0, failed = 0, total = 0 } = status || {}
+  if (failed > 0) {
+    return { complete: isMarkedComplete, fill: 'rgba(239, 68, 68, 0.6)', stroke: '#ef4444', text: '#991b1b' }
+  }
+  if (boxTested(isMarkedComplete, status)) {
+    return { complete: true, ...stageStyle(stage, 'done') }
+  }
+  return { complete: false, ...stageStyle(stage, progressStatus(passed, total, blocked)) }
+}
+
+// Legend for test mode, in the test stage's colours
+function testLegend(stage) {
+  const items = [
+    { label: 'Test Passed', ...stageStyle(stage, 'done') },
+    { label: 'Partially Passed', ...stageStyle(stage, 'partial') },
+    { label: 'String Failed', fill: 'rgba(239, 68, 68, 0.5)', stroke: '#ef4444' },
+    { label: 'Not Tested', ...stageStyle(stage, 'none') }
+  ]
+  if (stage.dependsOn.length > 0) items.push({ label: 'Waiting on earlier stage', ...stageStyle(stage, 'blocked') })
+  return items.map(({ label, fill, stroke }) => ({ label, fill, stroke }))
+}
+
 export default App
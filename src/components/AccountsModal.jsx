@@ -0,0 +1,255 @@
+import { useState } from 'react'
+import { ROLES, roleLabel } from '../utils/auth'
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '8px 10px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 8,
+  color: '#f8fafc',
+  fontSize: 13
+}
+
+const actionButtonStyle = {
+  padding: '6px 10px',
+  border: 'none',
+  borderRadius: 6,
+  fontSize: 12,
+  fontWeight: 600,
+  cursor: 'pointer'
+}
+
+/**
+ * Accounts Modal Component
+ * Shows who is signed in, with sign out and PIN change. QA accounts can
+ * also add accounts, change roles, reset PINs and remove accounts.
+ */
+export default function AccountsModal({
+  isOpen,
+  onClose,
+  auth
+}) {
+  const [draft, setDraft] = useState({ name: '', role: 'supervisor', pin: '' })
+  const [message, setMessage] = useState(null) // { text, error }
+
+  if (!isOpen || !auth.user) return null
+
+  const canManage = auth.can('users.manage')
+
+  const report = (problem, success) => {
+    setMessage(problem ? { text: problem, error: true } : { text: success, error: false })
+  }
+
+  const addAccount = async (e) => {
+    e.preventDefault()
+    const problem = await auth.createAccount(draft)
+    report(problem, `Added ${draft.name.trim()}`)
+    if (!problem) setDraft({ name: '', role: draft.role, pin: '' })
+  }
+
+  const resetPin = async (account) => {
+    const pin = prompt(`New PIN for ${account.name}:`)
+    if (pin === null) return
+    report(await auth.resetPin(account.id, pin), `PIN changed for ${account.name}`)
+  }
+
+  const removeAccount = (account) => {
+    if (!confirm(`Remove ${account.name}'s account? Their recorded changes are kept.`)) return
+    report(auth.removeAccount(account.id), `Removed ${account.name}`)
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 440,
+          maxWidth: 560,
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 20
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            👤 Accounts
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Signed in */}
+        <div style={{
+          background: 'rgba(59, 130, 246, 0.1)',
+          border: '1px solid rgba(59, 130, 246, 0.3)',
+          borderRadius: 10,
+          padding: 12,
+          marginBottom: 20,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 8
+        }}>
+          <div style={{ flex: 1 }}>
+            <div style={{ color: '#e5e7eb', fontSize: 14, fontWeight: 600 }}>{auth.user.name}</div>
+            <div style={{ color: '#9ca3af', fontSize: 12, marginTop: 2 }}>
+              {roleLabel(auth.user.role)} · {ROLES.find(r => r.key === auth.user.role)?.description}
+            </div>
+          </div>
+          <button
+            onClick={() => resetPin(auth.user)}
+            style={{ ...actionButtonStyle, background: 'rgba(255,255,255,0.1)', color: '#e5e7eb' }}
+          >
+            Change PIN
+          </button>
+          <button
+            onClick={auth.logout}
+            style={{ ...actionButtonStyle, background: 'linear-gradient(135deg, #f87171, #ef4444)', color: '#0b1220' }}
+          >
+            Sign Out
+          </button>
+        </div>
+
+        {message && (
+          <div style={{ color: message.error ? '#ef4444' : '#22c55e', fontSize: 12, marginBottom: 12 }}>
+            {message.text}
+          </div>
+        )}
+
+        {canManage && (
+          <>
+            {/* Accounts */}
+            <div style={{ color: '#f8fafc', fontSize: 14, fontWeight: 600, marginBottom: 10 }}>
+              Accounts on this device ({auth.accounts.length})
+            </div>
+            {auth.accounts.map(account => (
+              <div
+                key={account.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 8,
+                  padding: '8px 0',
+                  borderBottom: '1px solid rgba(255,255,255,0.05)'
+                }}
+              >
+                <div style={{ flex: 1, color: '#e5e7eb', fontSize: 13 }}>
+                  {account.name}
+                  {account.id === auth.user.id && <span style={{ color: '#6b7280' }}> (you)</span>}
+                </div>
+                <select
+                  value={account.role}
+                  onChange={(e) => report(auth.setAccountRole(account.id, e.target.value), `${account.name} is now ${roleLabel(e.target.value)}`)}
+                  style={{ ...inputStyle, flex: 'none', width: 120, padding: '4px 6px', fontSize: 12 }}
+                >
+                  {ROLES.map(role => <option key={role.key} value={role.key}>{role.label}</option>)}
+                </select>
+                <button
+                  onClick={() => resetPin(account)}
+                  style={{ ...actionButtonStyle, background: 'rgba(255,255,255,0.1)', color: '#e5e7eb' }}
+                >
+                  PIN
+                </button>
+                <button
+                  onClick={() => removeAccount(account)}
+                  disabled={account.id === auth.user.id}
+                  style={{ ...actionButtonStyle, background: 'transparent', color: '#ef4444' }}
+                >
+                  🗑️
+                </button>
+              </div>
+            ))}
+
+            {/* Add account */}
+            <form onSubmit={addAccount} style={{ display: 'flex', gap: 8, marginTop: 16 }}>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Name"
+                required
+                style={inputStyle}
+              />
+              <select
+                value={draft.role}
+                onChange={(e) => setDraft(prev => ({ ...prev, role: e.target.value }))}
+                style={{ ...inputStyle, flex: 'none', width: 110 }}
+              >
+                {ROLES.map(role => <option key={role.key} value={role.key}>{role.label}</option>)}
+              </select>
+              <input
+                type="password"
+                inputMode="numeric"
+                value={draft.pin}
+                onChange={(e) => setDraft(prev => ({ ...prev, pin: e.target.value }))}
+                placeholder="PIN"
+                required
+                style={{ ...inputStyle, flex: 'none', width: 80 }}
+              />
+              <button
+                type="submit"
+                style={{ ...actionButtonStyle, background: 'linear-gradient(135deg, #22c55e, #16a34a)', color: '#0b1220' }}
+              >
+                Add
+              </button>
+            </form>
+          </>
+        )}
+
+        <div style={{ color: '#6b7280', fontSize: 11, marginTop: 16, lineHeight: 1.5 }}>
+          Accounts are kept on this device. Viewers see read-only maps; supervisors mark progress
+          and submit daily work; only QA can pass tests and delete history.
+        </div>
+      </div>
+    </div>
+  )
+}
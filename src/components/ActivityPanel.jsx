@@ -0,0 +1,166 @@
+import { useState, useMemo } from 'react'
+import { describeEvent, formatEventValue, sourceLabel, toLocalDate } from '../utils/events'
+
+const PAGE_SIZE = 100
+
+const filterStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '6px 8px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 6,
+  color: '#f8fafc',
+  fontSize: 12
+}
+
+/**
+ * Activity Panel Component
+ * Timeline of every logged change (who, when, before -> after),
+ * filterable by inverter, user and date
+ */
+export default function ActivityPanel({
+  isOpen,
+  onClose,
+  events
+}) {
+  const [inverterFilter, setInverterFilter] = useState('')
+  const [userFilter, setUserFilter] = useState('')
+  const [dateFilter, setDateFilter] = useState('')
+  const [limit, setLimit] = useState(PAGE_SIZE)
+
+  const { inverters, users } = useMemo(() => {
+    const inverterSet = new Set()
+    const userSet = new Set()
+    events.forEach(event => {
+      if (event.inverterId) inverterSet.add(event.inverterId)
+      if (event.user) userSet.add(event.user)
+    })
+    return {
+      inverters: Array.from(inverterSet).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+      users: Array.from(userSet).sort()
+    }
+  }, [events])
+
+  const filtered = useMemo(() => {
+    return events
+      .filter(event =>
+        (!inverterFilter || event.inverterId === inverterFilter) &&
+        (!userFilter || event.user === userFilter) &&
+        (!dateFilter || toLocalDate(event.at) === dateFilter)
+      )
+      .reverse()
+  }, [events, inverterFilter, userFilter, dateFilter])
+
+  if (!isOpen) return null
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 80,
+      left: 20,
+      bottom: 20,
+      width: 360,
+      background: 'rgba(15, 23, 42, 0.97)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: 10,
+      boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+      fontFamily: 'Arial, sans-serif',
+      color: '#e5e7eb',
+      zIndex: 1050,
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '12px 16px 8px'
+      }}>
+        <div style={{ fontWeight: 700, fontSize: 14, color: '#fff' }}>
+          🕓 Activity ({filtered.length})
+        </div>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            color: '#9ca3af',
+            fontSize: 20,
+            cursor: 'pointer'
+          }}
+        >
+          ×
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div style={{ display: 'flex', gap: 6, padding: '0 16px 10px' }}>
+        <select value={inverterFilter} onChange={(e) => setInverterFilter(e.target.value)} style={filterStyle}>
+          <option value="">All inverters</option>
+          {inverters.map(id => <option key={id} value={id}>{id}</option>)}
+        </select>
+        <select value={userFilter} onChange={(e) => setUserFilter(e.target.value)} style={filterStyle}>
+          <option value="">All users</option>
+          {users.map(user => <option key={user} value={user}>{user}</option>)}
+        </select>
+        <input type="date" value={dateFilter} onChange={(e) => setDateFilter(e.target.value)} style={filterStyle} />
+      </div>
+
+      {/* Timeline */}
+      <div style={{ flex: 1, overflowY: 'auto', borderTop: '1px solid rgba(255,255,255,0.08)' }}>
+        {filtered.length === 0 ? (
+          <div style={{ padding: 30, textAlign: 'center', color: '#6b7280', fontSize: 13 }}>
+            No activity recorded
+          </div>
+        ) : (
+          filtered.slice(0, limit).map(event => (
+            <div
+              key={event.id}
+              style={{
+                padding: '8px 16px',
+                borderBottom: '1px solid rgba(255,255,255,0.05)',
+                fontSize: 12
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', color: '#9ca3af', fontSize: 11 }}>
+                <span>{new Date(event.at).toLocaleString()}</span>
+                <span>{event.user}</span>
+              </div>
+              <div style={{ marginTop: 2, color: '#f8fafc', fontWeight: 600 }}>
+                {describeEvent(event)}
+                <span style={{ color: '#60a5fa', fontWeight: 400 }}> {event.itemId}</span>
+              </div>
+              <div style={{ marginTop: 2, color: '#9ca3af' }}>
+                <span style={{ color: '#f87171' }}>{formatEventValue(event.kind, event.before)}</span>
+                {' → '}
+                <span style={{ color: '#4ade80' }}>{formatEventValue(event.kind, event.after)}</span>
+              </div>
+              {event.source && (
+                <div style={{ marginTop: 2, color: '#6b7280', fontSize: 10 }}>
+                  via {sourceLabel(event.source)}
+                </div>
+              )}
+            </div>
+          ))
+        )}
+        {filtered.length > limit && (
+          <button
+            onClick={() => setLimit(l => l + PAGE_SIZE)}
+            style={{
+              width: '100%',
+              padding: 10,
+              background: 'transparent',
+              border: 'none',
+              color: '#3b82f6',
+              cursor: 'pointer',
+              fontSize: 12
+            }}
+          >
+            Show more
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
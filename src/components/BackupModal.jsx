@@ -0,0 +1,281 @@
+import { useState, useMemo } from 'react'
+import { validateBundle, diffSlices } from '../utils/bundle'
+
+const actionButtonStyle = {
+  flex: 1,
+  padding: '10px 12px',
+  border: 'none',
+  borderRadius: 8,
+  fontSize: 13,
+  fontWeight: 600,
+  cursor: 'pointer',
+  transition: 'all 0.15s'
+}
+
+/**
+ * Backup Modal Component
+ * Exports the open project as a single JSON bundle and restores bundles
+ * with a validation step and a diff preview before merging or replacing.
+ * Restore is hidden when onImport is not provided.
+ */
+export default function BackupModal({
+  isOpen,
+  onClose,
+  projectName,
+  currentSlices,
+  onExport,
+  onImport
+}) {
+  const [bundle, setBundle] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [errors, setErrors] = useState([])
+  const [busy, setBusy] = useState(false)
+
+  const diff = useMemo(
+    () => (bundle && currentSlices ? diffSlices(currentSlices, bundle.slices) : []),
+    [bundle, currentSlices]
+  )
+
+  if (!isOpen) return null
+
+  const reset = () => {
+    setBundle(null)
+    setFileName('')
+    setErrors([])
+  }
+
+  const handleClose = () => {
+    reset()
+    onClose()
+  }
+
+  const handleFile = async (file) => {
+    reset()
+    if (!file) return
+    setFileName(file.name)
+    let parsed
+    try {
+      parsed = JSON.parse(await file.text())
+    } catch {
+      setErrors([`${file.name} is not valid JSON`])
+      return
+    }
+    const problems = validateBundle(parsed)
+    if (problems.length > 0) {
+      setErrors(problems)
+      return
+    }
+    setBundle(parsed)
+  }
+
+  const apply = async (mode) => {
+    if (mode === 'replace' && !confirm(`Replace all data in "${projectName}" with this backup? This cannot be undone.`)) return
+    setBusy(true)
+    try {
+      await onImport(bundle, mode)
+      handleClose()
+    } catch (e) {
+      setErrors([`Import failed: ${e.message}`])
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      handleClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 480,
+          maxWidth: 600,
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 20
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            💾 Backup & Restore
+          </h2>
+          <button
+            onClick={handleClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Export */}
+        <div style={{
+          background: 'rgba(59, 130, 246, 0.1)',
+          border: '1px solid rgba(59, 130, 246, 0.3)',
+          borderRadius: 10,
+          padding: 12,
+          marginBottom: 20,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 12
+        }}>
+          <div style={{ flex: 1 }}>
+            <div style={{ color: '#e5e7eb', fontSize: 14, fontWeight: 600 }}>{projectName}</div>
+            <div style={{ color: '#9ca3af', fontSize: 12, marginTop: 2 }}>
+              Layers, test results, terminations, notes with photos, daily log and settings
+            </div>
+          </div>
+          <button
+            onClick={onExport}
+            style={{ ...actionButtonStyle, flex: 'none', background: 'linear-gradient(135deg, #3b82f6, #2563eb)', color: '#fff' }}
+          >
+            Download Backup
+          </button>
+        </div>
+
+        {/* Import */}
+        {onImport && (
+          <>
+            <label style={{ display: 'block', color: '#9ca3af', fontSize: 13, marginBottom: 6 }}>
+              Restore from backup file
+            </label>
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                handleFile(e.target.files[0])
+                e.target.value = ''
+              }}
+              style={{ color: '#e5e7eb', fontSize: 13, marginBottom: 12 }}
+            />
+
+            {errors.map(error => (
+              <div key={error} style={{ color: '#ef4444', fontSize: 12, marginBottom: 6 }}>
+                {error}
+              </div>
+            ))}
+
+            {bundle && (
+              <>
+                <div style={{ color: '#e5e7eb', fontSize: 13, margin: '8px 0 12px' }}>
+                  <strong>{bundle.project.name}</strong>
+                  <span style={{ color: '#6b7280' }}>
+                    {' '}· {fileName} · exported {new Date(bundle.exportedAt).toLocaleString()}
+                  </span>
+                </div>
+
+                {/* Diff Preview */}
+                <div style={{
+                  borderRadius: 8,
+                  border: '1px solid rgba(255,255,255,0.1)',
+                  marginBottom: 16
+                }}>
+                  {diff.length === 0 ? (
+                    <div style={{ padding: 16, textAlign: 'center', color: '#6b7280', fontSize: 13 }}>
+                      Tracker data is identical to the open project
+                    </div>
+                  ) : (
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+                      <thead>
+                        <tr style={{ background: 'rgba(255,255,255,0.05)' }}>
+                          <th style={{ padding: '8px 10px', textAlign: 'left', color: '#9ca3af', fontWeight: 500 }}>Data</th>
+                          <th style={{ padding: '8px 10px', textAlign: 'center', color: '#9ca3af', fontWeight: 500 }}>Current</th>
+                          <th style={{ padding: '8px 10px', textAlign: 'center', color: '#9ca3af', fontWeight: 500 }}>Backup</th>
+                          <th style={{ padding: '8px 10px', textAlign: 'center', color: '#22c55e', fontWeight: 500 }}>New</th>
+                          <th style={{ padding: '8px 10px', textAlign: 'center', color: '#f59e0b', fontWeight: 500 }}>Changed</th>
+                          <th style={{ padding: '8px 10px', textAlign: 'center', color: '#ef4444', fontWeight: 500 }}>Only local</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {diff.map(row => (
+                          <tr key={row.name} style={{ borderBottom: '1px solid rgba(255,255,255,0.05)' }}>
+                            <td style={{ padding: '8px 10px', color: '#e5e7eb' }}>{row.label}</td>
+                            <td style={{ padding: '8px 10px', textAlign: 'center', color: '#9ca3af' }}>{row.current}</td>
+                            <td style={{ padding: '8px 10px', textAlign: 'center', color: '#9ca3af' }}>{row.incoming}</td>
+                            <td style={{ padding: '8px 10px', textAlign: 'center', color: '#22c55e' }}>{row.added}</td>
+                            <td style={{ padding: '8px 10px', textAlign: 'center', color: '#f59e0b' }}>{row.changed}</td>
+                            <td style={{ padding: '8px 10px', textAlign: 'center', color: '#ef4444' }}>{row.removed}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+
+                <div style={{ color: '#6b7280', fontSize: 11, marginBottom: 12, lineHeight: 1.5 }}>
+                  Merge adds new items and keeps the newest of changed ones; local-only items stay.
+                  Replace swaps this project's layers, settings and data for the backup.
+                </div>
+
+                <div style={{ display: 'flex', gap: 10 }}>
+                  <button
+                    disabled={busy}
+                    onClick={() => apply('merge')}
+                    style={{ ...actionButtonStyle, background: 'linear-gradient(135deg, #22c55e, #16a34a)', color: '#0b1220' }}
+                  >
+                    Merge
+                  </button>
+                  <button
+                    disabled={busy}
+                    onClick={() => apply('replace')}
+                    style={{ ...actionButtonStyle, background: 'linear-gradient(135deg, #f87171, #ef4444)', color: '#0b1220' }}
+                  >
+                    Replace
+                  </button>
+                  <button
+                    disabled={busy}
+                    onClick={() => apply('new')}
+                    style={{ ...actionButtonStyle, background: 'rgba(255,255,255,0.1)', color: '#e5e7eb' }}
+                  >
+                    Import as New Project
+                  </button>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
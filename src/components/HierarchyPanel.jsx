@@ -0,0 +1,203 @@
+import { useState } from 'react'
+import { completion, completionColor } from '../utils/hierarchy'
+
+const toggleStyle = {
+  width: 18,
+  flex: 'none',
+  padding: 0,
+  background: 'transparent',
+  border: 'none',
+  color: '#9ca3af',
+  fontSize: 10,
+  cursor: 'pointer'
+}
+
+const RESULT_STYLES = {
+  pass: { text: '✓ Pass', color: '#22c55e' },
+  fail: { text: '✗ Fail', color: '#ef4444' }
+}
+
+/**
+ * Progress bar with a done / total count, coloured like the TX outlines
+ */
+function ProgressBar({ label, share, text, failed = 0 }) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 10, color: '#9ca3af' }}>
+      <span style={{ width: 30, flex: 'none' }}>{label}</span>
+      <div style={{ flex: 1, height: 6, background: 'rgba(255,255,255,0.08)', borderRadius: 3, overflow: 'hidden' }}>
+        <div style={{
+          width: `${Math.round((share || 0) * 100)}%`,
+          height: '100%',
+          background: completionColor(share)
+        }} />
+      </div>
+      <span style={{ width: 64, flex: 'none', textAlign: 'right' }}>
+        {text}
+        {failed > 0 && <span style={{ color: '#ef4444' }}> ✗{failed}</span>}
+      </span>
+    </div>
+  )
+}
+
+/**
+ * Test and termination bars for a TX or inverter node
+ */
+function NodeBars({ node }) {
+  const { test, termination } = node
+  const testText = test.boxes > 0 ? `${test.complete}/${test.boxes}` : `${test.passed}/${test.total}`
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 3, marginTop: 4 }}>
+      <ProgressBar label="Test" share={completion(node, 'test')} text={testText} failed={test.failed} />
+      <ProgressBar label="Term" share={completion(node, 'termination')} text={`${termination.done}/${termination.total}`} />
+    </div>
+  )
+}
+
+/**
+ * Hierarchy Panel Component
+ * TX → inverter → string tree with test and termination progress per node.
+ * Clicking a node zooms the map to it.
+ */
+export default function HierarchyPanel({
+  isOpen,
+  onClose,
+  tree,
+  onZoom
+}) {
+  const [expanded, setExpanded] = useState(() => new Set())
+
+  if (!isOpen) return null
+
+  const toggle = (id) => {
+    setExpanded(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  const nodeName = (node, icon) => (
+    <span
+      onClick={() => onZoom(node)}
+      title="Zoom to"
+      style={{ flex: 1, minWidth: 0, color: '#f8fafc', cursor: 'pointer', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+    >
+      {icon} {node.id}
+    </span>
+  )
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 80,
+      left: 20,
+      bottom: 20,
+      width: 340,
+      background: 'rgba(15, 23, 42, 0.97)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: 10,
+      boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+      fontFamily: 'Arial, sans-serif',
+      color: '#e5e7eb',
+      zIndex: 1050,
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '12px 16px',
+        borderBottom: '1px solid rgba(255,255,255,0.08)'
+      }}>
+        <span style={{ fontSize: 14, fontWeight: 600, color: '#f8fafc' }}>🌳 TX / Inverter Progress</span>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            color: '#9ca3af',
+            fontSize: 20,
+            cursor: 'pointer'
+          }}
+        >
+          ×
+        </button>
+      </div>
+
+      <div style={{ overflowY: 'auto', flex: 1 }}>
+        {tree.length === 0 && (
+          <div style={{ padding: 20, textAlign: 'center', color: '#6b7280', fontSize: 13 }}>
+            No inverters found in this project
+          </div>
+        )}
+        {tree.map(tx => (
+          <div key={tx.id} style={{ borderBottom: '1px solid rgba(255,255,255,0.05)' }}>
+            <div style={{ padding: '10px 16px 10px 8px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13, fontWeight: 600 }}>
+                <button onClick={() => toggle(tx.id)} style={toggleStyle}>{expanded.has(tx.id) ? '▼' : '▶'}</button>
+                {nodeName(tx, '🔋')}
+                <span style={{ color: '#6b7280', fontSize: 11, fontWeight: 400 }}>
+                  {tx.children.length} inverter{tx.children.length === 1 ? '' : 's'}
+                </span>
+              </div>
+              <div style={{ paddingLeft: 22 }}><NodeBars node={tx} /></div>
+            </div>
+
+            {expanded.has(tx.id) && tx.children.map(inverter => (
+              <div key={inverter.id}>
+                <div style={{ padding: '6px 16px 8px 26px', background: 'rgba(255,255,255,0.02)' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 12 }}>
+                    <button
+                      onClick={() => toggle(inverter.id)}
+                      disabled={inverter.children.length === 0}
+                      style={{ ...toggleStyle, opacity: inverter.children.length === 0 ? 0.3 : 1 }}
+                    >
+                      {expanded.has(inverter.id) ? '▼' : '▶'}
+                    </button>
+                    {nodeName(inverter, '⚡')}
+                    {inverter.test.boxes > 0 && (
+                      <span style={{ color: inverter.test.complete === inverter.test.boxes ? '#22c55e' : '#6b7280', fontSize: 11 }}>
+                        {inverter.test.complete === inverter.test.boxes ? '✓ tested' : 'not tested'}
+                      </span>
+                    )}
+                  </div>
+                  <div style={{ paddingLeft: 22 }}><NodeBars node={inverter} /></div>
+                </div>
+
+                {expanded.has(inverter.id) && inverter.children.map(string => (
+                  <div
+                    key={string.id}
+                    onClick={() => onZoom(string)}
+                    title="Zoom to"
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: 8,
+                      padding: '4px 16px 4px 66px',
+                      fontSize: 11,
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <span style={{ flex: 1, color: '#e5e7eb' }}>🔌 {string.id}</span>
+                    <span style={{ color: RESULT_STYLES[string.result]?.color || '#6b7280' }}>
+                      {RESULT_STYLES[string.result]?.text || 'Untested'}
+                    </span>
+                    <span style={{ color: string.terminated ? '#22c55e' : '#6b7280', width: 70, textAlign: 'right' }}>
+                      {string.terminated ? 'Terminated' : 'Open'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ padding: '8px 16px 10px', color: '#6b7280', fontSize: 10 }}>
+        Click a name to zoom to it · outlines on the map show each TX's progress
+      </div>
+    </div>
+  )
+}
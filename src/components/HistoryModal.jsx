@@ -3,11 +3,13 @@ import { useState } from 'react'
 /**
  * History Modal Component
  * Shows submission history from daily log
+ * planStatus(record) compares a record with the schedule baseline (see utils/schedule)
  */
 export default function HistoryModal({ 
   isOpen, 
   onClose, 
   dailyLog,
+  planStatus = () => null,
   onDeleteRecord 
 }) {
   const [sortBy, setSortBy] = useState('date')
@@ -34,6 +36,13 @@ export default function HistoryModal({
     workers: acc.workers + (record.workers || 0)
   }), { panels: 0, workers: 0 })
 
+  // Days whose cumulative progress fell behind the baseline
+  const statuses = new Map(dailyLog.map(record => [record, planStatus(record)]))
+  const showPlan = Array.from(statuses.values()).some(Boolean)
+  const behindDays = new Set(dailyLog
+    .filter(record => statuses.get(record)?.variance < 0)
+    .map(record => `${record.date}|${record.mode || 'test'}`)).size
+
   const handleBackdropClick = (e) => {
     if (e.target === e.currentTarget) {
       onClose()
@@ -157,6 +166,20 @@ export default function HistoryModal({
           </div>
         </div>
 
+        {behindDays > 0 && (
+          <div style={{
+            background: 'rgba(239, 68, 68, 0.1)',
+            border: '1px solid rgba(239, 68, 68, 0.3)',
+            borderRadius: 8,
+            padding: '8px 12px',
+            color: '#f87171',
+            fontSize: 12,
+            marginBottom: 12
+          }}>
+            ⚠ {behindDays} day{behindDays === 1 ? '' : 's'} behind plan
+          </div>
+        )}
+
         {/* Sort Controls */}
         <div style={{ 
           display: 'flex', 
@@ -224,6 +247,7 @@ export default function HistoryModal({
                   <th style={{ padding: '10px 12px', textAlign: 'center', color: '#9ca3af', fontWeight: 500 }}>Boxes</th>
                   <th style={{ padding: '10px 12px', textAlign: 'center', color: '#9ca3af', fontWeight: 500 }}>Workers</th>
                   <th style={{ padding: '10px 12px', textAlign: 'left', color: '#9ca3af', fontWeight: 500 }}>Subcontractor</th>
+                  {showPlan && <th style={{ padding: '10px 12px', textAlign: 'left', color: '#9ca3af', fontWeight: 500 }}>Vs Plan</th>}
                   <th style={{ padding: '10px 12px', textAlign: 'center', color: '#9ca3af', fontWeight: 500 }}></th>
                 </tr>
               </thead>
@@ -248,6 +272,11 @@ export default function HistoryModal({
                     <td style={{ padding: '10px 12px', color: '#9ca3af' }}>
                       {record.subcontractor || '-'}
                     </td>
+                    {showPlan && (
+                      <td style={{ padding: '10px 12px' }}>
+                        <PlanBadges record={record} status={statuses.get(record)} />
+                      </td>
+                    )}
                     <td style={{ padding: '10px 12px', textAlign: 'center' }}>
                       {onDeleteRecord && (
                         <button
@@ -294,3 +323,37 @@ export default function HistoryModal({
     </div>
   )
 }
+
+/**
+ * Cumulative variance against plan on the record's day, and its subcontractor's daily target
+ */
+function PlanBadges({ record, status }) {
+  if (!status) return null
+  const { variance, target } = status
+  const badge = (color, text, title) => (
+    <span
+      title={title}
+      style={{
+        display: 'inline-block',
+        marginRight: 4,
+        padding: '2px 6px',
+        borderRadius: 4,
+        fontSize: 11,
+        fontWeight: 600,
+        color,
+        background: 'rgba(255,255,255,0.06)'
+      }}
+    >
+      {text}
+    </span>
+  )
+  return (
+    <>
+      {variance !== null && (variance < 0
+        ? badge('#f87171', `▼ ${-variance} behind`, 'Cumulative progress behind the baseline on this day')
+        : badge('#22c55e', variance > 0 ? `▲ ${variance} ahead` : 'On plan', 'Cumulative progress against the baseline on this day'))}
+      {target !== null && record.installed_panels < target &&
+        badge('#f59e0b', `${record.installed_panels}/${target} target`, 'Below the subcontractor\'s daily target')}
+    </>
+  )
+}
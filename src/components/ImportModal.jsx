@@ -0,0 +1,373 @@
+import { useState, useMemo } from 'react'
+import { IMPORT_TARGETS, importTarget, readSheetFile, guessMapping, previewImport } from '../utils/importSheet'
+
+const labelStyle = {
+  display: 'block',
+  color: '#9ca3af',
+  fontSize: 13,
+  marginBottom: 6
+}
+
+const selectStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  background: '#111827',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 6,
+  color: '#f8fafc',
+  fontSize: 12
+}
+
+const optionButtonStyle = (active) => ({
+  flex: 1,
+  padding: '8px 10px',
+  background: active ? 'rgba(59, 130, 246, 0.25)' : 'rgba(255,255,255,0.05)',
+  border: `1px solid ${active ? 'rgba(59, 130, 246, 0.6)' : 'rgba(255,255,255,0.15)'}`,
+  borderRadius: 8,
+  color: active ? '#f8fafc' : '#9ca3af',
+  fontSize: 12,
+  fontWeight: 600,
+  cursor: 'pointer'
+})
+
+const STATUS_STYLES = {
+  matched: { icon: '✓', color: '#22c55e' },
+  unmatched: { icon: '✗', color: '#ef4444' },
+  invalid: { icon: '⚠', color: '#f59e0b' }
+}
+
+/**
+ * Import Modal Component
+ * Wizard for subcontractor spreadsheets: pick an xlsx/csv file and sheet,
+ * map its columns to test results, terminations or the daily log, preview
+ * which rows match the site's IDs, then apply the matched rows.
+ * onApply(targetKey, rows, { mode }) applies and returns a summary message;
+ * mode is the workflow stage daily log rows report (see scheduleModes in utils/schedule).
+ */
+export default function ImportModal({
+  isOpen,
+  onClose,
+  lookup,
+  blockersOf,
+  isTerminated,
+  canImport,
+  modes,
+  defaultMode,
+  onApply
+}) {
+  const [fileName, setFileName] = useState('')
+  const [sheets, setSheets] = useState(null)
+  const [sheetIndex, setSheetIndex] = useState(0)
+  const [targetKey, setTargetKey] = useState('test')
+  const [mapping, setMapping] = useState({})
+  const [chosenMode, setMode] = useState(null) // null follows defaultMode
+  const [filter, setFilter] = useState('all')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState('')
+
+  const mode = chosenMode || defaultMode
+  const sheet = sheets?.[sheetIndex]
+  const headers = sheet?.rows[0]?.cells || []
+
+  const preview = useMemo(() => {
+    if (!sheet) return []
+    return previewImport(sheet.rows.slice(1), mapping, targetKey, lookup, blockersOf, isTerminated)
+  }, [sheet, mapping, targetKey, lookup, blockersOf, isTerminated])
+
+  if (!isOpen) return null
+
+  const target = importTarget(targetKey)
+  const missingFields = target.fields.filter(field => field.required && (mapping[field.key] ?? null) === null)
+  const counts = { matched: 0, unmatched: 0, invalid: 0 }
+  preview.forEach(row => { counts[row.status]++ })
+  const shownRows = preview.filter(row => filter === 'all' || row.status === filter).slice(0, MAX_PREVIEW_ROWS)
+
+  const reset = () => {
+    setFileName('')
+    setSheets(null)
+    setSheetIndex(0)
+    setMapping({})
+    setMode(null)
+    setFilter('all')
+    setError('')
+    setResult('')
+  }
+
+  const handleClose = () => {
+    reset()
+    onClose()
+  }
+
+  const chooseTarget = (key, rows = sheet?.rows) => {
+    setTargetKey(key)
+    setMapping(guessMapping(rows?.[0]?.cells || [], key))
+    setResult('')
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setError('')
+    setResult('')
+    setLoading(true)
+    try {
+      const read = await readSheetFile(file)
+      if (!read.some(s => s.rows.length > 1)) throw new Error('No data rows found under a header row')
+      const first = Math.max(0, read.findIndex(s => s.rows.length > 1))
+      setFileName(file.name)
+      setSheets(read)
+      setSheetIndex(first)
+      chooseTarget(targetKey, read[first].rows)
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleApply = () => {
+    const rows = preview.filter(row => row.status === 'matched')
+    setResult(onApply(targetKey, rows, { mode }) || '')
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      handleClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          width: 640,
+          maxWidth: '95vw',
+          maxHeight: '88vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 20
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            📥 Import Spreadsheet
+          </h2>
+          <button
+            onClick={handleClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* 1. File and sheet */}
+        <div style={{ marginBottom: 16 }}>
+          <label style={labelStyle}>Excel (.xlsx) or CSV file - the first row must hold the column names</label>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <label style={{ ...optionButtonStyle(false), flex: 'none', display: 'inline-block' }}>
+              {loading ? 'Reading…' : 'Choose file'}
+              <input type="file" accept=".xlsx,.csv,.txt" onChange={handleFile} style={{ display: 'none' }} />
+            </label>
+            <span style={{ color: '#e5e7eb', fontSize: 13 }}>{fileName}</span>
+            {sheets && sheets.length > 1 && (
+              <select
+                value={sheetIndex}
+                onChange={(e) => {
+                  const index = Number(e.target.value)
+                  setSheetIndex(index)
+                  chooseTarget(targetKey, sheets[index].rows)
+                }}
+                style={{ ...selectStyle, width: 'auto', marginLeft: 'auto' }}
+              >
+                {sheets.map((s, i) => <option key={s.name} value={i}>{s.name} ({Math.max(0, s.rows.length - 1)} rows)</option>)}
+              </select>
+            )}
+          </div>
+        </div>
+
+        {error && (
+          <div style={{ color: '#ef4444', fontSize: 12, marginBottom: 12 }}>{error}</div>
+        )}
+
+        {sheet && (
+          <>
+            {/* 2. What the sheet updates */}
+            <div style={{ marginBottom: 12 }}>
+              <label style={labelStyle}>Apply to</label>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {IMPORT_TARGETS.map(t => (
+                  <button
+                    key={t.key}
+                    onClick={() => chooseTarget(t.key)}
+                    disabled={!canImport(t.key)}
+                    title={canImport(t.key) ? t.description : 'Your role cannot change this'}
+                    style={{ ...optionButtonStyle(targetKey === t.key), opacity: canImport(t.key) ? 1 : 0.4 }}
+                  >
+                    {t.label}
+                  </button>
+                ))}
+              </div>
+              <div style={{ color: '#6b7280', fontSize: 11, marginTop: 6 }}>{target.description}</div>
+            </div>
+
+            {/* 3. Column mapping */}
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: '1fr 1fr',
+              gap: '8px 12px',
+              marginBottom: 16
+            }}>
+              {target.fields.map(field => (
+                <div key={field.key}>
+                  <label style={{ ...labelStyle, fontSize: 11, marginBottom: 3 }}>
+                    {field.label}{field.required && ' *'}
+                  </label>
+                  <select
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => {
+                      setMapping(prev => ({ ...prev, [field.key]: e.target.value === '' ? null : Number(e.target.value) }))
+                      setResult('')
+                    }}
+                    style={selectStyle}
+                  >
+                    <option value="">- not in sheet -</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+              {targetKey === 'dailyLog' && (
+                <div>
+                  <label style={{ ...labelStyle, fontSize: 11, marginBottom: 3 }}>Work type</label>
+                  <select value={mode} onChange={(e) => setMode(e.target.value)} style={selectStyle}>
+                    {modes.map(option => (
+                      <option key={option.key} value={option.key}>{option.label} ({option.unit})</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            {/* 4. Preview */}
+            {missingFields.length > 0 ? (
+              <div style={{ color: '#f59e0b', fontSize: 12, marginBottom: 16 }}>
+                Choose a column for {missingFields.map(field => field.label).join(', ')}
+              </div>
+            ) : (
+              <>
+                <div style={{ display: 'flex', gap: 6, marginBottom: 8 }}>
+                  {[['all', `All ${preview.length}`], ['matched', `✓ ${counts.matched} matched`],
+                    ['unmatched', `✗ ${counts.unmatched} unknown ID`], ['invalid', `⚠ ${counts.invalid} invalid`]].map(([key, label]) => (
+                    <button key={key} onClick={() => setFilter(key)} style={optionButtonStyle(filter === key)}>
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div style={{
+                  maxHeight: 240,
+                  overflowY: 'auto',
+                  border: '1px solid rgba(255,255,255,0.1)',
+                  borderRadius: 8,
+                  marginBottom: 16
+                }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12, color: '#e5e7eb' }}>
+                    <thead>
+                      <tr style={{ background: 'rgba(255,255,255,0.05)', color: '#9ca3af', textAlign: 'left' }}>
+                        <th style={{ padding: '6px 8px' }}>Row</th>
+                        <th style={{ padding: '6px 8px' }}>{targetKey === 'dailyLog' ? 'Date' : 'ID in sheet'}</th>
+                        <th style={{ padding: '6px 8px' }}>Matches</th>
+                        <th style={{ padding: '6px 8px' }}>Note</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {shownRows.map(row => (
+                        <tr key={row.number} style={{ borderTop: '1px solid rgba(255,255,255,0.05)' }}>
+                          <td style={{ padding: '4px 8px', color: '#6b7280' }}>{row.number}</td>
+                          <td style={{ padding: '4px 8px' }}>{row.source}</td>
+                          <td style={{ padding: '4px 8px', color: STATUS_STYLES[row.status].color }}>
+                            {STATUS_STYLES[row.status].icon} {row.match ? `${row.match.kind === 'string' ? 'String' : 'Inverter'} ${row.match.id}` : ''}
+                          </td>
+                          <td style={{ padding: '4px 8px', color: '#9ca3af' }}>{row.message}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {shownRows.length === 0 && (
+                    <div style={{ padding: 12, color: '#6b7280', fontSize: 12, textAlign: 'center' }}>No rows</div>
+                  )}
+                </div>
+              </>
+            )}
+
+            {result && (
+              <div style={{ color: '#22c55e', fontSize: 12, marginBottom: 12 }}>{result}</div>
+            )}
+
+            <button
+              onClick={handleApply}
+              disabled={missingFields.length > 0 || counts.matched === 0 || !canImport(targetKey) || Boolean(result)}
+              style={{
+                width: '100%',
+                padding: '12px 20px',
+                background: 'linear-gradient(135deg, #22c55e, #16a34a)',
+                border: 'none',
+                borderRadius: 8,
+                color: '#0b1220',
+                fontSize: 14,
+                fontWeight: 600,
+                cursor: 'pointer',
+                opacity: missingFields.length > 0 || counts.matched === 0 || result ? 0.6 : 1
+              }}
+            >
+              Apply {counts.matched} matched row{counts.matched === 1 ? '' : 's'} to {target.label.toLowerCase()}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Rows listed in the preview table; the counts always cover the whole sheet
+const MAX_PREVIEW_ROWS = 300
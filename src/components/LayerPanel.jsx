@@ -0,0 +1,235 @@
+import { MAP_LAYERS, defaultLayerSettings, moveLayer } from '../utils/mapLayers'
+import { TABLE_COLOR_MODES } from '../utils/tableStatus'
+
+const smallButtonStyle = {
+  width: 22,
+  height: 22,
+  padding: 0,
+  background: 'rgba(255,255,255,0.08)',
+  border: 'none',
+  borderRadius: 4,
+  color: '#e5e7eb',
+  fontSize: 10,
+  cursor: 'pointer'
+}
+
+const colorInputStyle = {
+  width: 28,
+  height: 20,
+  padding: 0,
+  background: 'transparent',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 4,
+  cursor: 'pointer'
+}
+
+/**
+ * Layer Panel Component
+ * Shows, hides, restyles and reorders the map layers. The top row is drawn
+ * last (on top). Settings are saved with the project.
+ */
+export default function LayerPanel({
+  isOpen,
+  onClose,
+  settings,
+  onChange
+}) {
+  if (!isOpen) return null
+
+  const updateLayer = (key, changes) => {
+    onChange({
+      ...settings,
+      layers: { ...settings.layers, [key]: { ...settings.layers[key], ...changes } }
+    })
+  }
+
+  // Listed top-most first, the way it appears on the map
+  const rows = [...settings.order].reverse()
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 80,
+      left: 20,
+      width: 320,
+      maxHeight: 'calc(100vh - 100px)',
+      background: 'rgba(15, 23, 42, 0.97)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: 10,
+      boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+      fontFamily: 'Arial, sans-serif',
+      color: '#e5e7eb',
+      zIndex: 1050,
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '12px 16px',
+        borderBottom: '1px solid rgba(255,255,255,0.08)'
+      }}>
+        <span style={{ fontSize: 14, fontWeight: 600, color: '#f8fafc' }}>🗂️ Map Layers</span>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            color: '#9ca3af',
+            fontSize: 20,
+            cursor: 'pointer'
+          }}
+        >
+          ×
+        </button>
+      </div>
+
+      <div style={{ overflowY: 'auto' }}>
+        {rows.map((key, index) => {
+          const layer = MAP_LAYERS.find(l => l.key === key)
+          const style = settings.layers[key]
+
+          return (
+            <div
+              key={key}
+              style={{
+                padding: '10px 16px',
+                borderBottom: '1px solid rgba(255,255,255,0.05)',
+                opacity: style.visible ? 1 : 0.5
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <input
+                  type="checkbox"
+                  checked={style.visible}
+                  onChange={(e) => updateLayer(key, { visible: e.target.checked })}
+                  title={style.visible ? 'Hide layer' : 'Show layer'}
+                />
+                <span style={{ flex: 1, fontSize: 13, color: '#f8fafc' }}>{layer.label}</span>
+                <button
+                  onClick={() => onChange(moveLayer(settings, key, 1))}
+                  disabled={index === 0}
+                  title="Draw above"
+                  style={{ ...smallButtonStyle, opacity: index === 0 ? 0.3 : 1 }}
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => onChange(moveLayer(settings, key, -1))}
+                  disabled={index === rows.length - 1}
+                  title="Draw below"
+                  style={{ ...smallButtonStyle, opacity: index === rows.length - 1 ? 0.3 : 1 }}
+                >
+                  ▼
+                </button>
+              </div>
+
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                gap: 10,
+                marginTop: 6,
+                paddingLeft: 24,
+                color: '#9ca3af',
+                fontSize: 11
+              }}>
+                {style.stroke !== undefined && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                    Stroke
+                    <input
+                      type="color"
+                      value={style.stroke}
+                      onChange={(e) => updateLayer(key, { stroke: e.target.value })}
+                      style={colorInputStyle}
+                    />
+                  </label>
+                )}
+                {style.fill !== undefined && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                    Fill
+                    <input
+                      type="color"
+                      value={style.fill}
+                      onChange={(e) => updateLayer(key, { fill: e.target.value })}
+                      style={colorInputStyle}
+                    />
+                  </label>
+                )}
+                {style.labels !== undefined && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                    <input
+                      type="checkbox"
+                      checked={style.labels}
+                      onChange={(e) => updateLayer(key, { labels: e.target.checked })}
+                    />
+                    Labels
+                  </label>
+                )}
+                {style.colorBy !== undefined && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                    Colour by
+                    <select
+                      value={style.colorBy}
+                      onChange={(e) => updateLayer(key, { colorBy: e.target.value })}
+                      style={{
+                        background: 'rgba(255,255,255,0.05)',
+                        border: '1px solid rgba(255,255,255,0.15)',
+                        borderRadius: 4,
+                        color: '#e5e7eb',
+                        fontSize: 11,
+                        colorScheme: 'dark'
+                      }}
+                    >
+                      {TABLE_COLOR_MODES.map(mode => <option key={mode.key} value={mode.key}>{mode.label}</option>)}
+                    </select>
+                  </label>
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', gap: 4, flex: 1, minWidth: 120 }}>
+                  Opacity
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="1"
+                    step="0.05"
+                    value={style.opacity}
+                    onChange={(e) => updateLayer(key, { opacity: Number(e.target.value) })}
+                    style={{ flex: 1 }}
+                  />
+                  <span style={{ width: 30, textAlign: 'right' }}>{Math.round(style.opacity * 100)}%</span>
+                </label>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '8px 16px 10px',
+        color: '#6b7280',
+        fontSize: 10
+      }}>
+        <span>Saved with this project</span>
+        <button
+          onClick={() => onChange(defaultLayerSettings())}
+          style={{
+            padding: '4px 10px',
+            background: 'rgba(255,255,255,0.1)',
+            border: 'none',
+            borderRadius: 6,
+            color: '#e5e7eb',
+            fontSize: 11,
+            fontWeight: 600,
+            cursor: 'pointer'
+          }}
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,142 @@
+import { useState } from 'react'
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 8,
+  color: '#f8fafc',
+  fontSize: 14
+}
+
+const labelStyle = {
+  display: 'block',
+  color: '#9ca3af',
+  fontSize: 13,
+  marginBottom: 6
+}
+
+/**
+ * Login Screen Component
+ * Signs a user in with their name and PIN. On a device without accounts
+ * it creates the first (QA) account instead.
+ */
+export default function LoginScreen({ auth }) {
+  const firstRun = auth.accounts.length === 0
+  const [accountId, setAccountId] = useState(auth.accounts[0]?.id || '')
+  const [name, setName] = useState('')
+  const [pin, setPin] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    const problem = firstRun
+      ? await auth.createAccount({ name, role: 'qa', pin })
+      : await auth.login(accountId, pin)
+    setBusy(false)
+    if (problem) {
+      setError(problem)
+      setPin('')
+    }
+  }
+
+  return (
+    <div style={{
+      width: '100%',
+      height: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: '#0b1220'
+    }}>
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          width: 360,
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <h2 style={{
+          color: '#f8fafc',
+          marginBottom: 6,
+          fontSize: 20,
+          fontWeight: 600,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 10
+        }}>
+          👤 {firstRun ? 'Create QA Account' : 'Sign In'}
+        </h2>
+        <div style={{ color: '#6b7280', fontSize: 12, marginBottom: 20, lineHeight: 1.5 }}>
+          {firstRun
+            ? 'The first account on this device is QA. It can add viewer, supervisor and QA accounts for the crew.'
+            : 'Your name is recorded with every change you make.'}
+        </div>
+
+        <div style={{ marginBottom: 16 }}>
+          <label style={labelStyle}>Name</label>
+          {firstRun ? (
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Enter your name"
+              autoFocus
+              required
+              style={inputStyle}
+            />
+          ) : (
+            <select value={accountId} onChange={(e) => setAccountId(e.target.value)} style={inputStyle}>
+              {auth.accounts.map(account => (
+                <option key={account.id} value={account.id}>{account.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <div style={{ marginBottom: 16 }}>
+          <label style={labelStyle}>PIN</label>
+          <input
+            type="password"
+            inputMode="numeric"
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+            placeholder={firstRun ? 'At least 4 characters' : 'Enter your PIN'}
+            autoFocus={!firstRun}
+            required
+            style={inputStyle}
+          />
+        </div>
+
+        {error && (
+          <div style={{ color: '#ef4444', fontSize: 12, marginBottom: 12 }}>{error}</div>
+        )}
+
+        <button
+          type="submit"
+          disabled={busy}
+          style={{
+            width: '100%',
+            padding: '12px 20px',
+            background: 'linear-gradient(135deg, #22c55e, #16a34a)',
+            border: 'none',
+            borderRadius: 8,
+            color: '#0b1220',
+            fontSize: 14,
+            fontWeight: 600,
+            cursor: 'pointer'
+          }}
+        >
+          {firstRun ? 'Create Account' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,258 @@
+import { useState, useEffect } from 'react'
+import { NOTE_CATEGORIES, NOTE_PRIORITIES, savePhoto, loadPhoto, deletePhotos } from '../utils/notes'
+
+// Below this many pixels from the top the editor opens under the marker instead of above it
+const FLIP_BELOW_Y = 440
+
+const fieldStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  background: 'rgba(255,255,255,0.04)',
+  border: '1px solid rgba(255,255,255,0.12)',
+  borderRadius: 6,
+  color: '#e5e7eb',
+  fontSize: 12
+}
+
+const labelStyle = {
+  display: 'block',
+  color: '#9ca3af',
+  fontSize: 11,
+  margin: '8px 0 4px'
+}
+
+/**
+ * Thumbnail of a stored photo; opens the full image in a new tab
+ */
+function PhotoThumb({ photoId, onRemove }) {
+  const [url, setUrl] = useState(null)
+
+  useEffect(() => {
+    let objectUrl = null
+    let cancelled = false
+    loadPhoto(photoId).then(photo => {
+      if (cancelled || !photo) return
+      objectUrl = URL.createObjectURL(photo.blob)
+      setUrl(objectUrl)
+    })
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [photoId])
+
+  return (
+    <div style={{ position: 'relative', width: 56, height: 56 }}>
+      {url ? (
+        <img
+          src={url}
+          alt=""
+          onClick={() => window.open(url, '_blank')}
+          style={{ width: 56, height: 56, objectFit: 'cover', borderRadius: 6, cursor: 'zoom-in' }}
+        />
+      ) : (
+        <div style={{ width: 56, height: 56, borderRadius: 6, background: 'rgba(255,255,255,0.06)' }} />
+      )}
+      <button
+        title="Remove photo"
+        onClick={onRemove}
+        style={{
+          position: 'absolute',
+          top: -6,
+          right: -6,
+          width: 18,
+          height: 18,
+          borderRadius: '50%',
+          border: 'none',
+          background: '#ef4444',
+          color: '#fff',
+          fontSize: 11,
+          lineHeight: '18px',
+          padding: 0,
+          cursor: 'pointer'
+        }}
+      >
+        ×
+      </button>
+    </div>
+  )
+}
+
+/**
+ * Note Editor Component
+ * Popup for a punch-list item: description, category, priority, assignee,
+ * open/resolved status and photo attachments. Edits are drafted locally and
+ * only applied on Save.
+ */
+export default function NoteEditor({
+  note,
+  x,
+  y,
+  onSave,
+  onDelete,
+  onCancel
+}) {
+  const [draft, setDraft] = useState(note)
+  const [addedPhotoIds, setAddedPhotoIds] = useState([])
+  const [uploading, setUploading] = useState(false)
+
+  const update = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }))
+
+  const setStatus = (status) => {
+    setDraft(prev => ({
+      ...prev,
+      status,
+      resolvedAt: status === 'resolved' ? new Date().toISOString() : null
+    }))
+  }
+
+  const addPhotos = async (files) => {
+    setUploading(true)
+    try {
+      const ids = await Promise.all(Array.from(files).map(file => savePhoto(note.id, file)))
+      setAddedPhotoIds(prev => [...prev, ...ids])
+      setDraft(prev => ({ ...prev, photoIds: [...prev.photoIds, ...ids] }))
+    } catch (e) {
+      alert(`Could not store photo: ${e.message}`)
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const removePhoto = (photoId) => {
+    setDraft(prev => ({ ...prev, photoIds: prev.photoIds.filter(id => id !== photoId) }))
+  }
+
+  const handleSave = () => {
+    // Photos dropped from the draft are deleted only once the edit is kept
+    deletePhotos(note.photoIds.filter(id => !draft.photoIds.includes(id)))
+    deletePhotos(addedPhotoIds.filter(id => !draft.photoIds.includes(id)))
+    onSave({ ...draft, text: draft.text.trim(), assignee: draft.assignee.trim() })
+  }
+
+  const handleCancel = () => {
+    deletePhotos(addedPhotoIds)
+    onCancel()
+  }
+
+  const handleDelete = () => {
+    deletePhotos([...note.photoIds, ...addedPhotoIds])
+    onDelete()
+  }
+
+  const flipBelow = y < FLIP_BELOW_Y
+
+  return (
+    <div
+      className="note-editor"
+      style={{
+        left: x,
+        top: flipBelow ? y + 16 : y - 10,
+        transform: flipBelow ? 'translate(-50%, 0)' : undefined,
+        width: 280
+      }}
+    >
+      <textarea
+        placeholder="Describe the issue..."
+        autoFocus
+        value={draft.text}
+        onChange={update('text')}
+      />
+
+      <div style={{ display: 'flex', gap: 8 }}>
+        <div style={{ flex: 1 }}>
+          <label style={labelStyle}>Category</label>
+          <select value={draft.category} onChange={update('category')} style={fieldStyle}>
+            {NOTE_CATEGORIES.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+          </select>
+        </div>
+        <div style={{ flex: 1 }}>
+          <label style={labelStyle}>Priority</label>
+          <select value={draft.priority} onChange={update('priority')} style={fieldStyle}>
+            {NOTE_PRIORITIES.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <label style={labelStyle}>Assignee</label>
+      <input
+        type="text"
+        placeholder="Who should fix it"
+        value={draft.assignee}
+        onChange={update('assignee')}
+        style={fieldStyle}
+      />
+
+      <label style={labelStyle}>Status</label>
+      <div style={{ display: 'flex', gap: 6 }}>
+        {['open', 'resolved'].map(status => (
+          <button
+            key={status}
+            onClick={() => setStatus(status)}
+            style={{
+              flex: 1,
+              padding: '6px 0',
+              borderRadius: 6,
+              fontSize: 12,
+              fontWeight: 600,
+              cursor: 'pointer',
+              border: draft.status === status ? '1px solid transparent' : '1px solid rgba(255,255,255,0.12)',
+              background: draft.status === status
+                ? (status === 'open' ? '#f59e0b' : '#22c55e')
+                : 'transparent',
+              color: draft.status === status ? '#0b1220' : '#9ca3af'
+            }}
+          >
+            {status === 'open' ? 'Open' : 'Resolved'}
+          </button>
+        ))}
+      </div>
+      {draft.status === 'resolved' && draft.resolvedAt && (
+        <div style={{ color: '#6b7280', fontSize: 10, marginTop: 4 }}>
+          Resolved {new Date(draft.resolvedAt).toLocaleString()}
+        </div>
+      )}
+
+      <label style={labelStyle}>Photos</label>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center' }}>
+        {draft.photoIds.map(id => (
+          <PhotoThumb key={id} photoId={id} onRemove={() => removePhoto(id)} />
+        ))}
+        <label
+          title="Attach photos"
+          style={{
+            width: 56,
+            height: 56,
+            borderRadius: 6,
+            border: '1px dashed rgba(255,255,255,0.25)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: '#9ca3af',
+            fontSize: uploading ? 11 : 20,
+            cursor: 'pointer'
+          }}
+        >
+          {uploading ? '...' : '📷'}
+          <input
+            type="file"
+            accept="image/*"
+            capture="environment"
+            multiple
+            onChange={(e) => {
+              if (e.target.files.length > 0) addPhotos(e.target.files)
+              e.target.value = ''
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+      </div>
+
+      <div className="note-actions">
+        <button onClick={handleSave} disabled={uploading}>Save</button>
+        <button onClick={handleDelete}>Delete</button>
+        <button onClick={handleCancel}>Cancel</button>
+      </div>
+    </div>
+  )
+}
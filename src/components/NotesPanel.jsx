@@ -0,0 +1,208 @@
+import { useState, useMemo } from 'react'
+import { NOTE_CATEGORIES, NOTE_PRIORITIES, noteMarkerStyle, categoryLabel } from '../utils/notes'
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 }
+
+const PRIORITY_COLORS = { high: '#ef4444', medium: '#f59e0b', low: '#6b7280' }
+
+const filterStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '6px 8px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 6,
+  color: '#f8fafc',
+  fontSize: 12
+}
+
+/**
+ * Notes Panel Component
+ * Punch list of every note, filterable by status, category, priority and
+ * assignee. Clicking an item zooms the map to it; editing is offered
+ * when onEdit is provided.
+ */
+export default function NotesPanel({
+  isOpen,
+  onClose,
+  notes,
+  selectedNoteId,
+  onFocus,
+  onEdit
+}) {
+  const [statusFilter, setStatusFilter] = useState('open')
+  const [categoryFilter, setCategoryFilter] = useState('')
+  const [priorityFilter, setPriorityFilter] = useState('')
+  const [assigneeFilter, setAssigneeFilter] = useState('')
+
+  const assignees = useMemo(
+    () => Array.from(new Set(notes.map(n => n.assignee).filter(Boolean))).sort(),
+    [notes]
+  )
+
+  const openCount = useMemo(() => notes.filter(n => n.status === 'open').length, [notes])
+
+  const filtered = useMemo(() => {
+    return notes
+      .filter(note =>
+        (!statusFilter || note.status === statusFilter) &&
+        (!categoryFilter || note.category === categoryFilter) &&
+        (!priorityFilter || note.priority === priorityFilter) &&
+        (!assigneeFilter || note.assignee === assigneeFilter)
+      )
+      .sort((a, b) =>
+        (a.status === b.status ? 0 : a.status === 'open' ? -1 : 1) ||
+        PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] ||
+        b.id - a.id
+      )
+  }, [notes, statusFilter, categoryFilter, priorityFilter, assigneeFilter])
+
+  if (!isOpen) return null
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 80,
+      left: 20,
+      bottom: 20,
+      width: 360,
+      background: 'rgba(15, 23, 42, 0.97)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: 10,
+      boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+      fontFamily: 'Arial, sans-serif',
+      color: '#e5e7eb',
+      zIndex: 1050,
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '12px 16px 8px'
+      }}>
+        <div style={{ fontWeight: 700, fontSize: 14, color: '#fff' }}>
+          📌 Punch List ({openCount} open)
+        </div>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            color: '#9ca3af',
+            fontSize: 20,
+            cursor: 'pointer'
+          }}
+        >
+          ×
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div style={{ display: 'flex', gap: 6, padding: '0 16px 6px' }}>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={filterStyle}>
+          <option value="open">Open</option>
+          <option value="resolved">Resolved</option>
+          <option value="">All statuses</option>
+        </select>
+        <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)} style={filterStyle}>
+          <option value="">All categories</option>
+          {NOTE_CATEGORIES.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+        </select>
+      </div>
+      <div style={{ display: 'flex', gap: 6, padding: '0 16px 10px' }}>
+        <select value={priorityFilter} onChange={(e) => setPriorityFilter(e.target.value)} style={filterStyle}>
+          <option value="">All priorities</option>
+          {NOTE_PRIORITIES.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+        </select>
+        <select value={assigneeFilter} onChange={(e) => setAssigneeFilter(e.target.value)} style={filterStyle}>
+          <option value="">All assignees</option>
+          {assignees.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </div>
+
+      {/* List */}
+      <div style={{ flex: 1, overflowY: 'auto', borderTop: '1px solid rgba(255,255,255,0.08)' }}>
+        {filtered.length === 0 ? (
+          <div style={{ padding: 30, textAlign: 'center', color: '#6b7280', fontSize: 13 }}>
+            No matching notes
+          </div>
+        ) : (
+          filtered.map(note => {
+            const marker = noteMarkerStyle(note)
+            return (
+              <div
+                key={note.id}
+                onClick={() => onFocus(note)}
+                style={{
+                  display: 'flex',
+                  gap: 10,
+                  padding: '8px 16px',
+                  borderBottom: '1px solid rgba(255,255,255,0.05)',
+                  background: note.id === selectedNoteId ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                  cursor: 'pointer',
+                  fontSize: 12
+                }}
+              >
+                <div style={{
+                  flex: 'none',
+                  width: 22,
+                  height: 22,
+                  borderRadius: '50%',
+                  background: marker.color,
+                  border: `2px solid ${marker.stroke}`,
+                  color: '#fff',
+                  fontWeight: 700,
+                  fontSize: 11,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center'
+                }}>
+                  {marker.icon}
+                </div>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{
+                    color: note.status === 'resolved' ? '#9ca3af' : '#f8fafc',
+                    textDecoration: note.status === 'resolved' ? 'line-through' : 'none',
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis'
+                  }}>
+                    {note.text || '(no description)'}
+                  </div>
+                  <div style={{ marginTop: 2, color: '#9ca3af', fontSize: 11 }}>
+                    {categoryLabel(note.category)}
+                    {' · '}
+                    <span style={{ color: PRIORITY_COLORS[note.priority] }}>{note.priority}</span>
+                    {note.assignee && ` · ${note.assignee}`}
+                    {note.photoIds.length > 0 && ` · 📷 ${note.photoIds.length}`}
+                  </div>
+                </div>
+                {onEdit && (
+                  <button
+                    title="Edit note"
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      onEdit(note)
+                    }}
+                    style={{
+                      flex: 'none',
+                      alignSelf: 'center',
+                      background: 'transparent',
+                      border: 'none',
+                      cursor: 'pointer',
+                      fontSize: 14
+                    }}
+                  >
+                    ✏️
+                  </button>
+                )}
+              </div>
+            )
+          })
+        )}
+      </div>
+    </div>
+  )
+}
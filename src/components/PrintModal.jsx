@@ -0,0 +1,253 @@
+import { useState, useMemo } from 'react'
+import { PAPER_SIZES, PRINT_SCALES, PRINT_RESOLUTIONS, MAX_SHEET_PIXELS, MAX_SHEETS, paperSize, sheetPixels } from '../utils/printSheet'
+
+const labelStyle = {
+  display: 'block',
+  color: '#9ca3af',
+  fontSize: 13,
+  marginBottom: 6
+}
+
+const optionButtonStyle = (active) => ({
+  flex: 1,
+  padding: '8px 10px',
+  background: active ? 'rgba(59, 130, 246, 0.25)' : 'rgba(255,255,255,0.05)',
+  border: `1px solid ${active ? 'rgba(59, 130, 246, 0.6)' : 'rgba(255,255,255,0.15)'}`,
+  borderRadius: 8,
+  color: active ? '#f8fafc' : '#9ca3af',
+  fontSize: 12,
+  fontWeight: 600,
+  cursor: 'pointer'
+})
+
+/**
+ * Print Modal Component
+ * Exports the map as drawing sheets - the current view on one sheet, or the
+ * whole site at a chosen scale over as many sheets as it needs - to PNG or PDF.
+ * getPlan(options) previews the sheet layout; onExport(options, onProgress) exports.
+ */
+export default function PrintModal({
+  isOpen,
+  onClose,
+  getPlan,
+  onExport
+}) {
+  const [options, setOptions] = useState({ extent: 'view', paper: 'A3', scaleDenominator: 1000, dpi: 200, format: 'pdf' })
+  const [progress, setProgress] = useState(null) // Sheet index being exported
+  const [error, setError] = useState('')
+
+  const plan = useMemo(() => isOpen ? getPlan(options) : null, [isOpen, getPlan, options])
+
+  if (!isOpen || !plan) return null
+
+  const set = (changes) => setOptions(prev => ({ ...prev, ...changes }))
+  const fitsMemory = (dpi) => {
+    const { width, height } = sheetPixels(paperSize(options.paper), dpi)
+    return width * height <= MAX_SHEET_PIXELS
+  }
+  const tooManySheets = plan.pages.length > MAX_SHEETS
+  const busy = progress !== null
+
+  const handleExport = async () => {
+    setError('')
+    setProgress(0)
+    try {
+      await onExport(options, setProgress)
+      onClose()
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !busy) {
+      onClose()
+    }
+  }
+
+  const pixels = sheetPixels(paperSize(options.paper), options.dpi)
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 420,
+          maxWidth: 480,
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 20
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            🖨️ Print Progress Map
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={busy}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <fieldset disabled={busy} style={{ border: 'none', padding: 0, margin: 0 }}>
+          <div style={{ marginBottom: 16 }}>
+            <label style={labelStyle}>Area</label>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button onClick={() => set({ extent: 'view' })} style={optionButtonStyle(options.extent === 'view')}>
+                Current view
+              </button>
+              <button onClick={() => set({ extent: 'site' })} style={optionButtonStyle(options.extent === 'site')}>
+                Whole site at scale
+              </button>
+            </div>
+          </div>
+
+          <div style={{ marginBottom: 16 }}>
+            <label style={labelStyle}>Paper (landscape)</label>
+            <div style={{ display: 'flex', gap: 6 }}>
+              {PAPER_SIZES.map(paper => (
+                <button key={paper.key} onClick={() => set({ paper: paper.key })} style={optionButtonStyle(options.paper === paper.key)}>
+                  {paper.key}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {options.extent === 'site' && (
+            <div style={{ marginBottom: 16 }}>
+              <label style={labelStyle}>Scale</label>
+              <div style={{ display: 'flex', gap: 6 }}>
+                {PRINT_SCALES.map(denominator => (
+                  <button
+                    key={denominator}
+                    onClick={() => set({ scaleDenominator: denominator })}
+                    style={optionButtonStyle(options.scaleDenominator === denominator)}
+                  >
+                    1:{denominator.toLocaleString()}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: 12, marginBottom: 16 }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Resolution</label>
+              <div style={{ display: 'flex', gap: 6 }}>
+                {PRINT_RESOLUTIONS.map(dpi => (
+                  <button
+                    key={dpi}
+                    onClick={() => set({ dpi })}
+                    disabled={!fitsMemory(dpi)}
+                    title={fitsMemory(dpi) ? '' : 'Too large for this paper size'}
+                    style={{ ...optionButtonStyle(options.dpi === dpi), opacity: fitsMemory(dpi) ? 1 : 0.4 }}
+                  >
+                    {dpi} dpi
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Format</label>
+              <div style={{ display: 'flex', gap: 6 }}>
+                <button onClick={() => set({ format: 'pdf' })} style={optionButtonStyle(options.format === 'pdf')}>PDF</button>
+                <button onClick={() => set({ format: 'png' })} style={optionButtonStyle(options.format === 'png')}>PNG</button>
+              </div>
+            </div>
+          </div>
+        </fieldset>
+
+        {/* What will be produced */}
+        <div style={{
+          background: tooManySheets ? 'rgba(239, 68, 68, 0.1)' : 'rgba(59, 130, 246, 0.1)',
+          border: `1px solid ${tooManySheets ? 'rgba(239, 68, 68, 0.3)' : 'rgba(59, 130, 246, 0.3)'}`,
+          borderRadius: 10,
+          padding: 12,
+          marginBottom: 16,
+          color: '#e5e7eb',
+          fontSize: 13,
+          lineHeight: 1.5
+        }}>
+          {plan.pages.length} sheet{plan.pages.length === 1 ? '' : 's'}
+          {plan.pages.length > 1 && ` (${plan.columns} across × ${plan.rows} down)`}
+          {' '}at 1:{plan.scaleDenominator.toLocaleString()} on {options.paper}
+          <div style={{ color: '#9ca3af', fontSize: 11 }}>
+            {pixels.width} × {pixels.height} px per sheet
+            {options.format === 'png' && plan.pages.length > 1 && ' · one PNG file per sheet'}
+          </div>
+          {tooManySheets && (
+            <div style={{ color: '#f87171', fontSize: 12, marginTop: 4 }}>
+              More than {MAX_SHEETS} sheets - choose a smaller scale or larger paper.
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div style={{ color: '#ef4444', fontSize: 12, marginBottom: 12 }}>{error}</div>
+        )}
+
+        <button
+          onClick={handleExport}
+          disabled={busy || tooManySheets || !fitsMemory(options.dpi)}
+          style={{
+            width: '100%',
+            padding: '12px 20px',
+            background: 'linear-gradient(135deg, #22c55e, #16a34a)',
+            border: 'none',
+            borderRadius: 8,
+            color: '#0b1220',
+            fontSize: 14,
+            fontWeight: 600,
+            cursor: 'pointer',
+            opacity: busy || tooManySheets ? 0.6 : 1
+          }}
+        >
+          {busy ? `Drawing sheet ${progress + 1} of ${plan.pages.length}…` : `Export ${options.format.toUpperCase()}`}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,364 @@
+import { useState, useRef } from 'react'
+import { LAYER_ROLES, readLayerFile, guessLayerRole, countPatternMatches } from '../utils/projects'
+import { DEFAULT_ID_PATTERNS, validatePattern } from '../utils/ids'
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 8,
+  color: '#f8fafc',
+  fontSize: 14
+}
+
+const labelStyle = {
+  display: 'block',
+  color: '#9ca3af',
+  fontSize: 13,
+  marginBottom: 6
+}
+
+/**
+ * Project Setup Modal Component
+ * Creates a new site workspace from dropped GeoJSON layer files
+ * (e.g. DXF layers exported with ogr2ogr or QGIS)
+ */
+export default function ProjectSetupModal({
+  isOpen,
+  onClose,
+  onCreate
+}) {
+  const [name, setName] = useState('')
+  const [files, setFiles] = useState([]) // [{ id, fileName, data, role }]
+  const [errors, setErrors] = useState([])
+  const [idPatterns, setIdPatterns] = useState(DEFAULT_ID_PATTERNS)
+  const [dragOver, setDragOver] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const fileInputRef = useRef(null)
+
+  if (!isOpen) return null
+
+  const addFiles = async (fileList) => {
+    const added = []
+    const failed = []
+    for (const file of Array.from(fileList)) {
+      try {
+        const data = await readLayerFile(file)
+        added.push({ id: `${file.name}-${Date.now()}-${added.length}`, fileName: file.name, data, role: guessLayerRole(data, idPatterns) })
+      } catch (e) {
+        failed.push(e.message)
+      }
+    }
+    setErrors(failed)
+    // A role belongs to one file only - newer files win
+    setFiles(prev => added.reduce((next, file) => [
+      ...next.map(f => (file.role && f.role === file.role ? { ...f, role: '' } : f)),
+      file
+    ], prev))
+  }
+
+  const assignRole = (fileId, role) => {
+    setFiles(prev => prev.map(f => {
+      if (f.id === fileId) return { ...f, role }
+      return role && f.role === role ? { ...f, role: '' } : f
+    }))
+  }
+
+  const layerFor = (role) => files.find(f => f.role === role)
+  const missingRoles = LAYER_ROLES.filter(r => r.required && !layerFor(r.key))
+  const patternErrors = {
+    transformer: validatePattern(idPatterns.transformer),
+    inverter: validatePattern(idPatterns.inverter),
+    string: validatePattern(idPatterns.string)
+  }
+  const inverterMatches = !patternErrors.inverter && layerFor('inv_id')
+    ? countPatternMatches(layerFor('inv_id').data, idPatterns).inverters
+    : null
+  const stringMatches = !patternErrors.inverter && !patternErrors.string && layerFor('table_id')
+    ? countPatternMatches(layerFor('table_id').data, idPatterns).strings
+    : null
+  const canCreate = name.trim() && missingRoles.length === 0 && !Object.values(patternErrors).some(Boolean) && !saving
+
+  const reset = () => {
+    setName('')
+    setFiles([])
+    setErrors([])
+    setIdPatterns(DEFAULT_ID_PATTERNS)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!canCreate) return
+
+    const layers = {}
+    files.forEach(f => {
+      if (f.role) layers[f.role] = { fileName: f.fileName, data: f.data }
+    })
+
+    setSaving(true)
+    try {
+      await onCreate({ name: name.trim(), layers, idPatterns })
+      reset()
+      onClose()
+    } catch (err) {
+      setErrors([`Failed to save project: ${err.message}`])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 500,
+          maxWidth: 620,
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <h2 style={{
+          color: '#f8fafc',
+          marginBottom: 20,
+          fontSize: 20,
+          fontWeight: 600,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 10
+        }}>
+          📁 New Project
+        </h2>
+
+        <form onSubmit={handleSubmit}>
+          {/* Project Name */}
+          <div style={{ marginBottom: 16 }}>
+            <label style={labelStyle}>Project Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Solar Site North"
+              required
+              style={inputStyle}
+            />
+          </div>
+
+          {/* Drop Zone */}
+          <div
+            onDragOver={(e) => {
+              e.preventDefault()
+              setDragOver(true)
+            }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={(e) => {
+              e.preventDefault()
+              setDragOver(false)
+              addFiles(e.dataTransfer.files)
+            }}
+            onClick={() => fileInputRef.current?.click()}
+            style={{
+              border: `2px dashed ${dragOver ? '#3b82f6' : 'rgba(255,255,255,0.2)'}`,
+              background: dragOver ? 'rgba(59, 130, 246, 0.1)' : 'transparent',
+              borderRadius: 10,
+              padding: 20,
+              textAlign: 'center',
+              color: '#9ca3af',
+              fontSize: 13,
+              cursor: 'pointer',
+              marginBottom: 12
+            }}
+          >
+            Drop GeoJSON layer files here or click to browse
+            <div style={{ fontSize: 11, color: '#6b7280', marginTop: 4 }}>
+              Export DXF layers to GeoJSON first (one file per layer)
+            </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".geojson,.json,application/geo+json,application/json"
+              multiple
+              onChange={(e) => {
+                addFiles(e.target.files)
+                e.target.value = ''
+              }}
+              style={{ display: 'none' }}
+            />
+          </div>
+
+          {errors.map(error => (
+            <div key={error} style={{ color: '#ef4444', fontSize: 12, marginBottom: 6 }}>
+              {error}
+            </div>
+          ))}
+
+          {/* Layer Roles */}
+          {files.length > 0 && (
+            <div style={{
+              borderRadius: 8,
+              border: '1px solid rgba(255,255,255,0.1)',
+              marginBottom: 16
+            }}>
+              {files.map(file => (
+                <div
+                  key={file.id}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 10,
+                    padding: '8px 12px',
+                    borderBottom: '1px solid rgba(255,255,255,0.05)',
+                    fontSize: 13
+                  }}
+                >
+                  <span style={{ flex: 1, color: '#e5e7eb', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {file.fileName}
+                    <span style={{ color: '#6b7280', fontSize: 11, marginLeft: 6 }}>
+                      {file.data.features.length} features
+                    </span>
+                  </span>
+                  <select
+                    value={file.role}
+                    onChange={(e) => assignRole(file.id, e.target.value)}
+                    style={{ ...inputStyle, width: 160, padding: '6px 8px', fontSize: 12 }}
+                  >
+                    <option value="">Not used</option>
+                    {LAYER_ROLES.map(role => (
+                      <option key={role.key} value={role.key}>{role.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => setFiles(prev => prev.filter(f => f.id !== file.id))}
+                    style={{ background: 'transparent', border: 'none', color: '#ef4444', cursor: 'pointer', opacity: 0.6 }}
+                    title="Remove file"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {missingRoles.length > 0 && (
+            <div style={{ color: '#f59e0b', fontSize: 12, marginBottom: 16 }}>
+              Required: {missingRoles.map(r => r.label).join(', ')}
+            </div>
+          )}
+
+          {/* ID Patterns */}
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 8 }}>
+            <div>
+              <label style={labelStyle}>Inverter ID Pattern</label>
+              <input
+                type="text"
+                value={idPatterns.inverter}
+                onChange={(e) => setIdPatterns(prev => ({ ...prev, inverter: e.target.value }))}
+                style={{ ...inputStyle, fontFamily: 'monospace' }}
+              />
+              <div style={{ fontSize: 11, marginTop: 4, color: patternErrors.inverter ? '#ef4444' : '#6b7280' }}>
+                {patternErrors.inverter || (inverterMatches !== null ? `${inverterMatches} inverter labels matched` : 'Regular expression')}
+              </div>
+            </div>
+            <div>
+              <label style={labelStyle}>String ID Pattern</label>
+              <input
+                type="text"
+                value={idPatterns.string}
+                onChange={(e) => setIdPatterns(prev => ({ ...prev, string: e.target.value }))}
+                style={{ ...inputStyle, fontFamily: 'monospace' }}
+              />
+              <div style={{ fontSize: 11, marginTop: 4, color: patternErrors.string ? '#ef4444' : '#6b7280' }}>
+                {patternErrors.string || (stringMatches !== null ? `${stringMatches} string labels matched` : 'Must start with the inverter ID')}
+              </div>
+            </div>
+            <div>
+              <label style={labelStyle}>Transformer ID Pattern</label>
+              <input
+                type="text"
+                value={idPatterns.transformer}
+                onChange={(e) => setIdPatterns(prev => ({ ...prev, transformer: e.target.value }))}
+                style={{ ...inputStyle, fontFamily: 'monospace' }}
+              />
+              <div style={{ fontSize: 11, marginTop: 4, color: patternErrors.transformer ? '#ef4444' : '#6b7280' }}>
+                {patternErrors.transformer || 'Start of the inverter ID naming its TX'}
+              </div>
+            </div>
+          </div>
+
+          {/* Buttons */}
+          <div style={{
+            display: 'flex',
+            gap: 10,
+            marginTop: 24
+          }}>
+            <button
+              type="button"
+              onClick={onClose}
+              style={{
+                flex: 1,
+                padding: '12px 20px',
+                background: 'rgba(255,255,255,0.1)',
+                border: '1px solid rgba(255,255,255,0.15)',
+                borderRadius: 8,
+                color: '#e5e7eb',
+                fontSize: 14,
+                fontWeight: 500,
+                cursor: 'pointer',
+                transition: 'all 0.15s'
+              }}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!canCreate}
+              style={{
+                flex: 1,
+                padding: '12px 20px',
+                background: 'linear-gradient(135deg, #22c55e, #16a34a)',
+                border: 'none',
+                borderRadius: 8,
+                color: '#0b1220',
+                fontSize: 14,
+                fontWeight: 600,
+                cursor: canCreate ? 'pointer' : 'default',
+                opacity: canCreate ? 1 : 0.4,
+                transition: 'all 0.15s'
+              }}
+            >
+              {saving ? 'Saving...' : 'Create Project'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
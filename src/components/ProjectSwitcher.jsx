@@ -0,0 +1,94 @@
+import { useState } from 'react'
+
+/**
+ * Project Switcher Component
+ * Top panel dropdown for moving between site workspaces,
+ * with create, rename, duplicate and archive actions (hidden when canManage is false)
+ */
+export default function ProjectSwitcher({
+  projects,
+  activeProject,
+  onSelect,
+  onNew,
+  onRename,
+  onDuplicate,
+  onSetArchived,
+  canManage = true
+}) {
+  const [renaming, setRenaming] = useState(false)
+  const [draftName, setDraftName] = useState('')
+
+  const activeProjects = projects.filter(p => !p.archived)
+  const archivedProjects = projects.filter(p => p.archived)
+
+  const startRename = () => {
+    setDraftName(activeProject.name)
+    setRenaming(true)
+  }
+
+  const commitRename = () => {
+    const name = draftName.trim()
+    if (name && name !== activeProject.name) onRename(activeProject.id, name)
+    setRenaming(false)
+  }
+
+  return (
+    <div className="project-switcher">
+      {renaming ? (
+        <input
+          className="project-select"
+          value={draftName}
+          autoFocus
+          onChange={(e) => setDraftName(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitRename()
+            else if (e.key === 'Escape') setRenaming(false)
+          }}
+        />
+      ) : (
+        <select
+          className="project-select"
+          value={activeProject.id}
+          onChange={(e) => onSelect(e.target.value)}
+          title="Switch project"
+        >
+          {activeProjects.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+          {archivedProjects.length > 0 && (
+            <optgroup label="Archived">
+              {archivedProjects.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      )}
+      {canManage && (
+        <>
+          <button className="project-action" title="New Project" onClick={onNew}>＋</button>
+          <button className="project-action" title="Rename Project" onClick={startRename}>✏️</button>
+          <button className="project-action" title="Duplicate Project" onClick={() => onDuplicate(activeProject.id)}>⧉</button>
+          {activeProject.archived ? (
+            <button
+              className="project-action"
+              title="Restore Project"
+              onClick={() => onSetArchived(activeProject.id, false)}
+            >♻️</button>
+          ) : (
+            <button
+              className="project-action"
+              title="Archive Project"
+              onClick={() => {
+                if (confirm(`Archive "${activeProject.name}"? Its data is kept and it can be restored later.`)) {
+                  onSetArchived(activeProject.id, true)
+                }
+              }}
+            >🗄️</button>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
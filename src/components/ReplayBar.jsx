@@ -0,0 +1,123 @@
+import { useState, useEffect, useMemo } from 'react'
+import { dateRange, toLocalDate } from '../utils/events'
+
+// Milliseconds each day stays on screen while playing
+const PLAY_STEP_MS = 500
+
+/**
+ * Replay Bar Component
+ * Date slider and play button that redraw the map as the site looked on a past day
+ */
+export default function ReplayBar({
+  events,
+  date,
+  onChange,
+  onExit
+}) {
+  const [playing, setPlaying] = useState(false)
+
+  // Day one is the first logged change, the last day is today
+  const days = useMemo(() => {
+    const today = toLocalDate(new Date().toISOString())
+    const first = events.reduce((min, event) => {
+      const day = toLocalDate(event.at)
+      return day < min ? day : min
+    }, today)
+    return dateRange(first, today)
+  }, [events])
+
+  const index = Math.max(0, days.indexOf(date))
+
+  // Step one day forward per tick, stopping on today
+  useEffect(() => {
+    if (!playing) return
+    if (index >= days.length - 1) {
+      setPlaying(false)
+      return
+    }
+    const timer = setTimeout(() => onChange(days[index + 1]), PLAY_STEP_MS)
+    return () => clearTimeout(timer)
+  }, [playing, index, days, onChange])
+
+  const togglePlay = () => {
+    // Restart from day one when already at the end
+    if (!playing && index >= days.length - 1) onChange(days[0])
+    setPlaying(!playing)
+  }
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: 20,
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: 'min(640px, 60vw)',
+      background: 'rgba(15, 23, 42, 0.95)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: 10,
+      boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+      padding: '10px 14px',
+      fontFamily: 'Arial, sans-serif',
+      color: '#e5e7eb',
+      zIndex: 1000,
+      display: 'flex',
+      alignItems: 'center',
+      gap: 12
+    }}>
+      <button
+        onClick={togglePlay}
+        title={playing ? 'Pause' : 'Play from day one'}
+        style={{
+          width: 34,
+          height: 34,
+          borderRadius: 8,
+          border: 'none',
+          background: 'linear-gradient(135deg, #3b82f6, #2563eb)',
+          color: '#fff',
+          fontSize: 14,
+          cursor: 'pointer'
+        }}
+      >
+        {playing ? '⏸' : '▶'}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={days.length - 1}
+        value={index}
+        onChange={(e) => {
+          setPlaying(false)
+          onChange(days[Number(e.target.value)])
+        }}
+        style={{ flex: 1, accentColor: '#3b82f6' }}
+      />
+      <div style={{ minWidth: 120, textAlign: 'center' }}>
+        <div style={{ fontWeight: 700, fontSize: 13 }}>
+          {new Date(`${days[index]}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+        </div>
+        <div style={{ color: '#9ca3af', fontSize: 10 }}>
+          Day {index + 1} of {days.length}
+        </div>
+      </div>
+      <button
+        onClick={() => {
+          setPlaying(false)
+          onExit()
+        }}
+        title="Back to live data"
+        style={{
+          padding: '6px 12px',
+          borderRadius: 8,
+          border: '1px solid rgba(255,255,255,0.15)',
+          background: 'rgba(255,255,255,0.1)',
+          color: '#e5e7eb',
+          fontSize: 12,
+          fontWeight: 600,
+          cursor: 'pointer'
+        }}
+      >
+        Live
+      </button>
+    </div>
+  )
+}
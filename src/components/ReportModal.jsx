@@ -0,0 +1,167 @@
+import { useState } from 'react'
+
+const SHEETS = [
+  'Daily log and progress chart',
+  'Inverter test status and dates',
+  'Terminations per inverter, with circuit details',
+  'Workflow stage progress per inverter',
+  'Open notes and punch items',
+  'Subcontractor productivity',
+  'Cumulative S-curve, forecast and days behind plan'
+]
+
+/**
+ * Report Modal Component
+ * Exports the Excel report. The S-curve sheet compares actual progress with
+ * the project's schedule baseline, summarised by planSummary.
+ */
+export default function ReportModal({
+  isOpen,
+  onClose,
+  planSummary,
+  onEditPlan,
+  onExport
+}) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  if (!isOpen) return null
+
+  const handleExport = async () => {
+    setError('')
+    setBusy(true)
+    try {
+      await onExport()
+      onClose()
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !busy) {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 400,
+          maxWidth: 460,
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 20
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            📊 Export Excel Report
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={busy}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, color: '#9ca3af', fontSize: 12, marginBottom: 16 }}>
+          <span style={{ flex: 1 }}>Plan: {planSummary}</span>
+          <button
+            onClick={onEditPlan}
+            disabled={busy}
+            style={{
+              background: 'rgba(255,255,255,0.05)',
+              border: '1px solid rgba(255,255,255,0.15)',
+              borderRadius: 6,
+              color: '#9ca3af',
+              fontSize: 12,
+              padding: '4px 10px',
+              cursor: 'pointer'
+            }}
+          >
+            📅 Edit schedule
+          </button>
+        </div>
+
+        <div style={{
+          background: 'rgba(59, 130, 246, 0.1)',
+          border: '1px solid rgba(59, 130, 246, 0.3)',
+          borderRadius: 10,
+          padding: 12,
+          marginBottom: 16,
+          color: '#e5e7eb',
+          fontSize: 13,
+          lineHeight: 1.6
+        }}>
+          {SHEETS.map(sheet => <div key={sheet}>• {sheet}</div>)}
+        </div>
+
+        {error && (
+          <div style={{ color: '#ef4444', fontSize: 12, marginBottom: 12 }}>{error}</div>
+        )}
+
+        <button
+          onClick={handleExport}
+          disabled={busy}
+          style={{
+            width: '100%',
+            padding: '12px 20px',
+            background: 'linear-gradient(135deg, #22c55e, #16a34a)',
+            border: 'none',
+            borderRadius: 8,
+            color: '#0b1220',
+            fontSize: 14,
+            fontWeight: 600,
+            cursor: 'pointer',
+            opacity: busy ? 0.6 : 1
+          }}
+        >
+          {busy ? 'Building report…' : 'Export Excel'}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,285 @@
+import { useEffect, useRef } from 'react'
+import Chart from 'chart.js/auto'
+import { scheduleChartData, forecastFinish, plannedEnd, scopeTotal } from '../utils/schedule'
+
+const labelStyle = {
+  display: 'block',
+  color: '#9ca3af',
+  fontSize: 12,
+  marginBottom: 4
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 6,
+  color: '#f8fafc',
+  fontSize: 12,
+  colorScheme: 'dark'
+}
+
+const sectionTitleStyle = {
+  color: '#e5e7eb',
+  fontSize: 13,
+  fontWeight: 600,
+  margin: '16px 0 8px'
+}
+
+const smallButtonStyle = {
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 6,
+  color: '#9ca3af',
+  fontSize: 12,
+  padding: '4px 10px',
+  cursor: 'pointer'
+}
+
+/**
+ * Schedule Modal Component
+ * Planned vs actual cumulative progress (S-curve), the completion forecast
+ * from the recent run rate, and the baseline editor: planned start and
+ * finish, finish dates per TX / inverter group and daily targets per subcontractor.
+ */
+export default function ScheduleModal({
+  isOpen,
+  onClose,
+  baseline,
+  onChange,
+  canEdit,
+  rows,
+  scope,
+  modes,
+  dailyLog,
+  groupPrefixes,
+  subcontractors
+}) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    if (!isOpen || !canvasRef.current || rows.length === 0) return
+    const { labels, datasets } = scheduleChartData(rows, scope, modes)
+    const chart = new Chart(canvasRef.current, {
+      type: 'line',
+      data: { labels, datasets },
+      options: {
+        responsive: false,
+        animation: false,
+        plugins: {
+          legend: { position: 'top', labels: { color: '#e5e7eb', boxWidth: 14 } },
+          datalabels: { display: false }
+        },
+        scales: {
+          y: { min: 0, max: 100, ticks: { color: '#9ca3af' }, grid: { color: 'rgba(255,255,255,0.08)' }, title: { display: true, text: '% Complete', color: '#9ca3af' } },
+          x: { ticks: { color: '#9ca3af', maxTicksLimit: 12 }, grid: { display: false } }
+        }
+      }
+    })
+    return () => chart.destroy()
+  }, [isOpen, rows, scope, modes])
+
+  if (!isOpen) return null
+
+  const set = (changes) => onChange({ ...baseline, ...changes })
+  const updateItem = (list, index, changes) => set({ [list]: baseline[list].map((item, i) => i === index ? { ...item, ...changes } : item) })
+  const removeItem = (list, index) => set({ [list]: baseline[list].filter((_, i) => i !== index) })
+  // Last reported day, where the actual and planned lines are compared
+  const latest = [...rows].reverse().find(row => modes.some(({ key }) => row[key].actual !== null))
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          width: 720,
+          maxWidth: '95vw',
+          maxHeight: '88vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 16
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            📅 Schedule vs Plan
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Forecast per mode */}
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 16 }}>
+          {modes.map(({ key, label, unit }) => {
+            const total = scopeTotal(scope, key)
+            const forecast = forecastFinish(dailyLog, key, total)
+            const planned = plannedEnd(baseline, key, scope)
+            const late = Boolean(forecast?.date && planned && forecast.date > planned)
+            const variance = latest?.[key].variance ?? null
+            return (
+              <div key={key} style={{
+                background: late ? 'rgba(239, 68, 68, 0.1)' : 'rgba(59, 130, 246, 0.1)',
+                border: `1px solid ${late ? 'rgba(239, 68, 68, 0.3)' : 'rgba(59, 130, 246, 0.3)'}`,
+                borderRadius: 10,
+                padding: 12,
+                color: '#e5e7eb',
+                fontSize: 12,
+                lineHeight: 1.6
+              }}>
+                <div style={{ fontWeight: 600, fontSize: 13 }}>{label} {unit}</div>
+                {forecast ? (
+                  <>
+                    <div>{total - forecast.remaining} / {total} done · {forecast.rate.toFixed(1)} per day recently</div>
+                    <div>
+                      Forecast finish <strong>{forecast.date || '-'}</strong>
+                      {planned && <span style={{ color: late ? '#f87171' : '#9ca3af' }}> · planned {planned}</span>}
+                    </div>
+                    {variance !== null && (
+                      <div style={{ color: variance < 0 ? '#f87171' : '#22c55e' }}>
+                        {variance < 0 ? `${-variance} behind plan` : variance > 0 ? `${variance} ahead of plan` : 'On plan'} as of {latest.date}
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <div style={{ color: '#9ca3af' }}>No daily log records yet{planned ? ` · planned finish ${planned}` : ''}</div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        {rows.length > 0 ? (
+          <canvas ref={canvasRef} width={670} height={260} style={{ display: 'block', marginBottom: 8 }} />
+        ) : (
+          <div style={{ color: '#6b7280', fontSize: 12, textAlign: 'center', padding: 24 }}>
+            Set a planned start or submit daily work to see the S-curve
+          </div>
+        )}
+
+        {/* Baseline editor */}
+        <fieldset disabled={!canEdit} style={{ border: 'none', padding: 0, margin: 0 }}>
+          <div style={sectionTitleStyle}>Baseline{!canEdit && <span style={{ color: '#6b7280', fontWeight: 400 }}> (read only)</span>}</div>
+          <div style={{ display: 'flex', gap: 12, alignItems: 'flex-end' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Planned start</label>
+              <input type="date" value={baseline.start} onChange={(e) => set({ start: e.target.value })} style={inputStyle} />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Planned finish (whole site)</label>
+              <input type="date" value={baseline.finish} onChange={(e) => set({ finish: e.target.value })} style={inputStyle} />
+            </div>
+            <label style={{ color: '#9ca3af', fontSize: 12, display: 'flex', alignItems: 'center', gap: 6, paddingBottom: 6 }}>
+              <input type="checkbox" checked={baseline.weekends} onChange={(e) => set({ weekends: e.target.checked })} />
+              Work weekends
+            </label>
+          </div>
+
+          <div style={sectionTitleStyle}>Planned finish per TX / inverter group</div>
+          <datalist id="schedule-group-prefixes">
+            {groupPrefixes.map(prefix => <option key={prefix} value={prefix} />)}
+          </datalist>
+          {baseline.groups.map((group, index) => (
+            <div key={index} style={{ display: 'flex', gap: 8, marginBottom: 6 }}>
+              <input
+                list="schedule-group-prefixes"
+                value={group.prefix}
+                placeholder="e.g. TX4 or TX4-INV2"
+                onChange={(e) => updateItem('groups', index, { prefix: e.target.value })}
+                style={inputStyle}
+              />
+              <input type="date" value={group.finish} onChange={(e) => updateItem('groups', index, { finish: e.target.value })} style={inputStyle} />
+              <button onClick={() => removeItem('groups', index)} style={smallButtonStyle} title="Remove group">✕</button>
+            </div>
+          ))}
+          <button onClick={() => set({ groups: [...baseline.groups, { prefix: '', finish: '' }] })} style={smallButtonStyle}>
+            + Add group
+          </button>
+
+          <div style={sectionTitleStyle}>Daily targets per subcontractor</div>
+          <div style={{ color: '#6b7280', fontSize: 11, marginBottom: 6 }}>
+            Targets replace the finish dates above for the work type they cover
+          </div>
+          <datalist id="schedule-subcontractors">
+            {subcontractors.map(name => <option key={name} value={name} />)}
+          </datalist>
+          {baseline.targets.map((target, index) => (
+            <div key={index} style={{ display: 'flex', gap: 8, marginBottom: 6 }}>
+              <input
+                list="schedule-subcontractors"
+                value={target.subcontractor}
+                placeholder="Subcontractor"
+                onChange={(e) => updateItem('targets', index, { subcontractor: e.target.value })}
+                style={inputStyle}
+              />
+              <select value={target.mode} onChange={(e) => updateItem('targets', index, { mode: e.target.value })} style={inputStyle}>
+                {modes.map(({ key, label, unit }) => <option key={key} value={key}>{unit} per day ({label})</option>)}
+              </select>
+              <input
+                type="number"
+                min="0"
+                value={target.perDay}
+                onChange={(e) => updateItem('targets', index, { perDay: e.target.value === '' ? '' : Number(e.target.value) })}
+                style={{ ...inputStyle, width: 90 }}
+              />
+              <button onClick={() => removeItem('targets', index)} style={smallButtonStyle} title="Remove target">✕</button>
+            </div>
+          ))}
+          <button
+            onClick={() => set({ targets: [...baseline.targets, { subcontractor: '', mode: 'test', perDay: '' }] })}
+            style={smallButtonStyle}
+          >
+            + Add target
+          </button>
+        </fieldset>
+      </div>
+    </div>
+  )
+}
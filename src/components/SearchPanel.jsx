@@ -0,0 +1,150 @@
+import { useState, useMemo, useEffect, useRef } from 'react'
+import { searchEntries } from '../utils/search'
+
+const TYPE_ICONS = { inverter: '⚡', string: '🔌', note: '📌' }
+
+/**
+ * Search Panel Component
+ * Fuzzy search over inverters, strings and notes. Arrow keys step through
+ * the results, moving the map to each one; Enter jumps and closes.
+ */
+export default function SearchPanel({
+  isOpen,
+  onClose,
+  entries,
+  onSelect
+}) {
+  const [query, setQuery] = useState('')
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const listRef = useRef(null)
+
+  const results = useMemo(() => searchEntries(entries, query), [entries, query])
+
+  // New query, new result list
+  useEffect(() => {
+    setActiveIndex(-1)
+  }, [query])
+
+  // Keep the active result scrolled into view
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' })
+  }, [activeIndex])
+
+  if (!isOpen) return null
+
+  const choose = (index) => {
+    setActiveIndex(index)
+    onSelect(results[index])
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault()
+      choose((activeIndex + 1) % results.length)
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault()
+      choose(activeIndex <= 0 ? results.length - 1 : activeIndex - 1)
+    } else if (e.key === 'Enter' && results.length > 0) {
+      e.preventDefault()
+      onSelect(results[Math.max(activeIndex, 0)])
+      onClose()
+    } else if (e.key === 'Escape') {
+      onClose()
+    }
+  }
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 80,
+      left: 20,
+      width: 360,
+      maxHeight: 'calc(100vh - 100px)',
+      background: 'rgba(15, 23, 42, 0.97)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: 10,
+      boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
+      fontFamily: 'Arial, sans-serif',
+      color: '#e5e7eb',
+      zIndex: 1050,
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: 12 }}>
+        <input
+          type="search"
+          value={query}
+          autoFocus
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search inverters, strings, notes…"
+          style={{
+            flex: 1,
+            padding: '8px 10px',
+            background: 'rgba(255,255,255,0.05)',
+            border: '1px solid rgba(255,255,255,0.15)',
+            borderRadius: 8,
+            color: '#f8fafc',
+            fontSize: 13
+          }}
+        />
+        <button
+          onClick={onClose}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            color: '#9ca3af',
+            fontSize: 20,
+            cursor: 'pointer'
+          }}
+        >
+          ×
+        </button>
+      </div>
+
+      {query.trim() && (
+        <div ref={listRef} style={{ overflowY: 'auto', borderTop: '1px solid rgba(255,255,255,0.08)' }}>
+          {results.length === 0 ? (
+            <div style={{ padding: 20, textAlign: 'center', color: '#6b7280', fontSize: 13 }}>
+              No matches
+            </div>
+          ) : (
+            results.map((result, index) => (
+              <div
+                key={result.key}
+                onClick={() => choose(index)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 10,
+                  padding: '8px 16px',
+                  borderBottom: '1px solid rgba(255,255,255,0.05)',
+                  background: index === activeIndex ? 'rgba(59, 130, 246, 0.2)' : 'transparent',
+                  cursor: 'pointer',
+                  fontSize: 12
+                }}
+              >
+                <span style={{ flex: 'none' }}>{TYPE_ICONS[result.type]}</span>
+                <span style={{
+                  flex: 1,
+                  minWidth: 0,
+                  color: '#f8fafc',
+                  whiteSpace: 'nowrap',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis'
+                }}>
+                  {result.label}
+                </span>
+                <span style={{ flex: 'none', color: '#6b7280', fontSize: 11 }}>{result.detail}</span>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      <div style={{ padding: '6px 16px 10px', color: '#6b7280', fontSize: 10 }}>
+        ↑↓ step through results · Enter jump · Esc close
+      </div>
+    </div>
+  )
+}
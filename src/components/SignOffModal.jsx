@@ -0,0 +1,238 @@
+import { useState } from 'react'
+import { SIGN_OFF_STAGES, signOffKey, signOffStyle, nextStage, stageLabel } from '../utils/signOff'
+
+const actionButtonStyle = {
+  padding: '5px 10px',
+  border: 'none',
+  borderRadius: 6,
+  fontSize: 11,
+  fontWeight: 600,
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+}
+
+function formatStamp(stamp) {
+  return `${stamp.user || 'Unknown'} · ${new Date(stamp.at).toLocaleString()}`
+}
+
+function SignOffRow({ id, record, can, onAdvance, onReject, main }) {
+  const [rejecting, setRejecting] = useState(false)
+  const [reason, setReason] = useState('')
+  const style = signOffStyle(record)
+  const next = nextStage(record)
+
+  const submitRejection = (e) => {
+    e.preventDefault()
+    if (!reason.trim()) return
+    onReject(reason.trim())
+    setRejecting(false)
+    setReason('')
+  }
+
+  return (
+    <div style={{
+      padding: main ? 12 : '8px 4px',
+      marginBottom: main ? 12 : 0,
+      borderRadius: main ? 10 : 0,
+      background: main ? 'rgba(255,255,255,0.04)' : 'transparent',
+      borderBottom: main ? 'none' : '1px solid rgba(255,255,255,0.05)'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <span style={{
+          width: 12,
+          height: 12,
+          flex: 'none',
+          borderRadius: 3,
+          background: style.fill,
+          border: `2px solid ${style.color}`
+        }}></span>
+        <span style={{ flex: 1, color: '#f8fafc', fontSize: main ? 14 : 12, fontWeight: main ? 600 : 400 }}>
+          {id}
+          <span style={{ color: style.color, fontWeight: 600, marginLeft: 8, fontSize: 11 }}>{style.label}</span>
+        </span>
+        {next && (
+          <button
+            onClick={onAdvance}
+            disabled={!can(next.permission)}
+            title={can(next.permission) ? `Sign off as ${next.label}` : `Needs ${next.permission === 'progress.edit' ? 'a supervisor' : 'QA'}`}
+            style={{ ...actionButtonStyle, background: next.fill, color: '#fff', opacity: can(next.permission) ? 1 : 0.4 }}
+          >
+            → {next.label}
+          </button>
+        )}
+        {can('signoff.reject') && record?.stage && (
+          <button
+            onClick={() => setRejecting(!rejecting)}
+            style={{ ...actionButtonStyle, background: 'rgba(239, 68, 68, 0.15)', color: '#ef4444' }}
+          >
+            Reject
+          </button>
+        )}
+      </div>
+
+      {/* Who signed off each stage so far */}
+      {record?.stage && (
+        <div style={{ marginTop: 4, paddingLeft: 20, color: '#9ca3af', fontSize: 10, lineHeight: 1.6 }}>
+          {SIGN_OFF_STAGES.filter(s => record.stages?.[s.key]).map(s => (
+            <div key={s.key}>
+              <span style={{ color: s.color }}>{s.label}</span> — {formatStamp(record.stages[s.key])}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {record?.rejection && (
+        <div style={{ marginTop: 4, paddingLeft: 20, color: '#f87171', fontSize: 11 }}>
+          Rejected{record.rejection.stage ? ` at ${stageLabel(record.rejection.stage)}` : ''}: "{record.rejection.reason}"
+          <div style={{ color: '#6b7280', fontSize: 10 }}>{formatStamp(record.rejection)}</div>
+        </div>
+      )}
+
+      {rejecting && (
+        <form onSubmit={submitRejection} style={{ display: 'flex', gap: 6, marginTop: 6, paddingLeft: 20 }}>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason for rejection"
+            autoFocus
+            required
+            style={{
+              flex: 1,
+              padding: '6px 8px',
+              background: 'rgba(255,255,255,0.05)',
+              border: '1px solid rgba(239, 68, 68, 0.4)',
+              borderRadius: 6,
+              color: '#f8fafc',
+              fontSize: 12
+            }}
+          />
+          <button
+            type="submit"
+            style={{ ...actionButtonStyle, background: 'linear-gradient(135deg, #f87171, #ef4444)', color: '#0b1220' }}
+          >
+            Reject &amp; Reopen
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Sign-off Modal Component
+ * Moves an inverter and each of its circuits through the sign-off stages,
+ * showing who signed off each stage and the reason for any rejection.
+ * Buttons for stages the user's role can't sign off are disabled.
+ */
+export default function SignOffModal({
+  inverterId,
+  circuits,
+  signOffs,
+  can,
+  onAdvance,
+  onReject,
+  onClose
+}) {
+  if (!inverterId) return null
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 440,
+          maxWidth: 560,
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 16
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            ✅ Sign-off
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <SignOffRow
+          main
+          id={inverterId}
+          record={signOffs[signOffKey('inverter', inverterId)]}
+          can={can}
+          onAdvance={() => onAdvance('inverter', inverterId)}
+          onReject={(reason) => onReject('inverter', inverterId, reason)}
+        />
+
+        <div style={{ color: '#9ca3af', fontSize: 13, marginBottom: 6 }}>
+          Circuits ({circuits.length})
+        </div>
+        {circuits.length === 0 ? (
+          <div style={{ padding: 16, textAlign: 'center', color: '#6b7280', fontSize: 13 }}>
+            No circuits found for this inverter
+          </div>
+        ) : (
+          circuits.map(circuit => (
+            <SignOffRow
+              key={circuit.id}
+              id={circuit.id}
+              record={signOffs[signOffKey('circuit', circuit.id)]}
+              can={can}
+              onAdvance={() => onAdvance('circuit', circuit.id)}
+              onReject={(reason) => onReject('circuit', circuit.id, reason)}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
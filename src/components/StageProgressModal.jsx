@@ -0,0 +1,200 @@
+import { progressStatus, stageStyle } from '../utils/workflow'
+
+const actionButtonStyle = {
+  padding: '5px 10px',
+  border: 'none',
+  borderRadius: 6,
+  fontSize: 11,
+  fontWeight: 600,
+  cursor: 'pointer',
+  whiteSpace: 'nowrap'
+}
+
+const countInputStyle = {
+  width: 64,
+  padding: '4px 6px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 6,
+  color: '#f8fafc',
+  fontSize: 12,
+  textAlign: 'right'
+}
+
+/**
+ * Stage Progress Modal Component
+ * Records progress on a custom workflow stage for one inverter: the inverter
+ * itself or each of its strings, ticked done or counted. Items still waiting
+ * on an earlier stage can't be started.
+ * rows: [{ item, done, total, blockers: [stage names], record }]
+ */
+export default function StageProgressModal({
+  stage,
+  inverterId,
+  rows,
+  canEdit,
+  onChange,
+  onClose
+}) {
+  if (!stage || !inverterId) return null
+
+  const done = rows.reduce((sum, row) => sum + row.done, 0)
+  const total = rows.reduce((sum, row) => sum + row.total, 0)
+  const setDone = (row, value) => onChange([{ item: row.item, done: Math.max(0, Math.min(row.total, value)) }])
+  const setAll = (full) => onChange(rows
+    .filter(row => !full || row.blockers.length === 0)
+    .map(row => ({ item: row.item, done: full ? row.total : 0 })))
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 400,
+          maxWidth: 520,
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 16
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            {stage.icon} {stage.name} · {inverterId}
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10, fontSize: 12 }}>
+          <span style={{ flex: 1, fontWeight: 700, color: '#fff' }}>{done} / {total}</span>
+          {canEdit && (
+            <>
+              <button onClick={() => setAll(true)} style={{ ...actionButtonStyle, background: 'rgba(34, 197, 94, 0.15)', color: '#22c55e' }}>
+                All done
+              </button>
+              <button onClick={() => setAll(false)} style={{ ...actionButtonStyle, background: 'rgba(255,255,255,0.08)', color: '#9ca3af' }}>
+                Clear
+              </button>
+            </>
+          )}
+        </div>
+
+        {rows.length === 0 ? (
+          <div style={{ padding: 16, textAlign: 'center', color: '#6b7280', fontSize: 13 }}>
+            No strings found for this inverter
+          </div>
+        ) : (
+          rows.map(row => {
+            const blocked = row.blockers.length > 0 && row.done === 0
+            const style = stageStyle(stage, progressStatus(row.done, row.total, blocked))
+            return (
+              <div
+                key={row.item.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 8,
+                  padding: '6px 4px',
+                  fontSize: 12,
+                  borderBottom: '1px solid rgba(255,255,255,0.05)'
+                }}
+              >
+                <span style={{
+                  width: 12,
+                  height: 12,
+                  flex: 'none',
+                  borderRadius: 3,
+                  background: style.fill,
+                  border: `2px solid ${style.stroke}`
+                }}></span>
+                <span style={{ flex: 1, color: '#f8fafc' }}>
+                  {row.item.id}
+                  {row.blockers.length > 0 && (
+                    <span style={{ color: '#94a3b8', fontSize: 10, marginLeft: 8 }}>
+                      🔒 waiting on {row.blockers.join(', ')}
+                    </span>
+                  )}
+                  {row.record && (
+                    <div style={{ color: '#6b7280', fontSize: 10 }}>
+                      {row.record.user || 'Unknown'} · {new Date(row.record.at).toLocaleString()}
+                    </div>
+                  )}
+                </span>
+                {stage.tracking === 'count' ? (
+                  <span style={{ display: 'flex', alignItems: 'center', gap: 4, color: '#9ca3af' }}>
+                    <input
+                      type="number"
+                      min="0"
+                      max={row.total}
+                      value={row.done}
+                      disabled={!canEdit || blocked}
+                      onChange={(e) => setDone(row, Number(e.target.value) || 0)}
+                      style={countInputStyle}
+                    />
+                    / {row.total}
+                  </span>
+                ) : (
+                  <input
+                    type="checkbox"
+                    checked={row.done >= row.total}
+                    disabled={!canEdit || blocked}
+                    onChange={(e) => setDone(row, e.target.checked ? row.total : 0)}
+                    style={{ accentColor: stage.colors.done }}
+                  />
+                )}
+              </div>
+            )
+          })
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+import useStorageStatus from '../hooks/useStorageStatus'
+
+function formatBytes(bytes) {
+  if (bytes == null) return '—'
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`
+}
+
+/**
+ * Storage Status Component
+ * Top-panel indicator of device storage use, the last successful save and
+ * whether the app is currently offline
+ */
+export default function StorageStatus() {
+  const { pending, lastSavedAt, error, usage, quota, online } = useStorageStatus()
+
+  let saveLabel = 'Not saved yet'
+  if (error) saveLabel = 'Save failed'
+  else if (pending > 0) saveLabel = 'Saving…'
+  else if (lastSavedAt) saveLabel = `Saved ${new Date(lastSavedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+
+  const title = [
+    `Stored on this device: ${formatBytes(usage)}${quota ? ` of ${formatBytes(quota)}` : ''}`,
+    lastSavedAt ? `Last saved ${new Date(lastSavedAt).toLocaleString()}` : null,
+    error ? `Last error: ${error.message}` : null,
+    online ? null : 'Offline - changes are kept on this device'
+  ].filter(Boolean).join('\n')
+
+  return (
+    <div className="storage-status" title={title}>
+      {!online && <span className="storage-status-offline">Offline</span>}
+      <span>💾 {formatBytes(usage)}</span>
+      <span className={error ? 'storage-status-error' : ''}>{saveLabel}</span>
+    </div>
+  )
+}
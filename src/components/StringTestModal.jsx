@@ -0,0 +1,300 @@
+import { useState, useEffect } from 'react'
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 8,
+  color: '#f8fafc',
+  fontSize: 14
+}
+
+const labelStyle = {
+  display: 'block',
+  color: '#9ca3af',
+  fontSize: 13,
+  marginBottom: 6
+}
+
+const emptyResult = {
+  insulation: '',
+  polarity: 'correct',
+  voc: '',
+  continuity: 'ok',
+  result: 'pass',
+  tester: ''
+}
+
+/**
+ * String Test Modal Component
+ * Records LV cable test measurements for a single string (TXn-INVn-STRn).
+ * Without canPass the result can only be recorded as a fail and passed
+ * results are locked; readOnly shows the result without editing.
+ */
+export default function StringTestModal({
+  stringId,
+  existing,
+  defaultTester,
+  onClose,
+  onSave,
+  onClear,
+  canPass = true,
+  readOnly = false
+}) {
+  const [form, setForm] = useState(emptyResult)
+  const locked = readOnly || (!canPass && existing?.result === 'pass')
+
+  // Reset form whenever a different string is opened
+  useEffect(() => {
+    if (!stringId) return
+    setForm(existing
+      ? { ...emptyResult, ...existing, insulation: existing.insulation ?? '', voc: existing.voc ?? '' }
+      : { ...emptyResult, result: canPass ? 'pass' : 'fail', tester: defaultTester || '' })
+  }, [stringId, existing, defaultTester, canPass])
+
+  if (!stringId) return null
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (locked || (form.result === 'pass' && !canPass)) return
+
+    const insulation = parseFloat(form.insulation)
+    const voc = parseFloat(form.voc)
+    onSave(stringId, {
+      insulation: Number.isFinite(insulation) ? insulation : null,
+      polarity: form.polarity,
+      voc: Number.isFinite(voc) ? voc : null,
+      continuity: form.continuity,
+      result: form.result,
+      tester: form.tester.trim(),
+      testedAt: new Date().toISOString()
+    })
+    onClose()
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 380,
+          maxWidth: 450,
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <h2 style={{
+          color: '#f8fafc',
+          marginBottom: 6,
+          fontSize: 20,
+          fontWeight: 600,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 10
+        }}>
+          🔌 {stringId}
+        </h2>
+        <div style={{ color: '#6b7280', fontSize: 12, marginBottom: 20 }}>
+          {existing
+            ? `Last tested ${new Date(existing.testedAt).toLocaleString()}${existing.tester ? ` by ${existing.tester}` : ''}`
+            : 'Not tested yet'}
+        </div>
+        {locked && !readOnly && (
+          <div style={{ color: '#f59e0b', fontSize: 12, margin: '-12px 0 16px' }}>
+            Passed results can only be changed by QA
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <fieldset disabled={locked} style={{ border: 'none', padding: 0, margin: 0 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 16 }}>
+              {/* Insulation Resistance */}
+              <div>
+                <label style={labelStyle}>Insulation (MΩ)</label>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={form.insulation}
+                  onChange={update('insulation')}
+                  placeholder="e.g. 550"
+                  style={inputStyle}
+                />
+              </div>
+
+              {/* Open Circuit Voltage */}
+              <div>
+                <label style={labelStyle}>Voc (V)</label>
+                <input
+                  type="number"
+                  step="any"
+                  value={form.voc}
+                  onChange={update('voc')}
+                  placeholder="e.g. 1120"
+                  style={inputStyle}
+                />
+              </div>
+
+              {/* Polarity */}
+              <div>
+                <label style={labelStyle}>Polarity</label>
+                <select value={form.polarity} onChange={update('polarity')} style={inputStyle}>
+                  <option value="correct">Correct</option>
+                  <option value="reversed">Reversed</option>
+                </select>
+              </div>
+
+              {/* Continuity */}
+              <div>
+                <label style={labelStyle}>Continuity</label>
+                <select value={form.continuity} onChange={update('continuity')} style={inputStyle}>
+                  <option value="ok">OK</option>
+                  <option value="open">Open circuit</option>
+                </select>
+              </div>
+            </div>
+
+            {/* Tester */}
+            <div style={{ marginBottom: 16 }}>
+              <label style={labelStyle}>Tester</label>
+              <input
+                type="text"
+                value={form.tester}
+                onChange={update('tester')}
+                placeholder="Enter tester name"
+                required
+                style={inputStyle}
+              />
+            </div>
+
+            {/* Result */}
+            <div style={{ display: 'flex', gap: 10, marginBottom: 8 }}>
+              {['pass', 'fail'].map(result => (
+                <button
+                  key={result}
+                  type="button"
+                  disabled={result === 'pass' && !canPass}
+                  title={result === 'pass' && !canPass ? 'Only QA can pass a test' : undefined}
+                  onClick={() => setForm(prev => ({ ...prev, result }))}
+                  style={{
+                    flex: 1,
+                    padding: '10px 12px',
+                    borderRadius: 8,
+                    border: '1px solid',
+                    borderColor: form.result === result
+                      ? (result === 'pass' ? '#22c55e' : '#ef4444')
+                      : 'rgba(255,255,255,0.15)',
+                    background: form.result === result
+                      ? (result === 'pass' ? 'rgba(34, 197, 94, 0.2)' : 'rgba(239, 68, 68, 0.2)')
+                      : 'transparent',
+                    color: form.result === result
+                      ? (result === 'pass' ? '#22c55e' : '#ef4444')
+                      : '#9ca3af',
+                    fontWeight: 600,
+                    cursor: result === 'pass' && !canPass ? 'not-allowed' : 'pointer',
+                    opacity: result === 'pass' && !canPass ? 0.5 : 1
+                  }}
+                >
+                  {result === 'pass' ? '✓ Pass' : '✗ Fail'}
+                </button>
+              ))}
+            </div>
+          </fieldset>
+
+          {/* Buttons */}
+          <div style={{
+            display: 'flex',
+            gap: 10,
+            marginTop: 24
+          }}>
+            {existing && !locked && (
+              <button
+                type="button"
+                onClick={() => {
+                  onClear(stringId)
+                  onClose()
+                }}
+                style={{
+                  padding: '12px 16px',
+                  background: 'rgba(239, 68, 68, 0.15)',
+                  border: '1px solid rgba(239, 68, 68, 0.4)',
+                  borderRadius: 8,
+                  color: '#ef4444',
+                  fontSize: 14,
+                  fontWeight: 500,
+                  cursor: 'pointer'
+                }}
+              >
+                Clear
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onClose}
+              style={{
+                flex: 1,
+                padding: '12px 20px',
+                background: 'rgba(255,255,255,0.1)',
+                border: '1px solid rgba(255,255,255,0.15)',
+                borderRadius: 8,
+                color: '#e5e7eb',
+                fontSize: 14,
+                fontWeight: 500,
+                cursor: 'pointer',
+                transition: 'all 0.15s'
+              }}
+            >
+              {locked ? 'Close' : 'Cancel'}
+            </button>
+            {!locked && (
+              <button
+                type="submit"
+                style={{
+                  flex: 1,
+                  padding: '12px 20px',
+                  background: 'linear-gradient(135deg, #22c55e, #16a34a)',
+                  border: 'none',
+                  borderRadius: 8,
+                  color: '#0b1220',
+                  fontSize: 14,
+                  fontWeight: 600,
+                  cursor: 'pointer',
+                  transition: 'all 0.15s'
+                }}
+              >
+                Save Result
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
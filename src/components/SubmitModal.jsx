@@ -1,18 +1,22 @@
 import { useState } from 'react'
+import { toLocalDate } from '../utils/events'
 
 /**
  * Submit Modal Component
  * Allows users to submit daily work records
+ * The installed figure is pre-filled from the progress events of the chosen date,
+ * for the active workflow stage - mode is its entry from scheduleModes (utils/schedule)
  */
 export default function SubmitModal({ 
   isOpen, 
   onClose, 
   onSubmit, 
-  dailyInstalled,
+  mode,
+  getDaySummary,
   totalCompleted,
   totalBoxes
 }) {
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0])
+  const [date, setDate] = useState(() => toLocalDate(new Date().toISOString()))
   const [subcontractor, setSubcontractor] = useState('')
   const [workers, setWorkers] = useState('')
   const [customPanels, setCustomPanels] = useState('')
@@ -20,6 +24,15 @@ export default function SubmitModal({
 
   if (!isOpen) return null
 
+  const summary = getDaySummary(date)
+  const builtIn = mode.key === 'test' || mode.key === 'termination'
+  const dailyInstalled = mode.key === 'test' ? summary.test.inverters
+    : mode.key === 'termination' ? summary.termination.circuits
+    : summary.stages[mode.key] || 0
+  const unitLabel = builtIn ? `${mode.unit} ${mode.label.toLowerCase()}` : `${mode.unit} (${mode.label})`
+  const inverterRows = Object.entries(summary.byInverter)
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+
   const handleSubmit = (e) => {
     e.preventDefault()
     
@@ -27,7 +40,9 @@ export default function SubmitModal({
       date,
       installed_panels: useCustomPanels ? parseInt(customPanels) || 0 : dailyInstalled,
       subcontractor: subcontractor.trim(),
-      workers: parseInt(workers) || 0
+      workers: parseInt(workers) || 0,
+      mode: mode.key,
+      breakdown: summary
     }
 
     onSubmit(record)
@@ -96,7 +111,7 @@ export default function SubmitModal({
           marginBottom: 20
         }}>
           <div style={{ color: '#9ca3af', fontSize: 12, marginBottom: 4 }}>
-            Today's Progress
+            Progress on {date}
           </div>
           <div style={{ 
             color: '#22c55e', 
@@ -108,12 +123,45 @@ export default function SubmitModal({
           }}>
             {dailyInstalled}
             <span style={{ fontSize: 14, color: '#9ca3af', fontWeight: 400 }}>
-              boxes completed
+              {unitLabel}
             </span>
           </div>
+          <div style={{ color: '#6b7280', fontSize: 12, marginTop: 4 }}>
+            Test: {summary.test.inverters} inverters · {summary.test.strings} strings passed
+            {' '}| Termination: {summary.termination.circuits} circuits
+            {!builtIn && <>{' '}| {mode.label}: {dailyInstalled} {mode.unit}</>}
+          </div>
           <div style={{ color: '#6b7280', fontSize: 12, marginTop: 4 }}>
             Total: {totalCompleted} / {totalBoxes}
           </div>
+
+          {/* Per-inverter breakdown */}
+          {inverterRows.length > 0 && (
+            <div style={{ maxHeight: 120, overflowY: 'auto', marginTop: 8, borderTop: '1px solid rgba(255,255,255,0.08)' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 11 }}>
+                <thead>
+                  <tr style={{ color: '#9ca3af' }}>
+                    <th style={{ padding: '4px 6px', textAlign: 'left', fontWeight: 500 }}>Inverter</th>
+                    <th style={{ padding: '4px 6px', textAlign: 'center', fontWeight: 500 }}>Tested</th>
+                    <th style={{ padding: '4px 6px', textAlign: 'center', fontWeight: 500 }}>Strings</th>
+                    <th style={{ padding: '4px 6px', textAlign: 'center', fontWeight: 500 }}>Circuits</th>
+                    {!builtIn && <th style={{ padding: '4px 6px', textAlign: 'center', fontWeight: 500 }}>{mode.label}</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {inverterRows.map(([inverterId, counts]) => (
+                    <tr key={inverterId} style={{ color: '#e5e7eb' }}>
+                      <td style={{ padding: '3px 6px' }}>{inverterId}</td>
+                      <td style={{ padding: '3px 6px', textAlign: 'center' }}>{counts.inverters || '-'}</td>
+                      <td style={{ padding: '3px 6px', textAlign: 'center' }}>{counts.strings || '-'}</td>
+                      <td style={{ padding: '3px 6px', textAlign: 'center' }}>{counts.circuits || '-'}</td>
+                      {!builtIn && <td style={{ padding: '3px 6px', textAlign: 'center' }}>{counts.stages[mode.key] || '-'}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
 
         <form onSubmit={handleSubmit}>
@@ -0,0 +1,311 @@
+import { useState } from 'react'
+import { EXISTS, FIELD_LABELS } from '../utils/sync'
+import { categoryLabel } from '../utils/notes'
+import { stageLabel } from '../utils/signOff'
+
+const KIND_LABELS = {
+  inverter: 'Inverter',
+  string: 'String test',
+  circuit: 'Circuit',
+  note: 'Note',
+  signOff: 'Sign-off',
+  workStage: 'Stage progress',
+  dailyLog: 'Daily record'
+}
+
+const actionButtonStyle = {
+  padding: '6px 10px',
+  border: 'none',
+  borderRadius: 6,
+  fontSize: 12,
+  fontWeight: 600,
+  cursor: 'pointer'
+}
+
+// Short display form of one side of a conflict
+function formatFieldValue(field, value) {
+  if (field === EXISTS) return value ? 'Present' : 'Deleted'
+  if (value === null || value === undefined || value === '') return '—'
+  if (field === 'tested') return value ? 'Tested' : 'Not tested'
+  if (field === 'category') return categoryLabel(value)
+  if (field === 'position') return 'Moved'
+  if (field === 'stage') return stageLabel(value)
+  if (field === 'stages') return `${Object.keys(value).length} stage${Object.keys(value).length === 1 ? '' : 's'} signed`
+  if (field === 'rejection') return `Rejected: ${value.reason}`
+  if (field.endsWith('At')) return new Date(value).toLocaleString()
+  return String(value)
+}
+
+function ConflictSide({ label, user, at, value, field, won }) {
+  return (
+    <div style={{
+      flex: 1,
+      minWidth: 0,
+      padding: 8,
+      borderRadius: 6,
+      background: won ? 'rgba(34, 197, 94, 0.1)' : 'rgba(255,255,255,0.03)',
+      border: `1px solid ${won ? 'rgba(34, 197, 94, 0.4)' : 'rgba(255,255,255,0.08)'}`
+    }}>
+      <div style={{ color: '#9ca3af', fontSize: 10 }}>
+        {label}{won && ' · kept'}
+      </div>
+      <div style={{ color: '#f8fafc', fontSize: 13, margin: '2px 0', wordBreak: 'break-word' }}>
+        {formatFieldValue(field, value)}
+      </div>
+      <div style={{ color: '#6b7280', fontSize: 10 }}>
+        {user || 'Unknown'} · {at ? new Date(at).toLocaleString() : '—'}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Sync Modal Component
+ * Sync server settings and status, plus the conflicts found while merging
+ * other devices' changes. Each conflict shows both values and which was
+ * kept; the other value can still be chosen.
+ */
+export default function SyncModal({
+  isOpen,
+  onClose,
+  sync,
+  onUseOther
+}) {
+  const [urlDraft, setUrlDraft] = useState(sync.serverUrl)
+  const [tokenDraft, setTokenDraft] = useState(sync.token)
+
+  if (!isOpen) return null
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  let statusText = 'Not connected - changes stay on this device'
+  if (sync.serverUrl) {
+    if (sync.syncing) statusText = 'Syncing…'
+    else if (sync.error) statusText = `Last attempt failed: ${sync.error}`
+    else if (sync.lastSyncAt) statusText = `Last synced ${new Date(sync.lastSyncAt).toLocaleString()}`
+    else statusText = 'Waiting for first sync'
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          minWidth: 480,
+          maxWidth: 600,
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 20
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            🔄 Device Sync
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Server */}
+        <label style={{ display: 'block', color: '#9ca3af', fontSize: 13, marginBottom: 6 }}>
+          Sync server address
+        </label>
+        <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+          <input
+            type="url"
+            placeholder="http://192.168.1.10:8787"
+            value={urlDraft}
+            onChange={(e) => setUrlDraft(e.target.value)}
+            style={{
+              flex: 1,
+              padding: '8px 10px',
+              background: 'rgba(255,255,255,0.05)',
+              border: '1px solid rgba(255,255,255,0.15)',
+              borderRadius: 8,
+              color: '#f8fafc',
+              fontSize: 13
+            }}
+          />
+          <input
+            type="password"
+            placeholder="Sync token"
+            value={tokenDraft}
+            onChange={(e) => setTokenDraft(e.target.value)}
+            style={{
+              width: 140,
+              padding: '8px 10px',
+              background: 'rgba(255,255,255,0.05)',
+              border: '1px solid rgba(255,255,255,0.15)',
+              borderRadius: 8,
+              color: '#f8fafc',
+              fontSize: 13
+            }}
+          />
+          <button
+            onClick={() => {
+              sync.setServerUrl(urlDraft.trim())
+              sync.setToken(tokenDraft.trim())
+            }}
+            disabled={urlDraft.trim() === sync.serverUrl && tokenDraft.trim() === sync.token}
+            style={{ ...actionButtonStyle, background: 'linear-gradient(135deg, #3b82f6, #2563eb)', color: '#fff' }}
+          >
+            Save
+          </button>
+        </div>
+        <div style={{ color: '#6b7280', fontSize: 11, marginBottom: 16, lineHeight: 1.5 }}>
+          Start the server with <code>npm run sync-server</code> and enter this device's role token from
+          its SYNC_TOKENS - the server refuses changes that role can't make. Leave empty to work on this
+          device only. Note photos are not synced.
+        </div>
+
+        {/* Status */}
+        <div style={{
+          background: 'rgba(59, 130, 246, 0.1)',
+          border: '1px solid rgba(59, 130, 246, 0.3)',
+          borderRadius: 10,
+          padding: 12,
+          marginBottom: 20,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 12
+        }}>
+          <div style={{ flex: 1 }}>
+            <div style={{ color: sync.error ? '#f87171' : '#e5e7eb', fontSize: 13 }}>{statusText}</div>
+            <div style={{ color: '#9ca3af', fontSize: 11, marginTop: 2 }}>
+              {sync.pendingCount} change{sync.pendingCount === 1 ? '' : 's'} waiting to upload · device {sync.deviceId}
+            </div>
+            {sync.refusedCount > 0 && (
+              <div style={{ color: '#f59e0b', fontSize: 11, marginTop: 2 }}>
+                {sync.refusedCount} change{sync.refusedCount === 1 ? '' : 's'} refused by the server for this token's role - kept on this device only
+              </div>
+            )}
+          </div>
+          <button
+            onClick={sync.syncNow}
+            disabled={!sync.serverUrl || sync.syncing}
+            style={{ ...actionButtonStyle, background: 'linear-gradient(135deg, #22c55e, #16a34a)', color: '#0b1220' }}
+          >
+            Sync Now
+          </button>
+        </div>
+
+        {/* Conflicts */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+          <div style={{ color: '#f8fafc', fontSize: 14, fontWeight: 600 }}>
+            Conflicts ({sync.conflicts.length})
+          </div>
+          {sync.conflicts.length > 0 && (
+            <button
+              onClick={sync.dismissAllConflicts}
+              style={{ ...actionButtonStyle, background: 'rgba(255,255,255,0.1)', color: '#e5e7eb' }}
+            >
+              Accept All
+            </button>
+          )}
+        </div>
+
+        {sync.conflicts.length === 0 ? (
+          <div style={{ padding: 16, textAlign: 'center', color: '#6b7280', fontSize: 13 }}>
+            No conflicting changes
+          </div>
+        ) : (
+          sync.conflicts.map(conflict => (
+            <div
+              key={conflict.id}
+              style={{
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: 8,
+                padding: 10,
+                marginBottom: 10
+              }}
+            >
+              <div style={{ color: '#e5e7eb', fontSize: 13, fontWeight: 600, marginBottom: 8 }}>
+                {KIND_LABELS[conflict.kind] || conflict.kind}
+                <span style={{ color: '#60a5fa', fontWeight: 400 }}> {conflict.itemId}</span>
+                <span style={{ color: '#9ca3af', fontWeight: 400 }}> · {FIELD_LABELS[conflict.field] || conflict.field}</span>
+              </div>
+              <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+                <ConflictSide
+                  label="This device"
+                  user={conflict.myUser}
+                  at={conflict.myAt}
+                  value={conflict.mine}
+                  field={conflict.field}
+                  won={conflict.kept === 'mine'}
+                />
+                <ConflictSide
+                  label="Other device"
+                  user={conflict.theirUser}
+                  at={conflict.theirAt}
+                  value={conflict.theirs}
+                  field={conflict.field}
+                  won={conflict.kept === 'theirs'}
+                />
+              </div>
+              <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end' }}>
+                <button
+                  onClick={() => onUseOther(conflict)}
+                  style={{ ...actionButtonStyle, background: 'linear-gradient(135deg, #fbbf24, #f59e0b)', color: '#0b1220' }}
+                >
+                  Use {conflict.kept === 'mine' ? 'Other Device' : 'This Device'}
+                </button>
+                <button
+                  onClick={() => sync.dismissConflict(conflict.id)}
+                  style={{ ...actionButtonStyle, background: 'rgba(255,255,255,0.1)', color: '#e5e7eb' }}
+                >
+                  Accept
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,259 @@
+import { STAGE_UNITS, STAGE_TRACKING, STAGE_TEMPLATES, createStage, wouldCycle } from '../utils/workflow'
+
+const inputStyle = {
+  padding: '6px 8px',
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 6,
+  color: '#f8fafc',
+  fontSize: 12,
+  colorScheme: 'dark'
+}
+
+const smallButtonStyle = {
+  background: 'rgba(255,255,255,0.05)',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 6,
+  color: '#9ca3af',
+  fontSize: 12,
+  padding: '4px 10px',
+  cursor: 'pointer'
+}
+
+const colorInputStyle = {
+  width: 28,
+  height: 20,
+  padding: 0,
+  background: 'transparent',
+  border: '1px solid rgba(255,255,255,0.15)',
+  borderRadius: 4,
+  cursor: 'pointer'
+}
+
+const COLOR_FIELDS = [
+  { key: 'done', label: 'Done' },
+  { key: 'partial', label: 'In progress' },
+  { key: 'none', label: 'Not started' }
+]
+
+/**
+ * Workflow Modal Component
+ * Admin editor for the project's workflow stages: name, unit, binary or count
+ * tracking, map colours and which stages must be complete first. Built-in
+ * stages keep their unit and tracking and can't be removed.
+ */
+export default function WorkflowModal({
+  isOpen,
+  onClose,
+  workflow,
+  onChange,
+  canEdit
+}) {
+  if (!isOpen) return null
+
+  const updateStage = (key, changes) => onChange(workflow.map(stage => stage.key === key ? { ...stage, ...changes } : stage))
+  const moveStage = (index, direction) => {
+    const next = [...workflow]
+    const [stage] = next.splice(index, 1)
+    next.splice(index + direction, 0, stage)
+    onChange(next)
+  }
+  const removeStage = (stage) => {
+    if (!confirm(`Remove the "${stage.name}" stage? Progress recorded on it stays in the activity log.`)) return
+    onChange(workflow
+      .filter(s => s.key !== stage.key)
+      .map(s => ({ ...s, dependsOn: s.dependsOn.filter(key => key !== stage.key) })))
+  }
+  const addStage = (fields) => onChange([...workflow, createStage(workflow, fields)])
+  const toggleDependency = (stage, key, checked) => updateStage(stage.key, {
+    dependsOn: checked ? [...stage.dependsOn, key] : stage.dependsOn.filter(k => k !== key)
+  })
+
+  const unusedTemplates = STAGE_TEMPLATES.filter(template => !workflow.some(stage => stage.name === template.name))
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="modal-backdrop"
+      onClick={handleBackdropClick}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 2000
+      }}
+    >
+      <div
+        className="modal-content"
+        style={{
+          background: 'linear-gradient(180deg, #1f2937, #111827)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: 16,
+          padding: 24,
+          width: 640,
+          maxWidth: '95vw',
+          maxHeight: '88vh',
+          overflowY: 'auto',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 16
+        }}>
+          <h2 style={{
+            color: '#f8fafc',
+            fontSize: 20,
+            fontWeight: 600,
+            display: 'flex',
+            alignItems: 'center',
+            gap: 10
+          }}>
+            ⚙️ Workflow Stages
+            {!canEdit && <span style={{ color: '#6b7280', fontSize: 12, fontWeight: 400 }}>(read only)</span>}
+          </h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: '#9ca3af',
+              fontSize: 24,
+              cursor: 'pointer',
+              padding: 4
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <fieldset disabled={!canEdit} style={{ border: 'none', padding: 0, margin: 0 }}>
+          {workflow.map((stage, index) => {
+            const dependencyOptions = workflow.filter(other => other.key !== stage.key)
+            return (
+              <div key={stage.key} style={{
+                background: 'rgba(255,255,255,0.04)',
+                borderRadius: 10,
+                padding: 12,
+                marginBottom: 10,
+                color: '#9ca3af',
+                fontSize: 12
+              }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                  <input
+                    value={stage.icon}
+                    onChange={(e) => updateStage(stage.key, { icon: e.target.value })}
+                    style={{ ...inputStyle, width: 40, textAlign: 'center' }}
+                    title="Icon"
+                  />
+                  <input
+                    value={stage.name}
+                    onChange={(e) => updateStage(stage.key, { name: e.target.value })}
+                    style={{ ...inputStyle, flex: 1 }}
+                    placeholder="Stage name"
+                  />
+                  {stage.builtIn && <span style={{ color: '#6b7280', fontSize: 11 }}>built in</span>}
+                  <button onClick={() => moveStage(index, -1)} disabled={index === 0} style={{ ...smallButtonStyle, opacity: index === 0 ? 0.3 : 1 }} title="Move earlier">▲</button>
+                  <button onClick={() => moveStage(index, 1)} disabled={index === workflow.length - 1} style={{ ...smallButtonStyle, opacity: index === workflow.length - 1 ? 0.3 : 1 }} title="Move later">▼</button>
+                  {!stage.builtIn && (
+                    <button onClick={() => removeStage(stage)} style={smallButtonStyle} title="Remove stage">✕</button>
+                  )}
+                </div>
+
+                <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 10, marginTop: 8 }}>
+                  <select
+                    value={stage.unit}
+                    disabled={stage.builtIn}
+                    onChange={(e) => updateStage(stage.key, { unit: e.target.value })}
+                    style={inputStyle}
+                  >
+                    {STAGE_UNITS.map(unit => <option key={unit.key} value={unit.key}>{unit.label}</option>)}
+                  </select>
+                  <select
+                    value={stage.tracking}
+                    disabled={stage.builtIn}
+                    onChange={(e) => updateStage(stage.key, { tracking: e.target.value })}
+                    style={inputStyle}
+                  >
+                    {STAGE_TRACKING.map(tracking => <option key={tracking.key} value={tracking.key}>{tracking.label}</option>)}
+                  </select>
+                  {stage.tracking === 'count' && (
+                    <label style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                      Out of
+                      <input
+                        type="number"
+                        min="1"
+                        value={stage.quantity ?? ''}
+                        placeholder={stage.unit === 'inverter' ? 'strings' : '1'}
+                        onChange={(e) => updateStage(stage.key, { quantity: Number(e.target.value) > 0 ? Number(e.target.value) : null })}
+                        style={{ ...inputStyle, width: 70 }}
+                      />
+                      per {stage.unit}
+                    </label>
+                  )}
+                  {COLOR_FIELDS.map(field => (
+                    <label key={field.key} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                      {field.label}
+                      <input
+                        type="color"
+                        value={stage.colors[field.key]}
+                        onChange={(e) => updateStage(stage.key, { colors: { ...stage.colors, [field.key]: e.target.value } })}
+                        style={colorInputStyle}
+                      />
+                    </label>
+                  ))}
+                </div>
+
+                {dependencyOptions.length > 0 && (
+                  <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 10, marginTop: 8 }}>
+                    <span>Needs first:</span>
+                    {dependencyOptions.map(other => {
+                      const cyclic = !stage.dependsOn.includes(other.key) && wouldCycle(workflow, stage.key, other.key)
+                      return (
+                        <label
+                          key={other.key}
+                          title={cyclic ? `${other.name} already depends on ${stage.name}` : ''}
+                          style={{ display: 'flex', alignItems: 'center', gap: 4, opacity: cyclic ? 0.4 : 1 }}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={stage.dependsOn.includes(other.key)}
+                            disabled={cyclic}
+                            onChange={(e) => toggleDependency(stage, other.key, e.target.checked)}
+                          />
+                          {other.name}
+                        </label>
+                      )
+                    })}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+
+          <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 8 }}>
+            <button onClick={() => addStage({})} style={smallButtonStyle}>+ Add stage</button>
+            {unusedTemplates.map(template => (
+              <button key={template.name} onClick={() => addStage(template)} style={smallButtonStyle}>
+                + {template.icon} {template.name}
+              </button>
+            ))}
+          </div>
+        </fieldset>
+      </div>
+    </div>
+  )
+}
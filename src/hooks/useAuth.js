@@ -0,0 +1,92 @@
+import { useCallback } from 'react'
+import usePersistentState from './usePersistentState'
+import { can as roleCan, hashPin, verifyPin, newSalt } from '../utils/auth'
+
+/**
+ * Custom hook for device accounts and the signed-in session
+ * Accounts: [{ id, name, role, pinHash, salt, createdAt }]. The first account
+ * created on a device is always QA so someone can manage the others.
+ * The session survives reloads so crews stay signed in offline.
+ */
+export default function useAuth() {
+  const [accounts, setAccounts] = usePersistentState('accounts', [])
+  const [sessionUserId, setSessionUserId] = usePersistentState('sessionUserId', null)
+
+  const user = accounts.find(a => a.id === sessionUserId) || null
+  const can = useCallback((permission) => Boolean(user) && roleCan(user.role, permission), [user])
+
+  // Resolves to an error message, or null when signed in
+  const login = async (accountId, pin) => {
+    const account = accounts.find(a => a.id === accountId)
+    if (!account || !(await verifyPin(pin, account))) return 'Wrong name or PIN'
+    setSessionUserId(account.id)
+    return null
+  }
+
+  const logout = () => setSessionUserId(null)
+
+  // Resolves to an error message, or null once the account exists
+  const createAccount = async ({ name, role, pin }) => {
+    const isFirst = accounts.length === 0
+    if (!isFirst && !can('users.manage')) return 'Only QA can add accounts'
+    const trimmed = name.trim()
+    if (!trimmed) return 'Enter a name'
+    if (accounts.some(a => a.name.toLowerCase() === trimmed.toLowerCase())) return `"${trimmed}" already has an account`
+    if (pin.length < 4) return 'PIN must be at least 4 characters'
+
+    const salt = newSalt()
+    const account = {
+      id: `user-${Date.now().toString(36)}`,
+      name: trimmed,
+      role: isFirst ? 'qa' : role,
+      pinHash: await hashPin(pin, salt),
+      salt,
+      createdAt: new Date().toISOString()
+    }
+    setAccounts(prev => [...prev, account])
+    if (isFirst) setSessionUserId(account.id)
+    return null
+  }
+
+  // Returns an error message, or null when updated
+  const setAccountRole = (accountId, role) => {
+    if (!can('users.manage')) return 'Only QA can change roles'
+    if (role !== 'qa' && isLastQa(accounts, accountId)) return 'At least one QA account is needed'
+    setAccounts(prev => prev.map(a => (a.id === accountId ? { ...a, role } : a)))
+    return null
+  }
+
+  const resetPin = async (accountId, pin) => {
+    if (!can('users.manage') && accountId !== user?.id) return 'Only QA can reset other PINs'
+    if (pin.length < 4) return 'PIN must be at least 4 characters'
+    const salt = newSalt()
+    const pinHash = await hashPin(pin, salt)
+    setAccounts(prev => prev.map(a => (a.id === accountId ? { ...a, pinHash, salt } : a)))
+    return null
+  }
+
+  const removeAccount = (accountId) => {
+    if (!can('users.manage')) return 'Only QA can remove accounts'
+    if (accountId === user?.id) return "You can't remove your own account"
+    if (isLastQa(accounts, accountId)) return 'At least one QA account is needed'
+    setAccounts(prev => prev.filter(a => a.id !== accountId))
+    return null
+  }
+
+  return {
+    accounts,
+    user,
+    can,
+    login,
+    logout,
+    createAccount,
+    setAccountRole,
+    resetPin,
+    removeAccount
+  }
+}
+
+function isLastQa(accounts, accountId) {
+  const qa = accounts.filter(a => a.role === 'qa')
+  return qa.length === 1 && qa[0].id === accountId
+}
@@ -2,16 +2,22 @@ import { useCallback } from 'react'
 import Chart from 'chart.js/auto'
 import ChartDataLabels from 'chartjs-plugin-datalabels'
 import ExcelJS from 'exceljs'
+import { inverterTestRows, terminationRows, workflowRows, openNoteRows, productivityRows } from '../utils/report'
+import { scheduleModes, scheduleRows, scheduleChartData, forecastFinish, plannedEnd, scopeTotal, describeBaseline } from '../utils/schedule'
 
 // Register the datalabels plugin
 Chart.register(ChartDataLabels)
 
 /**
  * Custom hook for exporting daily log data to Excel with chart
+ * Pass report ({ inverterLabels, circuits, completedBoxes, stringTests,
+ * terminatedCircuits, notes, events, scope, baseline, workflow, workflowStats })
+ * to add the per-inverter, workflow stage, notes, productivity and S-curve
+ * sheets and flag days behind the baseline.
  */
 export default function useChartExport() {
   
-  const exportToExcel = useCallback(async (dailyLog, projectName = 'LV-INV Installation') => {
+  const exportToExcel = useCallback(async (dailyLog, projectName = 'LV-INV Installation', report = null) => {
     if (!dailyLog || dailyLog.length === 0) {
       alert('No data to export!')
       return
@@ -26,6 +32,11 @@ export default function useChartExport() {
     // 3. Create chart and get PNG
     const chartPng = await createChartPng(aggregated)
 
+    // Planned vs actual per day, when the project has a baseline
+    const modes = report ? scheduleModes(report.workflow) : []
+    const schedule = report ? scheduleRows(dailyLog, report.baseline, report.scope) : []
+    const planned = schedule.some(row => modes.some(({ key }) => row[key].planned !== null))
+
     // 4. Create Excel workbook
     const workbook = new ExcelJS.Workbook()
     workbook.creator = 'LV-INV Installation Tracker'
@@ -40,29 +51,29 @@ export default function useChartExport() {
       { header: 'Installed Boxes', key: 'installed_panels', width: 18 },
       { header: 'Workers', key: 'workers', width: 12 },
       { header: 'Subcontractor', key: 'subcontractor', width: 20 },
-      { header: 'Cumulative', key: 'cumulative', width: 15 }
+      { header: 'Cumulative', key: 'cumulative', width: 15 },
+      ...(planned ? [{ header: 'Vs Plan', key: 'vsPlan', width: 30 }] : [])
     ]
 
-    // Style header row
-    dataSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } }
-    dataSheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FF1F2937' }
-    }
-    dataSheet.getRow(1).alignment = { horizontal: 'center' }
+    styleHeader(dataSheet)
 
     // Add data with cumulative calculation
     let cumulative = 0
     aggregated.forEach(row => {
       cumulative += row.installed_panels
-      dataSheet.addRow({
+      const day = planned ? schedule.find(s => s.date === row.date) : null
+      const added = dataSheet.addRow({
         date: row.date,
         installed_panels: row.installed_panels,
         workers: row.workers,
         subcontractor: row.subcontractor,
-        cumulative: cumulative
+        cumulative: cumulative,
+        vsPlan: day ? varianceText(day, modes) : undefined
       })
+      if (day && modes.some(({ key }) => day[key].variance < 0)) {
+        added.getCell('vsPlan').fill = BEHIND_FILL
+        added.getCell('vsPlan').font = BEHIND_FONT
+      }
     })
 
     // Add totals row
@@ -73,12 +84,7 @@ export default function useChartExport() {
       subcontractor: '',
       cumulative: cumulative
     })
-    totalRow.font = { bold: true }
-    totalRow.fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFE5E7EB' }
-    }
+    styleTotals(totalRow)
 
     // Sheet 2: Chart
     const chartSheet = workbook.addWorksheet('Progress Chart')
@@ -99,6 +105,10 @@ export default function useChartExport() {
     chartSheet.getCell('A1').value = `${projectName} - Daily Installation Progress`
     chartSheet.getCell('A1').font = { bold: true, size: 14 }
 
+    if (report) {
+      await addReportSheets(workbook, dailyLog, projectName, report, schedule, modes)
+    }
+
     // 5. Download file
     const buffer = await workbook.xlsx.writeBuffer()
     const blob = new Blob([buffer], { 
@@ -119,6 +129,229 @@ export default function useChartExport() {
   return { exportToExcel }
 }
 
+/**
+ * Per-inverter status, terminations, workflow stages, open notes, productivity and S-curve sheets
+ */
+async function addReportSheets(workbook, dailyLog, projectName, report, schedule, modes) {
+  // Per-inverter test status
+  const testSheet = workbook.addWorksheet('Inverter Tests')
+  testSheet.columns = [
+    { header: 'Inverter', key: 'inverter', width: 16 },
+    { header: 'Status', key: 'status', width: 16 },
+    { header: 'Marked Tested', key: 'tested', width: 15 },
+    { header: 'Strings', key: 'strings', width: 10 },
+    { header: 'Passed', key: 'passed', width: 10 },
+    { header: 'Failed', key: 'failed', width: 10 },
+    { header: 'Untested', key: 'untested', width: 10 },
+    { header: 'Last Tested', key: 'lastTested', width: 14 },
+    { header: 'Tester', key: 'tester', width: 18 }
+  ]
+  styleHeader(testSheet)
+  inverterTestRows(report).forEach(row => {
+    const added = testSheet.addRow(row)
+    const color = STATUS_COLORS[row.status]
+    if (color) added.getCell('status').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } }
+  })
+
+  // Terminations per inverter and per circuit
+  const { inverters, details } = terminationRows(report)
+  const terminationSheet = workbook.addWorksheet('Terminations')
+  terminationSheet.columns = [
+    { header: 'Inverter', key: 'inverter', width: 16 },
+    { header: 'Terminated', key: 'terminated', width: 12 },
+    { header: 'Total', key: 'total', width: 10 },
+    { header: 'Progress', key: 'progress', width: 12 },
+    { header: 'Complete', key: 'percent', width: 12 },
+    { header: 'Last Terminated', key: 'lastTerminated', width: 16 }
+  ]
+  styleHeader(terminationSheet)
+  inverters.forEach(row => {
+    terminationSheet.addRow({ ...row, progress: `${row.terminated} / ${row.total}` }).getCell('percent').numFmt = '0%'
+  })
+  const terminatedTotal = inverters.reduce((sum, r) => sum + r.terminated, 0)
+  const circuitTotal = inverters.reduce((sum, r) => sum + r.total, 0)
+  const terminationTotals = terminationSheet.addRow({
+    inverter: 'TOTAL',
+    terminated: terminatedTotal,
+    total: circuitTotal,
+    progress: `${terminatedTotal} / ${circuitTotal}`,
+    percent: circuitTotal > 0 ? terminatedTotal / circuitTotal : 0
+  })
+  terminationTotals.getCell('percent').numFmt = '0%'
+  styleTotals(terminationTotals)
+
+  const circuitSheet = workbook.addWorksheet('Circuit Details')
+  circuitSheet.columns = [
+    { header: 'Inverter', key: 'inverter', width: 16 },
+    { header: 'Circuit', key: 'circuit', width: 20 },
+    { header: 'Terminated', key: 'terminated', width: 12 },
+    { header: 'Date', key: 'date', width: 14 },
+    { header: 'Crew', key: 'crew', width: 20 }
+  ]
+  styleHeader(circuitSheet)
+  circuitSheet.addRows(details)
+
+  // Every workflow stage per inverter, filled in the stage's map colours
+  const { inverters: stageInverters, totals: stageTotals } = workflowRows(report.workflow, report.workflowStats)
+  const stageSheet = workbook.addWorksheet('Workflow Stages')
+  stageSheet.columns = [
+    { header: 'Inverter', key: 'inverter', width: 16 },
+    ...report.workflow.map(stage => ({ header: stage.name, key: stage.key, width: Math.max(14, stage.name.length + 2) }))
+  ]
+  styleHeader(stageSheet)
+  stageInverters.forEach(row => {
+    const added = stageSheet.addRow({
+      inverter: row.inverter,
+      ...Object.fromEntries(report.workflow.map(stage => {
+        const cell = row.stages[stage.key]
+        return [stage.key, cell ? `${cell.done} / ${cell.total}` : '-']
+      }))
+    })
+    report.workflow.forEach(stage => {
+      const cell = row.stages[stage.key]
+      if (!cell) return
+      const color = cell.status === 'blocked' ? BLOCKED_COLOR : stage.colors[cell.status]
+      added.getCell(stage.key).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${color.slice(1).toUpperCase()}` } }
+    })
+  })
+  const stageTotalRow = stageSheet.addRow({
+    inverter: 'TOTAL',
+    ...Object.fromEntries(report.workflow.map(stage => [stage.key, stageTotals[stage.key].percent]))
+  })
+  report.workflow.forEach(stage => { stageTotalRow.getCell(stage.key).numFmt = '0%' })
+  styleTotals(stageTotalRow)
+
+  // Open notes and punch items
+  const noteSheet = workbook.addWorksheet('Open Notes')
+  noteSheet.columns = [
+    { header: 'Priority', key: 'priority', width: 10 },
+    { header: 'Category', key: 'category', width: 18 },
+    { header: 'Note', key: 'text', width: 50 },
+    { header: 'Assignee', key: 'assignee', width: 18 },
+    { header: 'Created', key: 'created', width: 14 },
+    { header: 'Age (days)', key: 'age', width: 12 },
+    { header: 'Photos', key: 'photos', width: 9 },
+    { header: 'Lat, Lng', key: 'position', width: 24 }
+  ]
+  styleHeader(noteSheet)
+  openNoteRows(report.notes).forEach(row => {
+    noteSheet.addRow(row).getCell('text').alignment = { wrapText: true, vertical: 'top' }
+  })
+
+  // Subcontractor productivity
+  const { days, summary } = productivityRows(dailyLog, report.baseline.targets, modes)
+  const productivitySheet = workbook.addWorksheet('Productivity')
+  productivitySheet.columns = [
+    { header: 'Subcontractor', key: 'subcontractor', width: 22 },
+    { header: 'Work', key: 'work', width: 12 },
+    { header: 'Days', key: 'days', width: 8 },
+    { header: 'Boxes', key: 'count', width: 10 },
+    { header: 'Worker-days', key: 'workerDays', width: 13 },
+    { header: 'Boxes / Day', key: 'perDay', width: 12 },
+    { header: 'Target / Day', key: 'target', width: 13 },
+    { header: 'Boxes / Worker / Day', key: 'perWorker', width: 20 }
+  ]
+  styleHeader(productivitySheet)
+  summary.forEach(row => {
+    const added = productivitySheet.addRow(row)
+    if (row.target !== null && row.perDay < row.target) {
+      added.getCell('perDay').fill = BEHIND_FILL
+      added.getCell('perDay').font = BEHIND_FONT
+    }
+  })
+
+  // Daily breakdown below the summary, with its own header row
+  productivitySheet.addRow([])
+  const dayHeader = productivitySheet.addRow(['Date', 'Subcontractor', 'Work', 'Boxes', 'Workers', 'Boxes / Worker'])
+  dayHeader.font = HEADER_FONT
+  dayHeader.fill = HEADER_FILL
+  days.forEach(day => {
+    productivitySheet.addRow([day.date, day.subcontractor, day.work, day.count, day.workers, day.perWorker])
+  })
+
+  // Cumulative S-curve versus the baseline, with forecasts and daily variance
+  const curveSheet = workbook.addWorksheet('S-Curve')
+  curveSheet.getCell('A1').value = `${projectName} - Cumulative Progress vs Plan`
+  curveSheet.getCell('A1').font = { bold: true, size: 14 }
+  curveSheet.getCell('A2').value = report.baseline.start
+    ? `Baseline ${describeBaseline(report.baseline)}`
+    : 'No baseline set - actual progress only'
+  modes.forEach(({ key, label, unit }, i) => {
+    curveSheet.getCell(`A${3 + i}`).value = forecastText(label, unit, key, dailyLog, report)
+  })
+
+  // Chart below the forecast lines, data table below the chart
+  const chartTop = 3 + modes.length
+  const curvePng = schedule.length > 0 ? await createSCurvePng(schedule, report.scope, modes) : null
+  if (curvePng) {
+    const imageId = workbook.addImage({
+      base64: curvePng.split(',')[1],
+      extension: 'png'
+    })
+    curveSheet.addImage(imageId, {
+      tl: { col: 0.5, row: chartTop },
+      ext: { width: 800, height: 400 }
+    })
+  }
+
+  // Data table under the chart; days behind plan are highlighted
+  const tableTop = chartTop + 23
+  const headerRow = curveSheet.getRow(tableTop)
+  headerRow.values = ['Date', ...modes.flatMap(({ label }) => [`${label} Plan`, `${label} Actual`, `${label} Variance`])]
+  headerRow.font = HEADER_FONT
+  headerRow.fill = HEADER_FILL
+  schedule.forEach((row, i) => {
+    const sheetRow = curveSheet.getRow(tableTop + 1 + i)
+    sheetRow.values = [row.date, ...modes.flatMap(({ key }) => [row[key].planned, row[key].actual, row[key].variance])]
+    modes.forEach(({ key }, m) => {
+      if (row[key].variance < 0) {
+        sheetRow.getCell(4 + m * 3).fill = BEHIND_FILL
+        sheetRow.getCell(4 + m * 3).font = BEHIND_FONT
+      }
+    })
+  })
+  curveSheet.getColumn(1).width = 14
+  for (let column = 2; column <= 1 + modes.length * 3; column++) curveSheet.getColumn(column).width = 18
+}
+
+/**
+ * Cumulative variance against plan of each planned mode on a day, e.g. "Tested -4, Terminated +2"
+ */
+function varianceText(day, modes) {
+  return modes
+    .filter(({ key }) => day[key].variance !== null)
+    .map(({ key, label }) => `${label} ${day[key].variance > 0 ? '+' : ''}${day[key].variance}`)
+    .join(', ')
+}
+
+/**
+ * One line on progress so far, the recent run rate and the forecast finish against the plan
+ */
+function forecastText(label, unit, mode, dailyLog, report) {
+  const total = scopeTotal(report.scope, mode)
+  const forecast = forecastFinish(dailyLog, mode, total)
+  if (!forecast) return `${label}: no records`
+  const planned = plannedEnd(report.baseline, mode, report.scope)
+  const finish = forecast.date ? `forecast finish ${forecast.date}` : 'no recent progress to forecast from'
+  return `${label}: ${total - forecast.remaining} / ${total} ${unit}, ` +
+    `${forecast.rate.toFixed(1)} per day recently, ${finish}${planned ? ` (planned ${planned})` : ''}`
+}
+
+function styleHeader(sheet) {
+  sheet.getRow(1).font = HEADER_FONT
+  sheet.getRow(1).fill = HEADER_FILL
+  sheet.getRow(1).alignment = { horizontal: 'center' }
+}
+
+function styleTotals(row) {
+  row.font = { bold: true }
+  row.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FFE5E7EB' }
+  }
+}
+
 /**
  * Aggregate daily log records by date
  */
@@ -154,24 +387,8 @@ function aggregateByDate(dailyLog) {
  * Create chart on hidden canvas and return as PNG base64
  */
 async function createChartPng(data) {
-  // Create hidden canvas
-  let canvas = document.getElementById('dailyChart')
-  if (!canvas) {
-    canvas = document.createElement('canvas')
-    canvas.id = 'dailyChart'
-    canvas.style.display = 'none'
-    canvas.width = 800
-    canvas.height = 400
-    document.body.appendChild(canvas)
-  }
-
+  const canvas = chartCanvas()
   const ctx = canvas.getContext('2d')
-  
-  // Destroy existing chart if any
-  const existingChart = Chart.getChart(canvas)
-  if (existingChart) {
-    existingChart.destroy()
-  }
 
   // Prepare data
   const labels = data.map(d => formatDate(d.date))
@@ -260,6 +477,84 @@ async function createChartPng(data) {
   return png
 }
 
+/**
+ * Cumulative actual percent per mode against the planned S-curve, as PNG base64
+ */
+async function createSCurvePng(rows, scope, modes) {
+  const canvas = chartCanvas()
+  const ctx = canvas.getContext('2d')
+  const { labels, datasets } = scheduleChartData(rows, scope, modes)
+
+  const chart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: labels.map(formatDate),
+      datasets
+    },
+    options: {
+      responsive: false,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        title: {
+          display: true,
+          text: 'Cumulative Progress (S-Curve)',
+          font: { size: 16, weight: 'bold' }
+        },
+        legend: {
+          position: 'top'
+        },
+        datalabels: {
+          display: false
+        }
+      },
+      scales: {
+        y: {
+          min: 0,
+          max: 100,
+          title: {
+            display: true,
+            text: '% Complete'
+          }
+        },
+        x: {
+          title: {
+            display: true,
+            text: 'Date'
+          }
+        }
+      }
+    }
+  })
+
+  await new Promise(resolve => setTimeout(resolve, 100))
+  const png = canvas.toDataURL('image/png')
+  chart.destroy()
+  return png
+}
+
+/**
+ * Hidden 800x400 canvas the report charts are drawn on, cleared of any previous chart
+ */
+function chartCanvas() {
+  let canvas = document.getElementById('dailyChart')
+  if (!canvas) {
+    canvas = document.createElement('canvas')
+    canvas.id = 'dailyChart'
+    canvas.style.display = 'none'
+    canvas.width = 800
+    canvas.height = 400
+    document.body.appendChild(canvas)
+  }
+
+  // Destroy existing chart if any
+  const existingChart = Chart.getChart(canvas)
+  if (existingChart) {
+    existingChart.destroy()
+  }
+  return canvas
+}
+
 /**
  * Format date for display
  */
@@ -267,3 +562,20 @@ function formatDate(dateStr) {
   const date = new Date(dateStr)
   return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
 }
+
+const HEADER_FONT = { bold: true, color: { argb: 'FFFFFFFF' } }
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F2937' } }
+
+// Status cell fills on the Inverter Tests sheet
+const STATUS_COLORS = {
+  Complete: 'FFBBF7D0',
+  'In progress': 'FFFEF08A',
+  'Failed strings': 'FFFECACA'
+}
+
+// Workflow Stages cells still waiting on an earlier stage
+const BLOCKED_COLOR = '#CBD5E1'
+
+// Variance cells of days behind plan on the S-Curve sheet
+const BEHIND_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFECACA' } }
+const BEHIND_FONT = { bold: true, color: { argb: 'FFB91C1C' } }
@@ -1,27 +1,18 @@
-import { useState, useEffect } from 'react'
+import usePersistentState from './usePersistentState'
+import { projectKey } from '../utils/storage'
 
 /**
- * Custom hook for managing daily work log in LocalStorage
- * Handles persistence of daily installation records
+ * Custom hook for managing daily work log
+ * Handles persistence of daily installation records for one project.
+ * can(permission) decides who may submit ('dailyLog.submit') and
+ * delete ('history.delete') records; denied writes are dropped.
  */
-export default function useDailyLog() {
-  const [dailyLog, setDailyLog] = useState([])
-
-  // Load from LocalStorage on mount
-  useEffect(() => {
-    const stored = localStorage.getItem('dailyLog')
-    if (stored) {
-      try {
-        setDailyLog(JSON.parse(stored))
-      } catch (e) {
-        console.error('Failed to parse dailyLog from localStorage:', e)
-        setDailyLog([])
-      }
-    }
-  }, [])
+export default function useDailyLog(projectId, can = () => true) {
+  const [dailyLog, setDailyLog] = usePersistentState(projectKey(projectId, 'dailyLog'), [])
 
   // Add a new record to the log
   const addRecord = (record) => {
+    if (!can('dailyLog.submit')) return null
     const newRecord = {
       ...record,
       id: Date.now(),
@@ -29,32 +20,49 @@ export default function useDailyLog() {
     }
     const updated = [...dailyLog, newRecord]
     setDailyLog(updated)
-    localStorage.setItem('dailyLog', JSON.stringify(updated))
     return newRecord
   }
 
+  // Add several records at once (spreadsheet import)
+  const addRecords = (records) => {
+    if (!can('dailyLog.submit')) return []
+    const now = Date.now()
+    const added = records.map((record, index) => ({
+      ...record,
+      id: now + index,
+      timestamp: new Date(now).toISOString()
+    }))
+    setDailyLog([...dailyLog, ...added])
+    return added
+  }
+
   // Update an existing record
   const updateRecord = (id, updates) => {
+    if (!can('dailyLog.submit')) return
     const updated = dailyLog.map(record => 
       record.id === id ? { ...record, ...updates } : record
     )
     setDailyLog(updated)
-    localStorage.setItem('dailyLog', JSON.stringify(updated))
   }
 
   // Delete a record
   const deleteRecord = (id) => {
+    if (!can('history.delete')) return
     const updated = dailyLog.filter(record => record.id !== id)
     setDailyLog(updated)
-    localStorage.setItem('dailyLog', JSON.stringify(updated))
   }
 
   // Reset entire log
   const resetLog = () => {
-    localStorage.removeItem('dailyLog')
+    if (!can('history.delete')) return
     setDailyLog([])
   }
 
+  // Replace the whole log (records changed on other devices)
+  const replaceLog = (records) => {
+    setDailyLog(records)
+  }
+
   // Get aggregated data by date
   const getAggregatedByDate = () => {
     const grouped = {}
@@ -89,9 +97,11 @@ export default function useDailyLog() {
   return {
     dailyLog,
     addRecord,
+    addRecords,
     updateRecord,
     deleteRecord,
     resetLog,
+    replaceLog,
     getAggregatedByDate
   }
 }
@@ -0,0 +1,46 @@
+import { useCallback } from 'react'
+import usePersistentState from './usePersistentState'
+import { projectKey } from '../utils/storage'
+import { createEvent } from '../utils/events'
+
+/**
+ * Custom hook for the append-only activity log of one project
+ * Events are never edited or removed; each is stamped with the acting user.
+ * The only later additions are the sync server's sequence number (seq), which
+ * marks an event as synced, and the reason the server refused one (refused).
+ */
+export default function useEventLog(projectId, user) {
+  const [events, setEvents] = usePersistentState(projectKey(projectId, 'events'), [])
+
+  // Append events (ignores empty batches so no-op changes don't touch storage)
+  const recordEvents = useCallback((newEvents) => {
+    if (newEvents.length === 0) return
+    const stamped = newEvents.map(event => ({ user: user || 'Unknown', ...event }))
+    setEvents(prev => [...prev, ...stamped])
+  }, [setEvents, user])
+
+  // Record a single change that isn't derived from tracker state (notes, daily log)
+  const logActivity = useCallback((fields) => {
+    recordEvents([createEvent(fields)])
+  }, [recordEvents])
+
+  // Append events pulled from the sync server (already stamped and sequenced)
+  const mergeRemoteEvents = useCallback((remoteEvents) => {
+    setEvents(prev => {
+      const known = new Set(prev.map(event => event.id))
+      return [...prev, ...remoteEvents.filter(event => !known.has(event.id))]
+    })
+  }, [setEvents])
+
+  // Record the server sequence numbers of pushed events: { eventId: seq }
+  const markSynced = useCallback((seqs) => {
+    setEvents(prev => prev.map(event => (event.id in seqs ? { ...event, seq: seqs[event.id] } : event)))
+  }, [setEvents])
+
+  // Record events the sync server wouldn't take: { eventId: reason }. They stay on this device.
+  const markRefused = useCallback((refused) => {
+    setEvents(prev => prev.map(event => (event.id in refused ? { ...event, refused: refused[event.id] } : event)))
+  }, [setEvents])
+
+  return { events, recordEvents, logActivity, mergeRemoteEvents, markSynced, markRefused }
+}
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react'
+import { loadSlice, saveSlice } from '../utils/storage'
+
+const identity = (value) => value
+
+/**
+ * Custom hook for state that survives reloads
+ * Works like useState, backed by a slice of the versioned storage layer.
+ * serialize/deserialize convert values that JSON can't hold (e.g. Set).
+ */
+export default function usePersistentState(slice, initialValue, { serialize = identity, deserialize = identity } = {}) {
+  const [value, setValue] = useState(() => {
+    const stored = loadSlice(slice, undefined)
+    return stored === undefined ? initialValue : deserialize(stored)
+  })
+
+  // Save on every change
+  useEffect(() => {
+    saveSlice(slice, serialize(value))
+  }, [slice, value])
+
+  return [value, setValue]
+}
@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import usePersistentState from './usePersistentState'
+import { DEFAULT_PROJECT, DEFAULT_PROJECT_ID, saveProjectLayers, copyProjectLayers } from '../utils/projects'
+import { copyProjectSlices, readProjectSlices, writeProjectSlices } from '../utils/storage'
+import { mergeSlices } from '../utils/bundle'
+import { importPhotos } from '../utils/notes'
+
+/**
+ * Custom hook for the project (site workspace) registry
+ * The bundled site is always available as the default project.
+ * Each project's tracker data lives in its own storage namespace.
+ */
+export default function useProjects() {
+  const [projects, setProjects] = usePersistentState('projects', [DEFAULT_PROJECT])
+  const [activeProjectId, setActiveProjectId] = usePersistentState('activeProjectId', DEFAULT_PROJECT_ID)
+  // Bumped to remount the open workspace after its storage was rewritten underneath it
+  const [workspaceRevision, setWorkspaceRevision] = useState(0)
+
+  const activeProject = projects.find(p => p.id === activeProjectId) || projects[0] || DEFAULT_PROJECT
+
+  const updateProject = (id, updates) => {
+    setProjects(prev => prev.map(p => (p.id === id ? { ...p, ...updates } : p)))
+  }
+
+  const reloadWorkspace = () => setWorkspaceRevision(r => r + 1)
+
+  // Create a project from uploaded layers (and optionally existing tracker data) and switch to it
+  // layers: { role: { fileName, data } }
+  const createProject = async ({ name, layers, idPatterns, slices }) => {
+    const id = `p${Date.now()}`
+    await saveProjectLayers(id, layers)
+    if (slices) writeProjectSlices(id, slices)
+
+    const project = {
+      id,
+      name,
+      source: 'uploaded',
+      createdAt: new Date().toISOString(),
+      layers: Object.fromEntries(
+        Object.entries(layers).map(([role, { fileName }]) => [role, { fileName }])
+      ),
+      idPatterns
+    }
+    setProjects(prev => [...prev, project])
+    setActiveProjectId(id)
+    return project
+  }
+
+  const renameProject = (id, name) => {
+    updateProject(id, { name })
+  }
+
+  // Copy layers and all tracker data into a new project and switch to it
+  const duplicateProject = async (id) => {
+    const source = projects.find(p => p.id === id)
+    if (!source) return null
+
+    const copyId = `p${Date.now()}`
+    await copyProjectLayers(source, copyId)
+    copyProjectSlices(id, copyId)
+
+    const copy = {
+      ...source,
+      id: copyId,
+      name: `${source.name} (copy)`,
+      createdAt: new Date().toISOString(),
+      archived: false
+    }
+    setProjects(prev => [...prev, copy])
+    setActiveProjectId(copyId)
+    return copy
+  }
+
+  // Archived projects keep their data but drop out of the switcher list.
+  // Archiving the open project moves to another active one.
+  const setProjectArchived = (id, archived) => {
+    const remaining = projects.filter(p => p.id !== id && !p.archived)
+    if (archived && remaining.length === 0) {
+      alert('At least one project must stay active.')
+      return
+    }
+    updateProject(id, { archived })
+    if (archived && id === activeProject.id) {
+      setActiveProjectId(remaining[0].id)
+    }
+  }
+
+  // Apply a validated backup bundle to the open project
+  // mode: 'merge' keeps local data and adds the bundle's, 'replace' swaps in the
+  // bundle's layers, settings and data, 'new' restores it as a separate project
+  const importBundle = async (bundle, mode) => {
+    // Photo IDs are unique across projects, so they can be restored before the slices that use them
+    await importPhotos(bundle.photos)
+
+    const layers = Object.fromEntries(
+      Object.entries(bundle.layers).map(([role, data]) => [
+        role,
+        { fileName: bundle.project.layers?.[role]?.fileName || `${role}.geojson`, data }
+      ])
+    )
+
+    if (mode === 'new') {
+      await createProject({
+        name: bundle.project.name,
+        layers,
+        idPatterns: bundle.project.idPatterns,
+        slices: bundle.slices
+      })
+      return
+    }
+
+    const id = activeProject.id
+    if (mode === 'replace') {
+      await saveProjectLayers(id, layers)
+      updateProject(id, {
+        source: 'uploaded',
+        layers: Object.fromEntries(Object.entries(layers).map(([role, { fileName }]) => [role, { fileName }])),
+        idPatterns: bundle.project.idPatterns
+      })
+      writeProjectSlices(id, bundle.slices, { replace: true })
+    } else {
+      writeProjectSlices(id, mergeSlices(readProjectSlices(id), bundle.slices))
+    }
+    reloadWorkspace()
+  }
+
+  return {
+    projects,
+    activeProject,
+    workspaceRevision,
+    setActiveProjectId,
+    createProject,
+    renameProject,
+    duplicateProject,
+    setProjectArchived,
+    importBundle
+  }
+}
@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react'
+import { getSaveStatus, subscribeSaves } from '../utils/storage'
+
+// Wait for a burst of saves to settle before asking the browser for usage again
+const ESTIMATE_DELAY = 2000
+
+/**
+ * Custom hook for the offline storage indicator
+ * Returns { pending, lastSavedAt, error, usage, quota, online }.
+ */
+export default function useStorageStatus() {
+  const [saveStatus, setSaveStatus] = useState(getSaveStatus)
+  const [estimate, setEstimate] = useState(null)
+  const [online, setOnline] = useState(navigator.onLine)
+
+  useEffect(() => {
+    let timer = null
+    const refreshEstimate = () => {
+      navigator.storage?.estimate?.().then(setEstimate).catch(() => {})
+    }
+
+    refreshEstimate()
+    const unsubscribe = subscribeSaves(status => {
+      setSaveStatus(status)
+      clearTimeout(timer)
+      timer = setTimeout(refreshEstimate, ESTIMATE_DELAY)
+    })
+
+    const updateOnline = () => setOnline(navigator.onLine)
+    window.addEventListener('online', updateOnline)
+    window.addEventListener('offline', updateOnline)
+
+    return () => {
+      unsubscribe()
+      clearTimeout(timer)
+      window.removeEventListener('online', updateOnline)
+      window.removeEventListener('offline', updateOnline)
+    }
+  }, [])
+
+  return { ...saveStatus, usage: estimate?.usage, quota: estimate?.quota, online }
+}
@@ -0,0 +1,118 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import usePersistentState from './usePersistentState'
+import { projectKey } from '../utils/storage'
+import { pullEvents, pushEvents, resolveRemoteEvents } from '../utils/sync'
+
+// How often to sync in the background while a server is configured
+const SYNC_INTERVAL = 15000
+// Delay between a local change and pushing it
+const PUSH_DELAY = 2000
+
+const newDeviceId = () => `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+/**
+ * Custom hook for syncing one project's activity log with the sync server
+ * Pulls remote events and applies them to tracker state (see utils/sync),
+ * then pushes events recorded on this device. Conflicts are kept per project
+ * until a user reviews them.
+ *
+ * getTrackerState returns the live tracker state; applyTrackerState receives
+ * the state with remote changes applied. Events the server refuses for this
+ * device's role are marked refused and not pushed again.
+ */
+export default function useSync(projectId, { events, mergeRemoteEvents, markSynced, markRefused, getTrackerState, applyTrackerState }) {
+  const [serverUrl, setServerUrl] = usePersistentState('syncServerUrl', '')
+  const [token, setToken] = usePersistentState('syncToken', '')
+  const [deviceId] = usePersistentState('deviceId', newDeviceId())
+  const [syncState, setSyncState] = usePersistentState(projectKey(projectId, 'syncState'), { cursor: 0, lastSyncAt: null })
+  const [conflicts, setConflicts] = usePersistentState(projectKey(projectId, 'syncConflicts'), [])
+  const [status, setStatus] = useState({ syncing: false, error: null })
+
+  const running = useRef(false)
+  const eventsRef = useRef(events)
+  eventsRef.current = events
+
+  const pendingCount = events.filter(event => !event.seq && !event.refused).length
+  const refusedCount = events.filter(event => event.refused).length
+
+  const syncNow = useCallback(async () => {
+    if (!serverUrl || running.current) return
+    running.current = true
+    setStatus({ syncing: true, error: null })
+    try {
+      const known = new Set(eventsRef.current.map(event => event.id))
+      const { events: incoming, latest } = await pullEvents(serverUrl, token, projectId, syncState.cursor)
+
+      const remote = incoming.filter(event => !known.has(event.id))
+      if (remote.length > 0) {
+        const resolved = resolveRemoteEvents(getTrackerState(), eventsRef.current, remote)
+        applyTrackerState(resolved.state)
+        mergeRemoteEvents(remote)
+        if (resolved.conflicts.length > 0) setConflicts(prev => [...prev, ...resolved.conflicts])
+      }
+
+      // Our own events seen in the pull were pushed before but never acknowledged
+      let seqs = Object.fromEntries(incoming.filter(event => known.has(event.id)).map(event => [event.id, event.seq]))
+      const pending = eventsRef.current.filter(event => !event.seq && !event.refused && !(event.id in seqs))
+      if (pending.length > 0) {
+        const pushed = await pushEvents(serverUrl, token, projectId, deviceId, pending)
+        seqs = { ...seqs, ...pushed.seqs }
+        if (Object.keys(pushed.refused || {}).length > 0) markRefused(pushed.refused)
+      }
+      if (Object.keys(seqs).length > 0) markSynced(seqs)
+
+      setSyncState({ cursor: latest, lastSyncAt: new Date().toISOString() })
+      setStatus({ syncing: false, error: null })
+    } catch (e) {
+      console.warn('Sync failed:', e)
+      setStatus({ syncing: false, error: navigator.onLine ? e.message : 'Offline' })
+    } finally {
+      running.current = false
+    }
+  }, [serverUrl, token, projectId, deviceId, syncState.cursor, getTrackerState, applyTrackerState, mergeRemoteEvents, markSynced, markRefused, setConflicts, setSyncState])
+
+  // Background sync, and again as soon as the device comes back online
+  const syncRef = useRef(syncNow)
+  syncRef.current = syncNow
+  useEffect(() => {
+    if (!serverUrl) return
+    const sync = () => syncRef.current()
+    sync()
+    const interval = setInterval(sync, SYNC_INTERVAL)
+    window.addEventListener('online', sync)
+    return () => {
+      clearInterval(interval)
+      window.removeEventListener('online', sync)
+    }
+  }, [serverUrl])
+
+  // Push local changes shortly after they happen
+  useEffect(() => {
+    if (!serverUrl || pendingCount === 0) return
+    const timer = setTimeout(() => syncRef.current(), PUSH_DELAY)
+    return () => clearTimeout(timer)
+  }, [serverUrl, pendingCount])
+
+  const dismissConflict = useCallback((id) => {
+    setConflicts(prev => prev.filter(conflict => conflict.id !== id))
+  }, [setConflicts])
+
+  const dismissAllConflicts = useCallback(() => setConflicts([]), [setConflicts])
+
+  return {
+    serverUrl,
+    setServerUrl,
+    token,
+    setToken,
+    deviceId,
+    lastSyncAt: syncState.lastSyncAt,
+    pendingCount,
+    refusedCount,
+    syncing: status.syncing,
+    error: status.error,
+    conflicts,
+    syncNow,
+    dismissConflict,
+    dismissAllConflicts
+  }
+}
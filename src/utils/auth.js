@@ -0,0 +1,123 @@
+/**
+ * User accounts and roles
+ * Accounts live on the device (see useAuth) and gate what the UI and the
+ * tracker's save paths allow. PINs are stored hashed, never in plain text.
+ * The sync server imports this module too, to refuse synced events a role
+ * couldn't have made (see eventPermission).
+ */
+
+// Explicit extension: the sync server loads this module in plain Node
+import { SIGN_OFF_STAGES } from './signOff.js'
+
+export const ROLES = [
+  { key: 'viewer', label: 'Viewer', description: 'Read-only map and reports' },
+  { key: 'supervisor', label: 'Supervisor', description: 'Marks progress and submits daily work' },
+  { key: 'qa', label: 'QA', description: 'Passes tests, deletes history and manages accounts' }
+]
+
+// Roles allowed to perform each action
+const PERMISSIONS = {
+  'progress.edit': ['supervisor', 'qa'],
+  'dailyLog.submit': ['supervisor', 'qa'],
+  'test.pass': ['qa'],
+  'signoff.inspect': ['qa'],
+  'signoff.approve': ['qa'],
+  'signoff.reject': ['qa'],
+  'history.delete': ['qa'],
+  'project.manage': ['qa'],
+  'data.restore': ['qa'],
+  'users.manage': ['qa']
+}
+
+// What each permission lets someone do, for denial messages
+const PERMISSION_ACTIONS = {
+  'progress.edit': 'change site progress',
+  'dailyLog.submit': 'submit daily work',
+  'test.pass': 'pass or change passed test results',
+  'signoff.inspect': 'record QA inspections',
+  'signoff.approve': 'record client approvals',
+  'signoff.reject': 'reject sign-offs',
+  'history.delete': 'delete history',
+  'project.manage': 'manage projects',
+  'data.restore': 'restore backups',
+  'users.manage': 'manage accounts'
+}
+
+/**
+ * Whether a role may perform an action
+ */
+export function can(role, permission) {
+  return PERMISSIONS[permission]?.includes(role) ?? false
+}
+
+/**
+ * Permission needed to have made a logged event, by the rules the app's save
+ * paths apply: ticking inverters and touching passed strings is QA's, as is
+ * each sign-off stage's own permission, and deleting daily records is history
+ */
+export function eventPermission(event) {
+  const { kind, before, after } = event
+  const isPass = (value) => value?.result === 'pass'
+  switch (kind) {
+    case 'inverter':
+      return 'test.pass'
+    case 'string':
+      return isPass(before) || isPass(after) ? 'test.pass' : 'progress.edit'
+    case 'signOff':
+      if (after?.rejection && after.rejection.at !== before?.rejection?.at) return 'signoff.reject'
+      return SIGN_OFF_STAGES.find(stage => stage.key === after?.stage)?.permission || 'progress.edit'
+    case 'dailyLog':
+      return after ? 'dailyLog.submit' : 'history.delete'
+    default:
+      return 'progress.edit'
+  }
+}
+
+export function roleLabel(role) {
+  return ROLES.find(r => r.key === role)?.label || role
+}
+
+/**
+ * Message shown when a role tries something it isn't allowed to
+ */
+export function denialMessage(role, permission) {
+  const allowed = (PERMISSIONS[permission] || []).map(roleLabel).join(' or ')
+  return `${roleLabel(role)} accounts can't ${PERMISSION_ACTIONS[permission] || permission}${allowed ? ` (${allowed} only)` : ''}`
+}
+
+/**
+ * Hash a PIN with a per-account salt
+ * Uses SHA-256 where Web Crypto is available (HTTPS or localhost); plain-HTTP
+ * site servers fall back to FNV-1a, which is enough to keep PINs out of storage.
+ */
+export async function hashPin(pin, salt) {
+  const input = `${salt}:${pin}`
+  if (globalThis.crypto?.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input))
+    return `sha256:${Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')}`
+  }
+  return `fnv:${fnv1a(input)}`
+}
+
+/**
+ * Check a PIN against a stored hash, using the algorithm it was made with
+ */
+export async function verifyPin(pin, account) {
+  const [algorithm] = account.pinHash.split(':')
+  if (algorithm === 'fnv') return account.pinHash === `fnv:${fnv1a(`${account.salt}:${pin}`)}`
+  if (!globalThis.crypto?.subtle) return false
+  return account.pinHash === await hashPin(pin, account.salt)
+}
+
+export function newSalt() {
+  return Math.random().toString(36).slice(2) + Date.now().toString(36)
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return hash.toString(16).padStart(8, '0')
+}
@@ -0,0 +1,181 @@
+import { SCHEMA_VERSION } from './storage'
+import { LAYER_ROLES } from './projects'
+
+/**
+ * Project backup bundles
+ * A bundle is one JSON file holding a project's settings, layer files,
+ * every tracker slice and note photos, so a site can be restored on another machine.
+ */
+
+export const BUNDLE_FORMAT = 'lv-tracker-bundle'
+export const BUNDLE_VERSION = 1
+
+// Human-readable names for the diff preview
+export const SLICE_LABELS = {
+  completedBoxes: 'Tested inverters',
+  stringTests: 'String test results',
+  terminatedCircuits: 'Terminated circuits',
+  signOffs: 'Sign-offs',
+  stageProgress: 'Workflow stage progress',
+  notes: 'Notes',
+  dailyLog: 'Daily log records',
+  events: 'Progress events',
+  terminationCrew: 'Termination crew',
+  layerSettings: 'Map layer settings',
+  baseline: 'Schedule baseline',
+  workflow: 'Workflow stages'
+}
+
+// Expected shape of the slices validation knows about
+const SLICE_KINDS = {
+  completedBoxes: 'list',
+  notes: 'list',
+  dailyLog: 'list',
+  events: 'list',
+  workflow: 'list',
+  stringTests: 'object',
+  terminatedCircuits: 'object',
+  signOffs: 'object',
+  stageProgress: 'object',
+  layerSettings: 'object',
+  baseline: 'object'
+}
+
+/**
+ * Build a bundle from a project, its loaded layers, its stored slices and its
+ * note photos ({ photoId: { ...meta, dataUrl } }, see utils/notes)
+ */
+export function buildBundle(project, layers, slices, photos = {}) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: {
+      name: project.name,
+      layers: project.layers,
+      idPatterns: project.idPatterns
+    },
+    layers: Object.fromEntries(
+      Object.keys(project.layers)
+        .filter(role => layers[role])
+        .map(role => [role, layers[role]])
+    ),
+    slices,
+    photos
+  }
+}
+
+/**
+ * Check that a parsed file is a usable bundle
+ * Returns a list of problems (empty when valid).
+ */
+export function validateBundle(bundle) {
+  const errors = []
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    return ['Not a project backup file']
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    errors.push(`Backup format v${bundle.version} is newer than this app supports (v${BUNDLE_VERSION})`)
+  }
+  if (bundle.schemaVersion > SCHEMA_VERSION) {
+    errors.push(`Backup data schema v${bundle.schemaVersion} is newer than this app supports (v${SCHEMA_VERSION})`)
+  }
+  if (!bundle.project?.name || !bundle.project.idPatterns) {
+    errors.push('Project settings are missing')
+  }
+  if (!bundle.slices || typeof bundle.slices !== 'object' || Array.isArray(bundle.slices)) {
+    errors.push('Tracker data is missing')
+  } else {
+    Object.entries(SLICE_KINDS).forEach(([name, kind]) => {
+      if (!(name in bundle.slices)) return
+      const value = bundle.slices[name]
+      if (kind === 'list' ? !Array.isArray(value) : !isPlainObject(value)) {
+        errors.push(`${SLICE_LABELS[name]} must be a ${kind}`)
+      }
+    })
+  }
+  if (bundle.photos !== undefined && !isPlainObject(bundle.photos)) {
+    errors.push('Note photos must be an object')
+  }
+  LAYER_ROLES.filter(role => role.required).forEach(role => {
+    const layer = bundle.layers?.[role.key]
+    if (layer?.type !== 'FeatureCollection' || !Array.isArray(layer.features)) {
+      errors.push(`${role.label} layer is missing or invalid`)
+    }
+  })
+  return errors
+}
+
+/**
+ * Compare incoming slices against current ones
+ * Returns [{ name, label, current, incoming, added, changed, removed }] for slices that differ.
+ */
+export function diffSlices(current, incoming) {
+  const names = new Set([...Object.keys(current), ...Object.keys(incoming)])
+  return Array.from(names)
+    .map(name => {
+      const a = entriesOf(current[name])
+      const b = entriesOf(incoming[name])
+      let added = 0
+      let changed = 0
+      let removed = 0
+      b.forEach((value, key) => {
+        if (!a.has(key)) added++
+        else if (JSON.stringify(a.get(key)) !== JSON.stringify(value)) changed++
+      })
+      a.forEach((_, key) => { if (!b.has(key)) removed++ })
+      return { name, label: SLICE_LABELS[name] || name, current: a.size, incoming: b.size, added, changed, removed }
+    })
+    .filter(d => d.added || d.changed || d.removed)
+}
+
+/**
+ * Merge incoming slices into current ones
+ * Lists are unioned (by id where items have one) and keyed objects merged; either
+ * way the most recently stamped entry wins. Plain settings keep the local value.
+ */
+export function mergeSlices(current, incoming) {
+  const merged = { ...current }
+  Object.entries(incoming).forEach(([name, value]) => {
+    merged[name] = mergeValues(current[name], value)
+  })
+  return merged
+}
+
+function mergeValues(current, incoming) {
+  if (current === undefined || current === null) return incoming
+  if (Array.isArray(current) && Array.isArray(incoming)) {
+    const merged = new Map(entriesOf(current))
+    entriesOf(incoming).forEach((value, key) => {
+      if (!merged.has(key) || stampOf(value) > stampOf(merged.get(key))) merged.set(key, value)
+    })
+    return Array.from(merged.values())
+  }
+  if (isPlainObject(current) && isPlainObject(incoming)) {
+    const merged = { ...current }
+    Object.entries(incoming).forEach(([key, value]) => {
+      if (!(key in merged) || stampOf(value) > stampOf(merged[key])) merged[key] = value
+    })
+    return merged
+  }
+  return current
+}
+
+// Turn a slice value into a Map of comparable entries
+function entriesOf(value) {
+  if (value === undefined || value === null) return new Map()
+  if (Array.isArray(value)) {
+    return new Map(value.map(item => [isPlainObject(item) && 'id' in item ? item.id : item, item]))
+  }
+  if (isPlainObject(value)) return new Map(Object.entries(value))
+  return new Map([['value', value]])
+}
+
+function stampOf(value) {
+  return (isPlainObject(value) && (value.updatedAt || value.testedAt || value.terminatedAt || value.timestamp || value.at)) || ''
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
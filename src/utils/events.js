@@ -0,0 +1,278 @@
+import { categoryLabel } from './notes'
+import { stageLabel } from './signOff'
+
+/**
+ * Progress events / activity log
+ * Every completion change (inverter test tick, string test result, circuit
+ * termination) is recorded as a timestamped event so daily figures can be
+ * derived from what actually changed instead of cumulative totals.
+ * Note edits, sign-offs, custom workflow stage progress and daily log
+ * changes go into the same append-only log, so each event carries who made
+ * it and the value before and after.
+ */
+
+// Sources whose events are bookkeeping rather than site work
+const NON_WORK_SOURCES = ['migration']
+
+/**
+ * Diff two tracker snapshots into events
+ * snapshot: { completedBoxes: Set, stringTests: {}, terminatedCircuits: {} }
+ * inverterOf maps any label to its normalized inverter ID; atOf, when given, returns
+ * the time an item's work was actually done (e.g. an imported row's date), falling
+ * back to now when it returns nothing.
+ */
+export function diffTrackerState(prev, next, { source, inverterOf, atOf }) {
+  const events = []
+  const push = (event) => {
+    const at = atOf && atOf(event.itemId)
+    events.push(createEvent({ source, ...event, ...(at ? { at } : {}) }))
+  }
+
+  if (prev.completedBoxes !== next.completedBoxes) {
+    next.completedBoxes.forEach(boxId => {
+      if (!prev.completedBoxes.has(boxId)) {
+        push({ mode: 'test', kind: 'inverter', itemId: boxId, inverterId: inverterOf(boxId), before: false, after: true, delta: 1 })
+      }
+    })
+    prev.completedBoxes.forEach(boxId => {
+      if (!next.completedBoxes.has(boxId)) {
+        push({ mode: 'test', kind: 'inverter', itemId: boxId, inverterId: inverterOf(boxId), before: true, after: false, delta: -1 })
+      }
+    })
+  }
+
+  if (prev.stringTests !== next.stringTests) {
+    changedKeys(prev.stringTests, next.stringTests).forEach(stringId => {
+      const before = prev.stringTests[stringId] || null
+      const after = next.stringTests[stringId] || null
+      const delta = (after?.result === 'pass' ? 1 : 0) - (before?.result === 'pass' ? 1 : 0)
+      push({ mode: 'test', kind: 'string', itemId: stringId, inverterId: inverterOf(stringId), before, after, delta })
+    })
+  }
+
+  if (prev.terminatedCircuits !== next.terminatedCircuits) {
+    changedKeys(prev.terminatedCircuits, next.terminatedCircuits).forEach(circuitId => {
+      const before = prev.terminatedCircuits[circuitId] || null
+      const after = next.terminatedCircuits[circuitId] || null
+      const delta = (after ? 1 : 0) - (before ? 1 : 0)
+      push({ mode: 'termination', kind: 'circuit', itemId: circuitId, inverterId: inverterOf(circuitId), before, after, delta })
+    })
+  }
+
+  return events
+}
+
+/**
+ * Stamp an event with a unique ID and the current time
+ */
+export function createEvent(fields) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
+    at: new Date().toISOString(),
+    ...fields
+  }
+}
+
+/**
+ * Net progress made on a given local date (YYYY-MM-DD)
+ * Returns { test: { inverters, strings }, termination: { circuits },
+ *           stages: { stageKey: units },
+ *           byInverter: { inverterId: { inverters, strings, circuits, stages } } }
+ */
+export function summarizeDay(events, date) {
+  const summary = {
+    test: { inverters: 0, strings: 0 },
+    termination: { circuits: 0 },
+    stages: {},
+    byInverter: {}
+  }
+
+  events.forEach(event => {
+    if (!event.delta || NON_WORK_SOURCES.includes(event.source) || toLocalDate(event.at) !== date) return
+    const field = KIND_FIELDS[event.kind]
+    if (!field && event.kind !== 'workStage') return
+
+    const key = event.inverterId || 'Unassigned'
+    if (!summary.byInverter[key]) summary.byInverter[key] = { inverters: 0, strings: 0, circuits: 0, stages: {} }
+    const counts = summary.byInverter[key]
+    if (field) {
+      summary[event.mode][field] += event.delta
+      counts[field] += event.delta
+    } else {
+      summary.stages[event.mode] = (summary.stages[event.mode] || 0) + event.delta
+      counts.stages[event.mode] = (counts.stages[event.mode] || 0) + event.delta
+    }
+  })
+
+  // Drop inverters whose changes cancelled out
+  Object.keys(summary.byInverter).forEach(key => {
+    const counts = summary.byInverter[key]
+    const stageWork = Object.values(counts.stages).some(Boolean)
+    if (!counts.inverters && !counts.strings && !counts.circuits && !stageWork) delete summary.byInverter[key]
+  })
+
+  return summary
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an ISO timestamp
+ */
+export function toLocalDate(iso) {
+  const d = new Date(iso)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+const KIND_FIELDS = {
+  inverter: 'inverters',
+  string: 'strings',
+  circuit: 'circuits'
+}
+
+function changedKeys(prev, next) {
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)])
+  return Array.from(keys).filter(key => prev[key] !== next[key])
+}
+
+const SOURCE_LABELS = {
+  click: 'Click',
+  'box-select': 'Area select',
+  'test-form': 'Test form',
+  checklist: 'Checklist',
+  undo: 'Undo',
+  redo: 'Redo',
+  migration: 'Data upgrade',
+  editor: 'Note editor',
+  'daily-log': 'Daily log',
+  'sign-off': 'Sign-off',
+  'stage-form': 'Stage progress',
+  conflict: 'Conflict review',
+  import: 'Spreadsheet import'
+}
+
+/**
+ * One-line description of what an event did
+ */
+export function describeEvent(event) {
+  const { kind, before, after } = event
+  switch (kind) {
+    case 'inverter':
+      return after ? 'Marked inverter tested' : 'Unmarked inverter tested'
+    case 'string':
+      if (!after) return 'Cleared string test'
+      return `${before ? 'Updated' : 'Recorded'} string test: ${after.result.toUpperCase()}`
+    case 'circuit':
+      return after ? 'Terminated circuit' : 'Removed circuit termination'
+    case 'note':
+      if (!before) return 'Added note'
+      if (!after) return 'Deleted note'
+      if (before.status && before.status !== after.status) {
+        return after.status === 'resolved' ? 'Resolved note' : 'Reopened note'
+      }
+      return 'Edited note'
+    case 'signOff':
+      if (after?.rejection && after.rejection.at !== before?.rejection?.at) return 'Rejected sign-off'
+      return `Signed off: ${stageLabel(after?.stage)}`
+    case 'workStage':
+      return after ? `${event.stageName}: ${after.done} done` : `${event.stageName}: cleared`
+    case 'dailyLog':
+      return after ? 'Submitted daily record' : 'Deleted daily record'
+    default:
+      return kind
+  }
+}
+
+/**
+ * Short human-readable form of an event's before/after value
+ */
+export function formatEventValue(kind, value) {
+  if (value === null || value === undefined) return '—'
+  switch (kind) {
+    case 'inverter':
+      return value ? 'Tested' : 'Not tested'
+    case 'string':
+      return [
+        value.result?.toUpperCase(),
+        value.insulation != null ? `${value.insulation} MΩ` : null,
+        value.voc != null ? `${value.voc} V` : null,
+        value.tester
+      ].filter(Boolean).join(' · ')
+    case 'circuit':
+      return [value.crew, new Date(value.terminatedAt).toLocaleString()].filter(Boolean).join(' · ')
+    case 'note':
+      return [
+        value.status,
+        value.category && categoryLabel(value.category),
+        value.priority,
+        value.assignee,
+        value.photos ? `${value.photos} photo${value.photos === 1 ? '' : 's'}` : null,
+        value.text ? `"${value.text}"` : '(empty)'
+      ].filter(Boolean).join(' · ')
+    case 'signOff':
+      if (!value.stage && value.rejection) return `Reopened: "${value.rejection.reason}"`
+      return [stageLabel(value.stage), value.stages?.[value.stage]?.user].filter(Boolean).join(' · ')
+    case 'workStage':
+      return [`${value.done} done`, value.user].filter(Boolean).join(' · ')
+    case 'dailyLog':
+      return `${value.date}: ${value.installed_panels} done, ${value.workers} workers${value.subcontractor ? `, ${value.subcontractor}` : ''}`
+    default:
+      return JSON.stringify(value)
+  }
+}
+
+/**
+ * Display name of what triggered an event
+ */
+export function sourceLabel(source) {
+  return SOURCE_LABELS[source] || source || ''
+}
+
+/**
+ * Reconstruct tracker state as it stood at the end of a local date
+ * Walks back from the current snapshot, restoring each later event's "before" value,
+ * so data that predates the log is kept as the baseline.
+ * Sign-offs and workflow stage progress are rewound too when the snapshot includes them.
+ */
+export function rewindTrackerState(snapshot, events, date) {
+  const completedBoxes = new Set(snapshot.completedBoxes)
+  const stringTests = { ...snapshot.stringTests }
+  const terminatedCircuits = { ...snapshot.terminatedCircuits }
+  const signOffs = { ...snapshot.signOffs }
+  const stageProgress = { ...snapshot.stageProgress }
+  const keyed = { signOff: ['signOffKey', signOffs], workStage: ['progressKey', stageProgress] }
+
+  events
+    .filter(event => (KIND_FIELDS[event.kind] || keyed[event.kind]) && toLocalDate(event.at) > date)
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .forEach(event => {
+      const { kind, itemId, before } = event
+      if (keyed[kind]) {
+        const [keyField, target] = keyed[kind]
+        if (before) target[event[keyField]] = before
+        else delete target[event[keyField]]
+      } else if (kind === 'inverter') {
+        if (before) completedBoxes.add(itemId)
+        else completedBoxes.delete(itemId)
+      } else {
+        const target = kind === 'string' ? stringTests : terminatedCircuits
+        if (before) target[itemId] = before
+        else delete target[itemId]
+      }
+    })
+
+  return { completedBoxes, stringTests, terminatedCircuits, signOffs, stageProgress }
+}
+
+/**
+ * Every local date from start to end inclusive (YYYY-MM-DD)
+ */
+export function dateRange(start, end) {
+  const dates = []
+  const current = new Date(`${start}T12:00:00`)
+  const last = new Date(`${end}T12:00:00`)
+  while (current <= last) {
+    dates.push(toLocalDate(current.toISOString()))
+    current.setDate(current.getDate() + 1)
+  }
+  return dates
+}
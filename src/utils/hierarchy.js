@@ -0,0 +1,168 @@
+import { boxTested } from './workflow'
+
+/**
+ * TX → inverter → string hierarchy
+ * Rolls the flat tracker state up the tree the IDs encode (TX2-INV1-STR1), so
+ * each transformer and inverter gets its own test and termination tallies, plus
+ * the done / total of every custom workflow stage.
+ * Inverters whose ID doesn't start with a transformer ID are grouped under UNASSIGNED_TX.
+ *
+ * node: { id, test: { passed, failed, total, tested, complete, boxes }, termination: { done, total },
+ *         stages: { stageKey: { done, total } }, box: [minLng, minLat, maxLng, maxLat], children }
+ * TX nodes also carry hull, the convex outline of everything on them.
+ */
+
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true })
+
+/**
+ * Build the tree from the site data and the (replay-aware) tracker state.
+ * transformerOf comes from the project's ID patterns (see utils/ids); custom
+ * stage tallies come from stageStats (see workflowStats in utils/workflow).
+ */
+export function buildHierarchy({ inverterCircuitData, inverterLabels, completedBoxes, stringTests, terminatedCircuits, stageStats = {}, transformerOf }) {
+  const { circuits, inverterPositions } = inverterCircuitData
+  const stageKeys = Object.keys(stageStats).filter(key => key !== 'test' && key !== 'termination')
+  const labelsByInverter = {}
+  inverterLabels.forEach(label => {
+    (labelsByInverter[label.inverterId] = labelsByInverter[label.inverterId] || []).push(label)
+  })
+
+  const inverterIds = new Set([...Object.keys(inverterPositions), ...Object.keys(circuits), ...Object.keys(labelsByInverter)])
+  const transformers = {}
+
+  Array.from(inverterIds).sort(byName).forEach(inverterId => {
+    const labels = labelsByInverter[inverterId] || []
+    const strings = [...(circuits[inverterId] || [])].sort((a, b) => byName(a.id, b.id)).map(circuit => ({
+      id: circuit.id,
+      position: circuit.position,
+      result: stringTests[circuit.id]?.result || null,
+      terminated: Boolean(terminatedCircuits[circuit.id])
+    }))
+
+    const points = [
+      ...(inverterPositions[inverterId] ? [inverterPositions[inverterId].position] : []),
+      ...labels.map(label => label.position),
+      ...strings.map(string => string.position)
+    ]
+    const passed = strings.filter(string => string.result === 'pass').length
+    const inverter = {
+      id: inverterId,
+      test: {
+        passed,
+        failed: strings.filter(string => string.result === 'fail').length,
+        total: strings.length,
+        tested: labels.filter(label => completedBoxes.has(label.boxId)).length,
+        // Boxes the map shows as complete: ticked, or every string passed
+        complete: labels.filter(label => boxTested(completedBoxes.has(label.boxId), { passed, total: strings.length })).length,
+        boxes: labels.length
+      },
+      termination: {
+        done: strings.filter(string => string.terminated).length,
+        total: strings.length
+      },
+      stages: Object.fromEntries(stageKeys.map(key => {
+        const progress = stageStats[key].byInverter[inverterId]
+        return [key, { done: progress?.done || 0, total: progress?.total || 0 }]
+      })),
+      box: pointsBox(points),
+      children: strings,
+      points
+    }
+
+    const txId = transformerOf(inverterId) || UNASSIGNED_TX
+    if (!transformers[txId]) transformers[txId] = []
+    transformers[txId].push(inverter)
+  })
+
+  return Object.keys(transformers).sort(byName).map(txId => {
+    const inverters = transformers[txId]
+    const points = inverters.flatMap(inverter => inverter.points)
+    const sum = (part, key) => inverters.reduce((total, inverter) => total + inverter[part][key], 0)
+    return {
+      id: txId,
+      test: {
+        passed: sum('test', 'passed'),
+        failed: sum('test', 'failed'),
+        total: sum('test', 'total'),
+        tested: sum('test', 'tested'),
+        complete: sum('test', 'complete'),
+        boxes: sum('test', 'boxes')
+      },
+      termination: { done: sum('termination', 'done'), total: sum('termination', 'total') },
+      stages: Object.fromEntries(stageKeys.map(key => [key, {
+        done: inverters.reduce((total, inverter) => total + inverter.stages[key].done, 0),
+        total: inverters.reduce((total, inverter) => total + inverter.stages[key].total, 0)
+      }])),
+      box: pointsBox(points),
+      hull: convexHull(points),
+      children: inverters.map(({ points, ...inverter }) => inverter)
+    }
+  })
+}
+
+/**
+ * Share of a node's work done in a mode, 0-1 (null when it has none).
+ * Test progress counts inverter boxes complete the way the map shows them (ticked,
+ * or every string passed), or passed strings where there are no boxes; custom
+ * stages count their units done.
+ */
+export function completion(node, mode) {
+  if (mode === 'termination') {
+    return node.termination.total > 0 ? node.termination.done / node.termination.total : null
+  }
+  if (mode !== 'test') {
+    const stage = node.stages[mode]
+    return stage?.total > 0 ? stage.done / stage.total : null
+  }
+  if (node.test.boxes > 0) return node.test.complete / node.test.boxes
+  return node.test.total > 0 ? node.test.passed / node.test.total : null
+}
+
+/**
+ * Outline colour for a completion share: red untouched, amber under way, green done
+ */
+export function completionColor(share) {
+  if (share === null || share <= 0) return COMPLETION_COLORS.none
+  return share >= 1 ? COMPLETION_COLORS.done : COMPLETION_COLORS.partial
+}
+
+/**
+ * Convex hull of [lng, lat] points (monotone chain), counter-clockwise
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1])
+  if (sorted.length < 3) return sorted
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+  const chain = (list) => {
+    const result = []
+    list.forEach(point => {
+      while (result.length >= 2 && cross(result[result.length - 2], result[result.length - 1], point) <= 0) result.pop()
+      result.push(point)
+    })
+    result.pop()
+    return result
+  }
+  return [...chain(sorted), ...chain([...sorted].reverse())]
+}
+
+function pointsBox(points) {
+  if (points.length === 0) return null
+  let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity
+  points.forEach(([lng, lat]) => {
+    if (lng < minLng) minLng = lng
+    if (lat < minLat) minLat = lat
+    if (lng > maxLng) maxLng = lng
+    if (lat > maxLat) maxLat = lat
+  })
+  return [minLng, minLat, maxLng, maxLat]
+}
+
+// Group for inverters whose ID doesn't match the transformer pattern
+export const UNASSIGNED_TX = 'No TX'
+
+// TX outline and progress bar colours by completion
+export const COMPLETION_COLORS = {
+  none: '#ef4444',
+  partial: '#f59e0b',
+  done: '#22c55e'
+}
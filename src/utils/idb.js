@@ -0,0 +1,77 @@
+/**
+ * Minimal IndexedDB key-value helpers
+ * Hold tracker slices (see utils/storage), uploaded layer files and note photos.
+ */
+
+const DB_NAME = 'lvTracker'
+const DB_VERSION = 3
+const STORES = ['layers', 'photos', 'slices']
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        STORES.forEach(store => {
+          if (!db.objectStoreNames.contains(store)) db.createObjectStore(store)
+        })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+// Run a single request inside a transaction and resolve with its result
+async function run(store, mode, action) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode)
+    const request = action(tx.objectStore(store))
+    tx.oncomplete = () => resolve(request.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export function idbGet(store, key) {
+  return run(store, 'readonly', s => s.get(key))
+}
+
+export function idbSet(store, key, value) {
+  return run(store, 'readwrite', s => s.put(value, key))
+}
+
+export function idbDelete(store, key) {
+  return run(store, 'readwrite', s => s.delete(key))
+}
+
+export function idbKeys(store) {
+  return run(store, 'readonly', s => s.getAllKeys())
+}
+
+// Every [key, value] pair of a store, read in one transaction
+export async function idbEntries(store) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readonly')
+    const entries = []
+    const request = tx.objectStore(store).openCursor()
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (!cursor) return
+      entries.push([cursor.key, cursor.value])
+      cursor.continue()
+    }
+    tx.oncomplete = () => resolve(entries)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
@@ -0,0 +1,63 @@
+/**
+ * Inverter / string ID helpers
+ * Label texts come straight from CAD exports, so spellings vary ("TX4-INV 2" vs "TX4-INV2").
+ * Every ID is normalized before it is matched or used as a key.
+ */
+
+export const DEFAULT_ID_PATTERNS = {
+  transformer: 'TX\\d+',
+  inverter: 'TX\\d+-INV\\d+',
+  string: 'TX\\d+-INV\\d+-STR\\d+'
+}
+
+// Normalize label spellings like "TX4-INV 2" to "TX4-INV2"
+export function normalizeId(text) {
+  return String(text).replace(/\s+/g, '').toUpperCase()
+}
+
+/**
+ * Compile a project's ID patterns into matchers
+ * inverterOf(text) returns the inverter ID a label starts with (or null),
+ * transformerOf(inverterId) the transformer ID an inverter ID starts with (or null),
+ * isString(text) tells whether a label is a string ID.
+ * Invalid patterns, and the transformer pattern of projects set up before it
+ * existed, fall back to the defaults.
+ */
+export function compileIdPatterns(patterns = DEFAULT_ID_PATTERNS) {
+  const transformerRegex = safeRegex(`^(${patterns.transformer || DEFAULT_ID_PATTERNS.transformer})`, `^(${DEFAULT_ID_PATTERNS.transformer})`)
+  const inverterRegex = safeRegex(`^(${patterns.inverter})`, `^(${DEFAULT_ID_PATTERNS.inverter})`)
+  const stringRegex = safeRegex(`^(${patterns.string})$`, `^(${DEFAULT_ID_PATTERNS.string})$`)
+
+  return {
+    transformerOf: (inverterId) => {
+      const match = normalizeId(inverterId).match(transformerRegex)
+      return match ? match[1] : null
+    },
+    inverterOf: (text) => {
+      const match = normalizeId(text).match(inverterRegex)
+      return match ? match[1] : null
+    },
+    isString: (text) => stringRegex.test(normalizeId(text))
+  }
+}
+
+/**
+ * Check that a pattern compiles, returning the error message if not
+ */
+export function validatePattern(pattern) {
+  if (!pattern) return 'Pattern is required'
+  try {
+    new RegExp(pattern)
+    return null
+  } catch (e) {
+    return e.message
+  }
+}
+
+function safeRegex(source, fallback) {
+  try {
+    return new RegExp(source, 'i')
+  } catch {
+    return new RegExp(fallback, 'i')
+  }
+}
@@ -0,0 +1,337 @@
+import ExcelJS from 'exceljs'
+import { normalizeId } from './ids'
+import { toLocalDate } from './events'
+
+/**
+ * Spreadsheet import of subcontractor sheets
+ * Reads an xlsx or csv file into plain text rows, maps columns to the fields
+ * of an import target and matches every row's ID against the project's
+ * inverters and strings. Applying the matched rows is left to the caller.
+ */
+
+// What an import can update, and the columns each one reads
+export const IMPORT_TARGETS = [
+  {
+    key: 'test',
+    label: 'Test results',
+    description: 'Inverter IDs tick the inverter as tested; string IDs record a string test result',
+    fields: [
+      { key: 'id', label: 'Inverter or string ID', required: true },
+      { key: 'result', label: 'Result (pass / fail)', required: true },
+      { key: 'tester', label: 'Tester' },
+      { key: 'date', label: 'Test date' },
+      { key: 'insulation', label: 'Insulation (MΩ)' },
+      { key: 'voc', label: 'Voc (V)' }
+    ]
+  },
+  {
+    key: 'termination',
+    label: 'Terminations',
+    description: 'String IDs terminate that circuit; inverter IDs with a count terminate that many circuits',
+    fields: [
+      { key: 'id', label: 'Inverter or string ID', required: true },
+      { key: 'count', label: 'Terminated count (per inverter)' },
+      { key: 'done', label: 'Terminated (yes / no)' },
+      { key: 'crew', label: 'Crew' },
+      { key: 'date', label: 'Date' }
+    ]
+  },
+  {
+    key: 'dailyLog',
+    label: 'Daily log',
+    description: 'Each row becomes a daily log record',
+    fields: [
+      { key: 'date', label: 'Date', required: true },
+      { key: 'count', label: 'Boxes / circuits done', required: true },
+      { key: 'subcontractor', label: 'Subcontractor' },
+      { key: 'workers', label: 'Workers' }
+    ]
+  }
+]
+
+export function importTarget(key) {
+  return IMPORT_TARGETS.find(target => target.key === key)
+}
+
+/**
+ * Read a File into sheets of text rows: [{ name, rows: [{ number, cells }] }]
+ * number is the row number shown in the source file; empty rows are dropped.
+ */
+export async function readSheetFile(file) {
+  if (/\.csv$|\.txt$/i.test(file.name)) {
+    const text = await file.text()
+    return [{ name: file.name, rows: numberRows(parseCsv(text)) }]
+  }
+
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(await file.arrayBuffer())
+  const sheets = []
+  workbook.eachSheet(worksheet => {
+    const rows = []
+    worksheet.eachRow(row => {
+      const cells = []
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = cellText(cell.value)
+      })
+      rows.push({ number: row.number, cells: Array.from(cells, cell => cell ?? '') })
+    })
+    sheets.push({ name: worksheet.name, rows: rows.filter(row => row.cells.some(Boolean)) })
+  })
+  if (sheets.length === 0) throw new Error('The workbook has no sheets')
+  return sheets
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells and picks the
+ * delimiter (comma, semicolon or tab) that the first line uses most.
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0]
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(cell.trim())
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell.trim())
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim())
+    rows.push(row)
+  }
+  return rows
+}
+
+/**
+ * Best guess of which column holds each field of a target, from the header names
+ * Returns { fieldKey: columnIndex or null }
+ */
+export function guessMapping(headers, targetKey) {
+  const mapping = {}
+  const used = new Set()
+  importTarget(targetKey).fields.forEach(field => {
+    const hints = FIELD_HINTS[field.key]
+    const column = headers.findIndex((header, index) => !used.has(index) && hints.test(header))
+    mapping[field.key] = column === -1 ? null : column
+    if (column !== -1) used.add(column)
+  })
+  return mapping
+}
+
+/**
+ * Resolve ID spellings to the project's inverters and strings
+ * Exact matches use the usual normalisation ("TX4-INV 2" -> "TX4-INV2"); failing
+ * that, IDs are compared without separators or leading zeros ("tx04_inv02").
+ * resolve(text) returns { kind: 'inverter', id, boxIds, circuitIds }
+ * or { kind: 'string', id, inverterId }, with loose: true for a loose match, or null.
+ */
+export function createIdLookup({ inverterLabels, circuits }) {
+  const exact = new Map()
+  const loose = new Map()
+  const add = (id, match) => {
+    exact.set(id, match)
+    const key = looseKey(id)
+    // Two IDs that only differ loosely can't be told apart - match neither
+    loose.set(key, loose.has(key) ? null : match)
+  }
+
+  const boxIds = {}
+  inverterLabels.forEach(label => {
+    boxIds[label.inverterId] = [...(boxIds[label.inverterId] || []), label.boxId]
+  })
+  const inverterIds = new Set([...Object.keys(boxIds), ...Object.keys(circuits)])
+  inverterIds.forEach(id => {
+    add(id, { kind: 'inverter', id, boxIds: boxIds[id] || [], circuitIds: (circuits[id] || []).map(circuit => circuit.id) })
+  })
+  Object.values(circuits).flat().forEach(circuit => {
+    add(circuit.id, { kind: 'string', id: circuit.id, inverterId: circuit.inverterId })
+  })
+
+  return {
+    resolve: (text) => {
+      if (!text) return null
+      const match = exact.get(normalizeId(text))
+      if (match) return match
+      const looseMatch = loose.get(looseKey(text))
+      return looseMatch ? { ...looseMatch, loose: true } : null
+    }
+  }
+}
+
+/**
+ * Match and validate every data row (rows after the header) of a sheet
+ * blockersOf(stageKey, item) names the workflow stages an item is still waiting on;
+ * rows that would tick or terminate such an item are invalid, as they are on the map.
+ * isTerminated(circuitId) says whether a circuit is terminated now; inverter counts only
+ * add terminations, so a count below that is invalid too.
+ * Returns [{ number, source, match, values, status: 'matched' | 'unmatched' | 'invalid', message }]
+ */
+export function previewImport(rows, mapping, targetKey, lookup, blockersOf = () => [], isTerminated = () => false) {
+  const cell = (row, field) => mapping[field] === null || mapping[field] === undefined ? '' : (row.cells[mapping[field]] || '').trim()
+
+  return rows.map(row => {
+    const values = {}
+    importTarget(targetKey).fields.forEach(field => { values[field.key] = cell(row, field.key) })
+    const preview = { number: row.number, source: values.id ?? values.date, match: null, values, status: 'matched', message: '' }
+    const invalid = (message) => ({ ...preview, status: 'invalid', message })
+
+    if (targetKey === 'dailyLog') {
+      const date = parseDate(values.date)
+      if (!date) return invalid(`"${values.date}" is not a date`)
+      const count = parseCount(values.count)
+      if (count === null) return invalid(`"${values.count}" is not a number`)
+      return { ...preview, values: { ...values, date, count, workers: parseCount(values.workers) || 0 } }
+    }
+
+    if (!values.id) return invalid('No ID')
+    const match = lookup.resolve(values.id)
+    if (!match) return { ...preview, status: 'unmatched', message: 'No inverter or string with this ID' }
+    const matched = { ...preview, match, message: match.loose ? `Read as ${match.id}` : '' }
+
+    const date = values.date ? parseDate(values.date) : null
+    if (values.date && !date) return invalid(`"${values.date}" is not a date`)
+
+    if (targetKey === 'test') {
+      const result = parseResult(values.result)
+      if (values.result && !result) return invalid(`"${values.result}" is not pass or fail`)
+      if (!result) return invalid('No result')
+      if (match.kind === 'inverter' && match.boxIds.length === 0) return invalid(`${match.id} has no inverter box on the map to tick`)
+      const blockers = match.kind === 'inverter' && result === 'pass' ? blockersOf('test', { id: match.id, inverterId: match.id }) : []
+      if (blockers.length > 0) return invalid(`Waiting on ${blockers.join(', ')}`)
+      const insulation = parseMeasure(values.insulation)
+      if (Number.isNaN(insulation)) return invalid(`"${values.insulation}" is not an insulation reading`)
+      const voc = parseMeasure(values.voc)
+      if (Number.isNaN(voc)) return invalid(`"${values.voc}" is not a Voc reading`)
+      return { ...matched, values: { ...values, date, result, insulation, voc } }
+    }
+
+    // Terminations
+    if (match.kind === 'inverter') {
+      const count = parseCount(values.count)
+      if (count === null) return invalid(values.count ? `"${values.count}" is not a number` : 'Inverter rows need a terminated count')
+      if (count > match.circuitIds.length) return invalid(`${count} terminated but ${match.id} has ${match.circuitIds.length} circuits`)
+      const terminated = match.circuitIds.filter(id => isTerminated(id)).length
+      if (count < terminated) return invalid(`${match.id} already has ${terminated} terminated - use string rows to untick circuits`)
+      // Circuits the count may fill, in order: those not waiting on another stage
+      const waiting = new Set()
+      const circuitIds = match.circuitIds.filter(id => {
+        const blockers = blockersOf('termination', { id, inverterId: match.id })
+        blockers.forEach(name => waiting.add(name))
+        return blockers.length === 0
+      })
+      if (count > circuitIds.length) return invalid(`Only ${circuitIds.length} of ${match.id}'s circuits can be terminated - waiting on ${Array.from(waiting).join(', ')}`)
+      return { ...matched, values: { ...values, date, count, circuitIds } }
+    }
+    if (!values.done) return invalid('No terminated yes / no')
+    const done = parseResult(values.done)
+    if (!done) return invalid(`"${values.done}" is not yes or no`)
+    const blockers = done === 'pass' ? blockersOf('termination', { id: match.id, inverterId: match.inverterId }) : []
+    if (blockers.length > 0) return invalid(`Waiting on ${blockers.join(', ')}`)
+    return { ...matched, values: { ...values, date, done: done === 'pass' } }
+  })
+}
+
+/**
+ * Date cell text (YYYY-MM-DD, DD/MM/YYYY, DD.MM.YYYY) as YYYY-MM-DD, or null
+ */
+export function parseDate(text) {
+  const value = String(text || '').trim()
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (match) return validDate(match[1], match[2], match[3])
+  match = value.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/)
+  if (match) return validDate(match[3], match[2], match[1])
+  return null
+}
+
+function validDate(year, month, day) {
+  const date = new Date(Number(year), Number(month) - 1, Number(day), 12)
+  if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return null
+  return toLocalDate(date.toISOString())
+}
+
+function parseResult(text) {
+  const value = String(text || '').trim().toLowerCase()
+  if (PASS_WORDS.includes(value)) return 'pass'
+  if (FAIL_WORDS.includes(value)) return 'fail'
+  return null
+}
+
+function parseCount(text) {
+  const value = String(text || '').trim()
+  return /^\d+$/.test(value) ? Number(value) : null
+}
+
+// Measurement cell text as a number, null when empty and NaN when it isn't a number
+function parseMeasure(text) {
+  const value = String(text || '').trim()
+  if (!value) return null
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value) ? parseFloat(value) : NaN
+}
+
+// Text of an ExcelJS cell value (dates as YYYY-MM-DD, formulas as their result)
+function cellText(value) {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return value.toISOString().slice(0, 10)
+  if (typeof value === 'object') {
+    if ('result' in value) return cellText(value.result)
+    if ('richText' in value) return value.richText.map(part => part.text).join('')
+    if ('text' in value) return String(value.text)
+    return ''
+  }
+  return String(value).trim()
+}
+
+function numberRows(rows) {
+  return rows
+    .map((cells, index) => ({ number: index + 1, cells }))
+    .filter(row => row.cells.some(Boolean))
+}
+
+// ID with separators and leading zeros removed: "TX04-INV 02" -> "TX4INV2"
+function looseKey(text) {
+  return normalizeId(text).replace(/[^A-Z0-9]/g, '').replace(/(^|\D)0+(?=\d)/g, '$1')
+}
+
+// Header names that suggest each field
+const FIELD_HINTS = {
+  id: /\b(id|inverter|inv|string|str|circuit|tag)\b/i,
+  result: /result|pass|status|outcome/i,
+  tester: /tester|tested by|engineer|technician/i,
+  date: /date|day|tested on/i,
+  insulation: /insulation|\bir\b|meg/i,
+  voc: /voc|open circuit|voltage/i,
+  count: /count|qty|quantity|installed|boxes|total/i,
+  done: /terminated|done|complete/i,
+  crew: /crew|team|fitter|electrician/i,
+  subcontractor: /sub|contractor|company/i,
+  workers: /workers|crew size|\bmen\b|headcount|staff/i
+}
+
+const PASS_WORDS = ['pass', 'passed', 'ok', 'yes', 'y', 'true', '1', 'x', '✓', 'done', 'complete']
+const FAIL_WORDS = ['fail', 'failed', 'no', 'n', 'false', '0', '✗', 'nok', 'not ok']
@@ -0,0 +1,81 @@
+/**
+ * Map layers drawn on the canvas
+ * Base drawing layers (tables, boundary) can be restyled. Status layers keep
+ * the colours that carry their meaning and only take opacity and label settings.
+ *
+ * Settings: { order: [layer keys, bottom to top], layers: { key: { visible, opacity, stroke, fill, labels, colorBy } } }
+ * colorBy fills tables by status instead of the plain fill (see utils/tableStatus).
+ */
+
+export const MAP_LAYERS = [
+  { key: 'poly', label: 'Tables', stroke: '#1a1a1a', fill: '#1e1e1e', fillAlpha: 0.15, lineWidth: 1, colorBy: 'none' },
+  { key: 'boundary', label: 'Site boundary', stroke: '#0066cc', lineWidth: 2 },
+  { key: 'transformers', label: 'TX outlines', labels: true },
+  { key: 'strings', label: 'Strings', labels: false },
+  { key: 'inverters', label: 'Inverters', labels: true },
+  { key: 'notes', label: 'Notes' },
+  { key: 'hover', label: 'Hover labels' }
+]
+
+/**
+ * Default settings: every layer visible in its built-in style and order
+ */
+export function defaultLayerSettings() {
+  return {
+    order: MAP_LAYERS.map(layer => layer.key),
+    layers: Object.fromEntries(MAP_LAYERS.map(layer => [layer.key, defaultStyle(layer)]))
+  }
+}
+
+/**
+ * Fill in anything missing from stored settings (layers added since they were saved)
+ */
+export function normalizeLayerSettings(stored) {
+  const defaults = defaultLayerSettings()
+  const known = new Set(defaults.order)
+  const order = (stored?.order || []).filter(key => known.has(key))
+  // New layers go in just above the layer they follow by default
+  defaults.order.forEach((key, index) => {
+    if (order.includes(key)) return
+    const after = defaults.order.slice(0, index).reverse().find(previous => order.includes(previous))
+    order.splice(after ? order.indexOf(after) + 1 : 0, 0, key)
+  })
+  return {
+    order,
+    layers: Object.fromEntries(defaults.order.map(key => [key, { ...defaults.layers[key], ...stored?.layers?.[key] }]))
+  }
+}
+
+/**
+ * Move a layer one step up (towards the top) or down the drawing order
+ */
+export function moveLayer(settings, key, direction) {
+  const order = [...settings.order]
+  const index = order.indexOf(key)
+  const target = index + direction
+  if (index === -1 || target < 0 || target >= order.length) return settings
+  order.splice(index, 1)
+  order.splice(target, 0, key)
+  return { ...settings, order }
+}
+
+/**
+ * CSS colour for a hex colour at an alpha
+ */
+export function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.slice(1), 16)
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`
+}
+
+export function layerDefinition(key) {
+  return MAP_LAYERS.find(layer => layer.key === key)
+}
+
+function defaultStyle(layer) {
+  const style = { visible: true, opacity: 1 }
+  if (layer.stroke) style.stroke = layer.stroke
+  if (layer.fill) style.fill = layer.fill
+  if (layer.labels !== undefined) style.labels = layer.labels
+  if (layer.colorBy !== undefined) style.colorBy = layer.colorBy
+  return style
+}
@@ -0,0 +1,155 @@
+import { idbGet, idbSet, idbDelete } from './idb'
+
+/**
+ * Punch-list notes
+ * Notes are map markers with a category, priority, assignee, open/resolved
+ * status and photo attachments. Photos are stored as IndexedDB blobs and
+ * referenced from the note by ID.
+ */
+
+export const NOTE_CATEGORIES = [
+  { key: 'defect', label: 'Defect', icon: 'D', color: '#e74c3c', stroke: '#c0392b' },
+  { key: 'safety', label: 'Safety', icon: '!', color: '#f97316', stroke: '#c2410c' },
+  { key: 'material', label: 'Missing Material', icon: 'M', color: '#eab308', stroke: '#a16207' },
+  { key: 'rfi', label: 'RFI', icon: '?', color: '#3b82f6', stroke: '#1d4ed8' }
+]
+
+export const NOTE_PRIORITIES = [
+  { key: 'low', label: 'Low' },
+  { key: 'medium', label: 'Medium' },
+  { key: 'high', label: 'High' }
+]
+
+const RESOLVED_STYLE = { color: '#9ca3af', stroke: '#4b5563', icon: '✓' }
+
+/**
+ * Fill in punch-list fields missing from plain notes
+ */
+export function normalizeNote(note) {
+  return {
+    text: '',
+    category: 'defect',
+    priority: 'medium',
+    assignee: '',
+    status: 'open',
+    photoIds: [],
+    createdAt: typeof note.id === 'number' ? new Date(note.id).toISOString() : null,
+    updatedAt: null,
+    resolvedAt: null,
+    ...note
+  }
+}
+
+/**
+ * New open note at a world position
+ */
+export function createNote(position) {
+  const now = new Date()
+  return normalizeNote({
+    id: now.getTime(),
+    position,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  })
+}
+
+/**
+ * Fill / stroke / glyph for a note marker, reflecting status and category
+ */
+export function noteMarkerStyle(note) {
+  if (note.status === 'resolved') return RESOLVED_STYLE
+  const category = NOTE_CATEGORIES.find(c => c.key === note.category) || NOTE_CATEGORIES[0]
+  return { color: category.color, stroke: category.stroke, icon: category.icon }
+}
+
+export function categoryLabel(key) {
+  return NOTE_CATEGORIES.find(c => c.key === key)?.label || key
+}
+
+/**
+ * Store an image file as a photo of a note, resolving to the new photo ID
+ */
+export async function savePhoto(noteId, file) {
+  const id = `${noteId}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`
+  await idbSet('photos', id, {
+    noteId,
+    name: file.name,
+    type: file.type,
+    blob: file,
+    createdAt: new Date().toISOString()
+  })
+  return id
+}
+
+export function loadPhoto(id) {
+  return idbGet('photos', id)
+}
+
+export async function deletePhotos(ids) {
+  await Promise.all(ids.map(id => idbDelete('photos', id)))
+}
+
+/**
+ * Fields of a note recorded in the activity log
+ */
+export function noteSnapshot(note) {
+  return {
+    text: note.text,
+    category: note.category,
+    priority: note.priority,
+    assignee: note.assignee,
+    status: note.status,
+    photos: note.photoIds.length,
+    position: note.position
+  }
+}
+
+/**
+ * Notes added, edited or removed between two lists, as [before, after] pairs
+ * (null for the missing side); only changes to the logged fields count
+ */
+export function changedNotes(prev, next) {
+  const previous = new Map(prev.map(note => [note.id, note]))
+  const changes = []
+  next.forEach(note => {
+    const before = previous.get(note.id) || null
+    previous.delete(note.id)
+    if (!before || JSON.stringify(noteSnapshot(before)) !== JSON.stringify(noteSnapshot(note))) changes.push([before, note])
+  })
+  previous.forEach(note => changes.push([note, null]))
+  return changes
+}
+
+/**
+ * Read the photos of a list of notes as { photoId: { ...meta, dataUrl } } for a backup bundle
+ */
+export async function exportPhotos(notes) {
+  const ids = notes.flatMap(note => note.photoIds || [])
+  const photos = {}
+  await Promise.all(ids.map(async id => {
+    const photo = await loadPhoto(id)
+    if (!photo) return
+    const { blob, ...meta } = photo
+    photos[id] = { ...meta, dataUrl: await blobToDataUrl(blob) }
+  }))
+  return photos
+}
+
+/**
+ * Write photos from a backup bundle back into IndexedDB
+ */
+export async function importPhotos(photos = {}) {
+  await Promise.all(Object.entries(photos).map(async ([id, { dataUrl, ...meta }]) => {
+    const blob = await (await fetch(dataUrl)).blob()
+    await idbSet('photos', id, { ...meta, blob })
+  }))
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
@@ -0,0 +1,87 @@
+/**
+ * Minimal PDF writer for image pages
+ * Each page is a single full-page JPEG, which is all a printed map sheet
+ * needs. Browsers encode the JPEG (canvas.toBlob) and PDF embeds JPEG data
+ * as-is, so no PDF library is required.
+ */
+
+/**
+ * Build a PDF from pages of { jpeg: Uint8Array, pixelWidth, pixelHeight, widthMm, heightMm }
+ */
+export function createImagePdf(pages, { title = '' } = {}) {
+  const parts = []
+  const offsets = [] // Byte offset of each object, by object number - 1
+  let length = 0
+
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encodeAscii(chunk) : chunk
+    parts.push(bytes)
+    length += bytes.length
+  }
+  const beginObject = (number) => {
+    offsets[number - 1] = length
+    write(`${number} 0 obj\n`)
+  }
+
+  write('%PDF-1.4\n%âãÏÓ\n')
+
+  // 1: catalog, 2: page tree, 3: document info, then 3 objects per page
+  const pageNumber = (index) => 4 + index * 3
+  beginObject(1)
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n')
+  beginObject(2)
+  write(`<< /Type /Pages /Kids [${pages.map((_, i) => `${pageNumber(i)} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`)
+  beginObject(3)
+  write(`<< /Title ${pdfText(title)} /Producer (LV-INV Installation Tracker) /CreationDate (${pdfDate(new Date())}) >>\nendobj\n`)
+
+  pages.forEach((page, index) => {
+    const number = pageNumber(index)
+    const width = mmToPoints(page.widthMm)
+    const height = mmToPoints(page.heightMm)
+    const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`
+
+    beginObject(number)
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /XObject << /Im0 ${number + 1} 0 R >> >> /Contents ${number + 2} 0 R >>\nendobj\n`)
+
+    beginObject(number + 1)
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`)
+    write(page.jpeg)
+    write('\nendstream\nendobj\n')
+
+    beginObject(number + 2)
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`)
+  })
+
+  const xrefOffset = length
+  write(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`)
+  offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`))
+  write(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(parts, { type: 'application/pdf' })
+}
+
+export function mmToPoints(mm) {
+  return Math.round(mm / 25.4 * 72 * 100) / 100
+}
+
+// Byte per character; only used for PDF syntax, which is plain ASCII (plus the binary marker comment)
+function encodeAscii(text) {
+  const bytes = new Uint8Array(text.length)
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff
+  return bytes
+}
+
+// Text string as UTF-16BE hex, so any project name survives
+function pdfText(text) {
+  let hex = 'FEFF'
+  for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0')
+  return `<${hex.toUpperCase()}>`
+}
+
+function pdfDate(date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+}
@@ -0,0 +1,416 @@
+/**
+ * Printed site progress sheets
+ * Lays the map out on landscape paper at a true scale, split over as many
+ * sheets as the site needs, with the usual drawing furniture: legend,
+ * progress summary, north arrow, scale bar and a title block.
+ *
+ * Sheets are drawn in millimetres; the map itself is drawn in screen-sized
+ * pixels (1/96 inch) so markers and labels keep their on-screen size.
+ */
+
+import { createImagePdf } from './pdf'
+
+export const PAPER_SIZES = [
+  { key: 'A4', width: 297, height: 210 },
+  { key: 'A3', width: 420, height: 297 },
+  { key: 'A2', width: 594, height: 420 },
+  { key: 'A1', width: 841, height: 594 }
+]
+
+// Scales offered for whole-site prints (1:N)
+export const PRINT_SCALES = [250, 500, 1000, 2000, 5000]
+
+export const PRINT_RESOLUTIONS = [150, 200, 300] // dpi
+
+// Largest sheet rendered in one go; bigger sheets don't fit in a tablet's memory
+export const MAX_SHEET_PIXELS = 40e6
+
+// Most sheets a single whole-site print may produce
+export const MAX_SHEETS = 40
+
+export function paperSize(key) {
+  return PAPER_SIZES.find(paper => paper.key === key)
+}
+
+/**
+ * Pixel size of a sheet at a resolution
+ */
+export function sheetPixels(paper, dpi) {
+  return {
+    width: Math.round(paper.width / 25.4 * dpi),
+    height: Math.round(paper.height / 25.4 * dpi)
+  }
+}
+
+/**
+ * Work out the scale and the map view of each sheet.
+ * extent 'view' fits what is on screen (liveView, canvasSize) onto one sheet;
+ * 'site' covers the whole site (bounds) at 1:scaleDenominator.
+ * Returns { pages: [{ column, row, view }], columns, rows, scaleDenominator, paper }
+ */
+export function planPrint({ extent, paper, scaleDenominator, bounds, liveView, canvasSize }) {
+  const area = mapArea(paper)
+  const mapWidth = area.width * PX_PER_MM
+  const mapHeight = area.height * PX_PER_MM
+  const xFactor = Math.cos(bounds.centerLat * Math.PI / 180)
+  const baseScale = liveView.baseScale
+
+  if (extent === 'view') {
+    // Same centre and extent as the screen, fitted to the map area
+    const lngSpan = canvasSize.width / liveView.scale
+    const latSpan = canvasSize.height / liveView.scale
+    const centerLng = bounds.centerLng + (canvasSize.width / 2 - liveView.offsetX) / liveView.scale
+    const centerLat = bounds.centerLat - (canvasSize.height / 2 - liveView.offsetY) / liveView.scale
+    const scale = Math.min(mapWidth / (lngSpan * xFactor), mapHeight / latSpan)
+    return {
+      paper,
+      columns: 1,
+      rows: 1,
+      scaleDenominator: Math.round(scaleToDenominator(scale)),
+      pages: [{
+        column: 0,
+        row: 0,
+        view: {
+          scale,
+          baseScale,
+          xFactor,
+          offsetX: mapWidth / 2 - (centerLng - bounds.centerLng) * scale * xFactor,
+          offsetY: mapHeight / 2 - (bounds.centerLat - centerLat) * scale
+        }
+      }]
+    }
+  }
+
+  // Whole site: a grid of sheets centred on the site
+  const scale = denominatorToScale(scaleDenominator)
+  const left = (bounds.minLng - bounds.centerLng) * scale * xFactor
+  const right = (bounds.maxLng - bounds.centerLng) * scale * xFactor
+  const top = (bounds.centerLat - bounds.maxLat) * scale
+  const bottom = (bounds.centerLat - bounds.minLat) * scale
+  const columns = Math.max(1, Math.ceil((right - left) / mapWidth))
+  const rows = Math.max(1, Math.ceil((bottom - top) / mapHeight))
+  const gridLeft = (left + right) / 2 - columns * mapWidth / 2
+  const gridTop = (top + bottom) / 2 - rows * mapHeight / 2
+
+  const pages = []
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      pages.push({
+        column,
+        row,
+        view: {
+          scale,
+          baseScale,
+          xFactor,
+          offsetX: -(gridLeft + column * mapWidth),
+          offsetY: -(gridTop + row * mapHeight)
+        }
+      })
+    }
+  }
+  return { paper, columns, rows, scaleDenominator, pages }
+}
+
+/**
+ * Draw one sheet of a plan into a new canvas.
+ * info: { projectName, drawingTitle, printedBy, date, summary: [[label, value]] }
+ * legend: { title, items: [{ label, fill, stroke, round, icon }] }
+ * drawMap(ctx, width, height, view) paints the map in screen-sized pixels.
+ */
+export function renderSheet(plan, pageIndex, { dpi, info, legend, drawMap }) {
+  const { paper } = plan
+  const page = plan.pages[pageIndex]
+  const pixels = sheetPixels(paper, dpi)
+  const canvas = document.createElement('canvas')
+  canvas.width = pixels.width
+  canvas.height = pixels.height
+  const ctx = canvas.getContext('2d')
+
+  // Millimetre units from here on
+  ctx.setTransform(pixels.width / paper.width, 0, 0, pixels.height / paper.height, 0, 0)
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, paper.width, paper.height)
+
+  const area = mapArea(paper)
+
+  // Map, clipped to its frame
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(area.x, area.y, area.width, area.height)
+  ctx.clip()
+  ctx.translate(area.x, area.y)
+  ctx.scale(1 / PX_PER_MM, 1 / PX_PER_MM)
+  drawMap(ctx, area.width * PX_PER_MM, area.height * PX_PER_MM, page.view)
+  ctx.restore()
+
+  drawNorthArrow(ctx, area.x + area.width - 14, area.y + 8)
+  drawScaleBar(ctx, area.x + 6, area.y + area.height - 6, plan.scaleDenominator)
+
+  // Frames
+  ctx.strokeStyle = '#111827'
+  ctx.lineWidth = 0.5
+  ctx.strokeRect(area.x, area.y, area.width, area.height)
+  ctx.strokeRect(SHEET_MARGIN_MM, SHEET_MARGIN_MM, paper.width - SHEET_MARGIN_MM * 2, paper.height - SHEET_MARGIN_MM * 2)
+
+  // Side panel: legend and summary from the top, title block at the bottom
+  const panelX = area.x + area.width + PANEL_PADDING_MM
+  const panelWidth = PANEL_WIDTH_MM - PANEL_PADDING_MM * 2
+  let y = area.y + PANEL_PADDING_MM
+  y = drawLegend(ctx, panelX, y, panelWidth, legend)
+  drawSummary(ctx, panelX, y + 6, panelWidth, info.summary)
+
+  const sheetName = plan.pages.length > 1
+    ? `${pageIndex + 1} of ${plan.pages.length} (${columnLetter(page.column)}${page.row + 1})`
+    : '1 of 1'
+  drawTitleBlock(ctx, area.x + area.width, area.y + area.height - TITLE_BLOCK_HEIGHT_MM, PANEL_WIDTH_MM, [
+    ['Project', info.projectName],
+    ['Drawing', info.drawingTitle],
+    ['Scale', `1:${plan.scaleDenominator.toLocaleString()} at ${paper.key}`],
+    ['Date', info.date],
+    ['Sheet', sheetName],
+    ['Printed by', info.printedBy]
+  ])
+
+  return canvas
+}
+
+/**
+ * Render every sheet of a plan and download them: one PNG per sheet, or a
+ * single PDF with a page per sheet. onProgress(index) is called before each
+ * sheet is drawn.
+ */
+export async function exportSheets(plan, { format, fileName, ...sheetOptions }, onProgress = () => {}) {
+  const jpegPages = []
+  for (let index = 0; index < plan.pages.length; index++) {
+    onProgress(index)
+    await new Promise(resolve => setTimeout(resolve)) // Let the progress message paint
+
+    const canvas = renderSheet(plan, index, sheetOptions)
+    if (format === 'png') {
+      const page = plan.pages[index]
+      const suffix = plan.pages.length > 1 ? `_${columnLetter(page.column)}${page.row + 1}` : ''
+      downloadBlob(await canvasToBlob(canvas, 'image/png'), `${fileName}${suffix}.png`)
+    } else {
+      const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92)
+      jpegPages.push({
+        jpeg: new Uint8Array(await jpeg.arrayBuffer()),
+        pixelWidth: canvas.width,
+        pixelHeight: canvas.height,
+        widthMm: plan.paper.width,
+        heightMm: plan.paper.height
+      })
+    }
+    canvas.width = 0 // Free the sheet's pixels before drawing the next one
+  }
+
+  if (format === 'pdf') {
+    downloadBlob(createImagePdf(jpegPages, { title: `${sheetOptions.info.projectName} - ${sheetOptions.info.drawingTitle}` }), `${fileName}.pdf`)
+  }
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Sheet is too large to export')), type, quality)
+  })
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+function mapArea(paper) {
+  return {
+    x: SHEET_MARGIN_MM,
+    y: SHEET_MARGIN_MM,
+    width: paper.width - SHEET_MARGIN_MM * 2 - PANEL_WIDTH_MM,
+    height: paper.height - SHEET_MARGIN_MM * 2
+  }
+}
+
+// Map pixels per degree of latitude at 1:N, and back
+function denominatorToScale(denominator) {
+  return METRES_PER_DEGREE * 1000 / denominator * PX_PER_MM
+}
+
+function scaleToDenominator(scale) {
+  return METRES_PER_DEGREE * 1000 * PX_PER_MM / scale
+}
+
+function columnLetter(column) {
+  let letters = ''
+  for (let n = column + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters
+  }
+  return letters
+}
+
+function setFont(ctx, size, bold = false) {
+  ctx.font = `${bold ? 'bold ' : ''}${size}px Arial, sans-serif`
+}
+
+function drawLegend(ctx, x, y, width, legend) {
+  ctx.fillStyle = '#111827'
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'top'
+  setFont(ctx, 4, true)
+  ctx.fillText(legend.title, x, y)
+  y += 7
+
+  legend.items.forEach(item => {
+    ctx.beginPath()
+    if (item.round) ctx.arc(x + 2.5, y + 2.5, 2.5, 0, 2 * Math.PI)
+    else ctx.rect(x, y, 5, 5)
+    ctx.fillStyle = item.fill
+    ctx.strokeStyle = item.stroke
+    ctx.lineWidth = 0.5
+    ctx.fill()
+    ctx.stroke()
+    if (item.icon) {
+      ctx.fillStyle = '#ffffff'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+      setFont(ctx, 3, true)
+      ctx.fillText(item.icon, x + 2.5, y + 2.7)
+    }
+    ctx.fillStyle = '#111827'
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'middle'
+    setFont(ctx, 3.2)
+    ctx.fillText(item.label, x + 8, y + 2.5, width - 8)
+    y += 6
+  })
+  return y
+}
+
+function drawSummary(ctx, x, y, width, summary) {
+  ctx.fillStyle = '#111827'
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'top'
+  setFont(ctx, 4, true)
+  ctx.fillText('Progress', x, y)
+  y += 7
+
+  setFont(ctx, 3.2)
+  summary.forEach(([label, value]) => {
+    ctx.textAlign = 'left'
+    ctx.fillStyle = '#374151'
+    ctx.fillText(label, x, y, width * 0.65)
+    ctx.textAlign = 'right'
+    ctx.fillStyle = '#111827'
+    ctx.fillText(String(value), x + width, y, width * 0.35)
+    y += 5.5
+  })
+}
+
+function drawTitleBlock(ctx, x, y, width, rows) {
+  const rowHeight = TITLE_BLOCK_HEIGHT_MM / rows.length
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(x, y, width, TITLE_BLOCK_HEIGHT_MM)
+  ctx.strokeStyle = '#111827'
+  ctx.lineWidth = 0.5
+  ctx.strokeRect(x, y, width, TITLE_BLOCK_HEIGHT_MM)
+
+  rows.forEach(([label, value], index) => {
+    const top = y + index * rowHeight
+    if (index > 0) {
+      ctx.beginPath()
+      ctx.moveTo(x, top)
+      ctx.lineTo(x + width, top)
+      ctx.lineWidth = 0.25
+      ctx.stroke()
+    }
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'top'
+    ctx.fillStyle = '#6b7280'
+    setFont(ctx, 2.4)
+    ctx.fillText(label.toUpperCase(), x + 2, top + 1.5)
+    ctx.fillStyle = '#111827'
+    setFont(ctx, index === 0 ? 4.5 : 3.4, index === 0)
+    ctx.textBaseline = 'bottom'
+    ctx.fillText(value || '—', x + 2, top + rowHeight - 1.5, width - 4)
+  })
+}
+
+function drawNorthArrow(ctx, x, y) {
+  ctx.save()
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)'
+  ctx.beginPath()
+  ctx.arc(x, y + 6, 8, 0, 2 * Math.PI)
+  ctx.fill()
+
+  ctx.beginPath()
+  ctx.moveTo(x, y)
+  ctx.lineTo(x + 3.5, y + 10)
+  ctx.lineTo(x, y + 8)
+  ctx.closePath()
+  ctx.fillStyle = '#111827'
+  ctx.fill()
+  ctx.beginPath()
+  ctx.moveTo(x, y)
+  ctx.lineTo(x - 3.5, y + 10)
+  ctx.lineTo(x, y + 8)
+  ctx.closePath()
+  ctx.strokeStyle = '#111827'
+  ctx.lineWidth = 0.3
+  ctx.stroke()
+
+  ctx.fillStyle = '#111827'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'bottom'
+  setFont(ctx, 3.5, true)
+  ctx.fillText('N', x, y - 0.5)
+  ctx.restore()
+}
+
+function drawScaleBar(ctx, x, bottom, scaleDenominator) {
+  // Longest round length (1, 2 or 5 x 10^n metres) up to about 50 mm on paper
+  const maxMetres = SCALE_BAR_MAX_MM * scaleDenominator / 1000
+  const magnitude = 10 ** Math.floor(Math.log10(maxMetres))
+  const metres = [5, 2, 1].map(step => step * magnitude).find(length => length <= maxMetres)
+  const length = metres * 1000 / scaleDenominator // mm on paper
+  const segments = 4
+  const y = bottom - 4
+
+  ctx.save()
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)'
+  ctx.fillRect(x - 3, y - 6, length + 16, 12)
+
+  for (let i = 0; i < segments; i++) {
+    ctx.fillStyle = i % 2 === 0 ? '#111827' : '#ffffff'
+    ctx.fillRect(x + i * length / segments, y, length / segments, 1.5)
+  }
+  ctx.strokeStyle = '#111827'
+  ctx.lineWidth = 0.25
+  ctx.strokeRect(x, y, length, 1.5)
+
+  ctx.fillStyle = '#111827'
+  ctx.textBaseline = 'bottom'
+  setFont(ctx, 2.8)
+  ctx.textAlign = 'center'
+  ctx.fillText('0', x, y - 0.8)
+  ctx.fillText(`${metres.toLocaleString()} m`, x + length, y - 0.8)
+  ctx.textBaseline = 'top'
+  ctx.textAlign = 'left'
+  setFont(ctx, 2.4)
+  ctx.fillText(`1:${scaleDenominator.toLocaleString()}`, x, y + 2.2)
+  ctx.restore()
+}
+
+// Screen-sized map pixels (1/96 inch) per millimetre of paper
+const PX_PER_MM = 96 / 25.4
+
+// Metres per degree of latitude (and of longitude at the equator)
+const METRES_PER_DEGREE = 111320
+
+const SHEET_MARGIN_MM = 10
+const PANEL_WIDTH_MM = 80
+const PANEL_PADDING_MM = 5
+const TITLE_BLOCK_HEIGHT_MM = 60
+const SCALE_BAR_MAX_MM = 50
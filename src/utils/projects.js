@@ -0,0 +1,129 @@
+import { idbGet, idbSet } from './idb'
+import { DEFAULT_ID_PATTERNS, compileIdPatterns } from './ids'
+
+/**
+ * Project (site workspace) helpers
+ * A project is a set of layer files, each assigned a role, plus the ID patterns
+ * used to read inverter and string labels. Layer role keys match the layer
+ * names the canvas already draws.
+ */
+
+export const LAYER_ROLES = [
+  { key: 'inv_id', label: 'Inverter labels', required: true },
+  { key: 'table_id', label: 'String labels', required: true },
+  { key: 'poly', label: 'Tables', required: false },
+  { key: 'boudnry_line', label: 'Boundary', required: false }
+]
+
+export const DEFAULT_PROJECT_ID = 'default'
+
+// Site shipped with the app, read from the bundled public/*.geojson files
+export const DEFAULT_PROJECT = {
+  id: DEFAULT_PROJECT_ID,
+  name: 'LV-INV Installation',
+  source: 'bundled',
+  layers: {
+    inv_id: { fileName: 'inv_id.geojson' },
+    table_id: { fileName: 'table_id.geojson' },
+    poly: { fileName: 'poly.geojson' },
+    boudnry_line: { fileName: 'boudnry_line.geojson' }
+  },
+  idPatterns: DEFAULT_ID_PATTERNS
+}
+
+const layerKey = (projectId, role) => `${projectId}/${role}`
+
+/**
+ * Load every layer of a project
+ * Resolves to [{ name, data }] with data null for layers that failed to load.
+ */
+export function loadProjectLayers(project) {
+  return Promise.all(
+    Object.entries(project.layers).map(([role, { fileName }]) => {
+      const load = project.source === 'bundled'
+        ? fetch(`/${fileName}`).then(res => res.json())
+        : idbGet('layers', layerKey(project.id, role))
+
+      return load
+        .then(data => ({ name: role, data: data || null }))
+        .catch(err => {
+          console.warn(`Failed to load ${fileName}:`, err)
+          return { name: role, data: null }
+        })
+    })
+  )
+}
+
+/**
+ * Store uploaded layer files for a project
+ * layers: { role: { fileName, data } }
+ */
+export async function saveProjectLayers(projectId, layers) {
+  await Promise.all(
+    Object.entries(layers).map(([role, { data }]) => idbSet('layers', layerKey(projectId, role), data))
+  )
+}
+
+/**
+ * Copy the stored layer files of a project to another project ID
+ */
+export async function copyProjectLayers(project, toProjectId) {
+  if (project.source === 'bundled') return
+  await Promise.all(
+    Object.keys(project.layers).map(async role => {
+      const data = await idbGet('layers', layerKey(project.id, role))
+      if (data) await idbSet('layers', layerKey(toProjectId, role), data)
+    })
+  )
+}
+
+/**
+ * Parse a dropped file into a GeoJSON FeatureCollection
+ * Throws with a readable message if the file isn't one.
+ */
+export async function readLayerFile(file) {
+  let data
+  try {
+    data = JSON.parse(await file.text())
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`)
+  }
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error(`${file.name} is not a GeoJSON FeatureCollection`)
+  }
+  return data
+}
+
+/**
+ * Guess which role a layer file plays from its geometry and label texts
+ */
+export function guessLayerRole(data, idPatterns = DEFAULT_ID_PATTERNS) {
+  const { inverterOf, isString } = compileIdPatterns(idPatterns)
+  const features = data.features.filter(f => f.geometry)
+  if (features.length === 0) return ''
+
+  const types = new Set(features.map(f => f.geometry.type))
+  if (types.has('Polygon') || types.has('MultiPolygon')) return 'poly'
+  if (types.has('LineString') || types.has('MultiLineString')) return 'boudnry_line'
+
+  const texts = features.map(f => f.properties?.text).filter(Boolean)
+  if (texts.some(isString)) return 'table_id'
+  if (texts.some(inverterOf)) return 'inv_id'
+  return ''
+}
+
+/**
+ * Count how many labels in a layer match the project's ID patterns
+ */
+export function countPatternMatches(data, idPatterns) {
+  const { inverterOf, isString } = compileIdPatterns(idPatterns)
+  let inverters = 0
+  let strings = 0
+  data?.features?.forEach(f => {
+    const text = f.properties?.text
+    if (!text) return
+    if (isString(text)) strings++
+    else if (inverterOf(text)) inverters++
+  })
+  return { inverters, strings }
+}
@@ -0,0 +1,185 @@
+import { toLocalDate } from './events'
+import { categoryLabel } from './notes'
+import { recordMode } from './schedule'
+import { progressStatus } from './workflow'
+
+/**
+ * Excel report rows
+ * Turns tracker state into the plain rows written to each sheet of the
+ * exported workbook, so the export hook only deals with layout and styling.
+ */
+
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true })
+
+/**
+ * One row per inverter: string test tallies, overall status and when it was last tested
+ */
+export function inverterTestRows({ inverterLabels, circuits, completedBoxes, stringTests, events }) {
+  // Last time each box was ticked as tested
+  const tickedAt = {}
+  events.forEach(event => {
+    if (event.kind === 'inverter' && event.after === true && !(tickedAt[event.itemId] >= event.at)) {
+      tickedAt[event.itemId] = event.at
+    }
+  })
+
+  return [...inverterLabels]
+    .sort((a, b) => byName(a.text, b.text))
+    .map(label => {
+      const strings = circuits[label.inverterId] || []
+      let passed = 0
+      let failed = 0
+      let lastTest = null
+      strings.forEach(circuit => {
+        const test = stringTests[circuit.id]
+        if (!test) return
+        if (test.result === 'pass') passed++
+        else if (test.result === 'fail') failed++
+        if (!lastTest || test.testedAt > lastTest.testedAt) lastTest = test
+      })
+      const tested = completedBoxes.has(label.boxId)
+      const lastDate = [tickedAt[label.boxId], lastTest?.testedAt].filter(Boolean).sort().pop()
+
+      let status = 'Not started'
+      if (failed > 0) status = 'Failed strings'
+      else if (tested && passed === strings.length) status = 'Complete'
+      else if (tested || passed > 0) status = 'In progress'
+
+      return {
+        inverter: label.text,
+        status,
+        tested: tested ? 'Yes' : 'No',
+        strings: strings.length,
+        passed,
+        failed,
+        untested: strings.length - passed - failed,
+        lastTested: lastDate ? toLocalDate(lastDate) : '',
+        tester: lastTest?.tester || ''
+      }
+    })
+}
+
+/**
+ * Termination count out of total per inverter, plus one row per circuit
+ */
+export function terminationRows({ circuits, terminatedCircuits }) {
+  const inverters = []
+  const details = []
+  Object.keys(circuits).sort(byName).forEach(inverterId => {
+    const list = [...circuits[inverterId]].sort((a, b) => byName(a.id, b.id))
+    let terminated = 0
+    let lastDate = null
+    list.forEach(circuit => {
+      const record = terminatedCircuits[circuit.id]
+      if (record) {
+        terminated++
+        if (record.terminatedAt && !(lastDate >= record.terminatedAt)) lastDate = record.terminatedAt
+      }
+      details.push({
+        inverter: inverterId,
+        circuit: circuit.id,
+        terminated: record ? 'Yes' : 'No',
+        date: record?.terminatedAt ? toLocalDate(record.terminatedAt) : '',
+        crew: record?.crew || ''
+      })
+    })
+    inverters.push({
+      inverter: inverterId,
+      terminated,
+      total: list.length,
+      percent: list.length > 0 ? terminated / list.length : 0,
+      lastTerminated: lastDate ? toLocalDate(lastDate) : ''
+    })
+  })
+  return { inverters, details }
+}
+
+/**
+ * Progress of every workflow stage per inverter, plus a site total per stage.
+ * stats is workflowStats() for the stages; each cell is { done, total, status }
+ * with status 'done', 'partial', 'none' or 'blocked', or null when the stage has
+ * nothing to do on that inverter.
+ */
+export function workflowRows(workflow, stats) {
+  const cell = ({ done, total, blocked }) => total > 0 ? { done, total, status: progressStatus(done, total, blocked > 0) } : null
+  const inverterIds = Object.keys(stats[workflow[0].key]?.byInverter || {}).sort(byName)
+  const inverters = inverterIds.map(inverterId => ({
+    inverter: inverterId,
+    stages: Object.fromEntries(workflow.map(stage => [stage.key, cell(stats[stage.key].byInverter[inverterId])]))
+  }))
+  const totals = Object.fromEntries(workflow.map(stage => [stage.key, {
+    done: stats[stage.key].done,
+    total: stats[stage.key].total,
+    percent: stats[stage.key].total > 0 ? stats[stage.key].done / stats[stage.key].total : 0
+  }]))
+  return { inverters, totals }
+}
+
+/**
+ * Open punch-list notes, highest priority and oldest first
+ */
+export function openNoteRows(notes) {
+  const rank = { high: 0, medium: 1, low: 2 }
+  return notes
+    .filter(note => note.status !== 'resolved')
+    .sort((a, b) => (rank[a.priority] ?? 1) - (rank[b.priority] ?? 1) || String(a.createdAt).localeCompare(String(b.createdAt)))
+    .map(note => ({
+      id: note.id,
+      category: categoryLabel(note.category),
+      priority: note.priority.charAt(0).toUpperCase() + note.priority.slice(1),
+      text: note.text,
+      assignee: note.assignee,
+      created: note.createdAt ? toLocalDate(note.createdAt) : '',
+      age: note.createdAt ? Math.floor((Date.now() - new Date(note.createdAt)) / DAY_MS) : '',
+      photos: note.photoIds.length,
+      position: note.position ? `${note.position[1].toFixed(6)}, ${note.position[0].toFixed(6)}` : ''
+    }))
+}
+
+/**
+ * Boxes per worker per day: one row per daily log record and a summary per
+ * subcontractor and mode (see scheduleModes), with the subcontractor's daily
+ * target from the baseline
+ */
+export function productivityRows(dailyLog, targets = [], modes = []) {
+  const modeOf = (record) => recordMode(record, modes)
+  const perWorker = (count, workers) => workers > 0 ? Math.round(count / workers * 100) / 100 : null
+
+  const days = [...dailyLog]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(record => ({
+      date: record.date,
+      subcontractor: record.subcontractor || 'Unassigned',
+      mode: modeOf(record).key,
+      work: modeOf(record).label,
+      count: record.installed_panels || 0,
+      workers: record.workers || 0,
+      perWorker: perWorker(record.installed_panels || 0, record.workers || 0)
+    }))
+
+  const groups = new Map()
+  days.forEach(day => {
+    const key = `${day.subcontractor}|${day.work}`
+    if (!groups.has(key)) {
+      groups.set(key, { subcontractor: day.subcontractor, mode: day.mode, work: day.work, dates: new Set(), count: 0, workerDays: 0 })
+    }
+    const group = groups.get(key)
+    group.dates.add(day.date)
+    group.count += day.count
+    group.workerDays += day.workers
+  })
+  const summary = Array.from(groups.values())
+    .sort((a, b) => byName(a.subcontractor, b.subcontractor) || a.work.localeCompare(b.work))
+    .map(({ dates, ...group }) => ({
+      ...group,
+      target: targets.find(t => t.mode === group.mode &&
+        t.subcontractor.trim().toLowerCase() === group.subcontractor.toLowerCase())?.perDay ?? null,
+      days: dates.size,
+      perDay: Math.round(group.count / dates.size * 100) / 100,
+      perWorker: perWorker(group.count, group.workerDays)
+    }))
+
+  return { days, summary }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
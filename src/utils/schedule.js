@@ -0,0 +1,315 @@
+import { dateRange } from './events'
+import { stageItems, itemTotal } from './workflow'
+
+/**
+ * Planned schedule (baseline)
+ * A baseline sets a planned start plus either daily targets per subcontractor
+ * or planned finish dates - one overall and optionally one per TX / inverter
+ * group. Planned cumulative progress is worked out per mode - one per workflow
+ * stage (inverters tested, circuits terminated, strings pulled...) - and
+ * compared with the daily log's actuals.
+ *
+ * baseline: { start, finish, weekends, targets: [{ subcontractor, mode, perDay }],
+ *             groups: [{ prefix, finish }] }
+ * scope: { [stageKey]: { inverterId: count } }
+ */
+
+/**
+ * Modes the schedule plans and the daily log reports, one per workflow stage:
+ * [{ key, label, unit, color }]
+ */
+export function scheduleModes(workflow) {
+  let custom = 0
+  return workflow.map(stage => {
+    const builtIn = BUILT_IN_MODES[stage.key]
+    if (builtIn) return { key: stage.key, ...builtIn }
+    return {
+      key: stage.key,
+      label: stage.name,
+      unit: stage.tracking === 'count' ? 'units' : `${stage.unit}s`,
+      color: CURVE_PALETTE[custom++ % CURVE_PALETTE.length]
+    }
+  })
+}
+
+/**
+ * Mode of a daily log record - records from before modes existed are test
+ * work; a record of a stage since removed keeps its key as the label
+ */
+export function recordMode(record, modes) {
+  const key = record.mode || 'test'
+  return modes.find(mode => mode.key === key) || { key, label: key, unit: 'items', color: CURVE_PALETTE[0] }
+}
+
+export function emptyBaseline() {
+  return { start: '', finish: '', weekends: false, targets: [], groups: [] }
+}
+
+/**
+ * Fill in fields missing from a stored baseline
+ */
+export function normalizeBaseline(value) {
+  const baseline = { ...emptyBaseline(), ...(value || {}) }
+  return {
+    ...baseline,
+    targets: Array.isArray(baseline.targets) ? baseline.targets : [],
+    groups: Array.isArray(baseline.groups) ? baseline.groups : []
+  }
+}
+
+/**
+ * Whether an inverter ID belongs to a group prefix ("TX4" takes TX4-INV1 but not TX40-INV1)
+ */
+export function inGroup(inverterId, prefix) {
+  const normalized = prefix.replace(/\s+/g, '').toUpperCase()
+  return normalized !== '' && inverterId.startsWith(normalized) && !/\d/.test(inverterId[normalized.length] || '')
+}
+
+/**
+ * Planned cumulative count for a mode by the end of date, or null if the baseline
+ * doesn't plan that mode. Daily targets win over finish dates when a mode has both.
+ */
+export function plannedCumulative(baseline, mode, scope, date) {
+  if (!baseline.start) return null
+  const total = scopeTotal(scope, mode)
+
+  const perDay = dailyTarget(baseline, mode)
+  if (perDay > 0) {
+    return Math.min(total, perDay * workingDays(baseline, baseline.start, date))
+  }
+
+  // Each item follows the S-curve from the start to its group's (or the overall) finish
+  const spans = finishSpans(baseline, scope[mode] || {})
+  if (spans.length === 0) return null
+  return spans.reduce((sum, { finish, count }) => sum + count * sCurve(baseline.start, finish, date), 0)
+}
+
+/**
+ * Last date the baseline plans any work on, for a mode
+ */
+export function plannedEnd(baseline, mode, scope) {
+  if (!baseline.start) return null
+  const perDay = dailyTarget(baseline, mode)
+  if (perDay > 0) {
+    const needed = Math.ceil(scopeTotal(scope, mode) / perDay)
+    let date = baseline.start
+    let worked = isWorkingDay(baseline, date) ? 1 : 0
+    while (worked < needed) {
+      date = addDays(date, 1)
+      if (isWorkingDay(baseline, date)) worked++
+    }
+    return date
+  }
+  const finishes = finishSpans(baseline, scope[mode] || {}).map(span => span.finish)
+  return finishes.length > 0 ? finishes.sort().pop() : null
+}
+
+/**
+ * Day-by-day planned and actual cumulative progress per mode, from the first
+ * record (or planned start) to the last record or planned end, whichever is later.
+ * Returns [{ date, test: { planned, actual, variance }, termination: { ... }, ... }]
+ * with an entry for every mode in scope; actual is null after the last record,
+ * planned null where there's no plan.
+ */
+export function scheduleRows(dailyLog, baseline, scope) {
+  const modes = Object.keys(scope)
+  const logDates = dailyLog.map(record => record.date).sort()
+  const lastLogged = logDates[logDates.length - 1]
+  const ends = modes.map(key => plannedEnd(baseline, key, scope))
+  const first = [logDates[0], baseline.start].filter(Boolean).sort()[0]
+  const last = [lastLogged, ...ends].filter(Boolean).sort().pop()
+  if (!first) return []
+
+  const perDay = dailyTotals(dailyLog)
+  const cumulative = Object.fromEntries(modes.map(key => [key, 0]))
+  return dateRange(first, last).map(date => {
+    const row = { date }
+    modes.forEach(key => {
+      cumulative[key] += perDay[date]?.[key] || 0
+      const planned = plannedCumulative(baseline, key, scope, date)
+      const actual = date <= lastLogged ? cumulative[key] : null
+      row[key] = {
+        planned: planned === null ? null : Math.round(planned),
+        actual,
+        variance: planned === null || actual === null ? null : actual - Math.round(planned)
+      }
+    })
+    return row
+  })
+}
+
+/**
+ * Completion forecast for a mode from the run rate over the last windowDays
+ * of the daily log. Returns { rate, remaining, date } (date null when nothing
+ * is being done), or null without any records.
+ */
+export function forecastFinish(dailyLog, mode, total, windowDays = RUN_RATE_DAYS) {
+  const records = dailyLog.filter(record => (record.mode || 'test') === mode)
+  if (records.length === 0) return null
+  const dates = records.map(record => record.date).sort()
+  const last = dates[dates.length - 1]
+  // A job younger than the window is averaged over the days it has run
+  const span = Math.min(windowDays, dayNumber(last) - dayNumber(dates[0]) + 1)
+  const windowStart = addDays(last, 1 - span)
+
+  const done = records.reduce((sum, record) => sum + (record.installed_panels || 0), 0)
+  const recent = records
+    .filter(record => record.date >= windowStart)
+    .reduce((sum, record) => sum + (record.installed_panels || 0), 0)
+  const rate = recent / span
+  const remaining = Math.max(0, total - done)
+
+  let date = null
+  if (remaining === 0) date = last
+  else if (rate > 0) date = addDays(last, Math.ceil(remaining / rate))
+  return { rate, remaining, date }
+}
+
+/**
+ * How a daily log record compares with the plan:
+ * { variance } cumulative difference for its mode on its date (negative is behind),
+ * { target } the subcontractor's daily target, if set. Null if nothing applies.
+ */
+export function recordPlanStatus(record, rows, baseline) {
+  const mode = record.mode || 'test'
+  const day = rows.find(row => row.date === record.date)?.[mode]
+  const target = baseline.targets.find(t => t.mode === mode && sameName(t.subcontractor, record.subcontractor))
+  const status = {
+    variance: day?.variance ?? null,
+    target: target ? Number(target.perDay) || 0 : null
+  }
+  return status.variance === null && status.target === null ? null : status
+}
+
+/**
+ * Chart.js labels and datasets for the S-curve: actual and planned percent
+ * complete per mode (see scheduleModes), for modes with any scope. Plans are dashed.
+ */
+export function scheduleChartData(rows, scope, modes) {
+  const datasets = []
+  modes.forEach(({ key, label, color }) => {
+    const total = sumValues(scope[key] || {})
+    if (total === 0) return
+    const percent = (value) => value === null ? null : Math.round(value / total * 1000) / 10
+    const style = { borderColor: color, backgroundColor: color, borderWidth: 2, pointRadius: 0 }
+    if (rows.some(row => row[key].actual !== null)) {
+      datasets.push({ ...style, label: `${label} (actual)`, data: rows.map(row => percent(row[key].actual)) })
+    }
+    if (rows.some(row => row[key].planned !== null)) {
+      datasets.push({ ...style, label: `${label} (plan)`, data: rows.map(row => percent(row[key].planned)), borderDash: [6, 4] })
+    }
+  })
+  return { labels: rows.map(row => row.date), datasets }
+}
+
+/**
+ * Short description of a baseline, e.g. "from 2026-10-01 to 2026-12-18, 2 group finishes"
+ */
+export function describeBaseline(baseline) {
+  if (!baseline.start) return 'no baseline set'
+  const parts = [`from ${baseline.start}${baseline.finish ? ` to ${baseline.finish}` : ''}`]
+  const groups = baseline.groups.filter(group => group.prefix && group.finish).length
+  const targets = baseline.targets.filter(target => Number(target.perDay) > 0).length
+  if (groups > 0) parts.push(`${groups} group finish${groups === 1 ? '' : 'es'}`)
+  if (targets > 0) parts.push(`${targets} daily target${targets === 1 ? '' : 's'}`)
+  return parts.join(', ')
+}
+
+/**
+ * Per-inverter counts for each workflow stage, in the units plans are made and
+ * the daily log reports in: inverter boxes tested, circuits terminated, and for
+ * other stages the units done (see utils/workflow)
+ */
+export function scheduleScope(workflow, site) {
+  return Object.fromEntries(workflow.map(stage => {
+    const counts = {}
+    site.inverterIds.forEach(inverterId => {
+      const total = stageItems(stage, site, inverterId).reduce((sum, item) => sum + itemTotal(stage, site, item), 0)
+      if (total > 0) counts[inverterId] = total
+    })
+    return [stage.key, counts]
+  }))
+}
+
+export function scopeTotal(scope, mode) {
+  return sumValues(scope[mode] || {})
+}
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T12:00:00`)
+  d.setDate(d.getDate() + days)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+function dailyTarget(baseline, mode) {
+  return baseline.targets
+    .filter(target => target.mode === mode)
+    .reduce((sum, target) => sum + (Number(target.perDay) || 0), 0)
+}
+
+// Item counts grouped by the finish date that applies to them
+function finishSpans(baseline, counts) {
+  const byFinish = {}
+  Object.entries(counts).forEach(([inverterId, count]) => {
+    const group = baseline.groups.find(g => g.finish && inGroup(inverterId, g.prefix))
+    const finish = group ? group.finish : baseline.finish
+    if (!finish || finish <= baseline.start) return
+    byFinish[finish] = (byFinish[finish] || 0) + count
+  })
+  return Object.entries(byFinish).map(([finish, count]) => ({ finish, count }))
+}
+
+// Share of work planned done by the end of date: slow mobilisation, peak mid-job, slow close-out
+function sCurve(start, finish, date) {
+  const length = dayNumber(finish) - dayNumber(start) + 1
+  const t = Math.min(1, Math.max(0, (dayNumber(date) - dayNumber(start) + 1) / length))
+  return t * t * (3 - 2 * t)
+}
+
+function workingDays(baseline, start, end) {
+  if (end < start) return 0
+  if (baseline.weekends) return dayNumber(end) - dayNumber(start) + 1
+  return dateRange(start, end).filter(date => isWorkingDay(baseline, date)).length
+}
+
+function isWorkingDay(baseline, date) {
+  const day = new Date(`${date}T12:00:00`).getDay()
+  return baseline.weekends || (day !== 0 && day !== 6)
+}
+
+function dayNumber(date) {
+  return Math.round(new Date(`${date}T12:00:00Z`).getTime() / DAY_MS)
+}
+
+function dailyTotals(dailyLog) {
+  const totals = {}
+  dailyLog.forEach(record => {
+    const mode = record.mode || 'test'
+    totals[record.date] = totals[record.date] || {}
+    totals[record.date][mode] = (totals[record.date][mode] || 0) + (record.installed_panels || 0)
+  })
+  return totals
+}
+
+function sumValues(counts) {
+  return Object.values(counts).reduce((sum, count) => sum + count, 0)
+}
+
+function sameName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase()
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Labels and S-curve line colours of the built-in stages' modes
+const BUILT_IN_MODES = {
+  test: { label: 'Tested', unit: 'inverters', color: 'rgb(22, 163, 74)' },
+  termination: { label: 'Terminated', unit: 'circuits', color: 'rgb(37, 99, 235)' }
+}
+
+// S-curve line colours handed out to other stages in workflow order
+const CURVE_PALETTE = ['rgb(217, 119, 6)', 'rgb(147, 51, 234)', 'rgb(13, 148, 136)', 'rgb(219, 39, 119)', 'rgb(100, 116, 139)']
+
+// Days of daily log the forecast run rate is averaged over
+const RUN_RATE_DAYS = 14
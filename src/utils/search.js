@@ -0,0 +1,90 @@
+/**
+ * Fuzzy search over map items
+ * Matches a query against inverter IDs, string labels and note text,
+ * ignoring case, spaces and separators so "tx4inv2" finds TX4-INV2.
+ */
+
+// Score of a note whose text contains the query
+const PHRASE_SCORE = 300
+
+// Letters and digits only, lowercased
+function squash(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Score how well a query matches a text, or null when it doesn't
+ * Every query character must appear in order; contiguous runs, matches at
+ * the start and exact number runs score higher.
+ */
+export function fuzzyScore(query, text) {
+  const q = squash(query)
+  const t = squash(text)
+  if (!q) return null
+  if (t === q) return 1000
+  const index = t.indexOf(q)
+  if (index !== -1) return 500 - index - (t.length - q.length)
+
+  let score = 0
+  let run = 0
+  let position = 0
+  for (const char of q) {
+    const found = t.indexOf(char, position)
+    if (found === -1) return null
+    run = found === position ? run + 1 : 0
+    score += 1 + run * 2 - Math.min(found - position, 5)
+    position = found + 1
+  }
+  return score - (t.length - q.length) / 10
+}
+
+/**
+ * Searchable entries: [{ key, type, label, detail, position }]
+ * inverters: { inverterId: { position } }, circuits: { inverterId: [{ id, position }] }
+ */
+export function buildSearchEntries({ inverters, circuits, notes }) {
+  const entries = []
+  Object.entries(inverters).forEach(([inverterId, { position }]) => {
+    entries.push({ key: `inverter:${inverterId}`, type: 'inverter', label: inverterId, detail: 'Inverter', position })
+  })
+  Object.values(circuits).forEach(list => {
+    list.forEach(circuit => {
+      entries.push({ key: `string:${circuit.id}`, type: 'string', label: circuit.id, detail: 'String', position: circuit.position })
+    })
+  })
+  notes.forEach(note => {
+    entries.push({
+      key: `note:${note.id}`,
+      type: 'note',
+      label: note.text || '(no description)',
+      detail: `Note · ${note.status}`,
+      position: note.position,
+      noteId: note.id
+    })
+  })
+  return entries
+}
+
+/**
+ * Best matches for a query, highest score first
+ * Notes match on a phrase anywhere in their text or on any single word.
+ */
+export function searchEntries(entries, query, limit = 20) {
+  if (!query.trim()) return []
+  return entries
+    .map(entry => {
+      let score = fuzzyScore(query, entry.label)
+      if (entry.type === 'note') {
+        // Loose subsequence matches across long text are noise - match the phrase or single words
+        const candidates = [
+          squash(entry.label).includes(squash(query)) ? PHRASE_SCORE : null,
+          ...entry.label.split(/\s+/).map(word => fuzzyScore(query, word))
+        ].filter(s => s !== null)
+        score = candidates.length > 0 ? Math.max(...candidates) : null
+      }
+      return score === null ? null : { ...entry, score }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label, undefined, { numeric: true }))
+    .slice(0, limit)
+}
@@ -0,0 +1,25 @@
+import { DEFAULT_PROJECT } from './projects'
+
+/**
+ * Register the offline service worker (public/sw.js)
+ * Production builds only - in development it would cache Vite's dev modules.
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return
+
+  window.addEventListener('load', async () => {
+    try {
+      await navigator.serviceWorker.register('/sw.js')
+      const registration = await navigator.serviceWorker.ready
+
+      // Files fetched before the worker took control would otherwise miss the cache
+      const loaded = performance.getEntriesByType('resource')
+        .map(entry => entry.name)
+        .filter(url => new URL(url).origin === location.origin)
+      const bundledLayers = Object.values(DEFAULT_PROJECT.layers).map(({ fileName }) => `/${fileName}`)
+      registration.active?.postMessage({ type: 'cache-urls', urls: [...new Set([...loaded, ...bundledLayers])] })
+    } catch (e) {
+      console.warn('Service worker registration failed:', e)
+    }
+  })
+}
@@ -0,0 +1,89 @@
+/**
+ * QA sign-off workflow
+ * Inverters and circuits move through fixed stages, each recorded with who
+ * signed it off and when. QA can reject an item at any stage with a reason,
+ * which reopens it: its stages are cleared and it starts again from Installed.
+ *
+ * Sign-offs: { [signOffKey]: { stage, stages: { [stage]: { user, at } }, rejection, updatedAt } }
+ * rejection: { reason, user, at, stage } of the latest rejection, cleared once work resumes
+ */
+
+export const SIGN_OFF_STAGES = [
+  { key: 'installed', label: 'Installed', short: 'INST', color: '#3b82f6', fill: 'rgba(59, 130, 246, 0.6)', permission: 'progress.edit' },
+  { key: 'selfChecked', label: 'Self-checked', short: 'SELF', color: '#a855f7', fill: 'rgba(168, 85, 247, 0.6)', permission: 'progress.edit' },
+  { key: 'inspected', label: 'QA Inspected', short: 'QA', color: '#f59e0b', fill: 'rgba(251, 191, 36, 0.7)', permission: 'signoff.inspect' },
+  { key: 'approved', label: 'Client Approved', short: 'OK', color: '#22c55e', fill: 'rgba(34, 197, 94, 0.8)', permission: 'signoff.approve' }
+]
+
+export const OPEN_STYLE = { label: 'Open', short: '', color: '#9ca3af', fill: 'rgba(156, 163, 175, 0.4)' }
+export const REJECTED_STYLE = { label: 'Rejected', short: 'REJ', color: '#ef4444', fill: 'rgba(239, 68, 68, 0.6)' }
+
+/**
+ * Storage key of an inverter's or circuit's sign-off
+ */
+export function signOffKey(kind, id) {
+  return `${kind}:${id}`
+}
+
+export function stageLabel(stage) {
+  return SIGN_OFF_STAGES.find(s => s.key === stage)?.label || OPEN_STYLE.label
+}
+
+/**
+ * Stage an item moves to next, or null once client approved
+ */
+export function nextStage(record) {
+  const index = SIGN_OFF_STAGES.findIndex(s => s.key === record?.stage)
+  return SIGN_OFF_STAGES[index + 1] || null
+}
+
+/**
+ * Record the next stage as signed off by user
+ */
+export function advanceSignOff(record, user) {
+  const stage = nextStage(record)
+  if (!stage) return record
+  const at = new Date().toISOString()
+  return {
+    stage: stage.key,
+    stages: { ...(record?.stages || {}), [stage.key]: { user, at } },
+    rejection: null,
+    updatedAt: at
+  }
+}
+
+/**
+ * Reject an item, reopening it with the reason kept for the crew
+ */
+export function rejectSignOff(record, user, reason) {
+  const at = new Date().toISOString()
+  return {
+    stage: null,
+    stages: {},
+    rejection: { reason, user, at, stage: record?.stage || null },
+    updatedAt: at
+  }
+}
+
+/**
+ * Canvas and legend colours of an item's current state
+ */
+export function signOffStyle(record) {
+  if (record?.stage) return SIGN_OFF_STAGES.find(s => s.key === record.stage) || OPEN_STYLE
+  return record?.rejection ? REJECTED_STYLE : OPEN_STYLE
+}
+
+/**
+ * Number of items at each state: { open, rejected, installed, selfChecked, inspected, approved }
+ */
+export function countSignOffs(signOffs, keys) {
+  const counts = { open: 0, rejected: 0 }
+  SIGN_OFF_STAGES.forEach(s => { counts[s.key] = 0 })
+  keys.forEach(key => {
+    const record = signOffs[key]
+    if (record?.stage) counts[record.stage] += 1
+    else if (record?.rejection) counts.rejected += 1
+    else counts.open += 1
+  })
+  return counts
+}
@@ -0,0 +1,183 @@
+/**
+ * Spatial lookups for map hit-testing and viewport culling
+ * A uniform grid over the items' extent: each cell lists the items whose
+ * bounding box touches it, so a query only visits the cells it overlaps.
+ * Boxes are [minX, minY, maxX, maxY] in world units (lng/lat).
+ */
+
+/**
+ * Index items by bounding box. boxOf(item) returns the item's box.
+ * Returns { search(box), nearest(point, radius, distanceOf?) }
+ */
+export function createGridIndex(items, boxOf) {
+  const boxes = items.map(boxOf)
+  const extent = mergeBoxes(boxes)
+  const side = Math.max(1, Math.ceil(Math.sqrt(items.length / ITEMS_PER_CELL)))
+  const cellWidth = extent ? ((extent[2] - extent[0]) / side) || 1 : 1
+  const cellHeight = extent ? ((extent[3] - extent[1]) / side) || 1 : 1
+  const cells = new Map() // row * side + column -> item indexes
+
+  const columnOf = (x) => Math.min(side - 1, Math.max(0, Math.floor((x - extent[0]) / cellWidth)))
+  const rowOf = (y) => Math.min(side - 1, Math.max(0, Math.floor((y - extent[1]) / cellHeight)))
+
+  let spansCells = false
+  boxes.forEach((box, index) => {
+    if (!box) return
+    const [c0, c1, r0, r1] = [columnOf(box[0]), columnOf(box[2]), rowOf(box[1]), rowOf(box[3])]
+    if (c0 !== c1 || r0 !== r1) spansCells = true
+    for (let row = r0; row <= r1; row++) {
+      for (let column = c0; column <= c1; column++) {
+        const key = row * side + column
+        if (!cells.has(key)) cells.set(key, [])
+        cells.get(key).push(index)
+      }
+    }
+  })
+
+  // Items whose box overlaps the query box
+  const search = (box) => {
+    if (!extent || !boxesOverlap(box, extent)) return []
+    const found = []
+    const seen = spansCells ? new Set() : null
+    const [c0, c1, r0, r1] = [columnOf(box[0]), columnOf(box[2]), rowOf(box[1]), rowOf(box[3])]
+    for (let row = r0; row <= r1; row++) {
+      for (let column = c0; column <= c1; column++) {
+        const cell = cells.get(row * side + column)
+        if (!cell) continue
+        cell.forEach(index => {
+          if (seen) {
+            if (seen.has(index)) return
+            seen.add(index)
+          }
+          if (boxesOverlap(box, boxes[index])) found.push(items[index])
+        })
+      }
+    }
+    return found
+  }
+
+  // Closest item within radius of a point; by default measured to the box centre
+  const nearest = (point, radius, distanceOf = (item, box) => distance(point, boxCenter(box))) => {
+    let best = null
+    let bestDistance = radius
+    search([point[0] - radius, point[1] - radius, point[0] + radius, point[1] + radius]).forEach(item => {
+      const d = distanceOf(item, boxOf(item))
+      if (d < bestDistance) {
+        best = item
+        bestDistance = d
+      }
+    })
+    return best
+  }
+
+  return { search, nearest }
+}
+
+/**
+ * Bounding box of a GeoJSON geometry, null if it has no coordinates
+ */
+export function geometryBox(geometry) {
+  if (!geometry?.coordinates) return null
+  const box = [Infinity, Infinity, -Infinity, -Infinity]
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      if (coords[0] < box[0]) box[0] = coords[0]
+      if (coords[1] < box[1]) box[1] = coords[1]
+      if (coords[0] > box[2]) box[2] = coords[0]
+      if (coords[1] > box[3]) box[3] = coords[1]
+    } else {
+      coords.forEach(visit)
+    }
+  }
+  visit(geometry.coordinates)
+  return box[0] === Infinity ? null : box
+}
+
+/**
+ * Box of a single [lng, lat] position
+ */
+export function pointBox(position) {
+  return [position[0], position[1], position[0], position[1]]
+}
+
+/**
+ * Drop vertices that don't change the path by more than tolerance
+ * (Douglas-Peucker). Closed rings keep at least their first and last point.
+ */
+export function simplifyPath(coords, tolerance) {
+  if (coords.length <= 2 || tolerance <= 0) return coords
+  const keep = new Uint8Array(coords.length)
+  keep[0] = 1
+  keep[coords.length - 1] = 1
+  const stack = [[0, coords.length - 1]]
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let maxDistance = tolerance
+    let index = -1
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(coords[i], coords[first], coords[last])
+      if (d > maxDistance) {
+        maxDistance = d
+        index = i
+      }
+    }
+    if (index !== -1) {
+      keep[index] = 1
+      stack.push([first, index], [index, last])
+    }
+  }
+  return coords.filter((_, i) => keep[i])
+}
+
+/**
+ * Geometry with every path simplified to tolerance (world units)
+ */
+export function simplifyGeometry(geometry, tolerance) {
+  switch (geometry?.type) {
+    case 'LineString':
+      return { ...geometry, coordinates: simplifyPath(geometry.coordinates, tolerance) }
+    case 'Polygon':
+    case 'MultiLineString':
+      return { ...geometry, coordinates: geometry.coordinates.map(path => simplifyPath(path, tolerance)) }
+    case 'MultiPolygon':
+      return { ...geometry, coordinates: geometry.coordinates.map(poly => poly.map(ring => simplifyPath(ring, tolerance))) }
+    default:
+      return geometry
+  }
+}
+
+export function boxesOverlap(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1]
+}
+
+function mergeBoxes(boxes) {
+  let merged = null
+  boxes.forEach(box => {
+    if (!box) return
+    merged = merged
+      ? [Math.min(merged[0], box[0]), Math.min(merged[1], box[1]), Math.max(merged[2], box[2]), Math.max(merged[3], box[3])]
+      : [...box]
+  })
+  return merged
+}
+
+function boxCenter(box) {
+  return [(box[0] + box[2]) / 2, (box[1] + box[3]) / 2]
+}
+
+function distance(a, b) {
+  return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2)
+}
+
+// Distance from point p to the segment a-b
+function segmentDistance(p, a, b) {
+  const dx = b[0] - a[0]
+  const dy = b[1] - a[1]
+  const lengthSquared = dx * dx + dy * dy
+  if (lengthSquared === 0) return distance(p, a)
+  const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared))
+  return distance(p, [a[0] + t * dx, a[1] + t * dy])
+}
+
+// Average items per grid cell
+const ITEMS_PER_CELL = 8
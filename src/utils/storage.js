@@ -0,0 +1,274 @@
+import { DEFAULT_PROJECT_ID } from './projects'
+import { idbEntries, idbSet, idbDelete } from './idb'
+
+/**
+ * Versioned persistence layer for tracker state
+ * Every slice (test status, termination progress, notes, daily log) is stored
+ * under a namespaced key in IndexedDB, alongside a schema version.
+ * Tracker slices belong to a project (see projectKey); the project registry is global.
+ * Migrations upgrade older layouts in place so crews never lose data.
+ *
+ * Slices are read into memory once by initStorage, so loadSlice stays
+ * synchronous; saves update memory immediately and are written through in
+ * the background. Where IndexedDB is unavailable, LocalStorage is used instead.
+ */
+
+export const STORAGE_PREFIX = 'lvTracker'
+export const SCHEMA_VERSION = 3
+
+// Kept in LocalStorage so it can be read before the database is open
+const VERSION_KEY = `${STORAGE_PREFIX}:schemaVersion`
+
+const sliceKey = (name) => `${STORAGE_PREFIX}:${name}`
+
+// Slices that hold a single project's tracker data
+const PROJECT_SLICES = [
+  'dailyLog', 'completedBoxes', 'notes', 'stringTests',
+  'terminatedCircuits', 'terminationLegacyCounts', 'terminationCrew'
+]
+
+// Slices recording where a project is with the sync server, which a copy doesn't share
+const SYNC_SLICES = ['syncState', 'syncConflicts']
+
+// Stored JSON text of every slice, by full key
+const cache = new Map()
+let useIndexedDb = true
+
+// Write-through status, shown as the "last saved" indicator
+const saveStatus = { pending: 0, lastSavedAt: null, error: null }
+const saveListeners = new Set()
+
+/**
+ * Slice name of a project-scoped slice
+ */
+export function projectKey(projectId, name) {
+  return `project:${projectId}:${name}`
+}
+
+// migrations[n] upgrades stored data from version n - 1 to version n
+const migrations = {
+  // v0 -> v1: move the original un-namespaced keys under the prefix
+  1: () => {
+    ['dailyLog', 'terminationProgress'].forEach(name => {
+      const legacy = localStorage.getItem(name)
+      if (legacy !== null && !cache.has(sliceKey(name))) {
+        writeKey(sliceKey(name), legacy)
+      }
+      localStorage.removeItem(name)
+    })
+  },
+  // v1 -> v2: termination moved from a bare count per inverter to per-circuit ticks.
+  // Counts can't be mapped to circuits without the layers, so the app converts
+  // them once it has loaded the circuit list.
+  2: () => {
+    const counts = cache.get(sliceKey('terminationProgress'))
+    if (counts !== undefined) {
+      writeKey(sliceKey('terminationLegacyCounts'), counts)
+      deleteKey(sliceKey('terminationProgress'))
+    }
+  },
+  // v2 -> v3: tracker data was global, it now belongs to the bundled default project
+  3: () => {
+    PROJECT_SLICES.forEach(name => {
+      const value = cache.get(sliceKey(name))
+      if (value === undefined) return
+      writeKey(sliceKey(projectKey(DEFAULT_PROJECT_ID, name)), value)
+      deleteKey(sliceKey(name))
+    })
+  }
+}
+
+/**
+ * Read the stored schema version (0 when nothing was ever versioned)
+ */
+export function getStoredVersion() {
+  const stored = parseInt(localStorage.getItem(VERSION_KEY), 10)
+  return Number.isFinite(stored) ? stored : 0
+}
+
+/**
+ * Open the slice store, move any slices still in LocalStorage into it
+ * and bring stored data up to SCHEMA_VERSION.
+ * Must finish before any slice is read.
+ */
+export async function initStorage() {
+  // Ask the browser not to evict offline data under storage pressure (best effort)
+  navigator.storage?.persist?.().catch(() => {})
+
+  try {
+    const entries = await idbEntries('slices')
+    entries.forEach(([key, value]) => cache.set(key, value))
+  } catch (e) {
+    console.error('IndexedDB unavailable, keeping tracker data in LocalStorage:', e)
+    useIndexedDb = false
+  }
+
+  // Slices saved before the move to IndexedDB (or by the LocalStorage fallback).
+  // LocalStorage copies are only dropped once the database holds them.
+  const legacyKeys = Object.keys(localStorage)
+    .filter(key => key.startsWith(`${STORAGE_PREFIX}:`) && key !== VERSION_KEY)
+  if (!useIndexedDb) {
+    legacyKeys.forEach(key => cache.set(key, localStorage.getItem(key)))
+  } else {
+    const moved = await Promise.all(legacyKeys
+      .filter(key => !cache.has(key))
+      .map(key => writeKey(key, localStorage.getItem(key))))
+    if (moved.every(Boolean)) legacyKeys.forEach(key => localStorage.removeItem(key))
+  }
+
+  runMigrations()
+}
+
+/**
+ * Bring stored data up to SCHEMA_VERSION
+ */
+export function runMigrations() {
+  let version = getStoredVersion()
+  try {
+    while (version < SCHEMA_VERSION) {
+      version += 1
+      migrations[version]?.()
+      localStorage.setItem(VERSION_KEY, String(version))
+    }
+  } catch (e) {
+    console.error(`Storage migration to v${version} failed:`, e)
+  }
+}
+
+/**
+ * Load a slice, returning fallback when missing or unreadable
+ */
+export function loadSlice(name, fallback) {
+  try {
+    const stored = cache.get(sliceKey(name))
+    return stored === undefined ? fallback : JSON.parse(stored)
+  } catch (e) {
+    console.error(`Failed to parse ${name} from storage:`, e)
+    return fallback
+  }
+}
+
+/**
+ * Save a slice
+ */
+export function saveSlice(name, value) {
+  try {
+    const json = JSON.stringify(value)
+    if (cache.get(sliceKey(name)) !== json) writeKey(sliceKey(name), json)
+  } catch (e) {
+    console.warn(`Failed to save ${name}:`, e)
+  }
+}
+
+/**
+ * Remove a slice
+ */
+export function removeSlice(name) {
+  deleteKey(sliceKey(name))
+}
+
+/**
+ * Copy every slice of one project into another
+ * The copy starts unsynced: the sync cursor and conflicts stay behind, and
+ * copied events lose their server sequence numbers so they're pushed again.
+ */
+export function copyProjectSlices(fromProjectId, toProjectId) {
+  const fromPrefix = sliceKey(projectKey(fromProjectId, ''))
+  const toPrefix = sliceKey(projectKey(toProjectId, ''))
+  keysWithPrefix(fromPrefix).forEach(key => {
+    const name = key.slice(fromPrefix.length)
+    if (SYNC_SLICES.includes(name)) return
+    let json = cache.get(key)
+    if (name === 'events') {
+      try {
+        json = JSON.stringify(JSON.parse(json).map(({ seq, ...event }) => event))
+      } catch (e) {
+        console.warn(`Skipping unreadable slice ${key}:`, e)
+        return
+      }
+    }
+    writeKey(toPrefix + name, json)
+  })
+}
+
+/**
+ * Read every slice of a project as { name: value }
+ */
+export function readProjectSlices(projectId) {
+  const prefix = sliceKey(projectKey(projectId, ''))
+  const slices = {}
+  keysWithPrefix(prefix).forEach(key => {
+    try {
+      slices[key.slice(prefix.length)] = JSON.parse(cache.get(key))
+    } catch (e) {
+      console.warn(`Skipping unreadable slice ${key}:`, e)
+    }
+  })
+  return slices
+}
+
+/**
+ * Write { name: value } slices into a project, optionally clearing it first
+ */
+export function writeProjectSlices(projectId, slices, { replace = false } = {}) {
+  const prefix = sliceKey(projectKey(projectId, ''))
+  if (replace) {
+    keysWithPrefix(prefix).forEach(deleteKey)
+  }
+  Object.entries(slices).forEach(([name, value]) => saveSlice(projectKey(projectId, name), value))
+}
+
+/**
+ * Current write-through status: { pending, lastSavedAt, error }
+ */
+export function getSaveStatus() {
+  return { ...saveStatus }
+}
+
+/**
+ * Call listener after every completed (or failed) write; returns an unsubscribe function
+ */
+export function subscribeSaves(listener) {
+  saveListeners.add(listener)
+  return () => saveListeners.delete(listener)
+}
+
+function keysWithPrefix(prefix) {
+  return Array.from(cache.keys()).filter(key => key.startsWith(prefix))
+}
+
+function writeKey(key, json) {
+  cache.set(key, json)
+  return persist(key, json)
+}
+
+function deleteKey(key) {
+  cache.delete(key)
+  return persist(key, undefined)
+}
+
+// Write one key through to the backing store, tracking the outcome for the indicator.
+// Resolves to whether the write succeeded.
+async function persist(key, json) {
+  saveStatus.pending += 1
+  try {
+    if (!useIndexedDb) {
+      if (json === undefined) localStorage.removeItem(key)
+      else localStorage.setItem(key, json)
+    } else if (json === undefined) {
+      await idbDelete('slices', key)
+    } else {
+      await idbSet('slices', key, json)
+    }
+    saveStatus.error = null
+    saveStatus.lastSavedAt = new Date().toISOString()
+    return true
+  } catch (e) {
+    console.warn(`Failed to save ${key}:`, e)
+    saveStatus.error = e
+    return false
+  } finally {
+    saveStatus.pending -= 1
+    saveListeners.forEach(listener => listener(getSaveStatus()))
+  }
+}
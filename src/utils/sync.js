@@ -0,0 +1,329 @@
+import { normalizeNote } from './notes'
+
+/**
+ * Multi-device sync
+ * Devices exchange activity-log events through the sync server (server/index.js).
+ * Remote events are applied field by field: each field of an item keeps the
+ * value of its most recent change, so every device converges on the same
+ * state whatever order events arrive in. When a remote change competes with
+ * a different value for the same field, a conflict is recorded for the user
+ * to review instead of one side being lost silently.
+ *
+ * Tracker state: { completedBoxes: Set, stringTests: {}, terminatedCircuits: {}, signOffs: {}, stageProgress: {},
+ *                  notes: [], dailyLog: [] }
+ * Note photos stay on the device that took them.
+ */
+
+// Item fields that sync; other kinds compare every field of the stored value
+const SYNC_FIELDS = {
+  note: ['text', 'category', 'priority', 'assignee', 'status', 'position'],
+  signOff: ['stage', 'stages', 'rejection'],
+  workStage: ['done']
+}
+
+// Marks whether an object item exists at all (false once cleared or deleted)
+export const EXISTS = '_exists'
+
+export const FIELD_LABELS = {
+  tested: 'Tested',
+  [EXISTS]: 'Exists',
+  result: 'Result',
+  insulation: 'Insulation',
+  polarity: 'Polarity',
+  voc: 'Voc',
+  continuity: 'Continuity',
+  tester: 'Tester',
+  testedAt: 'Test time',
+  crew: 'Crew',
+  terminatedAt: 'Termination time',
+  text: 'Text',
+  category: 'Category',
+  priority: 'Priority',
+  assignee: 'Assignee',
+  status: 'Status',
+  position: 'Position',
+  stage: 'Stage',
+  stages: 'Stage sign-offs',
+  rejection: 'Rejection',
+  done: 'Done'
+}
+
+/**
+ * Key of the item an event changed, or null for events that can't be applied
+ */
+export function itemKeyOf(event) {
+  switch (event.kind) {
+    case 'inverter':
+    case 'string':
+    case 'circuit':
+      return event.itemId
+    case 'note':
+      return event.noteId ?? null
+    case 'signOff':
+      return event.signOffKey ?? null
+    case 'workStage':
+      return event.progressKey ?? null
+    case 'dailyLog':
+      return (event.after || event.before)?.id ?? null
+    default:
+      return null
+  }
+}
+
+/**
+ * Current value of an item in tracker state
+ */
+export function itemValue(state, kind, key) {
+  switch (kind) {
+    case 'inverter':
+      return state.completedBoxes.has(key)
+    case 'string':
+      return state.stringTests[key] || null
+    case 'circuit':
+      return state.terminatedCircuits[key] || null
+    case 'signOff':
+      return state.signOffs[key] || null
+    case 'workStage':
+      return state.stageProgress[key] || null
+    case 'note':
+      return state.notes.find(n => n.id === key) || null
+    case 'dailyLog':
+      return state.dailyLog.find(r => r.id === key) || null
+    default:
+      return null
+  }
+}
+
+/**
+ * Pull events the server has after a sequence number
+ * token is the server's access token for this device's role (see server/index.js)
+ */
+export async function pullEvents(serverUrl, token, projectId, since) {
+  const response = await fetch(`${apiBase(serverUrl, projectId)}?since=${since}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  })
+  if (!response.ok) throw new Error(response.status === 401 ? 'Sync token not accepted' : `Pull failed (${response.status})`)
+  return response.json()
+}
+
+/**
+ * Push local events, resolving to { seqs: { eventId: seq }, latest, refused: { eventId: reason } }
+ * Refused events are ones the token's role isn't allowed to make; the server doesn't store them.
+ */
+export async function pushEvents(serverUrl, token, projectId, deviceId, events) {
+  const response = await fetch(apiBase(serverUrl, projectId), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ deviceId, events })
+  })
+  if (!response.ok) throw new Error(response.status === 401 ? 'Sync token not accepted' : `Push failed (${response.status})`)
+  return response.json()
+}
+
+/**
+ * Apply remote events to tracker state
+ * localEvents is this device's log; events without a server seq are unsynced.
+ * Returns { state, conflicts }.
+ */
+export function resolveRemoteEvents(state, localEvents, remoteEvents) {
+  // Most recent change of every item field known on this device,
+  // and the latest unsynced local change of every item
+  const latest = new Map()
+  const pendingItems = new Map()
+  localEvents.forEach(event => {
+    const key = itemKeyOf(event)
+    if (key === null) return
+    changedFields(event).forEach(field => {
+      const id = fieldId(event.kind, key, field)
+      if (!latest.has(id) || latest.get(id).at <= event.at) latest.set(id, event)
+    })
+    if (!event.seq) pendingItems.set(`${event.kind}|${key}`, event)
+  })
+
+  let next = state
+  const conflicts = []
+
+  remoteEvents
+    .slice()
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .forEach(remote => {
+      const key = itemKeyOf(remote)
+      if (key === null) return
+
+      const current = itemValue(next, remote.kind, key)
+      const currentFields = toFields(remote.kind, current)
+      const incomingFields = toFields(remote.kind, remote.after)
+      const pendingLocal = pendingItems.get(`${remote.kind}|${key}`)
+      const updates = {}
+
+      changedFields(remote).forEach(field => {
+        const previous = latest.get(fieldId(remote.kind, key, field))
+        const differs = !sameValue(currentFields[field], incomingFields[field])
+        const remoteWins = !previous || previous.at <= remote.at
+
+        // A different value only conflicts with changes the remote device hadn't seen:
+        // unsynced local edits, or anything newer than the remote change
+        const concurrent = previous && (!remoteWins || !previous.seq || (field === EXISTS && pendingLocal))
+        if (differs && concurrent) {
+          // Existence conflicts carry whole items so the losing side can be restored
+          const values = field === EXISTS
+            ? { mine: current, theirs: remote.after }
+            : { mine: currentFields[field], theirs: incomingFields[field] }
+          conflicts.push(createConflict(remote, pendingLocal || previous, key, field, {
+            ...values,
+            kept: remoteWins ? 'theirs' : 'mine'
+          }))
+        }
+        if (remoteWins) {
+          updates[field] = incomingFields[field]
+          latest.set(fieldId(remote.kind, key, field), remote)
+        }
+      })
+
+      // Remote edits to an item deleted here but not yet synced
+      if (remote.kind !== 'inverter' && !currentFields[EXISTS] && remote.before && remote.after && pendingLocal) {
+        conflicts.push(createConflict(remote, pendingLocal, key, EXISTS, { mine: null, theirs: remote.after, kept: 'mine' }))
+      }
+
+      if (Object.keys(updates).length > 0) {
+        next = setItem(next, remote.kind, key, fromFields(remote.kind, { ...currentFields, ...updates }, current))
+      }
+    })
+
+  return { state: next, conflicts }
+}
+
+/**
+ * Event that sets one field of a conflicted item to the value that lost
+ */
+export function overrideEvent(state, conflict) {
+  const current = itemValue(state, conflict.kind, conflict.itemKey)
+  const value = conflict.kept === 'mine' ? conflict.theirs : conflict.mine
+  const after = conflict.field === EXISTS
+    ? value
+    : fromFields(conflict.kind, { ...toFields(conflict.kind, current), [conflict.field]: value }, current)
+  return {
+    mode: conflict.mode,
+    kind: conflict.kind,
+    itemId: conflict.itemId,
+    inverterId: conflict.inverterId,
+    ...(conflict.kind === 'note' ? { noteId: conflict.itemKey } : {}),
+    ...(conflict.kind === 'signOff' ? { signOffKey: conflict.itemKey } : {}),
+    ...(conflict.kind === 'workStage' ? { progressKey: conflict.itemKey, stageName: conflict.stageName } : {}),
+    before: current,
+    after
+  }
+}
+
+/**
+ * Apply events (in order) to tracker state, ignoring field timestamps
+ */
+export function applyEvents(state, events) {
+  return events.reduce((next, event) => {
+    const key = itemKeyOf(event)
+    if (key === null) return next
+    const current = itemValue(next, event.kind, key)
+    const updates = pick(toFields(event.kind, event.after), changedFields(event))
+    return setItem(next, event.kind, key, fromFields(event.kind, { ...toFields(event.kind, current), ...updates }, current))
+  }, state)
+}
+
+function apiBase(serverUrl, projectId) {
+  return `${serverUrl.replace(/\/+$/, '')}/api/projects/${encodeURIComponent(projectId)}/events`
+}
+
+function fieldId(kind, key, field) {
+  return `${kind}|${key}|${field}`
+}
+
+// Flatten an item value into { field: value }
+function toFields(kind, value) {
+  if (kind === 'inverter') return { tested: Boolean(value) }
+  if (!value) return { [EXISTS]: false }
+  const fields = SYNC_FIELDS[kind] ? pick(value, SYNC_FIELDS[kind]) : { ...value }
+  return { ...fields, [EXISTS]: true }
+}
+
+// Rebuild an item value from its fields, keeping unsynced properties of the current value
+function fromFields(kind, fields, current) {
+  if (kind === 'inverter') return fields.tested
+  if (!fields[EXISTS]) return null
+  const { [EXISTS]: _, ...values } = fields
+  return { ...(current || {}), ...values }
+}
+
+function changedFields(event) {
+  const before = toFields(event.kind, event.before)
+  const after = toFields(event.kind, event.after)
+  // A deletion only changes existence; the old field values aren't a new write
+  if (after[EXISTS] === false) return [EXISTS]
+  return Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter(field => !sameValue(before[field], after[field]))
+}
+
+function setItem(state, kind, key, value) {
+  switch (kind) {
+    case 'inverter': {
+      if (state.completedBoxes.has(key) === value) return state
+      const completedBoxes = new Set(state.completedBoxes)
+      if (value) completedBoxes.add(key)
+      else completedBoxes.delete(key)
+      return { ...state, completedBoxes }
+    }
+    case 'string':
+    case 'circuit':
+    case 'signOff':
+    case 'workStage': {
+      const name = { string: 'stringTests', circuit: 'terminatedCircuits', signOff: 'signOffs', workStage: 'stageProgress' }[kind]
+      const map = { ...state[name] }
+      if (value) map[key] = value
+      else delete map[key]
+      return { ...state, [name]: map }
+    }
+    case 'note': {
+      const others = state.notes.filter(n => n.id !== key)
+      if (!value) return { ...state, notes: others }
+      const note = normalizeNote({ ...value, id: key, position: value.position || [0, 0] })
+      const exists = others.length < state.notes.length
+      return { ...state, notes: exists ? state.notes.map(n => (n.id === key ? note : n)) : [...state.notes, note] }
+    }
+    case 'dailyLog': {
+      const others = state.dailyLog.filter(r => r.id !== key)
+      if (!value) return { ...state, dailyLog: others }
+      const exists = others.length < state.dailyLog.length
+      const record = { ...value, id: key }
+      return { ...state, dailyLog: exists ? state.dailyLog.map(r => (r.id === key ? record : r)) : [...state.dailyLog, record] }
+    }
+    default:
+      return state
+  }
+}
+
+function createConflict(remote, previous, itemKey, field, { mine, theirs, kept }) {
+  return {
+    id: `${remote.id}|${field}`,
+    at: new Date().toISOString(),
+    mode: remote.mode,
+    kind: remote.kind,
+    itemKey,
+    itemId: remote.itemId,
+    inverterId: remote.inverterId,
+    ...(remote.stageName ? { stageName: remote.stageName } : {}),
+    field,
+    mine,
+    theirs,
+    kept,
+    myUser: previous.user,
+    myAt: previous.at,
+    theirUser: remote.user,
+    theirAt: remote.at
+  }
+}
+
+function pick(value, fields) {
+  return Object.fromEntries(fields.filter(field => field in value).map(field => [field, value[field]]))
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
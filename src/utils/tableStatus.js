@@ -0,0 +1,147 @@
+import { pointBox } from './spatialIndex'
+
+/**
+ * Table colouring (choropleth)
+ * Each table polygon from the CAD "tables" layer is linked to the string labels
+ * (table_id) that sit inside it, then filled by the status of those strings, by
+ * open notes placed on it, or by how long ago anything on it last changed.
+ */
+
+export const TABLE_COLOR_MODES = [
+  { key: 'none', label: 'Plain' },
+  { key: 'test', label: 'String test status' },
+  { key: 'termination', label: 'Termination status' },
+  { key: 'notes', label: 'Open notes' },
+  { key: 'activity', label: 'Days since last activity' }
+]
+
+/**
+ * Strings inside each table: Map(feature -> [circuit IDs]).
+ * contains(geometry, lng, lat) is the map's point-in-polygon test.
+ */
+export function linkTables(polyIndex, circuits, contains) {
+  const links = new Map()
+  circuits.forEach(circuit => {
+    const [lng, lat] = circuit.position
+    const table = polyIndex.search(pointBox(circuit.position)).find(feature => contains(feature.geometry, lng, lat))
+    if (!table) return
+    if (!links.has(table)) links.set(table, [])
+    links.get(table).push(circuit.id)
+  })
+  return links
+}
+
+/**
+ * Legend entry for each coloured table: Map(feature -> { key, label, fill, stroke }).
+ * state: { stringTests, terminatedCircuits, notes, events, until } - events are only
+ * read for activity, measured up to until (now, or the end of the replayed day).
+ */
+export function tableColors(mode, { links, polyIndex, contains }, state) {
+  const colors = new Map()
+  const items = Object.fromEntries((TABLE_LEGENDS[mode] || []).map(item => [item.key, item]))
+
+  if (mode === 'test') {
+    links.forEach((strings, table) => {
+      const results = strings.map(id => state.stringTests[id]?.result)
+      const passed = results.filter(result => result === 'pass').length
+      let key = 'untested'
+      if (results.includes('fail')) key = 'failed'
+      else if (passed === strings.length) key = 'passed'
+      else if (passed > 0) key = 'partial'
+      colors.set(table, items[key])
+    })
+  } else if (mode === 'termination') {
+    links.forEach((strings, table) => {
+      const done = strings.filter(id => state.terminatedCircuits[id]).length
+      colors.set(table, items[done === strings.length ? 'done' : done > 0 ? 'partial' : 'none'])
+    })
+  } else if (mode === 'notes') {
+    state.notes.forEach(note => {
+      if (note.status === 'resolved' || !note.position) return
+      const [lng, lat] = note.position
+      const table = polyIndex.search(pointBox(note.position)).find(feature => contains(feature.geometry, lng, lat))
+      if (table && colors.get(table)?.key !== 'high') {
+        colors.set(table, items[note.priority === 'high' ? 'high' : 'open'])
+      }
+    })
+  } else if (mode === 'activity') {
+    const last = lastActivity(state.events, state.until)
+    const now = new Date(state.until).getTime()
+    links.forEach((strings, table) => {
+      const latest = strings.map(id => last[id]).filter(Boolean).sort().pop()
+      if (!latest) {
+        colors.set(table, items.never)
+        return
+      }
+      const days = Math.floor((now - new Date(latest).getTime()) / DAY_MS)
+      colors.set(table, TABLE_LEGENDS.activity.find(item => item.maxDays !== undefined && days <= item.maxDays) || items.stale)
+    })
+  }
+  return colors
+}
+
+/**
+ * Short hash of which table has which colour, used to tell cached tiles apart:
+ * equal colourings give equal signatures
+ */
+export function fillSignature(colors) {
+  // Entries are sorted by table first, so the order tables were coloured in doesn't matter
+  const entries = []
+  colors.forEach((item, table) => entries.push([tableId(table), item.key]))
+  entries.sort((a, b) => a[0] - b[0])
+  let hash = 0
+  entries.forEach(([id, key]) => {
+    const entry = `${id}:${key};`
+    for (let i = 0; i < entry.length; i++) hash = (Math.imul(hash, 31) + entry.charCodeAt(i)) | 0
+  })
+  return `${colors.size}-${(hash >>> 0).toString(36)}`
+}
+
+// Stable number per table feature for signatures
+function tableId(feature) {
+  if (!tableIds.has(feature)) tableIds.set(feature, nextTableId++)
+  return tableIds.get(feature)
+}
+
+// Latest test or termination change per string up to until: { circuitId: ISO time }
+function lastActivity(events, until) {
+  const last = {}
+  events.forEach(event => {
+    if ((event.kind !== 'string' && event.kind !== 'circuit') || event.source === 'migration' || event.at > until) return
+    if (!(last[event.itemId] >= event.at)) last[event.itemId] = event.at
+  })
+  return last
+}
+
+// Legend per colouring mode, in the order shown; activity buckets run hot (recent) to cold
+export const TABLE_LEGENDS = {
+  test: [
+    { key: 'passed', label: 'All strings passed', fill: 'rgba(34, 197, 94, 0.55)', stroke: '#22c55e' },
+    { key: 'partial', label: 'Partly passed', fill: 'rgba(251, 191, 36, 0.6)', stroke: '#f59e0b' },
+    { key: 'failed', label: 'String failed', fill: 'rgba(239, 68, 68, 0.55)', stroke: '#ef4444' },
+    { key: 'untested', label: 'Not tested', fill: 'rgba(230, 126, 34, 0.3)', stroke: '#e67e22' }
+  ],
+  termination: [
+    { key: 'done', label: 'Terminated', fill: 'rgba(34, 197, 94, 0.55)', stroke: '#22c55e' },
+    { key: 'partial', label: 'Partly terminated', fill: 'rgba(251, 191, 36, 0.6)', stroke: '#f59e0b' },
+    { key: 'none', label: 'Not terminated', fill: 'rgba(239, 68, 68, 0.45)', stroke: '#ef4444' }
+  ],
+  notes: [
+    { key: 'high', label: 'Open high-priority note', fill: 'rgba(239, 68, 68, 0.6)', stroke: '#ef4444' },
+    { key: 'open', label: 'Open note', fill: 'rgba(251, 191, 36, 0.6)', stroke: '#f59e0b' }
+  ],
+  activity: [
+    { key: 'today', label: 'Within a day', maxDays: 0, fill: 'rgba(220, 38, 38, 0.6)', stroke: '#dc2626' },
+    { key: 'days3', label: '1–3 days ago', maxDays: 3, fill: 'rgba(249, 115, 22, 0.55)', stroke: '#f97316' },
+    { key: 'week', label: '4–7 days ago', maxDays: 7, fill: 'rgba(250, 204, 21, 0.55)', stroke: '#eab308' },
+    { key: 'fortnight', label: '8–14 days ago', maxDays: 14, fill: 'rgba(56, 189, 248, 0.5)', stroke: '#0ea5e9' },
+    { key: 'stale', label: 'Over 14 days ago', fill: 'rgba(99, 102, 241, 0.45)', stroke: '#6366f1' },
+    { key: 'never', label: 'No activity yet', fill: 'rgba(156, 163, 175, 0.3)', stroke: '#9ca3af' }
+  ]
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Table feature -> number handed out by tableId
+const tableIds = new WeakMap()
+let nextTableId = 1
@@ -0,0 +1,114 @@
+/**
+ * Tile cache for static map layers
+ * Layers that only change when their data or style changes (tables, site
+ * boundary) are painted once per zoom level into small offscreen tiles.
+ * Panning and zooming then just copy tiles onto the map canvas, scaled to
+ * the exact zoom, instead of redrawing every feature.
+ *
+ * Tiles are laid out in "map pixels" at the level's scale, measured from the
+ * site centre: u = (lng - centerLng) * scale, v = (centerLat - lat) * scale.
+ */
+
+/**
+ * Create a cache holding at most maxTiles tiles, least recently used dropped first
+ */
+export function createTileCache({ tileSize = TILE_SIZE, maxTiles = MAX_TILES } = {}) {
+  const tiles = new Map() // key -> canvas (null when the tile is empty), oldest first
+
+  /**
+   * Draw one layer for the current view. paint(ctx, project, worldBox) fills a
+   * tile and returns false if there was nothing in it; project(lng, lat) gives
+   * tile pixel coordinates. layerId must change whenever the layer's look does.
+   */
+  const draw = (ctx, { layerId, view, center, width, height, paint }) => {
+    const level = zoomLevel(view.scale)
+    const levelScale = levelToScale(level)
+    const size = tileSize * (view.scale / levelScale) // Tile size on screen
+
+    const firstColumn = Math.floor(-view.offsetX / size)
+    const lastColumn = Math.floor((width - view.offsetX) / size)
+    const firstRow = Math.floor(-view.offsetY / size)
+    const lastRow = Math.floor((height - view.offsetY) / size)
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        const key = `${layerId}|${level}|${column}|${row}`
+        let tile = tiles.get(key)
+        if (tile === undefined) {
+          tile = paintTile(column, row, levelScale, center, paint)
+        } else {
+          tiles.delete(key) // Re-inserted below as most recently used
+        }
+        tiles.set(key, tile)
+        if (!tile) continue
+
+        // Whole-pixel edges so neighbouring tiles meet without seams
+        const x = Math.round(column * size + view.offsetX)
+        const y = Math.round(row * size + view.offsetY)
+        const nextX = Math.round((column + 1) * size + view.offsetX)
+        const nextY = Math.round((row + 1) * size + view.offsetY)
+        ctx.drawImage(tile, x, y, nextX - x, nextY - y)
+      }
+    }
+
+    while (tiles.size > maxTiles) {
+      tiles.delete(tiles.keys().next().value)
+    }
+  }
+
+  const paintTile = (column, row, levelScale, [centerLng, centerLat], paint) => {
+    const canvas = createCanvas(tileSize)
+    const tileCtx = canvas.getContext('2d')
+    const left = column * tileSize
+    const top = row * tileSize
+    const project = (lng, lat) => ({
+      x: (lng - centerLng) * levelScale - left,
+      y: (centerLat - lat) * levelScale - top
+    })
+    // Padded by a few pixels so strokes of features just outside still show at the edge
+    const pad = TILE_PADDING_PX / levelScale
+    const worldBox = [
+      centerLng + left / levelScale - pad,
+      centerLat - (top + tileSize) / levelScale - pad,
+      centerLng + (left + tileSize) / levelScale + pad,
+      centerLat - top / levelScale + pad
+    ]
+    return paint(tileCtx, project, worldBox, levelScale) === false ? null : canvas
+  }
+
+  return {
+    draw,
+    clear: () => tiles.clear()
+  }
+}
+
+/**
+ * Zoom level whose tiles are used at a scale (LEVELS_PER_OCTAVE steps per doubling)
+ */
+export function zoomLevel(scale) {
+  return Math.round(Math.log2(scale) * LEVELS_PER_OCTAVE)
+}
+
+export function levelToScale(level) {
+  return 2 ** (level / LEVELS_PER_OCTAVE)
+}
+
+function createCanvas(size) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(size, size)
+  const canvas = document.createElement('canvas')
+  canvas.width = size
+  canvas.height = size
+  return canvas
+}
+
+// Tile edge length in pixels
+const TILE_SIZE = 256
+
+// Roughly two screens' worth of 256px tiles per layer (256 KB each; empty tiles cost nothing)
+const MAX_TILES = 192
+
+// Zoom levels per doubling of scale; tiles are stretched by at most ±19% between levels
+const LEVELS_PER_OCTAVE = 2
+
+// Extra world margin when picking features for a tile (px)
+const TILE_PADDING_PX = 4
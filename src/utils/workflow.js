@@ -0,0 +1,328 @@
+import { hexToRgba } from './mapLayers'
+
+/**
+ * Workflow stages
+ * The site work tracked on the map, configured per project by an admin. The
+ * mode switcher, counters, legend and exports are generated from this list.
+ *
+ * LV cable testing and termination are built in: they keep their own records
+ * (inverter ticks and string tests, the termination checklist) and can be
+ * renamed, recoloured and given dependencies. Other stages record progress in
+ * stageProgress: { [progressKey]: { done, at, user } }.
+ *
+ * stage: { key, name, icon, unit: 'inverter' | 'string', tracking: 'binary' | 'count',
+ *          quantity, colors: { done, partial, none }, dependsOn: [stage keys], builtIn }
+ * Count stages track done out of quantity per item; a per-inverter count stage
+ * without a quantity counts the inverter's strings.
+ * An item can only be progressed once what it depends on is complete: the same
+ * inverter or string, an inverter's strings, or a string's inverter.
+ */
+
+export const STAGE_UNITS = [
+  { key: 'inverter', label: 'Per inverter', plural: 'Inverters' },
+  { key: 'string', label: 'Per string', plural: 'Strings' }
+]
+
+export const STAGE_TRACKING = [
+  { key: 'binary', label: 'Done / not done' },
+  { key: 'count', label: 'Count' }
+]
+
+export const DEFAULT_WORKFLOW = [
+  {
+    key: 'test',
+    name: 'LV Cable Test',
+    icon: '🔌',
+    unit: 'inverter',
+    tracking: 'binary',
+    quantity: null,
+    colors: { done: '#22c55e', partial: '#f59e0b', none: '#e67e22' },
+    dependsOn: [],
+    builtIn: true
+  },
+  {
+    key: 'termination',
+    name: 'Cable Termination',
+    icon: '🔗',
+    unit: 'string',
+    tracking: 'binary',
+    quantity: null,
+    colors: { done: '#22c55e', partial: '#f59e0b', none: '#ef4444' },
+    dependsOn: [],
+    builtIn: true
+  }
+]
+
+// Common site stages offered as starting points in the stage editor
+export const STAGE_TEMPLATES = [
+  { name: 'Trenching', icon: '⛏️', unit: 'inverter', tracking: 'binary' },
+  { name: 'Cable Pulling', icon: '🧵', unit: 'string', tracking: 'binary' },
+  { name: 'Box Mounting', icon: '📦', unit: 'inverter', tracking: 'binary' },
+  { name: 'Labelling', icon: '🏷️', unit: 'string', tracking: 'binary' },
+  { name: 'Energisation', icon: '⚡', unit: 'inverter', tracking: 'binary' }
+]
+
+/**
+ * Fill in a stored stage list: built-in stages are always present (with their
+ * fixed unit and tracking), keys are unique, fields default and dependencies
+ * only point at other stages
+ */
+export function normalizeWorkflow(value) {
+  // First stage per key wins, so merged backups don't duplicate stages
+  const stored = Array.isArray(value)
+    ? value.filter((stage, index) => stage?.key && value.findIndex(other => other?.key === stage.key) === index)
+    : []
+  const stages = stored.map(stage => {
+    const builtIn = DEFAULT_WORKFLOW.find(d => d.key === stage.key)
+    if (builtIn) {
+      return { ...builtIn, name: stage.name || builtIn.name, icon: stage.icon ?? builtIn.icon, colors: { ...builtIn.colors, ...stage.colors }, dependsOn: stage.dependsOn }
+    }
+    return {
+      ...newStageFields(),
+      ...stage,
+      colors: { ...NEW_STAGE_COLORS, ...stage.colors },
+      quantity: Number(stage.quantity) > 0 ? Number(stage.quantity) : null,
+      builtIn: false
+    }
+  })
+  DEFAULT_WORKFLOW.forEach((builtIn, index) => {
+    if (!stages.some(stage => stage.key === builtIn.key)) stages.splice(Math.min(index, stages.length), 0, builtIn)
+  })
+
+  const keys = new Set(stages.map(stage => stage.key))
+  return stages.map(stage => ({
+    ...stage,
+    dependsOn: (Array.isArray(stage.dependsOn) ? stage.dependsOn : []).filter(key => key !== stage.key && keys.has(key))
+  }))
+}
+
+/**
+ * New custom stage with a key not used by any stage (or by the sign-off mode)
+ */
+export function createStage(workflow, fields = {}) {
+  const name = fields.name || 'New stage'
+  const base = `stage-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom'}`
+  let key = base
+  for (let n = 2; workflow.some(stage => stage.key === key) || RESERVED_KEYS.includes(key); n++) key = `${base}-${n}`
+  return { ...newStageFields(), ...fields, name, key }
+}
+
+/**
+ * Stages that would depend on themselves, directly or through others, if stage
+ * depended on candidate - these can't be offered as its dependencies
+ */
+export function wouldCycle(workflow, stageKey, candidateKey) {
+  const seen = new Set()
+  const visit = (key) => {
+    if (key === stageKey) return true
+    if (seen.has(key)) return false
+    seen.add(key)
+    const stage = workflow.find(s => s.key === key)
+    return (stage?.dependsOn || []).some(visit)
+  }
+  return visit(candidateKey)
+}
+
+/**
+ * Storage key of an item's progress on a custom stage
+ */
+export function progressKey(stageKey, itemId) {
+  return `${stageKey}|${itemId}`
+}
+
+export function findStage(workflow, key) {
+  return workflow.find(stage => stage.key === key) || null
+}
+
+export function unitLabel(stage, plural = true) {
+  const unit = STAGE_UNITS.find(u => u.key === stage.unit)
+  return plural ? unit.plural : unit.plural.slice(0, -1)
+}
+
+/**
+ * Site structure the stages are measured on, from the map data:
+ * { inverterIds, circuits: { inverterId: [circuit] }, boxes: { inverterId: [boxId] } }
+ */
+export function workflowSite(inverterCircuitData, inverterLabels) {
+  const boxes = {}
+  inverterLabels.forEach(label => {
+    (boxes[label.inverterId] = boxes[label.inverterId] || []).push(label.boxId)
+  })
+  const ids = new Set([...Object.keys(inverterCircuitData.inverterPositions), ...Object.keys(inverterCircuitData.circuits)])
+  return {
+    inverterIds: Array.from(ids).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+    circuits: inverterCircuitData.circuits,
+    boxes
+  }
+}
+
+/**
+ * String test results on one inverter: { passed, failed, total }
+ */
+export function stringTally(circuits, stringTests) {
+  const tally = { passed: 0, failed: 0, total: circuits.length }
+  circuits.forEach(circuit => {
+    const result = stringTests[circuit.id]?.result
+    if (result === 'pass') tally.passed++
+    else if (result === 'fail') tally.failed++
+  })
+  return tally
+}
+
+/**
+ * Whether an inverter box counts as tested: ticked, or every one of the
+ * inverter's strings passed. The map, hierarchy and test stage all use this.
+ */
+export function boxTested(ticked, { passed = 0, total = 0 } = {}) {
+  return ticked || (total > 0 && passed === total)
+}
+
+/**
+ * Units to do on one item of a stage
+ */
+export function itemTotal(stage, site, item) {
+  if (stage.key === 'test') return (site.boxes[item.inverterId] || []).length
+  if (stage.tracking === 'binary') return 1
+  if (stage.quantity) return stage.quantity
+  return stage.unit === 'inverter' ? (site.circuits[item.inverterId] || []).length : 1
+}
+
+/**
+ * Units done on one item, from the (replay-aware) tracker state
+ */
+export function itemDone(stage, site, state, item) {
+  if (stage.key === 'test') {
+    const tally = stringTally(site.circuits[item.inverterId] || [], state.stringTests)
+    return (site.boxes[item.inverterId] || []).filter(boxId => boxTested(state.completedBoxes.has(boxId), tally)).length
+  }
+  if (stage.key === 'termination') return state.terminatedCircuits[item.id] ? 1 : 0
+  return Math.min(state.stageProgress[progressKey(stage.key, item.id)]?.done || 0, itemTotal(stage, site, item))
+}
+
+/**
+ * Items of a stage on one inverter: the inverter itself, or its strings
+ */
+export function stageItems(stage, site, inverterId) {
+  if (stage.unit === 'inverter') return [{ id: inverterId, inverterId }]
+  return (site.circuits[inverterId] || []).map(circuit => ({ id: circuit.id, inverterId }))
+}
+
+/**
+ * Whether an item (a string or a whole inverter) is complete in a stage
+ */
+export function isComplete(stage, site, state, item) {
+  const items = stage.unit === 'string' && item.id === item.inverterId
+    ? stageItems(stage, site, item.inverterId)
+    : [stage.unit === 'inverter' ? { id: item.inverterId, inverterId: item.inverterId } : item]
+  return items.length > 0 && items.every(each => {
+    const total = itemTotal(stage, site, each)
+    return total > 0 && itemDone(stage, site, state, each) >= total
+  })
+}
+
+/**
+ * Stages still blocking an item: the dependencies it is waiting on, [] when it can go ahead
+ */
+export function blockingStages(workflow, stage, site, state, item) {
+  return stage.dependsOn
+    .map(key => findStage(workflow, key))
+    .filter(dependency => dependency && !isComplete(dependency, site, state, item))
+}
+
+/**
+ * Progress of one inverter in a stage: { done, total, items, complete, blocked }
+ * (units done and to do, item count, items complete, items waiting on other stages);
+ * items with nothing to do, like an inverter without test boxes, aren't counted
+ */
+export function inverterProgress(workflow, stage, site, state, inverterId) {
+  const progress = { done: 0, total: 0, items: 0, complete: 0, blocked: 0 }
+  stageItems(stage, site, inverterId).forEach(item => {
+    const total = itemTotal(stage, site, item)
+    if (total === 0) return
+    const done = itemDone(stage, site, state, item)
+    progress.done += done
+    progress.total += total
+    progress.items++
+    if (total > 0 && done >= total) progress.complete++
+    else if (blockingStages(workflow, stage, site, state, item).length > 0) progress.blocked++
+  })
+  return progress
+}
+
+/**
+ * Site-wide progress of every stage: { stageKey: { done, total, items, complete, blocked, percent, byInverter } }
+ */
+export function workflowStats(workflow, site, state) {
+  return Object.fromEntries(workflow.map(stage => {
+    const stats = { done: 0, total: 0, items: 0, complete: 0, blocked: 0, byInverter: {} }
+    site.inverterIds.forEach(inverterId => {
+      const progress = inverterProgress(workflow, stage, site, state, inverterId)
+      stats.byInverter[inverterId] = progress
+      ;['done', 'total', 'items', 'complete', 'blocked'].forEach(field => { stats[field] += progress[field] })
+    })
+    stats.percent = stats.total > 0 ? Math.round(stats.done / stats.total * 100) : 0
+    return [stage.key, stats]
+  }))
+}
+
+/**
+ * Map colours for an item or inverter at a status: 'done', 'partial', 'none' or 'blocked'
+ */
+export function stageStyle(stage, status) {
+  if (status === 'blocked') return BLOCKED_STYLE
+  const color = stage.colors[status]
+  return { fill: hexToRgba(color, STATUS_ALPHA[status]), stroke: color, text: shade(color, 0.45) }
+}
+
+/**
+ * Status of done out of total, blocked when nothing is done and it's waiting on another stage
+ */
+export function progressStatus(done, total, blocked = false) {
+  if (total > 0 && done >= total) return 'done'
+  if (done > 0) return 'partial'
+  return blocked ? 'blocked' : 'none'
+}
+
+/**
+ * Legend entries for a stage's map colours
+ */
+export function stageLegend(stage) {
+  const items = [
+    { label: 'Complete', ...stageStyle(stage, 'done') },
+    { label: 'In progress', ...stageStyle(stage, 'partial') },
+    { label: 'Not started', ...stageStyle(stage, 'none') }
+  ]
+  if (stage.dependsOn.length > 0) items.push({ label: 'Waiting on earlier stage', ...BLOCKED_STYLE })
+  return items.map(({ label, fill, stroke }) => ({ label, fill, stroke }))
+}
+
+function newStageFields() {
+  return {
+    icon: '🛠️',
+    unit: 'inverter',
+    tracking: 'binary',
+    quantity: null,
+    colors: { ...NEW_STAGE_COLORS },
+    dependsOn: [],
+    builtIn: false
+  }
+}
+
+// Darker shade of a hex colour, for text outlines on its fill
+function shade(hex, factor) {
+  const value = parseInt(hex.slice(1), 16)
+  const channel = (shift) => Math.round(((value >> shift) & 255) * factor).toString(16).padStart(2, '0')
+  return `#${channel(16)}${channel(8)}${channel(0)}`
+}
+
+// Mode keys stages can't take
+const RESERVED_KEYS = ['test', 'termination', 'signoff']
+
+// Colours a new custom stage starts with
+const NEW_STAGE_COLORS = { done: '#22c55e', partial: '#3b82f6', none: '#9ca3af' }
+
+// Fill opacity per status, matching the built-in modes' markers
+const STATUS_ALPHA = { done: 0.8, partial: 0.7, none: 0.5 }
+
+// Items that can't be started until an earlier stage is done
+const BLOCKED_STYLE = { fill: 'rgba(203, 213, 225, 0.5)', stroke: '#94a3b8', text: '#475569' }
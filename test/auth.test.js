@@ -0,0 +1,21 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { can, eventPermission } from '../src/utils/auth.js'
+
+test('eventPermission follows the app\'s save paths', () => {
+  assert.equal(eventPermission({ kind: 'inverter', before: false, after: true }), 'test.pass')
+  assert.equal(eventPermission({ kind: 'string', before: null, after: { result: 'fail' } }), 'progress.edit')
+  assert.equal(eventPermission({ kind: 'string', before: { result: 'pass' }, after: { result: 'fail' } }), 'test.pass')
+  assert.equal(eventPermission({ kind: 'circuit', before: null, after: {} }), 'progress.edit')
+  assert.equal(eventPermission({ kind: 'signOff', before: null, after: { stage: 'installed' } }), 'progress.edit')
+  assert.equal(eventPermission({ kind: 'signOff', before: null, after: { stage: 'approved' } }), 'signoff.approve')
+  assert.equal(eventPermission({ kind: 'signOff', before: { stage: 'inspected' }, after: { stage: null, rejection: { at: 'x' } } }), 'signoff.reject')
+  assert.equal(eventPermission({ kind: 'dailyLog', before: { id: 1 }, after: null }), 'history.delete')
+})
+
+test('only QA may make QA events', () => {
+  const pass = eventPermission({ kind: 'inverter', before: false, after: true })
+  assert.equal(can('qa', pass), true)
+  assert.equal(can('supervisor', pass), false)
+  assert.equal(can('viewer', eventPermission({ kind: 'circuit', after: {} })), false)
+})
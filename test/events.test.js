@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffTrackerState, summarizeDay, rewindTrackerState, toLocalDate } from '../src/utils/events.js'
+
+const inverterOf = (id) => id.split('-').slice(0, 2).join('-')
+const snapshot = (fields = {}) => ({ completedBoxes: new Set(), stringTests: {}, terminatedCircuits: {}, ...fields })
+const noon = (date) => new Date(`${date}T12:00:00`).toISOString()
+
+test('diffTrackerState logs one event per change with its delta', () => {
+  const prev = snapshot({ stringTests: { 'TX1-INV1-STR1': { result: 'pass' } } })
+  const next = snapshot({
+    completedBoxes: new Set(['TX1-INV1']),
+    stringTests: { 'TX1-INV1-STR1': { result: 'fail' } },
+    terminatedCircuits: { 'TX1-INV1-STR2': { crew: 'A' } }
+  })
+  const events = diffTrackerState(prev, next, { source: 'click', inverterOf })
+  assert.deepEqual(events.map(event => [event.kind, event.itemId, event.delta, event.source]), [
+    ['inverter', 'TX1-INV1', 1, 'click'],
+    ['string', 'TX1-INV1-STR1', -1, 'click'],
+    ['circuit', 'TX1-INV1-STR2', 1, 'click']
+  ])
+})
+
+test('diffTrackerState dates items by atOf and the rest by now', () => {
+  const next = snapshot({ terminatedCircuits: { 'TX1-INV1-STR1': {}, 'TX1-INV1-STR2': {} } })
+  const at = noon('2024-05-03')
+  const events = diffTrackerState(snapshot(), next, { source: 'import', inverterOf, atOf: (id) => id === 'TX1-INV1-STR1' ? at : undefined })
+  assert.equal(events[0].at, at)
+  assert.equal(toLocalDate(events[1].at), toLocalDate(new Date().toISOString()))
+})
+
+test('summarizeDay nets the day\'s work per mode, stage and inverter', () => {
+  const day = '2024-05-03'
+  const events = [
+    { kind: 'inverter', mode: 'test', inverterId: 'TX1-INV1', delta: 1, at: noon(day) },
+    { kind: 'circuit', mode: 'termination', inverterId: 'TX1-INV2', delta: 1, at: noon(day) },
+    { kind: 'circuit', mode: 'termination', inverterId: 'TX1-INV2', delta: -1, at: noon(day) },
+    { kind: 'workStage', mode: 'stage-pulling', inverterId: 'TX1-INV3', delta: 2, at: noon(day) },
+    { kind: 'circuit', mode: 'termination', inverterId: 'TX1-INV1', delta: 1, at: noon(day), source: 'migration' },
+    { kind: 'circuit', mode: 'termination', inverterId: 'TX1-INV1', delta: 1, at: noon('2024-05-04') }
+  ]
+  const summary = summarizeDay(events, day)
+  assert.deepEqual(summary.test, { inverters: 1, strings: 0 })
+  assert.deepEqual(summary.termination, { circuits: 0 })
+  assert.deepEqual(summary.stages, { 'stage-pulling': 2 })
+  assert.deepEqual(Object.keys(summary.byInverter), ['TX1-INV1', 'TX1-INV3'])
+  assert.deepEqual(summary.byInverter['TX1-INV3'].stages, { 'stage-pulling': 2 })
+})
+
+test('rewindTrackerState restores what items were before later events', () => {
+  const current = snapshot({ completedBoxes: new Set(['box-1']), terminatedCircuits: { STR1: { crew: 'B' } } })
+  const events = [
+    { kind: 'inverter', itemId: 'box-1', before: false, after: true, at: noon('2024-05-04') },
+    { kind: 'circuit', itemId: 'STR1', before: { crew: 'A' }, after: { crew: 'B' }, at: noon('2024-05-05') }
+  ]
+  const rewound = rewindTrackerState(current, events, '2024-05-03')
+  assert.equal(rewound.completedBoxes.has('box-1'), false)
+  assert.deepEqual(rewound.terminatedCircuits.STR1, { crew: 'A' })
+  assert.deepEqual(rewindTrackerState(current, events, '2024-05-04').terminatedCircuits.STR1, { crew: 'A' })
+})
@@ -0,0 +1,107 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCsv, parseDate, guessMapping, createIdLookup, previewImport } from '../src/utils/importSheet.js'
+
+const lookup = createIdLookup({
+  inverterLabels: [{ inverterId: 'TX1-INV1', boxId: 'box-1' }],
+  circuits: {
+    'TX1-INV1': [
+      { id: 'TX1-INV1-STR1', inverterId: 'TX1-INV1' },
+      { id: 'TX1-INV1-STR2', inverterId: 'TX1-INV1' }
+    ]
+  }
+})
+
+const rows = (...cells) => cells.map((row, index) => ({ number: index + 2, cells: row }))
+
+test('parseCsv handles quoted cells and picks the delimiter', () => {
+  assert.deepEqual(parseCsv('ID;Result\n"TX1-INV1-STR1";"pass; retested"\r\nTX1-INV1-STR2;fail'), [
+    ['ID', 'Result'],
+    ['TX1-INV1-STR1', 'pass; retested'],
+    ['TX1-INV1-STR2', 'fail']
+  ])
+  assert.deepEqual(parseCsv('a,"say ""hi""",c'), [['a', 'say "hi"', 'c']])
+})
+
+test('parseDate reads ISO and day-first dates and rejects impossible ones', () => {
+  assert.equal(parseDate('2024-05-03'), '2024-05-03')
+  assert.equal(parseDate('03/05/2024'), '2024-05-03')
+  assert.equal(parseDate('3.5.2024'), '2024-05-03')
+  assert.equal(parseDate('31/02/2024'), null)
+  assert.equal(parseDate('yesterday'), null)
+})
+
+test('guessMapping matches headers to fields once each', () => {
+  const mapping = guessMapping(['String ID', 'Result', 'Tested by', 'Date'], 'test')
+  assert.deepEqual([mapping.id, mapping.result, mapping.tester, mapping.date, mapping.voc], [0, 1, 2, 3, null])
+})
+
+test('previewImport matches IDs loosely and requires a result on every test row', () => {
+  const mapping = { id: 0, result: 1, tester: null, date: 2, insulation: null, voc: null }
+  const [exact, loose, unknown, noResult, badDate] = previewImport(rows(
+    ['TX1-INV1-STR1', 'pass', '2024-05-03'],
+    ['tx01_inv01_str02', 'FAIL', ''],
+    ['TX9-INV1', 'pass', ''],
+    ['TX1-INV1', '', ''],
+    ['TX1-INV1-STR1', 'pass', 'soon']
+  ), mapping, 'test', lookup)
+
+  assert.equal(exact.status, 'matched')
+  assert.deepEqual([exact.values.result, exact.values.date], ['pass', '2024-05-03'])
+  assert.deepEqual([loose.status, loose.match.id, loose.values.result], ['matched', 'TX1-INV1-STR2', 'fail'])
+  assert.equal(unknown.status, 'unmatched')
+  assert.deepEqual([noResult.status, noResult.message], ['invalid', 'No result'])
+  assert.equal(badDate.status, 'invalid')
+})
+
+test('previewImport reads insulation and Voc as numbers', () => {
+  const mapping = { id: 0, result: 1, tester: null, date: null, insulation: 2, voc: 3 }
+  const [readings, empty, badInsulation, badVoc] = previewImport(rows(
+    ['TX1-INV1-STR1', 'pass', '550', ' 812.5 '],
+    ['TX1-INV1-STR2', 'pass', '', ''],
+    ['TX1-INV1-STR1', 'pass', 'high', '800'],
+    ['TX1-INV1-STR1', 'pass', '500', '800V']
+  ), mapping, 'test', lookup)
+
+  assert.deepEqual([readings.status, readings.values.insulation, readings.values.voc], ['matched', 550, 812.5])
+  assert.deepEqual([empty.status, empty.values.insulation, empty.values.voc], ['matched', null, null])
+  assert.deepEqual([badInsulation.status, badInsulation.message], ['invalid', '"high" is not an insulation reading'])
+  assert.deepEqual([badVoc.status, badVoc.message], ['invalid', '"800V" is not a Voc reading'])
+})
+
+test('previewImport rejects rows blocked by another stage, as the map does', () => {
+  const waiting = (stageKey, item) => stageKey === 'termination' && item.id === 'TX1-INV1-STR1' ? ['Pulling'] : []
+  const mapping = { id: 0, count: 1, done: 2, crew: null, date: null }
+  const [blockedString, clearedString, partialCount, fullCount, noDone] = previewImport(rows(
+    ['TX1-INV1-STR1', '', 'yes'],
+    ['TX1-INV1-STR1', '', 'no'],
+    ['TX1-INV1', '1', ''],
+    ['TX1-INV1', '2', ''],
+    ['TX1-INV1-STR2', '', '']
+  ), mapping, 'termination', lookup, waiting)
+
+  assert.deepEqual([blockedString.status, blockedString.message], ['invalid', 'Waiting on Pulling'])
+  assert.deepEqual([clearedString.status, clearedString.values.done], ['matched', false])
+  assert.deepEqual([partialCount.status, partialCount.values.circuitIds], ['matched', ['TX1-INV1-STR2']])
+  assert.equal(fullCount.status, 'invalid')
+  assert.deepEqual([noDone.status, noDone.message], ['invalid', 'No terminated yes / no'])
+})
+
+test('previewImport flags inverter rows that would change nothing', () => {
+  const boxless = createIdLookup({ inverterLabels: [], circuits: { 'TX1-INV2': [{ id: 'TX1-INV2-STR1', inverterId: 'TX1-INV2' }] } })
+  const [noBox] = previewImport(rows(['TX1-INV2', 'pass']), { id: 0, result: 1 }, 'test', boxless)
+  assert.deepEqual([noBox.status, noBox.message], ['invalid', 'TX1-INV2 has no inverter box on the map to tick'])
+
+  const terminated = (id) => id === 'TX1-INV1-STR1' || id === 'TX1-INV1-STR2'
+  const [below, same, tooMany] = previewImport(rows(['TX1-INV1', '1'], ['TX1-INV1', '2'], ['TX1-INV1', '3']), { id: 0, count: 1 }, 'termination', lookup, undefined, terminated)
+  assert.deepEqual([below.status, below.message], ['invalid', 'TX1-INV1 already has 2 terminated - use string rows to untick circuits'])
+  assert.equal(same.status, 'matched')
+  assert.deepEqual([tooMany.status, tooMany.message], ['invalid', '3 terminated but TX1-INV1 has 2 circuits'])
+})
+
+test('previewImport turns daily log rows into dated counts', () => {
+  const mapping = { date: 0, count: 1, subcontractor: 2, workers: 3 }
+  const [good, badCount] = previewImport(rows(['03/05/2024', '12', 'Sparks Ltd', '4'], ['2024-05-04', 'lots', '', '']), mapping, 'dailyLog', lookup)
+  assert.deepEqual(good.values, { date: '2024-05-03', count: 12, subcontractor: 'Sparks Ltd', workers: 4 })
+  assert.equal(badCount.status, 'invalid')
+})
@@ -0,0 +1,15 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createNote, changedNotes } from '../src/utils/notes.js'
+
+test('changedNotes pairs up notes added, edited and removed between two lists', () => {
+  const kept = { ...createNote([0, 0]), id: 'kept' }
+  const edited = { ...createNote([1, 1]), id: 'edited' }
+  const removed = { ...createNote([2, 2]), id: 'removed' }
+  const added = { ...createNote([3, 3]), id: 'added' }
+  const editedAfter = { ...edited, status: 'resolved', resolvedAt: '2024-05-03T10:00:00.000Z' }
+
+  const changes = changedNotes([kept, edited, removed], [{ ...kept }, editedAfter, added])
+
+  assert.deepEqual(changes, [[edited, editedAfter], [null, added], [removed, null]])
+})
@@ -0,0 +1,12 @@
+/**
+ * Node module resolve hook (see setup.js): retries relative imports that
+ * aren't found with a .js extension
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context)
+  } catch (e) {
+    if (e.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier)) throw e
+    return nextResolve(`${specifier}.js`, context)
+  }
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeWorkflow, DEFAULT_WORKFLOW } from '../src/utils/workflow.js'
+import { scheduleModes, scheduleScope, scheduleRows, plannedCumulative, plannedEnd, forecastFinish, recordMode, emptyBaseline } from '../src/utils/schedule.js'
+
+const site = {
+  inverterIds: ['TX1-INV1', 'TX2-INV1'],
+  circuits: {
+    'TX1-INV1': [{ id: 'TX1-INV1-STR1' }, { id: 'TX1-INV1-STR2' }],
+    'TX2-INV1': [{ id: 'TX2-INV1-STR1' }, { id: 'TX2-INV1-STR2' }]
+  },
+  boxes: { 'TX1-INV1': ['box-1'], 'TX2-INV1': ['box-2'] }
+}
+const workflow = normalizeWorkflow([...DEFAULT_WORKFLOW, { key: 'stage-pulling', name: 'Pulling', unit: 'string', tracking: 'binary' }])
+const scope = scheduleScope(workflow, site)
+
+test('scope and modes cover every workflow stage', () => {
+  assert.deepEqual(scope, {
+    test: { 'TX1-INV1': 1, 'TX2-INV1': 1 },
+    termination: { 'TX1-INV1': 2, 'TX2-INV1': 2 },
+    'stage-pulling': { 'TX1-INV1': 2, 'TX2-INV1': 2 }
+  })
+  const modes = scheduleModes(workflow)
+  assert.deepEqual(modes.map(mode => [mode.key, mode.label, mode.unit]), [
+    ['test', 'Tested', 'inverters'],
+    ['termination', 'Terminated', 'circuits'],
+    ['stage-pulling', 'Pulling', 'strings']
+  ])
+  assert.equal(recordMode({}, modes).key, 'test')
+  assert.equal(recordMode({ mode: 'stage-gone' }, modes).label, 'stage-gone')
+})
+
+test('finish dates plan an S-curve per group', () => {
+  const baseline = { ...emptyBaseline(), start: '2024-05-01', finish: '2024-05-10', groups: [{ prefix: 'TX2', finish: '2024-05-05' }] }
+  assert.equal(plannedCumulative(baseline, 'termination', scope, '2024-04-30'), 0)
+  assert.equal(plannedCumulative(baseline, 'termination', scope, '2024-05-10'), 4)
+  // TX2 is done by its own finish; TX1 is half way through its curve
+  assert.equal(plannedCumulative(baseline, 'termination', scope, '2024-05-05'), 2 + 2 * 0.5)
+  assert.equal(plannedEnd(baseline, 'termination', scope), '2024-05-10')
+})
+
+test('daily targets plan working days only and win over finish dates', () => {
+  const baseline = { ...emptyBaseline(), start: '2024-05-03', finish: '2024-06-30', targets: [{ subcontractor: 'Sparks', mode: 'stage-pulling', perDay: 2 }] }
+  // 2024-05-03 is a Friday; the weekend isn't worked
+  assert.equal(plannedCumulative(baseline, 'stage-pulling', scope, '2024-05-05'), 2)
+  assert.equal(plannedEnd(baseline, 'stage-pulling', scope), '2024-05-06')
+})
+
+test('scheduleRows compares cumulative actuals from the daily log with the plan', () => {
+  const baseline = { ...emptyBaseline(), start: '2024-05-01', targets: [{ subcontractor: 'Sparks', mode: 'termination', perDay: 1 }], weekends: true }
+  const dailyLog = [
+    { date: '2024-05-01', mode: 'termination', installed_panels: 1 },
+    { date: '2024-05-02', mode: 'termination', installed_panels: 0 },
+    { date: '2024-05-02', installed_panels: 1 }
+  ]
+  const rows = scheduleRows(dailyLog, baseline, scope)
+  assert.deepEqual(rows.map(row => row.date), ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-04'])
+  assert.deepEqual(rows[1].termination, { planned: 2, actual: 1, variance: -1 })
+  assert.deepEqual(rows[1].test, { planned: null, actual: 1, variance: null })
+  assert.equal(rows[3].termination.actual, null)
+})
+
+test('forecastFinish projects the recent run rate over what is left', () => {
+  const dailyLog = [
+    { date: '2024-05-01', mode: 'termination', installed_panels: 4 },
+    { date: '2024-05-02', mode: 'termination', installed_panels: 2 }
+  ]
+  assert.deepEqual(forecastFinish(dailyLog, 'termination', 12), { rate: 3, remaining: 6, date: '2024-05-04' })
+  assert.equal(forecastFinish(dailyLog, 'termination', 6).date, '2024-05-02')
+  assert.equal(forecastFinish(dailyLog, 'test', 6), null)
+})
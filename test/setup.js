@@ -0,0 +1,5 @@
+import { register } from 'node:module'
+
+// The app's modules import each other without file extensions, as Vite allows;
+// resolve those the same way when the tests load them in plain Node
+register('./resolve.js', import.meta.url)
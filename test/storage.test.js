@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Browser storage as storage.js sees it: LocalStorage only, with no IndexedDB
+class MemoryStorage {
+  getItem(key) { return Object.hasOwn(this, key) ? this[key] : null }
+  setItem(key, value) { this[key] = String(value) }
+  removeItem(key) { delete this[key] }
+}
+globalThis.localStorage = new MemoryStorage()
+globalThis.navigator = globalThis.navigator || {}
+
+const { initStorage, runMigrations, loadSlice, saveSlice, copyProjectSlices, projectKey, getStoredVersion, SCHEMA_VERSION } = await import('../src/utils/storage.js')
+const { DEFAULT_PROJECT_ID } = await import('../src/utils/projects.js')
+
+test('data from before versioning is carried up to the current schema', async (t) => {
+  t.mock.method(console, 'error', () => {})
+  const dailyLog = [{ id: 1, date: '2024-05-03', installed_panels: 12 }]
+  localStorage.setItem('dailyLog', JSON.stringify(dailyLog))
+  localStorage.setItem('terminationProgress', JSON.stringify({ 'TX1-INV1': 3 }))
+  localStorage.setItem('lvTracker:completedBoxes', JSON.stringify(['box-1']))
+
+  await initStorage()
+
+  assert.equal(getStoredVersion(), SCHEMA_VERSION)
+  // v1 namespaced the old keys, v2 parked the termination counts, v3 moved everything into the default project
+  assert.deepEqual(loadSlice(projectKey(DEFAULT_PROJECT_ID, 'dailyLog'), null), dailyLog)
+  assert.deepEqual(loadSlice(projectKey(DEFAULT_PROJECT_ID, 'terminationLegacyCounts'), null), { 'TX1-INV1': 3 })
+  assert.deepEqual(loadSlice(projectKey(DEFAULT_PROJECT_ID, 'completedBoxes'), null), ['box-1'])
+  assert.equal(loadSlice('dailyLog', null), null)
+  assert.equal(loadSlice('terminationProgress', null), null)
+  assert.equal(localStorage.getItem('dailyLog'), null)
+
+  // Running again at the current version changes nothing
+  runMigrations()
+  assert.deepEqual(loadSlice(projectKey(DEFAULT_PROJECT_ID, 'dailyLog'), null), dailyLog)
+})
+
+test('copyProjectSlices copies one project\'s slices and nobody else\'s', () => {
+  saveSlice(projectKey('site-a', 'notes'), [{ id: 'n1' }])
+  saveSlice(projectKey('site-b', 'notes'), [{ id: 'n2' }])
+
+  copyProjectSlices('site-a', 'site-c')
+
+  assert.deepEqual(loadSlice(projectKey('site-c', 'notes'), null), [{ id: 'n1' }])
+  assert.deepEqual(loadSlice(projectKey('site-a', 'notes'), null), [{ id: 'n1' }])
+  assert.equal(loadSlice(projectKey('site-c', 'dailyLog'), null), null)
+})
+
+test('copyProjectSlices leaves the sync state behind and unsyncs copied events', () => {
+  saveSlice(projectKey('site-a', 'events'), [{ id: 'e1', kind: 'box', seq: 4 }, { id: 'e2', kind: 'box' }])
+  saveSlice(projectKey('site-a', 'syncState'), { cursor: 4, lastSyncAt: '2024-05-03T10:00:00.000Z' })
+  saveSlice(projectKey('site-a', 'syncConflicts'), [{ id: 'c1' }])
+
+  copyProjectSlices('site-a', 'site-d')
+
+  assert.deepEqual(loadSlice(projectKey('site-d', 'events'), null), [{ id: 'e1', kind: 'box' }, { id: 'e2', kind: 'box' }])
+  assert.equal(loadSlice(projectKey('site-d', 'syncState'), null), null)
+  assert.equal(loadSlice(projectKey('site-d', 'syncConflicts'), null), null)
+  assert.equal(loadSlice(projectKey('site-a', 'events'), null)[0].seq, 4)
+})
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveRemoteEvents } from '../src/utils/sync.js'
+
+const state = (fields = {}) => ({
+  completedBoxes: new Set(),
+  stringTests: {},
+  terminatedCircuits: {},
+  signOffs: {},
+  stageProgress: {},
+  notes: [],
+  dailyLog: [],
+  ...fields
+})
+
+const stringTest = (result, tester) => ({ result, tester, polarity: 'correct', continuity: 'ok', insulation: '', voc: '', testedAt: '2024-05-03T10:00:00.000Z' })
+
+test('remote changes to items this device never touched are applied', () => {
+  const remote = [
+    { id: 'r1', kind: 'inverter', itemId: 'box-1', before: false, after: true, at: '2024-05-03T10:00:00.000Z', seq: 1 },
+    { id: 'r2', kind: 'circuit', itemId: 'STR1', before: null, after: { terminatedAt: '2024-05-03T11:00:00.000Z', crew: 'A' }, at: '2024-05-03T11:00:00.000Z', seq: 2 }
+  ]
+  const { state: next, conflicts } = resolveRemoteEvents(state(), [], remote)
+  assert.equal(next.completedBoxes.has('box-1'), true)
+  assert.equal(next.terminatedCircuits.STR1.crew, 'A')
+  assert.deepEqual(conflicts, [])
+})
+
+test('a newer remote change wins over a synced local one without a conflict', () => {
+  const local = [{ id: 'l1', kind: 'string', itemId: 'STR1', before: null, after: stringTest('fail', 'Ann'), at: '2024-05-03T09:00:00.000Z', seq: 1 }]
+  const remote = [{ id: 'r1', kind: 'string', itemId: 'STR1', before: stringTest('fail', 'Ann'), after: stringTest('pass', 'Ann'), at: '2024-05-03T12:00:00.000Z', seq: 2 }]
+  const { state: next, conflicts } = resolveRemoteEvents(state({ stringTests: { STR1: stringTest('fail', 'Ann') } }), local, remote)
+  assert.equal(next.stringTests.STR1.result, 'pass')
+  assert.deepEqual(conflicts, [])
+})
+
+test('an older remote change to an unsynced local edit is a conflict and the local value is kept', () => {
+  const local = [{ id: 'l1', kind: 'string', itemId: 'STR1', before: null, after: stringTest('pass', 'Ann'), at: '2024-05-03T12:00:00.000Z' }]
+  const remote = [{ id: 'r1', kind: 'string', itemId: 'STR1', before: null, after: stringTest('fail', 'Bob'), at: '2024-05-03T09:00:00.000Z', seq: 1 }]
+  const { state: next, conflicts } = resolveRemoteEvents(state({ stringTests: { STR1: stringTest('pass', 'Ann') } }), local, remote)
+
+  assert.equal(next.stringTests.STR1.result, 'pass')
+  const result = conflicts.find(conflict => conflict.field === 'result')
+  assert.ok(result)
+  assert.deepEqual([result.mine, result.theirs, result.kept], ['pass', 'fail', 'mine'])
+})
+
+test('remote events apply in time order whatever order they arrive in', () => {
+  const remote = [
+    { id: 'r2', kind: 'inverter', itemId: 'box-1', before: true, after: false, at: '2024-05-03T12:00:00.000Z', seq: 2 },
+    { id: 'r1', kind: 'inverter', itemId: 'box-1', before: false, after: true, at: '2024-05-03T10:00:00.000Z', seq: 1 }
+  ]
+  const { state: next } = resolveRemoteEvents(state(), [], remote)
+  assert.equal(next.completedBoxes.has('box-1'), false)
+})
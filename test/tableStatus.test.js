@@ -0,0 +1,21 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fillSignature } from '../src/utils/tableStatus.js'
+
+const tables = [{ id: 'a' }, { id: 'b' }, { id: 'c' }]
+const item = (key) => ({ key })
+
+test('fillSignature ignores the order tables were coloured in', () => {
+  const first = new Map([[tables[0], item('done')], [tables[1], item('none')]])
+  const second = new Map([[tables[1], item('none')], [tables[0], item('done')]])
+  assert.equal(fillSignature(first), fillSignature(second))
+})
+
+test('fillSignature tells apart colourings that swap equal-length keys', () => {
+  const swaps = [['done', 'none'], ['passed', 'failed']]
+  swaps.forEach(([one, other]) => {
+    const first = new Map([[tables[0], item(one)], [tables[1], item(other)], [tables[2], item(one)]])
+    const second = new Map([[tables[0], item(other)], [tables[1], item(one)], [tables[2], item(one)]])
+    assert.notEqual(fillSignature(first), fillSignature(second))
+  })
+})
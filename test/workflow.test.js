@@ -0,0 +1,80 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_WORKFLOW, normalizeWorkflow, createStage, wouldCycle, workflowStats, blockingStages, progressKey, stringTally, boxTested } from '../src/utils/workflow.js'
+
+const site = {
+  inverterIds: ['TX1-INV1', 'TX1-INV2'],
+  circuits: {
+    'TX1-INV1': [{ id: 'TX1-INV1-STR1' }, { id: 'TX1-INV1-STR2' }],
+    'TX1-INV2': [{ id: 'TX1-INV2-STR1' }]
+  },
+  boxes: { 'TX1-INV1': ['box-1'], 'TX1-INV2': ['box-2'] }
+}
+
+const emptyState = { completedBoxes: new Set(), stringTests: {}, terminatedCircuits: {}, stageProgress: {} }
+
+test('normalizeWorkflow keeps the built-in stages and drops duplicate keys and unknown dependencies', () => {
+  const workflow = normalizeWorkflow([
+    { key: 'stage-trenching', name: 'Trenching', dependsOn: ['missing', 'stage-trenching'] },
+    { key: 'stage-trenching', name: 'Duplicate' }
+  ])
+  assert.deepEqual(workflow.map(stage => stage.key), ['test', 'termination', 'stage-trenching'])
+  assert.equal(workflow[2].name, 'Trenching')
+  assert.deepEqual(workflow[2].dependsOn, [])
+})
+
+test('createStage picks a key no other stage uses', () => {
+  const first = createStage(DEFAULT_WORKFLOW, { name: 'Cable Pulling' })
+  const second = createStage([...DEFAULT_WORKFLOW, first], { name: 'Cable Pulling' })
+  assert.equal(first.key, 'stage-cable-pulling')
+  assert.equal(second.key, 'stage-cable-pulling-2')
+})
+
+test('wouldCycle catches direct and indirect cycles', () => {
+  const workflow = normalizeWorkflow([
+    { key: 'a', name: 'A', dependsOn: [] },
+    { key: 'b', name: 'B', dependsOn: ['a'] },
+    { key: 'c', name: 'C', dependsOn: ['b'] }
+  ])
+  assert.equal(wouldCycle(workflow, 'a', 'a'), true)
+  assert.equal(wouldCycle(workflow, 'a', 'b'), true)
+  assert.equal(wouldCycle(workflow, 'a', 'c'), true)
+  assert.equal(wouldCycle(workflow, 'c', 'a'), false)
+})
+
+test('a stage is blocked until what it depends on is complete', () => {
+  const workflow = normalizeWorkflow([
+    DEFAULT_WORKFLOW[0],
+    { ...DEFAULT_WORKFLOW[1], dependsOn: ['stage-pulling'] },
+    { key: 'stage-pulling', name: 'Pulling', unit: 'string', tracking: 'binary' }
+  ])
+  const termination = workflow.find(stage => stage.key === 'termination')
+  const item = { id: 'TX1-INV1-STR1', inverterId: 'TX1-INV1' }
+  assert.deepEqual(blockingStages(workflow, termination, site, emptyState, item).map(stage => stage.key), ['stage-pulling'])
+
+  const pulled = { ...emptyState, stageProgress: { [progressKey('stage-pulling', item.id)]: { done: 1 } } }
+  assert.deepEqual(blockingStages(workflow, termination, site, pulled, item), [])
+})
+
+test('workflowStats totals every stage site-wide and per inverter', () => {
+  const workflow = normalizeWorkflow([...DEFAULT_WORKFLOW, { key: 'stage-pulling', name: 'Pulling', unit: 'string', tracking: 'binary' }])
+  const state = {
+    ...emptyState,
+    completedBoxes: new Set(['box-1']),
+    terminatedCircuits: { 'TX1-INV1-STR1': { terminatedAt: '2024-05-01T10:00:00.000Z' } },
+    stageProgress: { [progressKey('stage-pulling', 'TX1-INV2-STR1')]: { done: 1 } }
+  }
+  const stats = workflowStats(workflow, site, state)
+  assert.deepEqual([stats.test.done, stats.test.total], [1, 2])
+  assert.deepEqual([stats.termination.done, stats.termination.total, stats.termination.percent], [1, 3, 33])
+  assert.deepEqual([stats['stage-pulling'].byInverter['TX1-INV2'].done, stats['stage-pulling'].byInverter['TX1-INV2'].complete], [1, 1])
+})
+
+test('an inverter whose strings all passed counts as tested without its tick, like the map', () => {
+  const state = { ...emptyState, stringTests: { 'TX1-INV2-STR1': { result: 'pass' }, 'TX1-INV1-STR1': { result: 'pass' } } }
+  const stats = workflowStats(DEFAULT_WORKFLOW, site, state)
+  assert.deepEqual([stats.test.done, stats.test.total], [1, 2])
+  assert.equal(stats.test.byInverter['TX1-INV2'].complete, 1)
+  assert.equal(stats.test.byInverter['TX1-INV1'].complete, 0)
+  assert.equal(boxTested(false, stringTally(site.circuits['TX1-INV1'], state.stringTests)), false)
+})